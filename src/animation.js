@@ -0,0 +1,70 @@
+import * as d3 from 'd3';
+import { AnimationUtils } from './utils/index.js';
+
+// Chart timings are written against this main transition length; a configured
+// duration scales every timing in a chart by duration / BASE_DURATION
+export const BASE_DURATION = 800;
+
+let defaults = {
+  enabled: true,
+  duration: BASE_DURATION,
+  easing: null, // AnimationUtils.easing or d3 easing name, or a function; null keeps each chart's own
+  stagger: null, // ms between consecutive items; null keeps each chart's own
+  respectReducedMotion: true // Turn animation off when the user prefers reduced motion
+};
+
+let reducedMotionQuery;
+
+/**
+ * Set the animation config charts use when they are not given one
+ */
+export function setAnimationDefaults(options = {}) {
+  defaults = { ...defaults, ...options };
+  return getAnimationDefaults();
+}
+
+/**
+ * Get a copy of the current animation defaults
+ */
+export function getAnimationDefaults() {
+  return { ...defaults };
+}
+
+/**
+ * Whether the user has asked the system to minimise motion.
+ * The media query is kept, so a change of setting applies to the next transition.
+ */
+export function prefersReducedMotion() {
+  if (reducedMotionQuery === undefined) {
+    reducedMotionQuery = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+      ? window.matchMedia('(prefers-reduced-motion: reduce)')
+      : null;
+  }
+  return Boolean(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+/**
+ * Turn an easing name or function into an easing function, or null for none
+ */
+export function resolveEasing(easing) {
+  if (!easing) return null;
+  if (typeof easing === 'function') return easing;
+
+  const ease = AnimationUtils.easing[easing] || (easing.startsWith('ease') && d3[easing]);
+  if (typeof ease === 'function') return ease;
+
+  console.warn(`Unknown easing "${easing}"`);
+  return null;
+}
+
+/**
+ * Resolve a chart's animation option (a config object, true/false, or
+ * nothing) to a full config over the library defaults
+ */
+export function resolveAnimation(animation) {
+  const config = typeof animation === 'boolean'
+    ? { ...defaults, enabled: animation }
+    : { ...defaults, ...animation };
+
+  return { ...config, ease: resolveEasing(config.easing) };
+}
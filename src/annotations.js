@@ -0,0 +1,368 @@
+import * as d3 from 'd3';
+
+/**
+ * Annotations
+ *
+ * Reference lines, shaded bands, markers and labels drawn over a chart in
+ * data coordinates with its scales, and drawn again after every render:
+ *
+ * - { type: 'line', x } or { type: 'line', y }: a line across the plot
+ * - { type: 'band', x: [from, to] } or { type: 'band', y: [from, to] }: a shaded range
+ * - { type: 'point', x, y }: a marker, its label set out as a callout
+ * - { type: 'label', x, y }: text at a point, or a callout with callout: true
+ *
+ * Every annotation takes id, label, color and axis (the y axis it is
+ * measured against, on charts with more than one).
+ */
+
+export const annotationTypes = ['line', 'band', 'point', 'label'];
+
+// Distance from a callout's anchor to its label
+const CALLOUT_DISTANCE = 36;
+
+// Directions tried for a callout label, most preferred first
+const CALLOUT_DIRECTIONS = [[1, -1], [-1, -1], [1, 1], [-1, 1], [0, -1], [0, 1], [1, 0], [-1, 0]];
+
+// Space between a label's text and its background
+const LABEL_PADDING = 3;
+
+/**
+ * Throw for an annotation that cannot be drawn
+ */
+export function checkAnnotation(annotation) {
+  const { type, x, y } = annotation || {};
+  if (!annotationTypes.includes(type)) {
+    throw new Error(`Unknown annotation type "${type}"; use ${annotationTypes.join(', ')}`);
+  }
+
+  if (type === 'line' || type === 'band') {
+    if ((x == null) === (y == null)) {
+      throw new Error(`A ${type} annotation needs either x or y`);
+    }
+    if (type === 'band' && !(Array.isArray(x ?? y) && (x ?? y).length === 2)) {
+      throw new Error('A band annotation needs x or y as [from, to]');
+    }
+  } else if (x == null || y == null) {
+    throw new Error(`A ${type} annotation needs x and y`);
+  }
+}
+
+/**
+ * Boxes around a run of [x, y] pixel positions, and along the segments
+ * between them when connected, for getMarkBoxes()
+ */
+export function traceBoxes(points, radius, connected = true) {
+  const boxes = [];
+  const add = ([x, y]) => boxes.push({ x0: x - radius, y0: y - radius, x1: x + radius, y1: y + radius });
+
+  points.forEach((point, i) => {
+    add(point);
+    if (!connected || i === 0) return;
+
+    const [x0, y0] = points[i - 1];
+    const steps = Math.floor(Math.hypot(point[0] - x0, point[1] - y0) / (radius * 2));
+    for (let step = 1; step < steps; step++) {
+      add([x0 + (point[0] - x0) * step / steps, y0 + (point[1] - y0) * step / steps]);
+    }
+  });
+
+  return boxes.filter(box => Number.isFinite(box.x0) && Number.isFinite(box.y0));
+}
+
+/**
+ * Read a value the way scale reads its domain: dates for scales of dates
+ */
+function readValue(scale, value, chart) {
+  return scale.domain()[0] instanceof Date ? chart.toDate(value) : value;
+}
+
+/**
+ * Pixel position of a data value, the middle of its band on band scales;
+ * null when the value falls outside the scale
+ */
+export function locate(scale, value, chart) {
+  const position = scale(readValue(scale, value, chart));
+  if (position == null || !Number.isFinite(position)) return null;
+
+  const middle = scale.bandwidth ? position + scale.bandwidth() / 2 : position;
+  const [start, end] = d3.extent(scale.range());
+  return middle < start - 0.5 || middle > end + 0.5 ? null : middle;
+}
+
+/**
+ * Pixel span [start, end] of a data range, cut to the scale's range; on
+ * band scales the span covers both end bands
+ */
+function locateRange(scale, values, chart) {
+  const ends = values.map(value => scale(readValue(scale, value, chart)));
+  if (ends.some(end => end == null || !Number.isFinite(end))) return null;
+
+  const [start, end] = d3.extent(scale.range());
+  const from = Math.max(start, Math.min(...ends));
+  const to = Math.min(end, Math.max(...ends) + (scale.bandwidth ? scale.bandwidth() : 0));
+  return from < to ? [from, to] : null;
+}
+
+/**
+ * Width and height of a text element, estimated where there is no layout
+ */
+function measureText(node, fontSize) {
+  const measured = typeof node.getComputedTextLength === 'function' ? node.getComputedTextLength() : 0;
+  const width = measured || node.textContent.length * fontSize * 0.6;
+  return { width: width + LABEL_PADDING * 2, height: fontSize + LABEL_PADDING * 2 };
+}
+
+/**
+ * Area two boxes share
+ */
+function overlap(a, b) {
+  const width = Math.min(a.x1, b.x1) - Math.max(a.x0, b.x0);
+  const height = Math.min(a.y1, b.y1) - Math.max(a.y0, b.y0);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Box for a callout label of size set out from anchor in a direction
+ */
+function calloutBox(anchor, size, [dx, dy], distance = CALLOUT_DISTANCE) {
+  const length = Math.hypot(dx, dy) || 1;
+  const x = anchor.x + dx / length * distance;
+  const y = anchor.y + dy / length * distance;
+  const x0 = dx > 0 ? x : dx < 0 ? x - size.width : x - size.width / 2;
+  const y0 = dy > 0 ? y : dy < 0 ? y - size.height : y - size.height / 2;
+  return { x0, y0, x1: x0 + size.width, y1: y0 + size.height };
+}
+
+/**
+ * Place a callout label of size near anchor: in the direction where it
+ * covers the least of the obstacles, staying inside bounds when it can
+ */
+function placeCallout(anchor, size, obstacles, bounds) {
+  let best = null;
+
+  CALLOUT_DIRECTIONS.forEach(direction => {
+    const box = calloutBox(anchor, size, direction);
+    const inside = overlap(box, bounds);
+    const score = obstacles.reduce((sum, obstacle) => sum + overlap(box, obstacle), 0) +
+      (size.width * size.height - inside) * 2;
+
+    if (!best || score < best.score) best = { box, score };
+  });
+
+  return best.box;
+}
+
+/**
+ * Draw an annotation's label text with a background so it reads over marks
+ */
+function drawLabel(group, text, { x, y, anchor = 'start', baseline = 'central' }, chart) {
+  const fontSize = chart.theme.font.size;
+  const label = group.append('g').attr('class', 'annotation-label');
+
+  const node = label.append('text')
+    .attr('x', x)
+    .attr('y', y)
+    .attr('text-anchor', anchor)
+    .attr('dominant-baseline', baseline)
+    .style('font-size', `${fontSize}px`)
+    .style('fill', chart.theme.text)
+    .text(text)
+    .node();
+
+  const size = measureText(node, fontSize);
+  const x0 = anchor === 'start' ? x - LABEL_PADDING : anchor === 'end' ? x - size.width + LABEL_PADDING : x - size.width / 2;
+  const y0 = baseline === 'hanging' ? y - LABEL_PADDING : baseline === 'auto' ? y - size.height + LABEL_PADDING : y - size.height / 2;
+
+  label.insert('rect', 'text')
+    .attr('x', x0)
+    .attr('y', y0)
+    .attr('width', size.width)
+    .attr('height', size.height)
+    .attr('rx', 2)
+    .attr('fill', chart.theme.background)
+    .attr('fill-opacity', 0.8);
+
+  return { x0, y0, x1: x0 + size.width, y1: y0 + size.height };
+}
+
+/**
+ * Set a label out from anchor with a connector line, away from the marks.
+ * dx and dy on the annotation pin the label's offset instead.
+ */
+function drawCallout(group, annotation, anchor, obstacles, chart) {
+  const fontSize = chart.theme.font.size;
+  const callout = group.append('g').attr('class', 'annotation-callout');
+
+  const text = callout.append('text')
+    .attr('dominant-baseline', 'central')
+    .style('font-size', `${fontSize}px`)
+    .style('fill', chart.theme.text)
+    .text(annotation.label);
+
+  const size = measureText(text.node(), fontSize);
+  const bounds = { x0: 0, y0: 0, x1: chart.innerWidth, y1: chart.innerHeight };
+  const box = annotation.dx != null || annotation.dy != null
+    ? calloutBox(anchor, size, [annotation.dx || 0, annotation.dy || 0], Math.hypot(annotation.dx || 0, annotation.dy || 0))
+    : placeCallout(anchor, size, obstacles, bounds);
+
+  // The connector runs from the anchor to the nearest point of the label
+  const end = {
+    x: Math.max(box.x0, Math.min(anchor.x, box.x1)),
+    y: Math.max(box.y0, Math.min(anchor.y, box.y1))
+  };
+
+  callout.insert('line', 'text')
+    .attr('class', 'annotation-connector')
+    .attr('x1', anchor.x)
+    .attr('y1', anchor.y)
+    .attr('x2', end.x)
+    .attr('y2', end.y)
+    .attr('stroke', annotation.color || chart.theme.mutedText)
+    .attr('stroke-width', 1);
+
+  callout.insert('rect', 'text')
+    .attr('x', box.x0)
+    .attr('y', box.y0)
+    .attr('width', size.width)
+    .attr('height', size.height)
+    .attr('rx', 2)
+    .attr('fill', chart.theme.background)
+    .attr('fill-opacity', 0.8)
+    .attr('stroke', annotation.color || chart.theme.mutedText)
+    .attr('stroke-width', 0.5);
+
+  text
+    .attr('x', box.x0 + LABEL_PADDING)
+    .attr('y', (box.y0 + box.y1) / 2);
+
+  obstacles.push(box);
+}
+
+/**
+ * Draw a reference line across the plot, labelled at its end.
+ * Returns the label's box, if it has one.
+ */
+function drawLine(group, annotation, { xScale, yScale }, chart) {
+  const vertical = annotation.x != null;
+  const scale = vertical ? xScale : yScale;
+  const position = scale && locate(scale, vertical ? annotation.x : annotation.y, chart);
+  if (position == null) return null;
+
+  group.append('line')
+    .attr('class', 'annotation annotation-line')
+    .attr('x1', vertical ? position : 0)
+    .attr('x2', vertical ? position : chart.innerWidth)
+    .attr('y1', vertical ? 0 : position)
+    .attr('y2', vertical ? chart.innerHeight : position)
+    .attr('stroke', annotation.color || chart.theme.accent)
+    .attr('stroke-width', annotation.width || 1.5)
+    .attr('stroke-dasharray', annotation.dash === undefined ? '4 4' : annotation.dash);
+
+  if (annotation.label == null) return null;
+
+  return drawLabel(group, annotation.label, vertical
+    ? { x: position + 4, y: 2, baseline: 'hanging' }
+    : { x: chart.innerWidth - 4, y: position - 4, anchor: 'end', baseline: 'auto' }, chart);
+}
+
+/**
+ * Shade a range of x or y values, labelled in its top left corner
+ */
+function drawBand(group, annotation, { xScale, yScale }, chart) {
+  const vertical = annotation.x != null;
+  const scale = vertical ? xScale : yScale;
+  const span = scale && locateRange(scale, vertical ? annotation.x : annotation.y, chart);
+  if (!span) return;
+
+  const [x0, x1] = vertical ? span : [0, chart.innerWidth];
+  const [y0, y1] = vertical ? [0, chart.innerHeight] : span;
+
+  group.append('rect')
+    .attr('class', 'annotation annotation-band')
+    .attr('x', x0)
+    .attr('y', y0)
+    .attr('width', x1 - x0)
+    .attr('height', y1 - y0)
+    .attr('fill', annotation.color || chart.theme.mutedText)
+    .attr('fill-opacity', annotation.opacity ?? 0.15);
+
+  if (annotation.label != null) {
+    drawLabel(group, annotation.label, { x: x0 + 4, y: y0 + 4, baseline: 'hanging' }, chart);
+  }
+}
+
+/**
+ * Draw every annotation in chart.options.annotations with the scales of
+ * the last render: bands beneath the chart's marks, everything else above.
+ * Callouts are placed last, clear of the marks (see chart.getMarkBoxes()),
+ * the other annotations and each other.
+ */
+export function drawAnnotations(chart) {
+  const annotations = chart.options.annotations || [];
+  chart.chartGroup.selectChildren('.annotations-below').remove();
+
+  if (annotations.length === 0) {
+    chart.svg.selectChildren('.layer-annotations').remove();
+    return;
+  }
+
+  const below = chart.chartGroup.insert('g', ':first-child')
+    .attr('class', 'annotations-below')
+    .style('pointer-events', 'none');
+  const above = chart.getLayer('annotations')
+    .style('pointer-events', 'none');
+  above.selectAll('*').remove();
+
+  const { x: xScale, y: defaultYScale } = chart.getScales();
+  const obstacles = chart.getMarkBoxes();
+  const callouts = [];
+
+  annotations.forEach(annotation => {
+    checkAnnotation(annotation);
+
+    const yScale = annotation.axis != null && chart.yScales instanceof Map
+      ? chart.yScales.get(annotation.axis)
+      : defaultYScale;
+    const scales = { xScale, yScale };
+
+    if (annotation.type === 'band') {
+      drawBand(below, annotation, scales, chart);
+      return;
+    }
+
+    if (annotation.type === 'line') {
+      const box = drawLine(above, annotation, scales, chart);
+      if (box) obstacles.push(box);
+      return;
+    }
+
+    const x = xScale && locate(xScale, annotation.x, chart);
+    const y = yScale && locate(yScale, annotation.y, chart);
+    if (x == null || y == null) return;
+
+    if (annotation.type === 'point') {
+      const radius = annotation.radius || 5;
+      above.append('circle')
+        .attr('class', 'annotation annotation-point')
+        .attr('cx', x)
+        .attr('cy', y)
+        .attr('r', radius)
+        .attr('fill', annotation.color || chart.theme.accent)
+        .attr('stroke', chart.theme.stroke)
+        .attr('stroke-width', 1.5);
+      obstacles.push({ x0: x - radius, y0: y - radius, x1: x + radius, y1: y + radius });
+    }
+
+    if (annotation.label == null) return;
+
+    if (annotation.callout ?? annotation.type === 'point') {
+      callouts.push([annotation, { x, y }]);
+    } else if (annotation.type === 'point') {
+      obstacles.push(drawLabel(above, annotation.label, { x: x + (annotation.radius || 5) + 4, y }, chart));
+    } else {
+      obstacles.push(drawLabel(above, annotation.label, { x, y, anchor: 'middle' }, chart));
+    }
+  });
+
+  callouts.forEach(([annotation, anchor]) => drawCallout(above, annotation, anchor, obstacles, chart));
+}
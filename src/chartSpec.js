@@ -0,0 +1,167 @@
+import { validateData } from './validation.js';
+import BarChart from './charts/BarChart.js';
+import LineChart from './charts/LineChart.js';
+import PieChart from './charts/PieChart.js';
+import ScatterPlot from './charts/ScatterPlot.js';
+import AreaChart from './charts/AreaChart.js';
+import DonutChart from './charts/DonutChart.js';
+import Histogram from './charts/Histogram.js';
+import SankeyChart from './charts/SankeyChart.js';
+import LiquidFillChart from './charts/LiquidFillChart.js';
+import RadialRemainderChart from './charts/RadialRemainderChart.js';
+import ChordDiagramChart from './charts/ChordDiagramChart.js';
+import ForceDirectedChart from './charts/ForceDirectedChart.js';
+import AnimatedBumpChart from './charts/AnimatedBumpChart.js';
+import RadialTimelineChart from './charts/RadialTimelineChart.js';
+import FlowContainersChart from './charts/FlowContainersChart.js';
+import SpiralChart from './charts/SpiralChart.js';
+import RadialStackedBarChart from './charts/RadialStackedBarChart.js';
+import CalendarHeatmapChart from './charts/CalendarHeatmapChart.js';
+import AnimatedBubbleChart from './charts/AnimatedBubbleChart.js';
+import TreemapChart from './charts/TreemapChart.js';
+import GaugeChart from './charts/GaugeChart.js';
+import WaterfallChart from './charts/WaterfallChart.js';
+import RadarChart from './charts/RadarChart.js';
+import HeatmapChart from './charts/HeatmapChart.js';
+import SunburstChart from './charts/SunburstChart.js';
+import ParallelCoordinatesChart from './charts/ParallelCoordinatesChart.js';
+import StreamChart from './charts/StreamChart.js';
+import ViolinChart from './charts/ViolinChart.js';
+import NetworkChart from './charts/NetworkChart.js';
+
+const chartTypes = new Map();
+
+const specFields = ['type', 'data', 'options', 'title', 'legend'];
+
+const specSchema = {
+  type: 'object',
+  fields: {
+    type: 'string',
+    options: { type: 'object', required: false },
+    title: { type: 'label', required: false },
+    legend: { type: 'boolean', required: false }
+  },
+  rules: [
+    spec => (chartTypes.has(spec.type)
+      ? []
+      : [{ path: 'type', message: `"${spec.type}" is not a registered chart type` }]),
+    spec => Object.keys(spec)
+      .filter(key => !specFields.includes(key))
+      .map(key => ({ path: key, message: 'is not a spec field' }))
+  ]
+};
+
+/**
+ * Error thrown by createChart() for a spec it cannot build a chart from.
+ * problems lists each offending field, as for ChartDataError.
+ */
+export class ChartSpecError extends Error {
+  constructor(problems) {
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+    super(`Invalid chart spec: ${problems[0].message}${more}`);
+    this.name = 'ChartSpecError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Make a chart class available to createChart() as spec.type.
+ * The first type a class is registered under is the one toSpec() reports.
+ */
+export function registerChartType(type, ChartClass) {
+  if (typeof ChartClass !== 'function') {
+    throw new Error(`Chart type "${type}" needs a chart class`);
+  }
+
+  chartTypes.set(type, ChartClass);
+  if (!Object.prototype.hasOwnProperty.call(ChartClass, 'chartType')) {
+    ChartClass.chartType = type;
+  }
+}
+
+/**
+ * Get the chart class registered under a type
+ */
+export function getChartType(type) {
+  return chartTypes.get(type);
+}
+
+/**
+ * The names of every registered chart type
+ */
+export function getChartTypes() {
+  return [...chartTypes.keys()];
+}
+
+/**
+ * Check a spec without building a chart; returns the problems found
+ */
+export function validateSpec(spec) {
+  return validateData(spec, specSchema, 'spec');
+}
+
+/**
+ * Build a chart from a spec: { type, data, options, title, legend }.
+ * title and legend set the title and showLegend options. runtimeOptions
+ * holds what a stored spec cannot, such as event callbacks and plugins.
+ * The chart is rendered when the spec has data.
+ *
+ * @example
+ * const chart = createChart('#sales', {
+ *   type: 'bar',
+ *   data: [{ label: 'Q1', value: 30 }, { label: 'Q2', value: 45 }],
+ *   title: 'Sales by quarter',
+ *   options: { height: 300, theme: 'dark' }
+ * });
+ */
+export function createChart(container, spec, runtimeOptions = {}) {
+  const problems = validateSpec(spec);
+  if (problems.length) {
+    throw new ChartSpecError(problems);
+  }
+
+  const { type, data, options = {}, title, legend } = spec;
+  const ChartClass = chartTypes.get(type);
+  const chart = new ChartClass(container, {
+    ...options,
+    ...(title !== undefined && { title }),
+    ...(legend !== undefined && { showLegend: legend }),
+    ...runtimeOptions
+  });
+
+  if (data !== undefined && data !== null) {
+    chart.setData(data).render();
+  }
+
+  return chart;
+}
+
+registerChartType('bar', BarChart);
+registerChartType('line', LineChart);
+registerChartType('pie', PieChart);
+registerChartType('scatter', ScatterPlot);
+registerChartType('area', AreaChart);
+registerChartType('donut', DonutChart);
+registerChartType('histogram', Histogram);
+registerChartType('sankey', SankeyChart);
+registerChartType('liquid-fill', LiquidFillChart);
+registerChartType('radial-remainder', RadialRemainderChart);
+registerChartType('chord-diagram', ChordDiagramChart);
+registerChartType('force-directed', ForceDirectedChart);
+registerChartType('animated-bump', AnimatedBumpChart);
+registerChartType('radial-timeline', RadialTimelineChart);
+registerChartType('flow-containers', FlowContainersChart);
+registerChartType('spiral', SpiralChart);
+registerChartType('radial-stacked-bar', RadialStackedBarChart);
+registerChartType('calendar-heatmap', CalendarHeatmapChart);
+registerChartType('animated-bubble', AnimatedBubbleChart);
+registerChartType('treemap', TreemapChart);
+registerChartType('gauge', GaugeChart);
+registerChartType('waterfall', WaterfallChart);
+registerChartType('radar', RadarChart);
+registerChartType('heatmap', HeatmapChart);
+registerChartType('sunburst', SunburstChart);
+registerChartType('parallel-coordinates', ParallelCoordinatesChart);
+registerChartType('stream', StreamChart);
+registerChartType('violin', ViolinChart);
+registerChartType('network', NetworkChart);
@@ -29,15 +29,13 @@ class AnimatedBubbleChart extends BaseChart {
       idField: 'id',
       timeField: 'period',
       currentPeriod: 0,
-      animated: true,
       duration: 750,
       minRadius: 8,
       maxRadius: 50,
-      colorScheme: d3.schemeTableau10,
+      colorScheme: null, // Defaults to the theme's palette
       showLegend: true,
       xLabel: 'X',
-      yLabel: 'Y',
-      backgroundColor: '#ffffff'
+      yLabel: 'Y'
     };
     super(container, { ...defaultOptions, ...options });
     this.addTooltip();
@@ -45,7 +43,9 @@ class AnimatedBubbleChart extends BaseChart {
   }
 
   setData(data) {
-    this.data = Array.isArray(data) ? data.slice() : [];
+    super.setData(Array.isArray(data) ? data.slice() : data);
+    if (this.dataError || !Array.isArray(this.data)) return this;
+
     // Pre-compute global domains for stable axes
     const { xField, yField, sizeField } = this.options;
     this._xDomain = d3.extent(this.data, d => +d[xField]);
@@ -57,10 +57,15 @@ class AnimatedBubbleChart extends BaseChart {
     // Categories
     const { categoryField } = this.options;
     this._categories = [...new Set(this.data.map(d => d[categoryField]).filter(v => v != null))];
-    this._color = d3.scaleOrdinal(this.options.colorScheme).domain(this._categories);
+    this.refreshThemeColors();
     return this;
   }
 
+  refreshThemeColors() {
+    this._color = d3.scaleOrdinal(this.options.colorScheme || this.theme.palette)
+      .domain(this._categories || []);
+  }
+
   setPeriod(period) {
     this.currentPeriod = period;
     return this.render();
@@ -80,8 +85,37 @@ class AnimatedBubbleChart extends BaseChart {
     `;
   }
 
+  /**
+   * Rows with numbers in the x, y and size fields and a time key
+   */
+  getDataSchema() {
+    const { xField, yField, sizeField, timeField } = this.options;
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: {
+          [xField]: 'number',
+          [yField]: 'number',
+          [sizeField]: { type: 'number', min: 0 },
+          [timeField]: 'label'
+        }
+      }
+    };
+  }
+
+  /**
+   * Bubbles read the fields named by the xField, yField, sizeField,
+   * categoryField and idField options
+   */
+  getEncodingChannels() {
+    const { xField, yField, sizeField, categoryField, idField } = this.options;
+    return { x: xField, y: yField, size: sizeField, color: categoryField, label: idField };
+  }
+
   render() {
-    if (!this.data || this.data.length === 0) return this;
+    if (!this.beginRender()) return this;
 
     const {
       xField, yField, sizeField, categoryField, idField, timeField,
@@ -105,6 +139,11 @@ class AnimatedBubbleChart extends BaseChart {
     const r = this._sizeScale;
     const color = this._color;
 
+    this.xScale = x;
+    this.yScale = y;
+    this.radiusScale = r;
+    this.colorScale = color;
+
     // Only create axes and labels once
     if (!this._axesCreated) {
       // Axes
@@ -125,7 +164,7 @@ class AnimatedBubbleChart extends BaseChart {
           .attr('y', this.innerHeight + 35)
           .attr('text-anchor', 'middle')
           .style('font-size', '14px')
-          .style('fill', '#333')
+          .style('fill', this.theme.text)
           .text(xLabel);
       }
       if (yLabel) {
@@ -136,7 +175,7 @@ class AnimatedBubbleChart extends BaseChart {
           .attr('y', -35)
           .attr('text-anchor', 'middle')
           .style('font-size', '14px')
-          .style('fill', '#333')
+          .style('fill', this.theme.text)
           .text(yLabel);
       }
 
@@ -153,7 +192,8 @@ class AnimatedBubbleChart extends BaseChart {
         .attr('text-anchor', 'middle')
         .style('font-size', '96px')
         .style('font-weight', 'bold')
-        .style('fill', 'rgba(0,0,0,0.05)');
+        .style('fill', this.theme.text)
+        .style('fill-opacity', 0.05);
     }
     periodDisplay.text(`${timeField}: ${this.currentPeriod}`);
 
@@ -192,32 +232,41 @@ class AnimatedBubbleChart extends BaseChart {
     merged
       .on('mouseover', function (event, d) {
         d3.select(this).select('circle')
-          .transition().duration(150)
+          .transition().duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('stroke-width', 3)
           .attr('fill-opacity', 1);
-        self.showTooltip(self.formatTooltip(d), event);
+        self.showTooltip(self.formatTooltip(d), event, d);
+        self.emit('hover', d, event);
       })
-      .on('mousemove', function (event) {
-        self.showTooltip('', event); // updates position only
+      .on('mousemove', function (event, d) {
+        self.showTooltip(self.formatTooltip(d), event, d);
       })
-      .on('mouseout', function () {
+      .on('mouseout', function (event, d) {
         d3.select(this).select('circle')
-          .transition().duration(150)
+          .transition().duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('stroke-width', 2)
           .attr('fill-opacity', 0.6);
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+    this.addKeyboardNavigation(merged, d => `${d[categoryField] ?? d[idField]}: x ${d[xField]}, y ${d[yField]}, ${sizeField} ${d[sizeField]}`);
 
     // Smooth transitions for position and size
-    merged.transition().duration(duration).ease(d3.easeCubicOut)
+    merged.transition().duration(this.getDuration(duration)).ease(this.getEasing(d3.easeCubicOut))
       .attr('transform', d => `translate(${x(d[xField])}, ${y(d[yField])})`);
 
     merged.select('circle')
-      .transition().duration(duration).ease(d3.easeCubicOut)
+      .transition().duration(this.getDuration(duration)).ease(this.getEasing(d3.easeCubicOut))
       .attr('r', d => r(d[sizeField]));
 
     merged.select('.bubble-label')
-      .transition().duration(duration)
+      .transition().duration(this.getDuration(duration))
+      .ease(this.getEasing())
       .style('font-size', d => Math.max(10, r(d[sizeField]) / 3.5) + 'px')
       .tween('text', function (d) {
         const that = this;
@@ -231,7 +280,8 @@ class AnimatedBubbleChart extends BaseChart {
 
     // Exit bubbles with smooth shrinking
     groups.exit()
-      .transition().duration(duration)
+      .transition().duration(this.getDuration(duration))
+      .ease(this.getEasing())
       .select('circle')
       .attr('r', 0)
       .end()
@@ -245,9 +295,43 @@ class AnimatedBubbleChart extends BaseChart {
       this.addLegend(legendItems, { x: this.options.width - 140, y: 20 });
     }
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the period on show and its largest bubble for describe()
+   */
+  summarize(detailed) {
+    const { xField, yField, sizeField, categoryField, idField, timeField } = this.options;
+    const periods = new Set(this.data.map(d => d[timeField]));
+    const shown = this.data.filter(d => d[timeField] === this.currentPeriod);
+    const intro = `Animated bubble chart showing ${timeField} ${this.currentPeriod} of ${periods.size}`;
+    if (shown.length === 0) return [`${intro}, with no bubbles.`];
+
+    const f = value => this.formatNumber(value);
+    const largest = d3.greatest(shown, d => +d[sizeField]);
+    const sentences = [
+      `${intro}, with ${shown.length} bubbles.`,
+      `Largest: ${largest[categoryField] ?? largest[idField]} with ${sizeField} ${f(largest[sizeField])}.`
+    ];
+
+    if (detailed) {
+      const range = field => d3.extent(shown, d => +d[field]).map(f).join(' to ');
+      sentences.push(`${this._categories.length} categories; ${xField} ranges from ${range(xField)} and ${yField} from ${range(yField)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The rows of the period on show
+   */
+  tabulate() {
+    if (!Array.isArray(this.data)) return [];
+    return this.data.filter(d => d[this.options.timeField] === this.currentPeriod).map(d => ({ ...d }));
+  }
+
   _padDomain(ext) {
     const [a, b] = ext;
     if (a == null || b == null) return [0, 1];
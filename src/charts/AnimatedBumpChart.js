@@ -154,13 +154,15 @@ class AnimatedBumpChart extends BaseChart {
     // Animate areas
     principalPath
       .transition()
-      .duration(this.options.animationDuration)
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .style("opacity", 1);
 
     growthPath
       .transition()
-      .delay(this.options.animationDelay)
-      .duration(this.options.animationDuration)
+      .delay(this.getDuration(this.options.animationDelay))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .style("opacity", 1);
 
     return { principalPath, growthPath };
@@ -181,7 +183,7 @@ class AnimatedBumpChart extends BaseChart {
       .attr("cy", d => this.yScale(d.principal))
       .attr("r", 0)
       .attr("fill", this.colorScale(0))
-      .attr("stroke", "white")
+      .attr("stroke", this.theme.stroke)
       .attr("stroke-width", 2)
       .style("filter", "drop-shadow(0 2px 4px rgba(0,0,0,0.2))");
 
@@ -194,21 +196,23 @@ class AnimatedBumpChart extends BaseChart {
       .attr("cy", d => this.yScale(d.total))
       .attr("r", 0)
       .attr("fill", this.colorScale(1))
-      .attr("stroke", "white")
+      .attr("stroke", this.theme.stroke)
       .attr("stroke-width", 2)
       .style("filter", "drop-shadow(0 2px 4px rgba(0,0,0,0.2))");
 
     // Animate points
     principalPoints
       .transition()
-      .delay((d, i) => 1000 + i * 100)
-      .duration(300)
+      .delay((d, i) => this.getDuration(1000) + this.getStagger(i, 100))
+      .duration(this.getDuration(300))
+      .ease(this.getEasing())
       .attr("r", this.options.pointRadius);
 
     growthPoints
       .transition()
-      .delay((d, i) => 1500 + i * 100)
-      .duration(300)
+      .delay((d, i) => this.getDuration(1500) + this.getStagger(i, 100))
+      .duration(this.getDuration(300))
+      .ease(this.getEasing())
       .attr("r", this.options.pointRadius);
   }
 
@@ -234,8 +238,9 @@ class AnimatedBumpChart extends BaseChart {
 
     distributionBars
       .transition()
-      .delay((d, i) => 2000 + i * 100)
-      .duration(500)
+      .delay((d, i) => this.getDuration(2000) + this.getStagger(i, 100))
+      .duration(this.getDuration(500))
+      .ease(this.getEasing())
       .attr("height", d => Math.max(2, (d.distribution / maxDistribution) * 30));
   }
 
@@ -245,7 +250,39 @@ class AnimatedBumpChart extends BaseChart {
   addInteractivity(data) {
     if (!this.options.showTooltip) return;
 
+    let hoveredPoint = null;
+
+    const showYear = (event, dataPoint) => {
+      const tooltipContent = `
+        <div style="font-weight: bold; margin-bottom: 5px;">Year ${dataPoint.year}</div>
+        <div>Principal: ${this.formatValue(dataPoint.principal)}</div>
+        <div>Growth: ${this.formatValue(dataPoint.growth)}</div>
+        <div>Distribution: ${this.formatValue(dataPoint.distribution)}</div>
+        <div style="color: ${this.colorScale(0)}; font-weight: bold; margin-top: 5px;">
+          Total: ${this.formatValue(dataPoint.total)}
+        </div>
+      `;
+
+      this.showTooltip(tooltipContent, event, dataPoint);
+
+      if (dataPoint !== hoveredPoint) {
+        hoveredPoint = dataPoint;
+        this.emit('hover', dataPoint, event);
+      }
+    };
+    const leave = (event) => {
+      this.hideTooltip();
+      this.emit('leave', hoveredPoint, event);
+      hoveredPoint = null;
+    };
+    const click = (event) => {
+      if (hoveredPoint) {
+        this.emit('click', hoveredPoint, event);
+      }
+    };
+
     const hoverArea = this.chartGroup.append("rect")
+      .attr('class', 'overlay')
       .attr("width", this.innerWidth)
       .attr("height", this.innerHeight)
       .attr("fill", "transparent")
@@ -256,22 +293,18 @@ class AnimatedBumpChart extends BaseChart {
         const dataPoint = data.find(d => d.year === year);
         
         if (dataPoint) {
-          const tooltipContent = `
-            <div style="font-weight: bold; margin-bottom: 5px;">Year ${dataPoint.year}</div>
-            <div>Principal: ${this.formatValue(dataPoint.principal)}</div>
-            <div>Growth: ${this.formatValue(dataPoint.growth)}</div>
-            <div>Distribution: ${this.formatValue(dataPoint.distribution)}</div>
-            <div style="color: ${this.colorScale(0)}; font-weight: bold; margin-top: 5px;">
-              Total: ${this.formatValue(dataPoint.total)}
-            </div>
-          `;
-          
-          this.showTooltip(tooltipContent, event);
+          showYear(event, dataPoint);
         }
       })
-      .on("mouseout", () => {
-        this.hideTooltip();
-      });
+      .on("mouseout", leave)
+      .on('click', click);
+
+    // The overlay sits over the bars; their handlers serve keyboard focus
+    const bars = this.chartGroup.selectAll('.distribution-bar')
+      .on('mouseover', showYear)
+      .on('mouseout', leave)
+      .on('click', click);
+    this.addKeyboardNavigation(bars, d => `Year ${d.year}: total ${this.formatValue(d.total)}, distribution ${this.formatValue(d.distribution)}`);
   }
 
   /**
@@ -303,7 +336,7 @@ class AnimatedBumpChart extends BaseChart {
       .call(xAxis)
       .selectAll("text")
       .attr("font-size", "11px")
-      .attr("fill", "#64748b");
+      .attr("fill", this.theme.mutedText);
 
     // Y-axis
     this.chartGroup.append("g")
@@ -311,7 +344,7 @@ class AnimatedBumpChart extends BaseChart {
       .call(yAxis)
       .selectAll("text")
       .attr("font-size", "11px")
-      .attr("fill", "#64748b");
+      .attr("fill", this.theme.mutedText);
 
     // Axis labels
     this.chartGroup.append("text")
@@ -319,7 +352,7 @@ class AnimatedBumpChart extends BaseChart {
       .attr("text-anchor", "middle")
       .attr("font-size", "12px")
       .attr("font-weight", "600")
-      .attr("fill", "#1e293b")
+      .attr("fill", this.theme.text)
       .text("Time Period");
 
     this.chartGroup.append("text")
@@ -329,7 +362,7 @@ class AnimatedBumpChart extends BaseChart {
       .attr("text-anchor", "middle")
       .attr("font-size", "12px")
       .attr("font-weight", "600")
-      .attr("fill", "#1e293b")
+      .attr("fill", this.theme.text)
       .text("Value");
   }
 
@@ -360,16 +393,39 @@ class AnimatedBumpChart extends BaseChart {
         .attr("x", 20)
         .attr("y", 12)
         .attr("font-size", "11px")
-        .attr("fill", "#1e293b")
+        .attr("fill", this.theme.text)
         .text(item.label);
     });
   }
 
+  /**
+   * An economicSchedule of yearly remainders
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        economicSchedule: {
+          type: 'array',
+          minLength: 1,
+          rows: { type: 'object', fields: { remainder: 'number' } }
+        }
+      }
+    };
+  }
+
+  /**
+   * Schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    return { economicSchedule: { value: 'remainder' } };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
     // Clear existing content
     this.chartGroup.selectAll('*').remove();
@@ -396,9 +452,39 @@ class AnimatedBumpChart extends BaseChart {
     this.createLegend();
     this.addInteractivity(processedData);
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the total over the years and the distributions for describe()
+   */
+  summarize(detailed) {
+    const years = this.processData(this.data);
+    if (years.length === 0) return ['Bump chart with no years.'];
+
+    const f = value => this.formatValue(value);
+    const last = years[years.length - 1];
+    const sentences = [
+      `Bump chart of ${years.length} years, the total going from ${f(years[0].total)} in year 1 to ${f(last.total)} in year ${last.year}.`,
+      `Distributions total ${f(d3.sum(years, d => d.distribution))}.`
+    ];
+
+    if (detailed) {
+      const largest = d3.greatest(years, d => d.distribution);
+      sentences.push(`Largest distribution ${f(largest.distribution)} in year ${largest.year}; growth is ${d3.format('.0%')(1 - this.options.principalRatio)} of each total.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The yearly values derived from the economic schedule
+   */
+  tabulate() {
+    return this.data == null ? [] : this.processData(this.data);
+  }
+
   /**
    * Update chart with new data
    */
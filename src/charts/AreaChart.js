@@ -1,5 +1,8 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { DOMUtils } from '../utils/index.js';
+import { traceBoxes } from '../annotations.js';
+import { addXZoom, getOverviewSpace, visibleXDomain } from '../zoom.js';
 
 /**
  * Area Chart implementation
@@ -7,13 +10,17 @@ import BaseChart from './BaseChart.js';
 class AreaChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      areaColor: 'rgba(52, 152, 219, 0.6)',
-      lineColor: '#3498db',
+      areaColor: null, // Defaults to a translucent lineColor
+      lineColor: null, // Defaults to the theme's primary color
       lineWidth: 2,
       curve: d3.curveLinear,
       showLine: true,
       showPoints: false,
       pointRadius: 3,
+      xType: 'auto', // 'auto', 'linear', 'time' or 'utc'; 'auto' uses a time scale for dates
+      timeZone: null, // IANA time zone for dates in tooltips, e.g. 'UTC'; defaults to the browser's
+      zoom: false, // true or { maxScale } to zoom and pan the x axis with the wheel and drag
+      overview: false, // true or { height } for a brushable overview of every x value below the plot
       ...options
     };
     
@@ -21,27 +28,65 @@ class AreaChart extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Rows of { x, y }; x may be a number or a date
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { x: ['number', 'date'], y: 'number' } }
+    };
+  }
+
+  /**
+   * The plot area, less the space the overview takes below it
+   */
+  computeInnerSize() {
+    super.computeInnerSize();
+    this.innerHeight -= getOverviewSpace(this);
+  }
+
+  /**
+   * Points read x and y; an encoded series stacks an area per series
+   */
+  getEncodingChannels() {
+    return { x: 'x', y: 'y', series: 'series' };
+  }
+
   /**
    * Render the area chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for AreaChart');
-      return this;
+    if (!this.beginRender()) return this;
+
+    // Rows with an encoded series are stacked as one area per series
+    if (this.options.encoding && this.options.encoding.series != null) {
+      return this.drawStacked(d3.groups(this.data, d => d.series).map(([name, data]) => ({ name, data })));
     }
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    // Stacked output is not keyed, so start over when switching back
+    if (this.renderMode !== 'single') {
+      this.chartGroup.selectAll('*').remove();
+      this.renderMode = 'single';
+    }
 
-    // Create scales
-    const xScale = d3.scaleLinear()
-      .domain(d3.extent(this.data, d => d.x))
+    const transition = this.chartGroup.transition().duration(this.getDuration(1000)).ease(this.getEasing());
+
+    // Create scales; dates are drawn on a time scale
+    const xScale = this.createXScale(this.data);
+    this.data = this.parseDates(this.data);
+    xScale
+      .domain(visibleXDomain(this, d3.extent(this.data, d => d.x)))
       .range([0, this.innerWidth]);
 
     const yScale = d3.scaleLinear()
       .domain([0, d3.max(this.data, d => d.y)])
       .range([this.innerHeight, 0]);
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+
     // Create area generator
     const area = d3.area()
       .x(d => xScale(d.x))
@@ -60,64 +105,109 @@ class AreaChart extends BaseChart {
     const yAxis = d3.axisLeft(yScale);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
     // Add area
-    const areaPath = this.chartGroup.append('path')
-      .datum(this.data)
-      .attr('class', 'area')
-      .attr('fill', this.options.areaColor)
-      .attr('d', area);
+    let areaPath = this.chartGroup.select('.area');
 
-    // Animate area
-    this.animateArea(areaPath);
+    if (areaPath.empty()) {
+      areaPath = this.chartGroup.append('path')
+        .datum(this.data)
+        .attr('class', 'area')
+        .attr('d', area);
+
+      // Animate area
+      this.animateArea(areaPath);
+    } else {
+      areaPath.datum(this.data)
+        .transition(transition)
+        .attr('d', area);
+    }
+
+    areaPath.attr('fill', this.getColors().area);
 
     // Add line if requested
-    if (this.options.showLine) {
-      const linePath = this.chartGroup.append('path')
-        .datum(this.data)
-        .attr('class', 'line')
-        .attr('fill', 'none')
-        .attr('stroke', this.options.lineColor)
-        .attr('stroke-width', this.options.lineWidth)
-        .attr('d', line);
-
-      // Animate line
-      this.animateLine(linePath);
+    const linePath = this.chartGroup.selectAll('.line')
+      .data(this.options.showLine ? [this.data] : []);
+
+    linePath.exit().remove();
+
+    const linePathEnter = linePath.enter()
+      .append('path')
+      .attr('class', 'line')
+      .attr('fill', 'none')
+      .attr('d', line);
+
+    linePathEnter.merge(linePath)
+      .attr('stroke', this.getColors().line)
+      .attr('stroke-width', this.options.lineWidth);
+
+    // Animate line
+    if (!linePathEnter.empty()) {
+      this.animateLine(linePathEnter);
     }
 
+    // Morph the existing line into the new data
+    linePath
+      .attr('stroke-dasharray', null)
+      .transition(transition)
+      .attr('d', line);
+
     // Add points if requested
     if (this.options.showPoints) {
-      this.addPoints(xScale, yScale);
+      this.addPoints(xScale, yScale, transition);
+    } else {
+      this.chartGroup.selectAll('.point').remove();
     }
 
     // Add interaction overlay
     this.addInteractionOverlay(xScale, yScale);
 
+    // Without points, invisible targets keep each value reachable from the keyboard
+    this.addFocusTargets(this.options.showPoints ? [] : this.data, xScale, yScale);
+
+    addXZoom(this);
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Resolve line and area colors from options, falling back to the theme
+   */
+  getColors() {
+    const line = this.options.lineColor || this.theme.primary;
+    const area = d3.color(line);
+    area.opacity = 0.6;
+
+    return {
+      line,
+      area: this.options.areaColor || area.formatRgb()
+    };
+  }
+
   /**
    * Animate area drawing
    */
   animateArea(areaPath) {
-    const totalLength = areaPath.node().getTotalLength();
+    const totalLength = DOMUtils.getTotalLength(areaPath.node());
     
     areaPath
       .attr('stroke-dasharray', totalLength + ' ' + totalLength)
       .attr('stroke-dashoffset', totalLength)
-      .attr('stroke', this.options.areaColor)
+      .attr('stroke', this.getColors().area)
       .attr('stroke-width', 1)
       .transition()
-      .duration(1500)
+      .duration(this.getDuration(1500))
+      .ease(this.getEasing())
       .attr('stroke-dashoffset', 0)
       .on('end', function() {
         d3.select(this).attr('stroke', 'none');
@@ -128,57 +218,83 @@ class AreaChart extends BaseChart {
    * Animate line drawing
    */
   animateLine(linePath) {
-    const totalLength = linePath.node().getTotalLength();
+    const totalLength = DOMUtils.getTotalLength(linePath.node());
     
     linePath
       .attr('stroke-dasharray', totalLength + ' ' + totalLength)
       .attr('stroke-dashoffset', totalLength)
       .transition()
-      .duration(1500)
-      .attr('stroke-dashoffset', 0);
+      .duration(this.getDuration(1500))
+      .ease(this.getEasing())
+      .attr('stroke-dashoffset', 0)
+      .on('end', function() {
+        d3.select(this).attr('stroke-dasharray', null);
+      });
   }
 
   /**
    * Add interactive points
    */
-  addPoints(xScale, yScale) {
+  addPoints(xScale, yScale, transition) {
     const self = this;
 
     const points = this.chartGroup.selectAll('.point')
-      .data(this.data)
-      .enter()
+      .data(this.data, this.getKeyAccessor('x'));
+
+    // Shrink removed points away
+    points.exit()
+      .transition(transition)
+      .attr('r', 0)
+      .remove();
+
+    const pointsEnter = points.enter()
       .append('circle')
       .attr('class', 'point')
       .attr('cx', d => xScale(d.x))
       .attr('cy', d => yScale(d.y))
       .attr('r', 0)
-      .attr('fill', this.options.lineColor)
       .style('cursor', 'pointer');
 
-    // Animate points
-    points.transition()
-      .delay((d, i) => i * 50)
-      .duration(300)
+    const pointsUpdate = pointsEnter.merge(points)
+      .attr('fill', this.getColors().line);
+
+    // Move existing points into place
+    points.transition(transition)
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y));
+
+    // Animate new points
+    pointsEnter.transition(transition)
+      .delay((d, i) => this.getStagger(i, 50))
       .attr('r', this.options.pointRadius);
 
     // Add interactivity
-    points
+    pointsUpdate
       .on('mouseover', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointRadius * 1.5);
         
-        self.showTooltip(`(${d.x}, ${d.y})`, event);
+        self.showTooltip(`(${self.formatDate(d.x)}, ${d.y})`, event, d);
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
+      .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointRadius);
         
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(pointsUpdate, d => `x ${this.formatDate(d.x)}, y ${d.y}`);
   }
 
   /**
@@ -190,6 +306,9 @@ class AreaChart extends BaseChart {
     // Create bisector for finding closest data point
     const bisect = d3.bisector(d => d.x).left;
 
+    // Rebuild on every render so the overlay stays on top of new marks
+    this.chartGroup.selectAll('.overlay, .focus').remove();
+
     // Add invisible overlay for mouse tracking
     const overlay = this.chartGroup.append('rect')
       .attr('class', 'overlay')
@@ -206,28 +325,38 @@ class AreaChart extends BaseChart {
 
     focus.append('circle')
       .attr('r', 4)
-      .attr('fill', this.options.lineColor)
-      .attr('stroke', '#fff')
+      .attr('fill', this.getColors().line)
+      .attr('stroke', this.theme.stroke)
       .attr('stroke-width', 2);
 
     focus.append('line')
       .attr('class', 'x-hover-line')
-      .attr('stroke', '#999')
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '3,3');
 
     focus.append('line')
       .attr('class', 'y-hover-line')
-      .attr('stroke', '#999')
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', 1)
       .attr('stroke-dasharray', '3,3');
 
+    // Closest data point under the cursor, used for hover/leave/click events
+    let hoveredPoint = null;
+
     // Mouse events
     overlay
       .on('mouseover', () => focus.style('display', null))
-      .on('mouseout', () => {
+      .on('mouseout', (event) => {
         focus.style('display', 'none');
         self.hideTooltip();
+        self.emit('leave', hoveredPoint, event);
+        hoveredPoint = null;
+      })
+      .on('click', (event) => {
+        if (hoveredPoint) {
+          self.emit('click', hoveredPoint, event);
+        }
       })
       .on('mousemove', function(event) {
         const [mouseX] = d3.pointer(event, this);
@@ -240,24 +369,79 @@ class AreaChart extends BaseChart {
         const d1 = self.data[i];
         const d = x0 - d0.x > d1.x - x0 ? d1 : d0;
 
-        focus.attr('transform', `translate(${xScale(d.x)}, ${yScale(d.y)})`);
+        self.moveFocus(focus, d, xScale, yScale);
+        self.showTooltip(`(${self.formatDate(d.x)}, ${d.y})`, event, d);
+
+        if (d !== hoveredPoint) {
+          hoveredPoint = d;
+          self.emit('hover', d, event);
+        }
+      });
+  }
+
+  /**
+   * Place the hover marker and its guide lines at d
+   */
+  moveFocus(focus, d, xScale, yScale) {
+    focus.attr('transform', `translate(${xScale(d.x)}, ${yScale(d.y)})`);
 
-        focus.select('.x-hover-line')
-          .attr('y1', -yScale(d.y))
-          .attr('y2', self.innerHeight - yScale(d.y));
+    focus.select('.x-hover-line')
+      .attr('y1', -yScale(d.y))
+      .attr('y2', this.innerHeight - yScale(d.y));
 
-        focus.select('.y-hover-line')
-          .attr('x1', -xScale(d.x))
-          .attr('x2', self.innerWidth - xScale(d.x));
+    focus.select('.y-hover-line')
+      .attr('x1', -xScale(d.x))
+      .attr('x2', this.innerWidth - xScale(d.x));
+  }
 
-        self.showTooltip(`(${d.x}, ${d.y})`, event);
-      });
+  /**
+   * Invisible marks at each of points for keyboard focus, when no points are
+   * drawn. The mouse goes to the overlay; focusing a target shows the hover
+   * marker and tooltip there, as the overlay does.
+   */
+  addFocusTargets(points, xScale, yScale) {
+    const focus = this.chartGroup.select('.focus');
+
+    const targets = this.chartGroup.selectAll('.focus-target')
+      .data(points, this.getKeyAccessor('x'))
+      .join('circle')
+      .attr('class', 'focus-target')
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y))
+      .attr('r', this.options.pointRadius)
+      .attr('fill', 'transparent')
+      .style('pointer-events', 'none')
+      .on('mouseover', (event, d) => {
+        focus.style('display', null);
+        this.moveFocus(focus, d, xScale, yScale);
+        this.showTooltip(`(${this.formatDate(d.x)}, ${d.y})`, event, d);
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        focus.style('display', 'none');
+        this.hideTooltip();
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    this.addKeyboardNavigation(targets, d => `x ${this.formatDate(d.x)}, y ${d.y}`);
   }
 
   /**
    * Render stacked area chart
    */
   renderStacked(seriesData) {
+    this.runPlugins('beforeRender');
+
+    // The encoding applies to the points of each series
+    return this.drawStacked(this.encode(seriesData, { data: this.getEncodingChannels() }));
+  }
+
+  /**
+   * Stack one area per series of encoded points; render() comes here with
+   * rows setData() encoded, once the beforeRender plugins have run
+   */
+  drawStacked(seriesData) {
     if (!seriesData || seriesData.length === 0) {
       console.warn('No series data provided for stacked AreaChart');
       return this;
@@ -265,30 +449,43 @@ class AreaChart extends BaseChart {
 
     // Clear previous chart
     this.chartGroup.selectAll('*').remove();
+    this.renderMode = 'stacked';
+
+    // Dates are drawn on a time scale
+    const xScale = this.createXScale(seriesData.flatMap(series => series.data));
+    seriesData = seriesData.map(series => ({ ...series, data: this.parseDates(series.data) }));
+    this.seriesData = seriesData;
 
     // Prepare data for stacking
     const keys = seriesData.map(d => d.name);
     const stackData = this.prepareStackData(seriesData);
 
+    // Series hidden from the legend are left out of the stack
+    const shownKeys = keys.filter(key => this.isSeriesVisible(key));
+
     // Create stack generator
     const stack = d3.stack()
-      .keys(keys)
+      .keys(shownKeys)
       .order(d3.stackOrderNone)
       .offset(d3.stackOffsetNone);
 
     const stackedData = stack(stackData);
 
     // Create scales
-    const xScale = d3.scaleLinear()
-      .domain(d3.extent(stackData, d => d.x))
+    xScale
+      .domain(visibleXDomain(this, d3.extent(stackData, d => d.x)))
       .range([0, this.innerWidth]);
 
     const yScale = d3.scaleLinear()
       .domain([0, d3.max(stackedData, d => d3.max(d, d => d[1]))])
       .range([this.innerHeight, 0]);
 
-    // Color scale
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+    this.xScale = xScale;
+    this.yScale = yScale;
+
+    // Color scale, by index so hidden series keep their color
+    const colorScale = d3.scaleOrdinal(d3.range(keys.length), this.theme.palette);
+    this.colorScale = colorScale;
 
     // Create area generator
     const area = d3.area()
@@ -302,32 +499,45 @@ class AreaChart extends BaseChart {
     const yAxis = d3.axisLeft(yScale);
 
     // Add axes
-    this.chartGroup.append('g')
+    const xAxisGroup = this.chartGroup.append('g')
       .attr('class', 'x-axis')
       .attr('transform', `translate(0, ${this.innerHeight})`)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     this.chartGroup.append('g')
       .attr('class', 'y-axis')
       .call(yAxis);
 
     // Add areas
-    const areas = this.chartGroup.selectAll('.area')
+    this.chartGroup.selectAll('.area')
       .data(stackedData)
       .enter()
       .append('path')
       .attr('class', 'area')
-      .attr('fill', (d, i) => colorScale(i))
+      .attr('data-series', d => d.key)
+      .attr('fill', d => colorScale(keys.indexOf(d.key)))
       .attr('d', area)
-      .style('opacity', 0.8);
+      .attr('opacity', 0.8)
+      .on('mouseover', (event, d) => this.emit('hover', d, event))
+      .on('mouseout', (event, d) => this.emit('leave', d, event))
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    // Each series is one stop for the keyboard
+    this.addKeyboardNavigation(
+      this.chartGroup.selectAll('.area'),
+      d => `${d.key}, total ${this.formatNumber(d3.sum(d, point => point[1] - point[0]))}`
+    );
 
     // Add legend
     const legendItems = keys.map((key, i) => ({
       label: key,
       color: colorScale(i)
     }));
-    this.addLegend(legendItems);
+    this.addLegend(legendItems, { interactive: true });
 
+    addXZoom(this);
+    this.emit('render');
     return this;
   }
 
@@ -335,17 +545,17 @@ class AreaChart extends BaseChart {
    * Prepare data for stacking
    */
   prepareStackData(seriesData) {
-    // Get all unique x values
-    const allXValues = [...new Set(
-      seriesData.flatMap(series => series.data.map(d => d.x))
-    )].sort((a, b) => a - b);
+    // Get all unique x values; dates are compared by time
+    const allXValues = [...new d3.InternMap(
+      seriesData.flatMap(series => series.data.map(d => [d.x, d.x]))
+    ).values()].sort((a, b) => a - b);
 
     // Create combined data structure
     return allXValues.map(x => {
       const dataPoint = { x };
       
       seriesData.forEach(series => {
-        const point = series.data.find(d => d.x === x);
+        const point = series.data.find(d => +d.x === +x);
         dataPoint[series.name] = point ? point.y : 0;
       });
       
@@ -353,6 +563,91 @@ class AreaChart extends BaseChart {
     });
   }
 
+  /**
+   * Redraw in the mode the chart was last drawn in
+   */
+  redraw() {
+    if (this.renderMode !== 'stacked') return this.render();
+
+    // The series kept from the last draw are already encoded
+    this.runPlugins('beforeRender');
+    return this.drawStacked(this.seriesData);
+  }
+
+  /**
+   * Summarize the area, or each stacked series, for describe()
+   */
+  summarize(detailed) {
+    if (this.renderMode === 'stacked') {
+      return [
+        `Stacked area chart with ${this.seriesData.length} series.`,
+        ...this.seriesData.map(series => `${series.name}: ${this.summarizePoints(series.data, detailed).join(' ')}`)
+      ];
+    }
+
+    if (this.data.length === 0) return ['Area chart with no points.'];
+
+    const [xMin, xMax] = d3.extent(this.data, d => d.x).map(x => (x instanceof Date ? this.formatDate(x) : this.formatNumber(x)));
+    return [
+      `Area chart of ${this.data.length} points from x = ${xMin} to ${xMax}.`,
+      ...this.summarizePoints(this.data, detailed)
+    ];
+  }
+
+  /**
+   * Where the top of each area ends up, for annotation callouts
+   */
+  getMarkBoxes() {
+    if (!this.xScale) return [];
+
+    const radius = this.options.lineWidth + 2;
+    if (this.renderMode !== 'stacked') {
+      return traceBoxes(this.data.map(d => [this.xScale(d.x), this.yScale(d.y)]), radius);
+    }
+
+    const rows = this.prepareStackData(this.seriesData);
+    const totals = rows.map(() => 0);
+    const shown = this.seriesData.filter(series => this.isSeriesVisible(series.name));
+    return shown.flatMap(series => traceBoxes(rows.map((row, i) => {
+      totals[i] += row[series.name];
+      return [this.xScale(row.x), this.yScale(totals[i])];
+    }), radius));
+  }
+
+  /**
+   * The area, or the stacked total, for the overview
+   */
+  getOverviewSeries() {
+    if (this.renderMode !== 'stacked') {
+      return [{ points: this.data, color: this.getColors().line }];
+    }
+
+    const keys = this.seriesData.map(series => series.name).filter(key => this.isSeriesVisible(key));
+    const points = this.prepareStackData(this.seriesData)
+      .map(row => ({ x: row.x, y: d3.sum(keys, key => row[key]) }));
+    return [{ points, color: this.getColors().line }];
+  }
+
+  /**
+   * The point of the area, or of each stacked series, nearest x, for ChartGroup
+   */
+  valuesAt(x) {
+    if (this.renderMode !== 'stacked') {
+      return this.pointsAt([{ points: this.data, color: this.getColors().line }], x);
+    }
+
+    return this.pointsAt(this.seriesData
+      .map((series, index) => ({ name: series.name, points: series.data, color: this.colorScale(index) }))
+      .filter(series => this.isSeriesVisible(series.name)), x);
+  }
+
+  /**
+   * When stacked, one row per x with a column for each series
+   */
+  tabulate() {
+    return this.renderMode === 'stacked' ? this.prepareStackData(this.seriesData) : super.tabulate();
+  }
+
   /**
    * Update chart with new data
    */
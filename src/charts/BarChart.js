@@ -1,5 +1,28 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { MathUtils } from '../utils/index.js';
+
+// Intervals timeInterval can name: local and UTC, with the format of their labels
+const timeIntervals = {
+  minute: [d3.timeMinute, d3.utcMinute, '%H:%M'],
+  hour: [d3.timeHour, d3.utcHour, '%b %d, %H:00'],
+  day: [d3.timeDay, d3.utcDay, '%b %d'],
+  week: [d3.timeWeek, d3.utcWeek, '%b %d'],
+  month: [d3.timeMonth, d3.utcMonth, '%b %Y'],
+  year: [d3.timeYear, d3.utcYear, '%Y']
+};
+
+// How the values in each timeInterval are combined into one bar
+const aggregates = {
+  sum: values => d3.sum(values),
+  mean: values => d3.mean(values),
+  min: values => d3.min(values),
+  max: values => d3.max(values),
+  count: values => values.length
+};
+
+// Fewest pixels between date labels on a band axis
+const MIN_LABEL_SPACING = { vertical: 60, horizontal: 20 };
 
 /**
  * Bar Chart implementation
@@ -8,10 +31,14 @@ class BarChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
       barPadding: 0.1,
-      barColor: '#3498db',
-      hoverColor: '#2980b9',
+      barColor: null, // Defaults to the theme's primary color
+      hoverColor: null, // Defaults to a darker barColor
       showValues: false,
       orientation: 'vertical', // 'vertical' or 'horizontal'
+      xType: 'auto', // 'auto', 'linear' (labels as given), 'time' or 'utc'; 'auto' orders dated labels by date
+      timeZone: null, // IANA time zone for dates in tooltips, e.g. 'UTC'; defaults to the browser's
+      timeInterval: null, // 'minute', 'hour', 'day', 'week', 'month', 'year' or a d3 interval: one bar per interval
+      aggregate: 'sum', // 'sum', 'mean', 'min', 'max', 'count' or (values) => number, for timeInterval
       ...options
     };
     
@@ -19,17 +46,38 @@ class BarChart extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Rows of { label, value }; label may be a date
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { label: ['label', 'date'], value: 'number' } }
+    };
+  }
+
+  /**
+   * Bars read their label and value
+   */
+  getEncodingChannels() {
+    return { label: 'label', value: 'value' };
+  }
+
   /**
    * Render the bar chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for BarChart');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    this.bars = this.prepareBars();
+
+    // Rebuild from scratch only when the orientation changes, otherwise
+    // bars are joined by key and transition to their new values
+    if (this.renderedOrientation !== this.options.orientation) {
+      this.chartGroup.selectAll('*').remove();
+      this.renderedOrientation = this.options.orientation;
+    }
 
     if (this.options.orientation === 'vertical') {
       this.renderVerticalBars();
@@ -37,115 +85,227 @@ class BarChart extends BaseChart {
       this.renderHorizontalBars();
     }
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * The bars to draw: the data, or for dated labels the data in date order,
+   * combined into one bar per timeInterval when one is set. Intervals
+   * without data get an empty bar so the axis keeps an even step.
+   */
+  prepareBars() {
+    this.timeScaleType = this.getTimeScaleType(this.data.map(d => d.label));
+    if (!this.timeScaleType) return this.data;
+
+    const bars = this.parseDates(this.data, 'label').sort((a, b) => a.label - b.label);
+    const interval = this.getTimeInterval();
+    if (!interval) return bars;
+
+    const { aggregate } = this.options;
+    const combine = typeof aggregate === 'function' ? aggregate : aggregates[aggregate];
+    if (!combine) {
+      throw new Error(`Unknown aggregate "${aggregate}"; use ${Object.keys(aggregates).join(', ')} or a function`);
+    }
+
+    const groups = d3.group(bars, d => +interval.floor(d.label));
+    const start = interval.floor(bars[0].label);
+    const end = interval.offset(interval.floor(bars[bars.length - 1].label), 1);
+
+    return interval.range(start, end).map(label => {
+      const values = (groups.get(+label) || []).map(d => d.value);
+      return { label, value: values.length ? combine(values) : 0, count: values.length };
+    });
+  }
+
+  /**
+   * The d3 interval for the timeInterval option, in UTC on a UTC scale
+   */
+  getTimeInterval() {
+    const { timeInterval } = this.options;
+    if (!timeInterval || typeof timeInterval !== 'string') return timeInterval;
+
+    const entry = timeIntervals[timeInterval];
+    if (!entry) {
+      throw new Error(`Unknown timeInterval "${timeInterval}"; use ${Object.keys(timeIntervals).join(', ')} or a d3 interval`);
+    }
+    return this.timeScaleType === 'utc' ? entry[1] : entry[0];
+  }
+
+  /**
+   * Label a band axis of dates: in the named timeInterval's format, or
+   * d3's multi-scale date format, leaving out labels that would overlap
+   */
+  formatDateAxis(axis, scale, length) {
+    if (!this.timeScaleType) return axis;
+
+    const utc = this.timeScaleType === 'utc';
+    const entry = timeIntervals[this.options.timeInterval];
+    const format = entry
+      ? (utc ? d3.utcFormat : d3.timeFormat)(entry[2])
+      : (utc ? d3.scaleUtc() : d3.scaleTime()).tickFormat();
+
+    const domain = scale.domain();
+    const step = Math.ceil(domain.length / Math.max(1, Math.floor(length / MIN_LABEL_SPACING[this.options.orientation])));
+    return axis
+      .tickFormat(format)
+      .tickValues(domain.filter((d, i) => i % step === 0));
+  }
+
   /**
    * Render vertical bars
    */
   renderVerticalBars() {
+    const key = this.getKeyAccessor('label');
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+
     // Create scales
     const xScale = d3.scaleBand()
-      .domain(this.data.map(d => d.label))
+      .domain(this.bars.map(d => d.label))
       .range([0, this.innerWidth])
       .padding(this.options.barPadding);
 
     const yScale = d3.scaleLinear()
-      .domain([0, d3.max(this.data, d => d.value)])
+      .domain([0, d3.max(this.bars, d => d.value)])
       .range([this.innerHeight, 0]);
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+
     // Create axes
-    const xAxis = d3.axisBottom(xScale);
+    const xAxis = this.formatDateAxis(d3.axisBottom(xScale), xScale, this.innerWidth);
     const yAxis = d3.axisLeft(yScale);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
-    // Create bars
+    // Join bars by key
     const bars = this.chartGroup.selectAll('.bar')
-      .data(this.data)
-      .enter()
+      .data(this.bars, key);
+
+    const barsEnter = bars.enter()
       .append('rect')
       .attr('class', 'bar')
       .attr('x', d => xScale(d.label))
       .attr('width', xScale.bandwidth())
       .attr('y', this.innerHeight)
       .attr('height', 0)
-      .attr('fill', this.options.barColor)
       .style('cursor', 'pointer');
 
-    // Animate bars
-    bars.transition()
-      .duration(800)
+    bars.exit()
+      .transition(transition)
+      .attr('y', this.innerHeight)
+      .attr('height', 0)
+      .remove();
+
+    const barsUpdate = barsEnter.merge(bars)
+      .attr('fill', this.getBarColor());
+
+    // Animate bars to their new positions and values
+    barsUpdate.transition(transition)
+      .attr('x', d => xScale(d.label))
+      .attr('width', xScale.bandwidth())
       .attr('y', d => yScale(d.value))
       .attr('height', d => this.innerHeight - yScale(d.value));
 
     // Add interactivity
-    this.addBarInteractivity(bars);
+    this.addBarInteractivity(barsUpdate);
 
     // Add value labels if requested
-    if (this.options.showValues) {
-      this.addValueLabels(xScale, yScale);
-    }
+    this.addValueLabels(xScale, yScale, transition);
   }
 
   /**
    * Render horizontal bars
    */
   renderHorizontalBars() {
+    const key = this.getKeyAccessor('label');
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+
     // Create scales
     const yScale = d3.scaleBand()
-      .domain(this.data.map(d => d.label))
+      .domain(this.bars.map(d => d.label))
       .range([0, this.innerHeight])
       .padding(this.options.barPadding);
 
     const xScale = d3.scaleLinear()
-      .domain([0, d3.max(this.data, d => d.value)])
+      .domain([0, d3.max(this.bars, d => d.value)])
       .range([0, this.innerWidth]);
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+
     // Create axes
     const xAxis = d3.axisBottom(xScale);
-    const yAxis = d3.axisLeft(yScale);
+    const yAxis = this.formatDateAxis(d3.axisLeft(yScale), yScale, this.innerHeight);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
-    // Create bars
+    // Join bars by key
     const bars = this.chartGroup.selectAll('.bar')
-      .data(this.data)
-      .enter()
+      .data(this.bars, key);
+
+    const barsEnter = bars.enter()
       .append('rect')
       .attr('class', 'bar')
       .attr('y', d => yScale(d.label))
       .attr('height', yScale.bandwidth())
       .attr('x', 0)
       .attr('width', 0)
-      .attr('fill', this.options.barColor)
       .style('cursor', 'pointer');
 
-    // Animate bars
-    bars.transition()
-      .duration(800)
+    bars.exit()
+      .transition(transition)
+      .attr('width', 0)
+      .remove();
+
+    const barsUpdate = barsEnter.merge(bars)
+      .attr('fill', this.getBarColor());
+
+    // Animate bars to their new positions and values
+    barsUpdate.transition(transition)
+      .attr('y', d => yScale(d.label))
+      .attr('height', yScale.bandwidth())
       .attr('width', d => xScale(d.value));
 
     // Add interactivity
-    this.addBarInteractivity(bars);
+    this.addBarInteractivity(barsUpdate);
+
+    // Add value labels if requested
+    this.addValueLabels(xScale, yScale, transition);
+  }
+
+  /**
+   * Get the bar fill from options or the theme
+   */
+  getBarColor() {
+    return this.options.barColor || this.theme.primary;
+  }
+
+  /**
+   * Get the hovered bar fill from options, or darken the bar fill
+   */
+  getHoverColor() {
+    return this.options.hoverColor || d3.color(this.getBarColor()).darker(0.5).formatHex();
   }
 
   /**
@@ -156,52 +316,140 @@ class BarChart extends BaseChart {
 
     bars
       .on('mouseover', function(event, d) {
-        d3.select(this).attr('fill', self.options.hoverColor);
-        self.showTooltip(`${d.label}: ${d.value}`, event);
+        d3.select(this).attr('fill', self.getHoverColor());
+        self.showTooltip(`${self.formatDate(d.label)}: ${d.value}`, event, d);
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
-        d3.select(this).attr('fill', self.options.barColor);
+      .on('mouseout', function(event, d) {
+        d3.select(this).attr('fill', self.getBarColor());
         self.hideTooltip();
+        self.emit('leave', d, event);
       })
-      .on('click', function(event, d) {
-        if (self.options.onClick) {
-          self.options.onClick(d, event);
-        }
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(bars, d => `${this.formatDate(d.label)}: ${d.value}`);
   }
 
   /**
    * Add value labels on bars
    */
-  addValueLabels(xScale, yScale) {
-    if (this.options.orientation === 'vertical') {
-      this.chartGroup.selectAll('.value-label')
-        .data(this.data)
-        .enter()
-        .append('text')
-        .attr('class', 'value-label')
+  addValueLabels(xScale, yScale, transition) {
+    const vertical = this.options.orientation === 'vertical';
+    const labels = this.chartGroup.selectAll('.value-label')
+      .data(this.options.showValues ? this.bars : [], this.getKeyAccessor('label'));
+
+    labels.exit().remove();
+
+    const labelsEnter = labels.enter()
+      .append('text')
+      .attr('class', 'value-label');
+
+    if (vertical) {
+      labelsEnter
         .attr('x', d => xScale(d.label) + xScale.bandwidth() / 2)
-        .attr('y', d => yScale(d.value) - 5)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '12px')
-        .style('fill', '#333')
-        .text(d => d.value);
+        .attr('y', this.innerHeight - 5)
+        .attr('text-anchor', 'middle');
     } else {
-      this.chartGroup.selectAll('.value-label')
-        .data(this.data)
-        .enter()
-        .append('text')
-        .attr('class', 'value-label')
-        .attr('x', d => xScale(d.value) + 5)
+      labelsEnter
+        .attr('x', 5)
         .attr('y', d => yScale(d.label) + yScale.bandwidth() / 2)
         .attr('text-anchor', 'start')
-        .attr('alignment-baseline', 'middle')
-        .style('font-size', '12px')
-        .style('fill', '#333')
-        .text(d => d.value);
+        .attr('alignment-baseline', 'middle');
+    }
+
+    const labelsUpdate = labelsEnter.merge(labels)
+      .style('font-size', `${this.theme.font.size}px`)
+      .style('fill', this.theme.text)
+      .text(d => d.value)
+      .transition(transition);
+
+    if (vertical) {
+      labelsUpdate
+        .attr('x', d => xScale(d.label) + xScale.bandwidth() / 2)
+        .attr('y', d => yScale(d.value) - 5);
+    } else {
+      labelsUpdate
+        .attr('x', d => xScale(d.value) + 5)
+        .attr('y', d => yScale(d.label) + yScale.bandwidth() / 2);
     }
   }
 
+  /**
+   * Summarize the bars for describe()
+   */
+  summarize(detailed) {
+    const bars = this.bars || this.data;
+    const stats = MathUtils.stats(bars, 'value');
+    if (!stats) return ['Bar chart with no bars.'];
+
+    const f = value => this.formatNumber(value);
+    const highest = d3.greatest(bars, d => d.value);
+    const lowest = d3.least(bars, d => d.value);
+    const sentences = [
+      `Bar chart with ${stats.count} bars.`,
+      `Highest: ${this.formatDate(highest.label)} (${f(highest.value)}); lowest: ${this.formatDate(lowest.label)} (${f(lowest.value)}).`
+    ];
+
+    if (detailed) {
+      sentences.push(`Total ${f(stats.sum)}, mean ${f(stats.mean)}, median ${f(stats.median)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Where the bars end up once their transitions finish, for annotation callouts
+   */
+  getMarkBoxes() {
+    if (!this.bars || !this.xScale) return [];
+
+    const vertical = this.options.orientation === 'vertical';
+    const bandScale = vertical ? this.xScale : this.yScale;
+    const valueScale = vertical ? this.yScale : this.xScale;
+
+    return this.bars.map(d => {
+      const start = bandScale(d.label);
+      const end = start + bandScale.bandwidth();
+      const value = valueScale(d.value);
+      return vertical
+        ? { x0: start, y0: value, x1: end, y1: this.innerHeight }
+        : { x0: 0, y0: start, x1: value, y1: end };
+    });
+  }
+
+  /**
+   * The vertical bar at x, for ChartGroup: the bar with that label, or for
+   * dated bars the timeInterval bucket holding x, else the nearest date
+   */
+  valuesAt(x) {
+    if (!this.bars || this.options.orientation !== 'vertical') return [];
+
+    let bar;
+    if (this.timeScaleType) {
+      const date = this.toDate(x);
+      const interval = this.getTimeInterval();
+      const [first, last] = d3.extent(this.bars, d => d.label);
+      if (interval) {
+        bar = this.bars.find(d => +d.label === +interval.floor(date));
+      } else if (date >= first && date <= last) {
+        bar = d3.least(this.bars, d => Math.abs(d.label - date));
+      }
+    } else {
+      bar = this.bars.find(d => String(d.label) === String(x));
+    }
+
+    return bar ? [{ x: bar.label, name: null, value: bar.value, color: this.getBarColor(), format: null, datum: bar }] : [];
+  }
+
+  /**
+   * One row per bar drawn, after any timeInterval grouping
+   */
+  tabulate() {
+    return this.bars ? this.bars.map(d => ({ ...d })) : super.tabulate();
+  }
+
   /**
    * Update chart with new data
    */
@@ -1,4 +1,112 @@
 import * as d3 from 'd3';
+import { resolveTheme } from '../themes/index.js';
+import { BASE_DURATION, prefersReducedMotion, resolveAnimation } from '../animation.js';
+import { ChartDataError, coerceData, validateData } from '../validation.js';
+import { exportSVG, rasterizeSVG, serializeSVG } from '../export.js';
+import { checkAnnotation, drawAnnotations } from '../annotations.js';
+import { setXView } from '../zoom.js';
+import { drawLegend, getPlotMargin } from '../legend.js';
+import { getTooltipOptions, placeTooltip, tooltipAnchor, tooltipContent, viewportBounds } from '../tooltip.js';
+import { AnimationUtils, DataUtils, DOMUtils, MathUtils } from '../utils/index.js';
+
+const formatNumber = d3.format(',.4~r');
+
+// Used to scope each chart's theme stylesheet to its own SVG
+let chartCount = 0;
+
+// Plugins registered with use(), by the chart class they were registered on
+const classPlugins = new Map();
+
+// Events whose plugin hooks run before the event's handlers
+const pluginHooks = { render: 'afterRender', dataChange: 'onDataChange' };
+
+// Options toSpec() leaves out: runtime state and values a spec cannot hold
+const unserializedOptions = ['title', 'showLegend', 'plugins', 'headless'];
+
+/**
+ * Copy a value keeping only what serializes to JSON: functions, class
+ * instances (DOM nodes, d3 objects) and undefined values are dropped
+ */
+function plainValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(plainValue).filter(item => item !== undefined);
+  }
+  if (value && typeof value === 'object') {
+    if (Object.getPrototypeOf(value) !== Object.prototype) return undefined;
+    return Object.fromEntries(Object.entries(value)
+      .map(([key, item]) => [key, plainValue(item)])
+      .filter(([, item]) => item !== undefined));
+  }
+  return typeof value === 'function' ? undefined : value;
+}
+
+// ISO 8601 dates, with an optional time of day and UTC offset
+const isoDate = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const DAY_MS = 864e5;
+
+// Opacity of the marks of series other than the one highlighted from the legend
+const DIMMED_OPACITY = 0.15;
+
+// Intl date formats by time zone and parts shown, created on first use
+const dateFormats = new Map();
+
+/**
+ * Whether a value reads as a date on its own: a Date or an ISO 8601 string
+ */
+function isDateValue(value) {
+  return value instanceof Date || (typeof value === 'string' && isoDate.test(value.trim()));
+}
+
+/**
+ * Read a Date, ISO 8601 string or epoch milliseconds as a Date. ISO strings
+ * without an offset are local time, or UTC when utc is set; Date() on its
+ * own would read date-only strings as UTC and the rest as local.
+ */
+function parseDate(value, utc) {
+  if (value instanceof Date) return value;
+
+  const match = typeof value === 'string' && isoDate.exec(value.trim());
+  if (!match) return new Date(value);
+
+  const [, day, time = '00:00', offset = utc ? 'Z' : ''] = match;
+  return new Date(`${day}T${time}${offset}`);
+}
+
+// Channels the encoding option can map
+const encodingChannels = ['x', 'y', 'label', 'value', 'color', 'size', 'series'];
+
+/**
+ * Read an encoding entry from a row: a field name, a dotted path or an
+ * accessor function called with the row and its index
+ */
+function fieldAccessor(field) {
+  if (typeof field === 'function') return field;
+
+  const path = String(field).split('.');
+  return d => (field in d ? d[field] : path.reduce((value, key) => (value == null ? value : value[key]), d));
+}
+
+/**
+ * Copy data with each encoded channel written to the property the chart
+ * reads it from. channels maps a channel to that property, or a property
+ * holding nested rows to the channels for those rows.
+ */
+function encodeData(data, channels, accessors, index) {
+  if (Array.isArray(data)) return data.map((item, i) => encodeData(item, channels, accessors, i));
+  if (data === null || typeof data !== 'object' || data instanceof Date) return data;
+
+  const encoded = { ...data };
+  Object.entries(channels).forEach(([key, target]) => {
+    if (typeof target !== 'string') {
+      if (data[key] != null) encoded[key] = encodeData(data[key], target, accessors);
+    } else if (accessors[key]) {
+      const value = accessors[key](data, index);
+      if (value !== undefined) encoded[target] = value;
+    }
+  });
+  return encoded;
+}
 
 /**
  * Base Chart class that provides common functionality for all chart types
@@ -10,187 +118,1726 @@ class BaseChart {
       width: 800,
       height: 400,
       margin: { top: 20, right: 30, bottom: 40, left: 40 },
-      backgroundColor: '#ffffff',
+      theme: null, // Theme name or object; null uses the default theme
+      backgroundColor: null, // Overrides the theme background
+      ariaLabel: null, // Accessible name; defaults to the title
+      description: null, // Longer text alternative, exposed through aria-describedby
+      keyboardNavigation: true, // Tab to the chart, arrow keys between marks, Enter to click
+      animation: null, // { enabled, duration, easing, stagger } or true/false; null uses the library defaults
+      responsive: false, // 'fit' re-lays out to the container's size, 'scale' scales the SVG with a viewBox
+      resizeDelay: 150, // Wait this many ms after the last resize before re-laying out
+      breakpoints: [], // [{ maxWidth, options }], merged in while the chart is at most maxWidth wide
+      showLegend: true,
+      legendPosition: null, // 'right', 'left', 'top', 'bottom' or 'auto' to set the legend outside the plot; null draws it over the plot's top right
+      legendWidth: 120, // Room a legend on the left or right takes
+      legendRows: 2, // Rows a legend on the top or bottom shows before paging
+      legendInteractive: true, // Click to hide a series, double-click to show only it, hover to highlight it
+      xTickRotation: 0, // Degrees to rotate x-axis tick labels, e.g. -45 for long labels
+      validate: true, // Check data against the chart's schema in setData
+      errorMessage: 'Unable to display this data', // Shown in place of a chart whose data failed validation
+      emptyMessage: 'No data to display', // Shown in place of a chart given no data items
+      tooltip: null, // { formatter, template, followCursor, placement, offset, pin } or false for no tooltips (see tooltip.js)
+      tooltipContainer: null, // Element or selector the tooltip is added to; null uses document.body
+      headless: false, // Set by renderToString(); skips tooltips and looping animations
+      plugins: [], // Plugins for this chart only, run after those registered with use()
+      encoding: null, // { x, y, label, value, color, size, series }: field names, dotted paths or accessors
+      annotations: [], // Reference lines, bands, markers and labels in data coordinates (see annotations.js)
       ...options
     };
     
     this.data = null;
+    this.sourceData = null;
+    this.dataError = null;
     this.svg = null;
     this.chartGroup = null;
+    this.listeners = {};
+    this.hiddenSeries = new Set();
+    this.themeClass = `d3-chart-${++chartCount}`;
+    this.activeBreakpoints = [];
+    this._breakpointBase = {};
+
+    // Timers, force simulations and ambient animations started by the last render
+    this.timers = new Set();
+    this.simulations = new Set();
+    this.animations = [];
+    this.paused = false;
+    this.renderEndTimer = null;
+
+    // Legacy callback options are routed through the event emitter
+    this.on('click', this.options.onClick);
+    this.on('hover', this.options.onHover);
+    this.on('error', this.options.onError);
+
+    this.plugins = [...BaseChart.pluginsFor(this.constructor), ...this.options.plugins];
     
     this.init();
+    this.runPlugins('install');
+  }
+
+  /**
+   * Register a plugin for every chart of this class created from now on;
+   * BaseChart.use() registers it for all charts
+   */
+  static use(plugin) {
+    if (!classPlugins.has(this)) {
+      classPlugins.set(this, []);
+    }
+    classPlugins.get(this).push(plugin);
+    return this;
+  }
+
+  /**
+   * The plugins registered for a chart class and the classes it extends, base class first
+   */
+  static pluginsFor(ChartClass) {
+    const plugins = [];
+    for (let type = ChartClass; type && type !== Function.prototype; type = Object.getPrototypeOf(type)) {
+      plugins.unshift(...(classPlugins.get(type) || []));
+    }
+    return plugins;
+  }
+
+  /**
+   * Call a hook on every plugin that has it, with the chart and the given arguments.
+   * Hooks: install, beforeRender, afterRender, onDataChange, beforeDestroy.
+   */
+  runPlugins(hook, ...args) {
+    this.plugins.forEach(plugin => {
+      if (typeof plugin[hook] === 'function') {
+        plugin[hook](this, ...args);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * A group for plugins to draw in over the plot area, created on first use
+   * and kept above the chart's own marks
+   */
+  getLayer(name) {
+    const margin = this.plotMargin;
+    let layer = this.svg.selectChild(`g.layer-${name}`);
+    if (layer.empty()) {
+      layer = this.svg.append('g').attr('class', `layer layer-${name}`);
+    }
+
+    return layer
+      .attr('transform', `translate(${margin.left}, ${margin.top})`)
+      .raise();
+  }
+
+  /**
+   * The scales of the last render, for plugins and overlays; charts without
+   * a scale of a kind leave it out
+   */
+  getScales() {
+    const scales = { x: this.xScale, y: this.yScale, color: this.colorScale, radius: this.radiusScale };
+    return Object.fromEntries(Object.entries(scales).filter(([, scale]) => scale));
+  }
+
+  /**
+   * Add an annotation drawn in data coordinates with the chart's scales,
+   * e.g. { type: 'line', y: 100, label: 'Target' }. It is drawn again after
+   * every render and resize; see annotations.js for the types.
+   */
+  addAnnotation(annotation) {
+    checkAnnotation(annotation);
+    this.options.annotations = [...(this.options.annotations || []), annotation];
+    if (this.svg) drawAnnotations(this);
+    return this;
+  }
+
+  /**
+   * Remove an annotation, given as the object added or its id
+   */
+  removeAnnotation(annotation) {
+    this.options.annotations = (this.options.annotations || [])
+      .filter(item => item !== annotation && (item.id == null || item.id !== annotation));
+    if (this.svg) drawAnnotations(this);
+    return this;
+  }
+
+  /**
+   * Remove every annotation
+   */
+  clearAnnotations() {
+    this.options.annotations = [];
+    if (this.svg) drawAnnotations(this);
+    return this;
+  }
+
+  /**
+   * The annotations the chart draws
+   */
+  getAnnotations() {
+    return (this.options.annotations || []).slice();
+  }
+
+  /**
+   * Show only [from, to] of a continuous x axis, or every x value for null,
+   * and emit 'zoom'. Used by LineChart and AreaChart, whose zoom and
+   * overview options move the same view.
+   */
+  setXDomain(domain) {
+    setXView(this, domain);
+    return this;
+  }
+
+  /**
+   * The x range shown by a continuous x axis, or null for charts without one
+   */
+  getXDomain() {
+    return this.xScale && this.xScale.invert ? this.xScale.domain().slice() : null;
+  }
+
+  /**
+   * Show every x value again after zooming
+   */
+  resetZoom() {
+    return this.setXDomain(null);
+  }
+
+  /**
+   * The x value at a horizontal position in the plot: read back from a
+   * continuous x scale, or the nearest band's value on a band scale
+   */
+  xValueAt(position) {
+    const scale = this.xScale;
+    if (!scale) return null;
+    if (scale.invert) return scale.invert(position);
+    if (!scale.bandwidth) return null;
+    return d3.least(scale.domain(), value => Math.abs(scale(value) + scale.bandwidth() / 2 - position)) ?? null;
+  }
+
+  /**
+   * The value of each series at x, as [{ x, name, value, color, format, datum }]
+   * with x the datum's own x; series without a value there are left out.
+   * Read by ChartGroup for its crosshair and shared tooltip; charts that
+   * can be linked override this.
+   */
+  valuesAt() {
+    return [];
+  }
+
+  /**
+   * valuesAt() for series [{ name, points, color, format }] of { x, y }
+   * points: the point nearest x in each series whose x values reach it
+   */
+  pointsAt(series, x) {
+    const target = +this.toDate(x);
+    if (Number.isNaN(target)) return [];
+
+    return series.flatMap(({ name = null, points, color, format = null }) => {
+      const [first, last] = d3.extent(points, d => +d.x);
+      if (!(target >= first && target <= last)) return [];
+
+      const datum = d3.least(points, d => Math.abs(d.x - target));
+      return [{ x: datum.x, name, value: datum.y, color, format, datum }];
+    });
+  }
+
+  /**
+   * Boxes { x0, y0, x1, y1 } around the marks drawn in the plot area, for
+   * annotation callouts to keep clear of. Measured from the rectangles and
+   * circles in the DOM; charts whose marks animate into place override
+   * this to give where they end up.
+   */
+  getMarkBoxes() {
+    const boxes = [];
+    this.chartGroup.selectAll('rect, circle').each(function() {
+      if (this.closest('.x-axis, .y-axis, .legend, .overlay, .focus, .annotations-below, .zoom-surface, .sync-surface')) return;
+
+      const attr = name => +this.getAttribute(name) || 0;
+      if (this.localName === 'circle') {
+        const r = attr('r');
+        boxes.push({ x0: attr('cx') - r, y0: attr('cy') - r, x1: attr('cx') + r, y1: attr('cy') + r });
+      } else {
+        boxes.push({ x0: attr('x'), y0: attr('y'), x1: attr('x') + attr('width'), y1: attr('y') + attr('height') });
+      }
+    });
+    return boxes;
   }
 
   /**
    * Initialize the SVG container and chart group
    */
   init() {
+    this.fitToContainer();
+    this.theme = resolveTheme(this.options.theme);
+    // Some charts took animated: false before the animation option existed
+    this.animation = resolveAnimation(this.options.animated === false ? false : this.options.animation);
+
     // Clear existing content
     d3.select(this.container).selectAll('*').remove();
     
     // Create SVG
     this.svg = d3.select(this.container)
-      .append('svg')
-      .attr('width', this.options.width)
-      .attr('height', this.options.height)
-      .style('background-color', this.options.backgroundColor);
+      .append('svg');
+
+    this.applySize();
+    this.applyTheme();
+    this.applyAccessibility();
     
+    // Calculate inner dimensions
+    this.computeInnerSize();
+
     // Create chart group with margins
     this.chartGroup = this.svg.append('g')
-      .attr('transform', `translate(${this.options.margin.left}, ${this.options.margin.top})`);
-    
-    // Calculate inner dimensions
-    this.innerWidth = this.options.width - this.options.margin.left - this.options.margin.right;
-    this.innerHeight = this.options.height - this.options.margin.top - this.options.margin.bottom;
+      .attr('transform', `translate(${this.plotMargin.left}, ${this.plotMargin.top})`);
+
+    this.observeResize();
   }
 
   /**
-   * Set data for the chart
+   * Size of the plot area inside the margins, and the margins with room for
+   * a legend outside the plot (plotMargin). Charts that draw something of
+   * their own below the plot, such as an overview, take its space here.
    */
-  setData(data) {
-    this.data = data;
-    return this;
+  computeInnerSize() {
+    const { width, height } = this.options;
+    const margin = getPlotMargin(this);
+    this.plotMargin = margin;
+    this.innerWidth = width - margin.left - margin.right;
+    this.innerHeight = height - margin.top - margin.bottom;
   }
 
   /**
-   * Update chart options
+   * Size the SVG: fixed pixels, or for responsive 'scale' a viewBox that
+   * scales the drawing to the container's width
    */
-  updateOptions(newOptions) {
-    this.options = { ...this.options, ...newOptions };
-    this.init();
+  applySize() {
+    const { width, height, responsive } = this.options;
+
+    if (responsive === 'scale') {
+      this.svg
+        .attr('viewBox', `0 0 ${width} ${height}`)
+        .attr('preserveAspectRatio', 'xMidYMid meet')
+        .attr('width', '100%')
+        .attr('height', null);
+    } else {
+      this.svg
+        .attr('viewBox', null)
+        .attr('preserveAspectRatio', null)
+        .attr('width', width)
+        .attr('height', height);
+    }
+
+    // Inline SVGs leave room for text descenders below them, which would
+    // make a container without a set height grow on every 'fit'
+    this.svg.style('display', responsive ? 'block' : null);
+
     return this;
   }
 
   /**
-   * Get chart dimensions
+   * Measure the container, or null where there is no layout to measure
+   * (headless renders, jsdom, hidden containers)
    */
-  getDimensions() {
-    return {
-      width: this.innerWidth,
-      height: this.innerHeight,
-      margin: this.options.margin
-    };
+  measureContainer() {
+    const node = d3.select(this.container).node();
+    if (this.options.headless || !node || typeof node.getBoundingClientRect !== 'function') return null;
+
+    const { width, height } = DOMUtils.getDimensions(node);
+    return width > 0 ? { width, height } : null;
   }
 
   /**
-   * Add title to the chart
+   * Take the container's size when responsive is 'fit', then apply the
+   * breakpoints for the width the chart is shown at
    */
-  addTitle(title, options = {}) {
-    const titleOptions = {
-      fontSize: '16px',
-      fontWeight: 'bold',
-      textAnchor: 'middle',
-      fill: '#333',
-      ...options
-    };
+  fitToContainer() {
+    const size = this.options.responsive ? this.measureContainer() : null;
 
-    this.svg.append('text')
-      .attr('x', this.options.width / 2)
-      .attr('y', titleOptions.fontSize === '16px' ? 16 : parseInt(titleOptions.fontSize))
-      .style('font-size', titleOptions.fontSize)
-      .style('font-weight', titleOptions.fontWeight)
-      .style('text-anchor', titleOptions.textAnchor)
-      .style('fill', titleOptions.fill)
-      .text(title);
+    if (size && this.options.responsive === 'fit') {
+      this.options.width = size.width;
+      if (size.height > 0) this.options.height = size.height;
+    }
 
-    return this;
+    this.applyBreakpoints(size ? size.width : this.options.width);
   }
 
   /**
-   * Add legend to the chart
+   * Merge in the options of every breakpoint at least as wide as width,
+   * narrowest last, after restoring what the previous match overrode.
+   * Returns whether the matching breakpoints changed.
    */
-  addLegend(items, options = {}) {
-    const legendOptions = {
-      x: this.options.width - 100,
-      y: 30,
-      itemHeight: 20,
-      fontSize: '12px',
-      ...options
-    };
+  applyBreakpoints(width) {
+    const matches = (this.options.breakpoints || [])
+      .filter(breakpoint => width <= breakpoint.maxWidth)
+      .sort((a, b) => b.maxWidth - a.maxWidth);
+    const overrides = Object.assign({}, ...matches.map(breakpoint => breakpoint.options));
+
+    const base = { ...this.options, ...this._breakpointBase };
+    this._breakpointBase = Object.fromEntries(Object.keys(overrides).map(key => [key, base[key]]));
+    this.options = { ...base, ...overrides };
+
+    const previous = this.activeBreakpoints;
+    this.activeBreakpoints = matches;
+    return matches.length !== previous.length || matches.some((breakpoint, i) => breakpoint !== previous[i]);
+  }
+
+  /**
+   * Watch the container of a responsive chart. 'fit' resizes after the
+   * container settles; 'scale' only needs to watch for breakpoints.
+   */
+  observeResize() {
+    this.unobserveResize();
+
+    const { responsive, breakpoints, headless } = this.options;
+    const node = d3.select(this.container).node();
+    if (!responsive || headless || !node || typeof ResizeObserver === 'undefined') return;
+    if (responsive === 'scale' && !(breakpoints && breakpoints.length)) return;
 
-    const legend = this.svg.append('g')
-      .attr('class', 'legend')
-      .attr('transform', `translate(${legendOptions.x}, ${legendOptions.y})`);
+    this.resizeObserver = new ResizeObserver(entries => {
+      const { width, height } = entries[entries.length - 1].contentRect;
+      clearTimeout(this.resizeTimer);
+      this.resizeTimer = setTimeout(() => this.handleResize(width, height), this.options.resizeDelay);
+    });
+    this.resizeObserver.observe(node);
+  }
 
-    const legendItems = legend.selectAll('.legend-item')
-      .data(items)
-      .enter()
-      .append('g')
-      .attr('class', 'legend-item')
-      .attr('transform', (d, i) => `translate(0, ${i * legendOptions.itemHeight})`);
+  /**
+   * Stop watching the container and drop any pending resize
+   */
+  unobserveResize() {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+    clearTimeout(this.resizeTimer);
+  }
 
-    legendItems.append('rect')
-      .attr('width', 12)
-      .attr('height', 12)
-      .attr('fill', d => d.color);
+  /**
+   * React to a debounced container resize
+   */
+  handleResize(width, height) {
+    if (width <= 0) return;
 
-    legendItems.append('text')
-      .attr('x', 16)
-      .attr('y', 9)
-      .style('font-size', legendOptions.fontSize)
-      .style('alignment-baseline', 'middle')
-      .text(d => d.label);
+    if (this.options.responsive === 'fit') {
+      const newHeight = height > 0 ? height : this.options.height;
+      if (width !== this.options.width || newHeight !== this.options.height) {
+        this.resize(width, newHeight);
+      }
+    } else if (this.applyBreakpoints(width)) {
+      this.relayout();
+    }
+  }
 
+  /**
+   * Resize the chart in place and redraw it without replaying animations
+   */
+  resize(width, height = this.options.height) {
+    this.applyBreakpoints(width);
+    this.options.width = width;
+    this.options.height = height;
+    this.relayout();
+    this.emit('resize', { width, height });
     return this;
   }
 
   /**
-   * Add tooltip functionality
+   * Lay the chart out again for its current options and redraw it with every
+   * transition jumped to its end; unlike updateOptions() the SVG, tooltip and
+   * listeners are kept
    */
-  addTooltip() {
-    this.tooltip = d3.select('body')
-      .append('div')
-      .attr('class', 'd3-tooltip')
-      .style('position', 'absolute')
-      .style('visibility', 'hidden')
-      .style('background-color', 'rgba(0, 0, 0, 0.8)')
-      .style('color', 'white')
-      .style('padding', '8px')
-      .style('border-radius', '4px')
-      .style('font-size', '12px')
-      .style('pointer-events', 'none')
-      .style('z-index', '1000');
+  relayout() {
+    this.computeInnerSize();
+    const margin = this.plotMargin;
+
+    this.applySize();
+    this.chartGroup.attr('transform', `translate(${margin.left}, ${margin.top})`);
+    this.refreshLayout();
+
+    if (this.data || this.seriesData) {
+      this.redraw();
+      AnimationUtils.finishTransitions(this.svg.node());
+    }
 
     return this;
   }
 
   /**
-   * Show tooltip
+   * Recompute what a chart derives from its size outside render();
+   * charts that size their scales up front in setupScales() get them rebuilt
    */
-  showTooltip(content, event) {
-    if (this.tooltip) {
-      this.tooltip
-        .style('visibility', 'visible')
-        .html(content)
-        .style('left', (event.pageX + 10) + 'px')
-        .style('top', (event.pageY - 10) + 'px');
+  refreshLayout() {
+    if (typeof this.setupScales === 'function') {
+      this.setupScales();
     }
   }
 
   /**
-   * Hide tooltip
+   * Set data for the chart. Data that fails validation throws a
+   * ChartDataError, unless an 'error' handler (or onError) is registered:
+   * then the error is emitted and render() shows the error state instead.
+   * Numbers given as strings are stored as numbers.
    */
-  hideTooltip() {
-    if (this.tooltip) {
-      this.tooltip.style('visibility', 'hidden');
+  setData(data) {
+    this.sourceData = data;
+    data = coerceData(this.encode(data), this.getDataSchema());
+
+    const error = this.validate(data);
+    if (error && !this.listeners.error) throw error;
+
+    this.data = data;
+    this.dataError = error;
+    if (error) this.emit('error', error);
+    this.emit('dataChange', data);
+    return this;
+  }
+
+  /**
+   * Apply the encoding option: copy data with the field, path or accessor
+   * given for each channel written to the property this chart reads
+   */
+  encode(data, channels = this.getEncodingChannels()) {
+    const { encoding } = this.options;
+    if (!encoding || !channels || data == null) return data;
+
+    const accessors = {};
+    Object.entries(encoding).forEach(([channel, field]) => {
+      if (!encodingChannels.includes(channel)) {
+        throw new Error(`Unknown encoding channel "${channel}"; channels are ${encodingChannels.join(', ')}`);
+      }
+      if (field != null) accessors[channel] = fieldAccessor(field);
+    });
+
+    return encodeData(data, channels, accessors);
+  }
+
+  /**
+   * Where this chart reads each encoding channel: { channel: property }, or
+   * { property: channels } for rows nested under a property. Charts
+   * override this; null ignores the encoding option.
+   */
+  getEncodingChannels() {
+    return null;
+  }
+
+  /**
+   * Check data against the chart's schema. Returns a ChartDataError listing
+   * each offending row and field, or null when the chart can draw the data.
+   */
+  validate(data) {
+    if (!this.options.validate) return null;
+
+    const problems = validateData(data, this.getDataSchema());
+    return problems.length ? new ChartDataError(problems, this) : null;
+  }
+
+  /**
+   * The schema this chart's data must match (see validation.js);
+   * charts override this, and null skips validation
+   */
+  getDataSchema() {
+    return null;
+  }
+
+  /**
+   * Start a render. Every render() begins here: it runs the beforeRender
+   * plugins, shows the error state when the data failed validation, and
+   * clears it once the chart is given good data. Returns whether there is
+   * data to draw.
+   */
+  beginRender() {
+    this.runPlugins('beforeRender');
+
+    if (this.dataError) {
+      this.renderDataError(this.dataError);
+      return false;
+    }
+
+    this.svg.selectAll('.chart-message').remove();
+    return this.hasValidData();
+  }
+
+  /**
+   * Whether the chart has data it can draw
+   */
+  hasValidData() {
+    return !this.dataError && this.data != null;
+  }
+
+  /**
+   * Replace the chart with a message saying its data cannot be drawn:
+   * emptyMessage for no data items, otherwise errorMessage (a string, or a
+   * function given the error) above the first problem found
+   */
+  renderDataError(error) {
+    const { errorMessage, emptyMessage } = this.options;
+    const empty = Array.isArray(this.data) && this.data.length === 0;
+    const chartNode = this.chartGroup.node();
+
+    // Charts that redraw the whole SVG keep their groups beside chartGroup
+    this.clearAnimations();
+    this.hideTooltip();
+    this.svg.selectChildren()
+      .filter(function() { return this !== chartNode && !['style', 'desc'].includes(this.localName); })
+      .remove();
+    this.chartGroup.selectAll('*').remove();
+    if (!chartNode.parentNode) this.svg.append(() => chartNode);
+    this.applyAccessibility();
+
+    const message = this.chartGroup.append('g')
+      .attr('class', 'chart-message')
+      .attr('transform', `translate(${this.innerWidth / 2}, ${this.innerHeight / 2})`)
+      .attr('text-anchor', 'middle');
+
+    message.append('text')
+      .style('font-size', `${this.theme.font.titleSize}px`)
+      .style('fill', this.theme.text)
+      .text(empty ? emptyMessage : typeof errorMessage === 'function' ? errorMessage(error) : errorMessage);
+
+    if (!empty && typeof errorMessage !== 'function') {
+      message.append('text')
+        .attr('y', this.theme.font.titleSize + 8)
+        .style('font-size', `${this.theme.font.size}px`)
+        .style('fill', this.theme.mutedText)
+        .text(error.problems[0].message);
     }
+
+    return this;
   }
 
   /**
-   * Render method to be implemented by subclasses
+   * Get the key function used to join data to marks.
+   * options.key may be a property name or an accessor (d, i) => key;
+   * charts pass their natural identity field as the fallback.
    */
-  render() {
-    throw new Error('render() method must be implemented by subclasses');
+  getKeyAccessor(defaultKey) {
+    const key = this.options.key || defaultKey;
+
+    if (typeof key === 'function') return key;
+    if (typeof key === 'string') return d => d[key];
+    return (d, i) => i;
+  }
+
+  /**
+   * Get the key function used to join hierarchy nodes to marks: options.key,
+   * or the names on the node's path from the root
+   */
+  getNodeKeyAccessor() {
+    return this.getKeyAccessor(d => d.ancestors().map(node => node.data.name).reverse().join('/'));
+  }
+
+  /**
+   * Select a direct child group by class, creating it on first use
+   */
+  getOrCreateGroup(className, parent = this.chartGroup) {
+    let group = parent.selectChild(`.${className}`);
+    if (group.empty()) {
+      group = parent.append('g').attr('class', className);
+    }
+    return group;
+  }
+
+  /**
+   * Whether marks should be drawn to a canvas instead of one SVG element per datum.
+   * Headless renders always use SVG so the output stays a standalone SVG string.
+   */
+  useCanvas() {
+    return this.options.renderer === 'canvas' && !this.options.headless;
+  }
+
+  /**
+   * Get a cleared 2D context for the canvas layer, creating the layer on first use.
+   * The canvas sits in a foreignObject under the chart group, covers the plot area
+   * and shares its coordinate system, so marks can be drawn with the chart's scales.
+   */
+  getCanvasContext() {
+    const margin = this.plotMargin;
+    const ratio = (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+
+    let layer = this.svg.selectChild('.canvas-layer');
+    if (layer.empty()) {
+      layer = this.svg.insert('foreignObject', () => this.chartGroup.node())
+        .attr('class', 'canvas-layer');
+      layer.append('xhtml:canvas')
+        .style('display', 'block');
+    }
+
+    layer
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', this.innerWidth)
+      .attr('height', this.innerHeight);
+
+    // Back the canvas with device pixels so marks stay sharp on high-DPI screens
+    const canvas = layer.select('canvas')
+      .attr('width', Math.round(this.innerWidth * ratio))
+      .attr('height', Math.round(this.innerHeight * ratio))
+      .style('width', `${this.innerWidth}px`)
+      .style('height', `${this.innerHeight}px`);
+
+    const context = canvas.node().getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, this.innerWidth, this.innerHeight);
+
+    return context;
+  }
+
+  /**
+   * Remove the canvas layer, e.g. when switching back to SVG marks
+   */
+  removeCanvasLayer() {
+    this.svg.selectAll('.canvas-layer').remove();
+  }
+
+  /**
+   * Route pointer events on the canvas layer to the datum under the cursor.
+   * find(x, y) receives plot coordinates and returns the datum there, or undefined.
+   * hover is called on every move over a datum (e.g. to place a tooltip),
+   * leave when the cursor moves off it; hover/leave/click events are emitted as usual.
+   */
+  bindCanvasEvents(find, { hover, leave } = {}) {
+    const canvas = this.svg.select('.canvas-layer canvas');
+    let hovered;
+
+    const locate = event => {
+      const [x, y] = d3.pointer(event, canvas.node());
+      return find(x, y);
+    };
+
+    const clearHover = event => {
+      if (hovered === undefined) return;
+      if (leave) leave(hovered, event);
+      this.emit('leave', hovered, event);
+      hovered = undefined;
+    };
+
+    canvas
+      .on('mousemove', event => {
+        const d = locate(event);
+
+        if (d !== hovered) {
+          clearHover(event);
+          if (d !== undefined) {
+            hovered = d;
+            this.emit('hover', d, event);
+          }
+        }
+
+        canvas.style('cursor', d === undefined ? null : 'pointer');
+        if (d !== undefined && hover) hover(d, event);
+      })
+      .on('mouseleave', clearHover)
+      .on('click', event => {
+        const d = locate(event);
+        if (d !== undefined) this.emit('click', d, event);
+      });
+
+    return this;
+  }
+
+  /**
+   * Apply the current theme to the SVG and tooltip.
+   * d3 axes draw with currentColor, so the SVG color themes every axis; a small
+   * stylesheet scoped to this chart sets the axis font over d3's defaults.
+   * Charts that clear the whole SVG call this again after clearing.
+   */
+  applyTheme() {
+    const { theme } = this;
+
+    this.svg
+      .classed(this.themeClass, true)
+      .style('background-color', this.options.backgroundColor || theme.background)
+      .style('color', theme.axis)
+      .style('font-family', theme.font.family);
+
+    let style = this.svg.selectChild('style');
+    if (style.empty()) {
+      style = this.svg.insert('style', ':first-child');
+    }
+    style.text(`.${this.themeClass} .tick text { font-family: ${theme.font.family}; font-size: ${theme.font.axisSize}px; }
+.${this.themeClass} [tabindex]:focus-visible { outline: 2px solid ${theme.accent}; outline-offset: 2px; }`);
+
+    if (this.tooltip) {
+      this.styleTooltip();
+    }
+
+    return this;
+  }
+
+  /**
+   * Switch theme at runtime (a registered name or a theme object) and re-render
+   */
+  setTheme(theme) {
+    this.options.theme = theme;
+    this.theme = resolveTheme(theme);
+    this.applyTheme();
+    this.refreshThemeColors();
+    this.emit('themeChange', this.theme);
+
+    if (this.data || this.seriesData) {
+      this.redraw();
+    }
+
+    return this;
+  }
+
+  /**
+   * Rebuild colors a chart derives from the theme outside render();
+   * charts that build color scales up front override this
+   */
+  refreshThemeColors() {}
+
+  /**
+   * Update chart options
+   */
+  updateOptions(newOptions) {
+    // Start from the options as given, without any breakpoint's overrides
+    this.options = { ...this.options, ...this._breakpointBase, ...newOptions };
+    this._breakpointBase = {};
+    this.activeBreakpoints = [];
+    this.clearAnimations();
+    this.init();
+
+    // Data is stored encoded, so a new encoding starts again from the data as given
+    if ('encoding' in newOptions && this.sourceData != null) {
+      this.setData(this.sourceData);
+    }
+    return this;
+  }
+
+  /**
+   * Describe the chart as a spec createChart() can rebuild it from:
+   * { type, data, options, title, legend }. The data is as given to
+   * setData(), before encoding; options are those in effect outside any
+   * breakpoint, without callbacks, plugins or other values that do not
+   * serialize.
+   */
+  toSpec() {
+    const options = { ...this.options, ...this._breakpointBase };
+    const spec = { type: this.constructor.chartType || null, data: this.sourceData };
+
+    if (options.title != null) spec.title = options.title;
+    spec.legend = options.showLegend !== false;
+    unserializedOptions.forEach(key => delete options[key]);
+    spec.options = plainValue(options);
+
+    return spec;
+  }
+
+  /**
+   * The chart as a standalone SVG document, with transitions finished, page
+   * styles inlined and the background, title and legend included.
+   * Transitions are finished on the chart itself, which jumps to its end state.
+   * background is a CSS color or linear-gradient, or null for none;
+   * title: false leaves out a title the chart does not draw itself.
+   */
+  toSVGString(options = {}) {
+    return serializeSVG(exportSVG(this, options).svg);
+  }
+
+  /**
+   * Resolve to a PNG of the chart, scale times its size, for attaching
+   * to reports or uploading. Takes the toSVGString() options too.
+   */
+  toPNGBlob({ scale = 2, ...options } = {}) {
+    return this.toCanvas(scale, options).then(canvas => new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart could not be encoded as PNG'))), 'image/png');
+    }));
+  }
+
+  /**
+   * Resolve to a data URL of the chart: a PNG, or an SVG with
+   * type 'image/svg+xml'. Takes the toPNGBlob() options.
+   */
+  toDataURL({ type = 'image/png', scale = 2, ...options } = {}) {
+    if (type === 'image/svg+xml') {
+      return Promise.resolve(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVGString(options))}`);
+    }
+    return this.toCanvas(scale, options).then(canvas => canvas.toDataURL(type));
+  }
+
+  /**
+   * Draw the exported SVG onto a canvas
+   */
+  toCanvas(scale, options) {
+    try {
+      const { svg, width, height } = exportSVG(this, options);
+      return rasterizeSVG(serializeSVG(svg), width, height, scale);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Called with the detached copy of the SVG being exported, for charts to
+   * add what they draw outside the SVG, such as an HTML legend
+   */
+  decorateExport() {}
+
+  /**
+   * Get chart dimensions
+   */
+  getDimensions() {
+    return {
+      width: this.innerWidth,
+      height: this.innerHeight,
+      margin: this.options.margin
+    };
+  }
+
+  /**
+   * Rotate an x axis's tick labels by options.xTickRotation degrees;
+   * 0 puts them back level
+   */
+  rotateTickLabels(axisGroup) {
+    const angle = this.options.xTickRotation || 0;
+    const anchor = angle < 0 ? 'end' : 'start';
+
+    axisGroup.selectAll('.tick text')
+      .attr('transform', angle ? `rotate(${angle})` : null)
+      .attr('dx', angle ? `${Math.sign(angle) * 0.8}em` : null)
+      .attr('dy', angle ? '.15em' : '0.71em')
+      .style('text-anchor', angle ? anchor : null);
+
+    return this;
+  }
+
+  /**
+   * Add title to the chart
+   */
+  addTitle(title, options = {}) {
+    const titleOptions = {
+      fontSize: `${this.theme.font.titleSize}px`,
+      fontWeight: 'bold',
+      textAnchor: 'middle',
+      fill: this.theme.text,
+      ...options
+    };
+
+    this.svg.append('text')
+      .attr('x', this.options.width / 2)
+      .attr('y', parseInt(titleOptions.fontSize))
+      .style('font-size', titleOptions.fontSize)
+      .style('font-weight', titleOptions.fontWeight)
+      .style('text-anchor', titleOptions.textAnchor)
+      .style('fill', titleOptions.fill)
+      .text(title);
+
+    return this;
+  }
+
+  /**
+   * Add a legend of items { key, label, color } (see legend.js); key
+   * defaults to the label. Charts that leave out the series hidden from the
+   * legend pass interactive: true so it can toggle them.
+   */
+  addLegend(items, options = {}) {
+    drawLegend(this, items, options);
+    return this;
+  }
+
+  /**
+   * Whether a series is shown, i.e. not hidden from the legend
+   */
+  isSeriesVisible(key) {
+    return !this.hiddenSeries.has(key);
+  }
+
+  /**
+   * Show or hide a series by its legend key, emit 'legendToggle' and redraw
+   * with the axes fitted to the series left. The last series shown stays.
+   */
+  toggleSeries(key, visible = !this.isSeriesVisible(key), event = null) {
+    const keys = this.legendKeys || [];
+    if (!visible && keys.every(other => other === key || this.hiddenSeries.has(other))) return this;
+
+    if (visible) {
+      this.hiddenSeries.delete(key);
+    } else {
+      this.hiddenSeries.add(key);
+    }
+    return this.applySeriesVisibility({ key, visible, isolated: false }, event);
+  }
+
+  /**
+   * Show only one series, or every series when it already is the only one
+   */
+  isolateSeries(key, event = null) {
+    const keys = this.legendKeys || [];
+    const isolated = keys.some(other => other !== key && !this.hiddenSeries.has(other));
+
+    this.hiddenSeries = new Set(isolated ? keys.filter(other => other !== key) : []);
+    return this.applySeriesVisibility({ key, visible: true, isolated }, event);
+  }
+
+  /**
+   * Show every series hidden from the legend
+   */
+  showAllSeries() {
+    this.hiddenSeries.clear();
+    return this.applySeriesVisibility({ key: null, visible: true, isolated: false });
+  }
+
+  /**
+   * The legend keys of the hidden series
+   */
+  getHiddenSeries() {
+    return [...this.hiddenSeries];
+  }
+
+  /**
+   * Emit 'legendToggle' and redraw without replaying entrance animations
+   */
+  applySeriesVisibility(change, event = null) {
+    this.emit('legendToggle', { ...change, hidden: this.getHiddenSeries() }, event);
+
+    if (this.data || this.seriesData) {
+      this.redraw();
+      AnimationUtils.finishTransitions(this.svg.node());
+    }
+    return this;
+  }
+
+  /**
+   * Fade every mark tagged with a data-series other than key; null
+   * restores them
+   */
+  highlightSeries(key) {
+    this.chartGroup.selectAll('[data-series]')
+      .style('opacity', function() {
+        return key == null || this.getAttribute('data-series') === String(key) ? null : DIMMED_OPACITY;
+      });
+    return this;
+  }
+
+  /**
+   * Add tooltip functionality
+   */
+  addTooltip() {
+    getTooltipOptions(this);
+
+    // There is no page to attach a tooltip to when rendering on the server
+    if (this.options.headless) return this;
+
+    this.tooltip = d3.select(this.options.tooltipContainer || 'body')
+      .append('div')
+      .attr('class', 'd3-tooltip')
+      .attr('role', 'tooltip')
+      .style('position', 'absolute')
+      .style('visibility', 'hidden')
+      .style('pointer-events', 'none')
+      .style('z-index', '1000');
+
+    this.tooltipPinned = false;
+    this.tooltipRequest = null;
+
+    // A click on a mark pins its tooltip; the next click anywhere, or
+    // Escape, lets it go
+    const doc = this.tooltip.node().ownerDocument;
+    d3.select(this.container).on('click.tooltip', event => this.handleTooltipClick(event));
+    d3.select(doc)
+      .on(`click.${this.themeClass}`, event => {
+        if (event !== this.tooltipClick) this.unpinTooltip(event);
+      })
+      .on(`keydown.${this.themeClass}`, event => {
+        if (event.key === 'Escape') this.unpinTooltip(event);
+      });
+
+    this.styleTooltip();
+
+    return this;
+  }
+
+  /**
+   * Style the tooltip from the theme
+   */
+  styleTooltip() {
+    const { tooltip } = this.theme;
+
+    this.tooltip
+      .style('background-color', tooltip.background)
+      .style('color', tooltip.color)
+      .style('border', tooltip.border)
+      .style('padding', tooltip.padding)
+      .style('border-radius', tooltip.borderRadius)
+      .style('font-size', tooltip.fontSize)
+      .style('font-family', this.theme.font.family);
+  }
+
+  /**
+   * Show the tooltip for datum beside the pointer or the mark event is on,
+   * flipped away from the edges of the page. content is the chart's own,
+   * which the tooltip option's formatter or template may replace. A pinned
+   * tooltip stays as it is.
+   */
+  showTooltip(content, event, datum) {
+    const options = getTooltipOptions(this);
+    if (!this.tooltip || !options) return;
+
+    this.tooltipRequest = { content, event, datum };
+    if (this.tooltipPinned) return;
+
+    const html = tooltipContent(this, options, content, datum);
+    if (html == null || html === false || html === '') {
+      this.tooltip.style('visibility', 'hidden');
+      return;
+    }
+
+    const node = this.tooltip.html(html).node();
+    const doc = node.ownerDocument;
+    const view = doc.defaultView || {};
+    const position = placeTooltip(
+      tooltipAnchor(event, options.followCursor),
+      { width: node.offsetWidth, height: node.offsetHeight },
+      viewportBounds(doc),
+      options.placement,
+      options.offset
+    );
+
+    // A tooltip outside the page body is placed relative to its container
+    let { x, y } = position;
+    const parent = node.parentNode;
+    if (parent && parent !== doc.body) {
+      const rect = parent.getBoundingClientRect();
+      x -= rect.left;
+      y -= rect.top;
+    } else {
+      x += view.pageXOffset || 0;
+      y += view.pageYOffset || 0;
+    }
+
+    this.tooltip
+      .attr('data-placement', position.side)
+      .style('left', `${x}px`)
+      .style('top', `${y}px`)
+      .style('visibility', 'visible');
+  }
+
+  /**
+   * Hide the tooltip, unless it is pinned
+   */
+  hideTooltip() {
+    this.tooltipRequest = null;
+    if (this.tooltip && !this.tooltipPinned) {
+      this.tooltip.style('visibility', 'hidden');
+    }
+  }
+
+  /**
+   * Pin the tooltip showing, or unpin it: a click on the mark it belongs to
+   * lets it go, a click on another mark pins that one's instead
+   */
+  handleTooltipClick(event) {
+    const options = getTooltipOptions(this);
+    if (!options || !options.pin) return;
+
+    this.tooltipClick = event;
+    const request = this.tooltipRequest;
+    const pinned = this.pinnedTooltip;
+    if (this.tooltipPinned) this.unpinTooltip(event);
+    if (request && (!pinned || request.datum !== pinned.datum || request.content !== pinned.content)) {
+      this.showTooltip(request.content, request.event, request.datum);
+      this.pinTooltip(event);
+    }
+  }
+
+  /**
+   * Keep the tooltip showing, and let the pointer into it to select its
+   * text, until unpinTooltip(). Emits 'tooltipPin' with its datum.
+   */
+  pinTooltip(event = null) {
+    const request = this.tooltipRequest;
+    if (!this.tooltip || this.tooltipPinned || !request || this.tooltip.node().style.visibility === 'hidden') return this;
+
+    this.tooltipPinned = true;
+    this.pinnedTooltip = request;
+    this.tooltip
+      .classed('d3-tooltip-pinned', true)
+      .style('pointer-events', 'auto');
+
+    this.tooltip.append('button')
+      .attr('class', 'd3-tooltip-close')
+      .attr('type', 'button')
+      .attr('aria-label', 'Close')
+      .style('float', 'right')
+      .style('margin-left', '8px')
+      .style('border', 'none')
+      .style('background', 'none')
+      .style('color', 'inherit')
+      .style('cursor', 'pointer')
+      .style('padding', 0)
+      .text('×')
+      .lower()
+      .on('click', closeEvent => {
+        closeEvent.stopPropagation();
+        this.unpinTooltip(closeEvent);
+      });
+
+    this.emit('tooltipPin', request.datum, event);
+    return this;
+  }
+
+  /**
+   * Let a pinned tooltip go and hide it. Emits 'tooltipUnpin' with its datum.
+   */
+  unpinTooltip(event = null) {
+    if (!this.tooltipPinned) return this;
+
+    const { datum } = this.pinnedTooltip;
+    this.tooltipPinned = false;
+    this.pinnedTooltip = null;
+    this.tooltip
+      .classed('d3-tooltip-pinned', false)
+      .style('pointer-events', 'none')
+      .style('visibility', 'hidden');
+    this.tooltip.selectAll('.d3-tooltip-close').remove();
+
+    this.emit('tooltipUnpin', datum, event);
+    return this;
+  }
+
+  /**
+   * Whether a tooltip is pinned open
+   */
+  isTooltipPinned() {
+    return Boolean(this.tooltipPinned);
+  }
+
+  /**
+   * Give the SVG an accessible name and description.
+   * Charts that clear the whole SVG call this again after clearing.
+   */
+  applyAccessibility() {
+    const { ariaLabel, title, description } = this.options;
+    const descId = `${this.themeClass}-desc`;
+
+    this.svg
+      .attr('role', 'img')
+      .attr('aria-label', ariaLabel || title || 'Chart');
+
+    this.svg.selectChild('desc').remove();
+    if (description) {
+      this.svg.insert('desc', ':first-child')
+        .attr('id', descId)
+        .text(description);
+      this.svg.attr('aria-describedby', descId);
+    } else {
+      this.svg.attr('aria-describedby', null);
+    }
+
+    return this;
+  }
+
+  /**
+   * Make marks reachable from the keyboard. Only one mark is in the tab order
+   * at a time; arrow keys, Home and End move focus between marks. Focus and
+   * blur replay the mark's own mouseover/mouseout handlers, so tooltips and
+   * hover styling match the mouse, and Enter or Space replays its click.
+   * The SVG switches from role="img" to a group so its marks stay exposed.
+   */
+  addKeyboardNavigation(marks, label) {
+    const nodes = marks.nodes();
+    if (!this.options.keyboardNavigation || nodes.length === 0) return this;
+
+    const self = this;
+    const replay = (node, type, d) => {
+      const handler = d3.select(node).on(type);
+      if (handler) handler.call(node, this.createFocusEvent(node, type), d);
+    };
+
+    this.svg.attr('role', 'group');
+
+    marks
+      .attr('role', 'img')
+      .attr('aria-label', label)
+      .attr('tabindex', (d, i) => (i === 0 ? 0 : -1))
+      .on('focus.a11y', function(event, d) {
+        nodes.forEach(node => node.setAttribute('tabindex', node === this ? 0 : -1));
+        replay(this, 'mouseover', d);
+      })
+      .on('blur.a11y', function(event, d) {
+        replay(this, 'mouseout', d);
+      })
+      .on('keydown.a11y', function(event, d) {
+        const index = nodes.indexOf(this);
+        const targets = {
+          ArrowRight: index + 1,
+          ArrowDown: index + 1,
+          ArrowLeft: index - 1,
+          ArrowUp: index - 1,
+          Home: 0,
+          End: nodes.length - 1
+        };
+
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          replay(this, 'click', d);
+          self.handleTooltipClick(event);
+        } else if (event.key === 'Escape') {
+          self.hideTooltip();
+        } else if (event.key in targets) {
+          event.preventDefault();
+          const next = nodes[Math.max(0, Math.min(nodes.length - 1, targets[event.key]))];
+          if (next !== this) next.focus();
+        }
+      });
+
+    return this;
+  }
+
+  /**
+   * Stand-in for a mouse event on a mark, positioned at the mark, used when
+   * keyboard focus replays mouse handlers
+   */
+  createFocusEvent(node, type) {
+    const rect = node.getBoundingClientRect();
+    const view = node.ownerDocument.defaultView || {};
+    const clientX = rect.left + rect.width / 2;
+    const clientY = rect.top;
+
+    return {
+      type,
+      target: node,
+      currentTarget: node,
+      clientX,
+      clientY,
+      pageX: clientX + (view.pageXOffset || 0),
+      pageY: clientY + (view.pageYOffset || 0),
+      preventDefault() {},
+      stopPropagation() {}
+    };
+  }
+
+  /**
+   * Register an event handler (click, hover, leave, render, renderEnd, dataChange, error, zoom, brush,
+   * legendToggle, tooltipPin, tooltipUnpin)
+   */
+  on(eventName, handler) {
+    if (typeof handler !== 'function') return this;
+
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(handler);
+
+    return this;
+  }
+
+  /**
+   * Remove an event handler, or every handler for the event when none is given
+   */
+  off(eventName, handler) {
+    if (!this.listeners[eventName]) return this;
+
+    if (handler) {
+      this.listeners[eventName] = this.listeners[eventName]
+        .filter(h => h !== handler && h.originalHandler !== handler);
+    } else {
+      delete this.listeners[eventName];
+    }
+
+    return this;
+  }
+
+  /**
+   * Register an event handler that is removed after its first call
+   */
+  once(eventName, handler) {
+    if (typeof handler !== 'function') return this;
+
+    const wrapper = (...args) => {
+      this.off(eventName, wrapper);
+      handler.apply(this, args);
+    };
+    wrapper.originalHandler = handler;
+
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Call every handler registered for an event with the given arguments,
+   * after the plugins' hook for it (afterRender for render, onDataChange for dataChange).
+   * Emitting render also starts the wait for renderEnd.
+   */
+  emit(eventName, ...args) {
+    // Annotations are drawn over every render, before plugins see it
+    if (eventName === 'render') drawAnnotations(this);
+
+    if (pluginHooks[eventName]) {
+      this.runPlugins(pluginHooks[eventName], ...args);
+    }
+
+    const handlers = this.listeners[eventName];
+    if (handlers) {
+      handlers.slice().forEach(handler => handler.apply(this, args));
+    }
+
+    // After the handlers, so transitions they start are waited for too
+    if (eventName === 'render') this.watchRenderEnd();
+
+    return this;
+  }
+
+  /**
+   * Emit renderEnd once the transitions running after a render have ended:
+   * at once when there are none, otherwise on the first frame they are all done.
+   * Looping 'ambient' transitions are not waited for; a new render starts over.
+   */
+  watchRenderEnd() {
+    this.stopRenderEnd();
+
+    const isMoving = node => node.__transition &&
+      Object.values(node.__transition).some(schedule => schedule.name !== 'ambient');
+    let moving = [this.svg.node(), ...this.svg.node().querySelectorAll('*')].filter(isMoving);
+
+    const settle = () => {
+      moving = moving.filter(isMoving);
+      if (moving.length > 0) return false;
+
+      this.stopRenderEnd();
+      this.emit('renderEnd');
+      return true;
+    };
+
+    if (!settle()) {
+      this.renderEndTimer = d3.timer(settle);
+    }
+  }
+
+  /**
+   * Stop waiting for the last render's transitions, without emitting renderEnd
+   */
+  stopRenderEnd() {
+    if (this.renderEndTimer) {
+      this.renderEndTimer.stop();
+      this.renderEndTimer = null;
+    }
+  }
+
+  /**
+   * Whether transitions should play: animation is enabled and the user has not
+   * asked for reduced motion (unless the config opts out of respecting it)
+   */
+  isAnimated() {
+    const { enabled, respectReducedMotion } = this.animation;
+    return enabled && !(respectReducedMotion && prefersReducedMotion());
+  }
+
+  /**
+   * Length of a transition the chart times at ms, scaled by the configured
+   * duration; 0 when animation is off so marks jump to their end state
+   */
+  getDuration(ms) {
+    return this.isAnimated() ? ms * this.animation.duration / BASE_DURATION : 0;
+  }
+
+  /**
+   * Delay for the i-th item of a staggered transition the chart spaces ms apart
+   */
+  getStagger(i, ms) {
+    if (!this.isAnimated()) return 0;
+    return i * (this.animation.stagger != null ? this.animation.stagger : this.getDuration(ms));
+  }
+
+  /**
+   * The configured easing, or the chart's own
+   */
+  getEasing(fallback = d3.easeCubic) {
+    return this.animation.ease || fallback;
+  }
+
+  /**
+   * Call callback after delay ms on a timer the chart owns. Use this instead of
+   * setTimeout so render(), updateOptions(), destroy() and pause() cancel it.
+   */
+  setTimer(callback, delay = 0) {
+    const timer = d3.timeout(elapsed => {
+      this.timers.delete(timer);
+      callback(elapsed);
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  /**
+   * Register a force simulation so it is stopped with the chart
+   */
+  addSimulation(simulation) {
+    this.simulations.add(simulation);
+    if (this.paused) simulation.stop();
+    return simulation;
+  }
+
+  /**
+   * Start an ambient animation, such as a pulse or flowing particles.
+   * start() is called now and again by resume(); the looping transitions it
+   * schedules must be named 'ambient' so pause() can interrupt them.
+   */
+  addAnimation(start) {
+    if (this.options.headless || !this.isAnimated()) return this;
+
+    this.animations.push(start);
+    if (!this.paused) start();
+    return this;
+  }
+
+  /**
+   * Forget an animation that has run to completion
+   */
+  removeAnimation(start) {
+    this.animations = this.animations.filter(animation => animation !== start);
+    return this;
+  }
+
+  /**
+   * Stop timers, simulations and ambient transitions, keeping them registered
+   */
+  stopAnimations() {
+    this.timers.forEach(timer => timer.stop());
+    this.timers.clear();
+    this.simulations.forEach(simulation => simulation.stop());
+
+    if (this.svg) {
+      this.svg.selectAll('*').interrupt('ambient');
+    }
+  }
+
+  /**
+   * Stop and forget everything the last render started.
+   * Charts with ambient animations call this before redrawing.
+   */
+  clearAnimations() {
+    this.stopAnimations();
+    this.simulations.clear();
+    this.animations = [];
+  }
+
+  /**
+   * Pause ambient animations and force simulations, e.g. while the chart is off screen
+   */
+  pause() {
+    if (this.paused) return this;
+
+    this.paused = true;
+    this.stopAnimations();
+
+    // Declarative SVG animations (<animate>) have their own clock
+    const svg = this.svg && this.svg.node();
+    if (svg && typeof svg.pauseAnimations === 'function') svg.pauseAnimations();
+
+    this.emit('pause');
+    return this;
+  }
+
+  /**
+   * Resume what pause() stopped
+   */
+  resume() {
+    if (!this.paused) return this;
+
+    this.paused = false;
+    this.simulations.forEach(simulation => {
+      if (simulation.alpha() > simulation.alphaMin()) simulation.restart();
+    });
+    this.animations.forEach(start => start());
+
+    const svg = this.svg && this.svg.node();
+    if (svg && typeof svg.unpauseAnimations === 'function') svg.unpauseAnimations();
+
+    this.emit('resume');
+    return this;
+  }
+
+  /**
+   * Describe the chart in plain language, for screen readers and alt text.
+   * verbosity 'brief' gives the headline facts; 'detailed' adds statistics.
+   */
+  describe({ verbosity = 'brief' } = {}) {
+    const name = this.options.ariaLabel || this.options.title;
+    let sentences;
+    if (this.dataError) {
+      sentences = [`The chart cannot show its data: ${this.dataError.problems[0].message}.`];
+    } else if (this.data == null && this.seriesData == null) {
+      // Multi-series charts keep their series apart from this.data
+      sentences = ['The chart has no data.'];
+    } else {
+      sentences = this.summarize(verbosity === 'detailed');
+    }
+
+    return [name ? `${name}.` : null, ...sentences].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Sentences summarizing the data; charts override this with their own summary
+   */
+  summarize() {
+    const count = Array.isArray(this.data) ? this.data.length : Object.keys(this.data).length;
+    return [`Chart with ${count} data ${count === 1 ? 'item' : 'items'}.`];
+  }
+
+  /**
+   * Format a number for summaries
+   */
+  formatNumber(value) {
+    return formatNumber(value);
+  }
+
+  /**
+   * Format a date for tooltips and summaries in the timeZone option: the
+   * browser's zone by default, UTC on a UTC scale. The time of day is shown
+   * unless it is midnight. Values that are not dates are returned as given.
+   */
+  formatDate(value) {
+    if (!(value instanceof Date)) return value;
+
+    const timeZone = this.options.timeZone || (this.timeScaleType === 'utc' ? 'UTC' : undefined);
+    const clock = this.getDateFormat(timeZone, { hourCycle: 'h23', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const parts = { year: 'numeric', month: 'short', day: 'numeric' };
+    if (clock.format(value) !== '00:00:00') {
+      Object.assign(parts, { hour: 'numeric', minute: '2-digit' }, this.options.timeZone && { timeZoneName: 'short' });
+    }
+
+    return this.getDateFormat(timeZone, parts).format(value);
+  }
+
+  /**
+   * Shared Intl.DateTimeFormat for a time zone and set of date parts
+   */
+  getDateFormat(timeZone, parts) {
+    const key = JSON.stringify([timeZone, parts]);
+    if (!dateFormats.has(key)) {
+      dateFormats.set(key, new Intl.DateTimeFormat(parts.hourCycle ? 'en-US' : undefined, { timeZone, ...parts }));
+    }
+    return dateFormats.get(key);
+  }
+
+  /**
+   * The scale type for x values under the xType option: 'time' or 'utc' for
+   * dates, null for numbers. 'auto' uses dates when every value is a Date or
+   * an ISO 8601 string. Dates use a UTC scale for xType 'utc' or timeZone 'UTC'.
+   */
+  getTimeScaleType(values) {
+    const { xType = 'auto', timeZone } = this.options;
+    if (xType === 'linear') return null;
+    if (xType === 'auto' && !(values.length > 0 && values.every(isDateValue))) return null;
+    return xType === 'utc' || timeZone === 'UTC' ? 'utc' : 'time';
+  }
+
+  /**
+   * A continuous x scale for the x values of rows: a time scale for dates
+   * (see getTimeScaleType()), otherwise linear. Sets this.timeScaleType.
+   */
+  createXScale(rows) {
+    this.timeScaleType = this.getTimeScaleType(rows.map(d => d.x));
+    if (this.timeScaleType === 'utc') return d3.scaleUtc();
+    return this.timeScaleType ? d3.scaleTime() : d3.scaleLinear();
+  }
+
+  /**
+   * Rows with field read as a Date, when the chart draws dates; rows that
+   * need no change are kept as they are
+   */
+  parseDates(rows, field = 'x') {
+    if (!this.timeScaleType) return rows;
+    return rows.map(d => (d[field] instanceof Date ? d : { ...d, [field]: this.toDate(d[field]) }));
+  }
+
+  /**
+   * A value read as a Date when the chart draws dates, otherwise as given
+   */
+  toDate(value) {
+    if (!this.timeScaleType || value instanceof Date) return value;
+    return parseDate(value, this.timeScaleType === 'utc');
+  }
+
+  /**
+   * Summarize x/y points: y extremes and the direction of the linear trend
+   */
+  summarizePoints(points, detailed) {
+    const stats = MathUtils.stats(points, 'y');
+    if (!stats) return [];
+
+    const f = value => this.formatNumber(value);
+    const fx = value => (value instanceof Date ? this.formatDate(value) : f(value));
+    const highest = d3.greatest(points, d => d.y);
+    const lowest = d3.least(points, d => d.y);
+    const [xMin, xMax] = d3.extent(points, d => d.x);
+
+    // Dates are regressed in days since the first, for a slope per day
+    const dates = xMin instanceof Date;
+    const regression = MathUtils.linearRegression(dates ? points.map(d => ({ x: (d.x - xMin) / DAY_MS, y: d.y })) : points);
+
+    const sentences = [
+      `Highest value ${f(highest.y)} at x = ${fx(highest.x)}; lowest ${f(lowest.y)} at x = ${fx(lowest.x)}.`
+    ];
+
+    if (regression && Number.isFinite(regression.slope)) {
+      // Call the trend flat when it moves y by less than 5% of its range
+      const change = regression.slope * (xMax - xMin) / (dates ? DAY_MS : 1);
+      const direction = Math.abs(change) <= 0.05 * (stats.max - stats.min) ? 'flat'
+        : change > 0 ? 'rising' : 'falling';
+      const fit = Number.isFinite(regression.rSquared) ? `, R² ${regression.rSquared.toFixed(2)}` : '';
+      sentences.push(`The trend is ${direction} (slope ${f(regression.slope)} per ${dates ? 'day' : 'unit of x'}${fit}).`);
+    }
+
+    if (detailed) {
+      sentences.push(`Mean ${f(stats.mean)}, median ${f(stats.median)}, standard deviation ${f(stats.standardDeviation)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The data as the chart draws it, one flat object per row: bins, running
+   * totals, filled-in matrices and so on rather than the raw input.
+   * Empty while the data is invalid.
+   */
+  getRenderedData() {
+    return this.dataError ? [] : this.tabulate();
+  }
+
+  /**
+   * Rows for getRenderedData(); charts that derive what they draw override
+   * this, the rest draw their data as given
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return [].concat(this.data).map(row => (row !== null && typeof row === 'object' ? { ...row } : { value: row }));
+  }
+
+  /**
+   * getRenderedData() as CSV text, for an "export data" button.
+   * options.columns picks and orders the columns; options.delimiter
+   * defaults to ','.
+   */
+  toCSV(options = {}) {
+    return DataUtils.toCSV(this.getRenderedData(), options);
+  }
+
+  /**
+   * Render method to be implemented by subclasses
+   */
+  render() {
+    throw new Error('render() method must be implemented by subclasses');
+  }
+
+  /**
+   * Draw the chart again the way it was last drawn;
+   * charts with more than one render method override this
+   */
+  redraw() {
+    return this.render();
   }
 
   /**
    * Destroy the chart and clean up
    */
   destroy() {
+    this.runPlugins('beforeDestroy');
+    this.clearAnimations();
+    this.stopRenderEnd();
+    this.unobserveResize();
     if (this.tooltip) {
+      d3.select(this.tooltip.node().ownerDocument).on(`.${this.themeClass}`, null);
+      d3.select(this.container).on('click.tooltip', null);
       this.tooltip.remove();
     }
     d3.select(this.container).selectAll('*').remove();
+    this.listeners = {};
   }
 }
 
@@ -19,7 +19,6 @@ class CalendarHeatmapChart extends BaseChart {
       showMonthLabels: true,
       showWeekdayLabels: true,
       showYearLabel: true,
-      animated: true,
       year: new Date().getFullYear(),
       ...options
     };
@@ -161,7 +160,7 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('text-anchor', 'end')
       .attr('dominant-baseline', 'middle')
       .style('font-size', '10px')
-      .style('fill', '#666')
+      .style('fill', this.theme.mutedText)
       .style('font-family', 'monospace')
       .text(d => d);
   }
@@ -178,7 +177,7 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('x', d => this.xScale(d))
       .attr('y', -10)
       .style('font-size', '10px')
-      .style('fill', '#666')
+      .style('fill', this.theme.mutedText)
       .style('font-family', 'monospace')
       .text(d => d3.timeFormat('%b')(d));
   }
@@ -193,7 +192,7 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('y', this.options.height - 10)
       .style('font-size', '12px')
       .style('font-weight', 'bold')
-      .style('fill', '#333')
+      .style('fill', this.theme.text)
       .text(this.year);
   }
 
@@ -209,14 +208,14 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('x', 0)
       .attr('y', -5)
       .style('font-size', '10px')
-      .style('fill', '#666')
+      .style('fill', this.theme.mutedText)
       .text('Less');
 
     legendGroup.append('text')
       .attr('x', 80)
       .attr('y', -5)
       .style('font-size', '10px')
-      .style('fill', '#666')
+      .style('fill', this.theme.mutedText)
       .text('More');
 
     const colorScheme = this.colorSchemes[this.options.colorScheme];
@@ -230,18 +229,32 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('width', 10)
       .attr('height', 10)
       .attr('fill', d => d)
-      .attr('stroke', '#ccc')
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', 0.5);
   }
 
+  /**
+   * Rows of { date, value }
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      rows: { type: 'object', fields: { date: 'date', value: 'number' } }
+    };
+  }
+
+  /**
+   * Days read x as their date
+   */
+  getEncodingChannels() {
+    return { x: 'date', value: 'value' };
+  }
+
   /**
    * Render the calendar heatmap
    */
   render() {
-    if (!this.data) {
-      console.warn('No data provided to CalendarHeatmapChart');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
     // Process data into a map for quick lookup
     this.dataMap = new Map();
@@ -275,7 +288,7 @@ class CalendarHeatmapChart extends BaseChart {
       .attr('height', this.cellSize)
       .attr('rx', 2)
       .attr('ry', 2)
-      .attr('stroke', '#ccc')
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', 0.5);
 
     // Merge and update all cells
@@ -289,40 +302,51 @@ class CalendarHeatmapChart extends BaseChart {
       });
 
     // Add interactions
-    if (this.options.showTooltip) {
-      cellsUpdate
-        .on('mouseover', (event, d) => {
-          const dateStr = d3.timeFormat('%Y-%m-%d')(d);
-          const value = this.dataMap.get(dateStr) || 0;
+    cellsUpdate
+      .on('mouseover', (event, d) => {
+        const value = this.getDataForDate(d);
+
+        if (this.options.showTooltip) {
           const formattedDate = d3.timeFormat('%B %d, %Y')(d);
-          
+
           this.showTooltip(
             `<strong>${formattedDate}</strong><br/>Value: ${value}`,
-            event
+            event,
+            { date: d, value }
           );
-          
-          d3.select(event.target)
-            .attr('stroke', '#333')
-            .attr('stroke-width', 2);
-        })
-        .on('mouseout', (event) => {
-          this.hideTooltip();
-          d3.select(event.target)
-            .attr('stroke', '#ccc')
-            .attr('stroke-width', 0.5);
-        });
-    }
+        }
+        
+        d3.select(event.target)
+          .attr('stroke', this.theme.text)
+          .attr('stroke-width', 2);
+
+        this.emit('hover', { date: d, value }, event);
+      })
+      .on('mouseout', (event, d) => {
+        this.hideTooltip();
+        d3.select(event.target)
+          .attr('stroke', this.theme.line)
+          .attr('stroke-width', 0.5);
+
+        this.emit('leave', { date: d, value: this.getDataForDate(d) }, event);
+      })
+      .on('click', (event, d) => {
+        this.emit('click', { date: d, value: this.getDataForDate(d) }, event);
+      });
+    this.addKeyboardNavigation(cellsUpdate, d => `${d3.timeFormat('%B %d, %Y')(d)}: ${this.getDataForDate(d)}`);
 
     // Add animations
-    if (this.options.animated) {
+    if (this.isAnimated()) {
       cellsEnter
         .style('opacity', 0)
         .transition()
-        .duration(50)
-        .delay((d, i) => i * 2)
+        .duration(this.getDuration(50))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 2))
         .style('opacity', 1);
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -346,6 +370,43 @@ class CalendarHeatmapChart extends BaseChart {
     return this;
   }
 
+  /**
+   * Summarize the days of the year shown that have values for describe()
+   */
+  summarize(detailed) {
+    const days = this.data
+      .map(d => ({ date: typeof d.date === 'string' ? new Date(d.date) : d.date, value: d.value || 0 }))
+      .filter(d => d.date.getFullYear() === this.year);
+    const dayCount = d3.timeDays(this.yearStart, new Date(this.year + 1, 0, 1)).length;
+    if (days.length === 0) return [`Calendar heatmap of ${this.year} with no values.`];
+
+    const f = value => this.formatNumber(value);
+    const highest = d3.greatest(days, d => d.value);
+    const sentences = [
+      `Calendar heatmap of ${this.year} with values on ${days.length} of ${dayCount} days, totalling ${f(d3.sum(days, d => d.value))}.`,
+      `Highest: ${d3.timeFormat('%B %d')(highest.date)} with ${f(highest.value)}.`
+    ];
+
+    if (detailed) {
+      const months = d3.rollups(days, values => d3.sum(values, d => d.value), d => d.date.getMonth());
+      const [month, monthTotal] = d3.greatest(months, ([, total]) => total);
+      sentences.push(`Busiest month: ${d3.timeFormat('%B')(new Date(this.year, month, 1))} with ${f(monthTotal)}; mean ${f(d3.mean(days, d => d.value))} per day with a value.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per day of the year shown, 0 where there is no data
+   */
+  tabulate() {
+    if (!this.dataMap) return [];
+
+    const format = d3.timeFormat('%Y-%m-%d');
+    return d3.timeDays(this.yearStart, new Date(this.year + 1, 0, 1))
+      .map(day => ({ date: format(day), value: this.dataMap.get(format(day)) || 0 }));
+  }
+
   /**
    * Update data and re-render
    */
@@ -382,6 +443,7 @@ class CalendarHeatmapChart extends BaseChart {
       this.data.push({ date: new Date(date), value });
     }
     
+    this.emit('dataChange', this.data);
     this.render();
     return this;
   }
@@ -5,6 +5,9 @@ import { ColorUtils, AnimationUtils } from '../utils/index.js';
 /**
  * ChordDiagramChart - Creates a chord diagram for visualizing relationships between trust components
  * Extends BaseChart to inherit common functionality
+ *
+ * Data format: { matrix: number[][], labels: string[] }, a square matrix of
+ * flows from each row's group to each column's, or economic data
  */
 class ChordDiagramChart extends BaseChart {
   constructor(container, options = {}) {
@@ -39,10 +42,12 @@ class ChordDiagramChart extends BaseChart {
       this.options.warningColor
     ];
     this.id = Math.random().toString(36).substr(2, 9);
+    this.addTooltip();
   }
 
   /**
-   * Process economic data into chord matrix
+   * The chord matrix and its labels: as given in { matrix, labels }, or
+   * worked out from economic data
    */
   processData(data) {
     if (!data) {
@@ -50,6 +55,15 @@ class ChordDiagramChart extends BaseChart {
       return { matrix: [], labels: this.labels };
     }
 
+    if (data.matrix) {
+      const matrix = data.matrix.map(row => row.map(Number));
+      return {
+        matrix,
+        labels: (data.labels || matrix.map((row, i) => `Group ${i + 1}`)).map(String),
+        totalFlow: d3.sum(matrix.flat())
+      };
+    }
+
     // Handle different data formats
     let economicData = data;
     if (data.data) {
@@ -147,15 +161,16 @@ class ChordDiagramChart extends BaseChart {
 
     // Group arcs
     groups.append('path')
-      .attr('fill', (d, i) => `url(#chord-gradient-${this.id}-${i})`)
-      .attr('stroke', (d, i) => this.colors[i])
+      .attr('fill', (d, i) => `url(#chord-gradient-${this.id}-${i % this.colors.length})`)
+      .attr('stroke', (d, i) => this.getGroupColor(i))
       .attr('stroke-width', 2)
       .attr('d', arc)
       .style('opacity', 0)
       .style('filter', `url(#chord-glow-${this.id})`)
       .transition()
-      .delay((d, i) => i * this.options.groupAnimationDelay)
-      .duration(800)
+      .delay((d, i) => this.getStagger(i, this.options.groupAnimationDelay))
+      .duration(this.getDuration(800))
+      .ease(this.getEasing())
       .style('opacity', 0.8);
 
     // Group labels
@@ -171,12 +186,13 @@ class ChordDiagramChart extends BaseChart {
       })
       .attr('font-size', '11px')
       .attr('font-weight', 'bold')
-      .attr('fill', '#1e293b')
+      .attr('fill', this.theme.text)
       .style('opacity', 0)
       .text((d, i) => this.processedData.labels[i])
       .transition()
-      .delay((d, i) => i * this.options.groupAnimationDelay + 400)
-      .duration(600)
+      .delay((d, i) => this.getStagger(i, this.options.groupAnimationDelay) + this.getDuration(400))
+      .duration(this.getDuration(600))
+      .ease(this.getEasing())
       .style('opacity', 1);
 
     return groups;
@@ -194,8 +210,8 @@ class ChordDiagramChart extends BaseChart {
       .enter()
       .append('path')
       .attr('class', 'chord-path')
-      .attr('fill', (d) => this.colors[d.source.index])
-      .attr('stroke', (d) => this.colors[d.source.index])
+      .attr('fill', (d) => this.getGroupColor(d.source.index))
+      .attr('stroke', (d) => this.getGroupColor(d.source.index))
       .attr('stroke-width', 1)
       .attr('opacity', 0.6)
       .attr('d', ribbon)
@@ -205,8 +221,9 @@ class ChordDiagramChart extends BaseChart {
     // Animate chords
     chordPaths
       .transition()
-      .delay(this.options.chordAnimationDelay)
-      .duration(this.options.animationDuration)
+      .delay(this.getDuration(this.options.chordAnimationDelay))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .style('opacity', 0.6);
 
     return chordPaths;
@@ -216,8 +233,6 @@ class ChordDiagramChart extends BaseChart {
    * Add hover interactions
    */
   addInteractions(groups, chordPaths) {
-    if (!this.options.showTooltip) return;
-
     const self = this;
     
     groups
@@ -230,46 +245,27 @@ class ChordDiagramChart extends BaseChart {
             return (chord.source.index === groupIndex || chord.target.index === groupIndex) ? 0.8 : 0.1;
           });
         
-        self.showTooltip(event, d);
+        if (self.options.showTooltip) {
+          const label = self.processedData.labels[d.index].replace(/\n/g, ' ');
+          self.showTooltip(`<strong>${label}</strong><br/>${self.formatCurrency(d.value)}`, event, d);
+        }
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
+      .on('mouseout', function(event, d) {
         chordPaths.style('opacity', 0.6);
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
-  }
 
-  /**
-   * Show tooltip for group
-   */
-  showTooltip(event, d) {
-    const tooltip = this.chartGroup.append('g')
-      .attr('class', 'chord-tooltip');
-    
-    const value = d.value;
-    const text = this.formatCurrency(value);
-    const bbox = this.getTextBBox(text, '11px');
-    
-    tooltip.append('rect')
-      .attr('x', -bbox.width / 2 - 5)
-      .attr('y', -bbox.height / 2 - 2)
-      .attr('width', bbox.width + 10)
-      .attr('height', bbox.height + 4)
-      .attr('fill', 'rgba(0,0,0,0.8)')
-      .attr('rx', 4);
-    
-    tooltip.append('text')
-      .attr('text-anchor', 'middle')
-      .attr('dy', '0.35em')
-      .attr('fill', 'white')
-      .attr('font-size', '11px')
-      .text(text);
-  }
+    chordPaths
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
+      });
 
-  /**
-   * Hide tooltip
-   */
-  hideTooltip() {
-    this.chartGroup.selectAll('.chord-tooltip').remove();
+    this.addKeyboardNavigation(groups, d => `${this.processedData.labels[d.index].replace(/\n/g, ' ')}: ${this.formatCurrency(d.value)}`);
   }
 
   /**
@@ -287,7 +283,7 @@ class ChordDiagramChart extends BaseChart {
       .attr('dy', '-0.5em')
       .attr('font-size', '14px')
       .attr('font-weight', 'bold')
-      .attr('fill', '#1e293b')
+      .attr('fill', this.theme.text)
       .text(this.options.title);
     
     centerGroup.append('text')
@@ -310,6 +306,13 @@ class ChordDiagramChart extends BaseChart {
       .text(`Total Flow: ${this.formatCurrency(this.processedData.totalFlow)}`);
   }
 
+  /**
+   * Color of the i-th group; the colors repeat for matrices with more rows
+   */
+  getGroupColor(i) {
+    return this.colors[i % this.colors.length];
+  }
+
   /**
    * Format currency values
    */
@@ -322,21 +325,6 @@ class ChordDiagramChart extends BaseChart {
     }).format(value);
   }
 
-  /**
-   * Get text bounding box
-   */
-  getTextBBox(text, fontSize) {
-    const tempText = this.svg.append('text')
-      .attr('font-size', fontSize)
-      .text(text)
-      .style('opacity', 0);
-    
-    const bbox = tempText.node().getBBox();
-    tempText.remove();
-    
-    return bbox;
-  }
-
   /**
    * Clear the chart content
    */
@@ -346,14 +334,60 @@ class ChordDiagramChart extends BaseChart {
     }
   }
 
+  /**
+   * A square matrix of flows with a label per row, or economic data, where
+   * every figure the diagram needs has a fallback
+   */
+  getDataSchema() {
+    const schedule = {
+      type: 'array',
+      required: false,
+      rows: {
+        type: 'object',
+        fields: {
+          remainder: { type: 'number', required: false },
+          distribution: { type: 'number', required: false }
+        }
+      }
+    };
+
+    return {
+      type: 'object',
+      fields: {
+        matrix: { type: 'array', minLength: 1, required: false, rows: { type: 'array', rows: { type: 'number', min: 0 } } },
+        labels: { type: 'array', required: false, rows: 'label' },
+        economicSchedule: schedule,
+        data: { type: 'object', required: false, fields: { economicSchedule: schedule } }
+      },
+      rules: [
+        ({ matrix = [] }) => matrix
+          .map((row, i) => ({ row, i }))
+          .filter(({ row }) => row.length !== matrix.length)
+          .map(({ i }) => ({ path: `matrix.${i}`, message: `should have ${matrix.length} values, one per row` })),
+        ({ matrix, labels }) => {
+          if (!labels) return [];
+          if (!matrix) return [{ path: 'labels', message: 'label the rows of a matrix, which is missing' }];
+          return labels.length === matrix.length
+            ? []
+            : [{ path: 'labels', message: `should have ${matrix.length} labels, one per row of the matrix` }];
+        }
+      ]
+    };
+  }
+
+  /**
+   * Schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    const schedule = { value: 'remainder' };
+    return { economicSchedule: schedule, data: { economicSchedule: schedule } };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) {
-      console.warn('ChordDiagramChart: No data to render');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
     // Clear previous render
     this.clear();
@@ -391,9 +425,48 @@ class ChordDiagramChart extends BaseChart {
     this.addInteractions(groups, chordPaths);
     this.renderCenterInfo();
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the groups and the largest flow between them for describe()
+   */
+  summarize(detailed) {
+    const { matrix, labels } = this.processData(this.data);
+    if (matrix.length === 0) return ['Chord diagram with no groups.'];
+
+    const f = value => this.formatCurrency(value);
+    const names = labels.map(label => label.replace(/\n/g, ' '));
+    const totals = matrix.map((row, i) => ({ name: names[i], total: d3.sum(row) }));
+    const flows = matrix.flatMap((row, i) => row.map((value, j) => ({ source: names[i], target: names[j], value })));
+    const largest = d3.greatest(flows, d => d.value);
+    const sentences = [
+      `Chord diagram of ${matrix.length} groups with flows totalling ${f(d3.sum(totals, d => d.total))}.`,
+      `Largest flow: ${largest.source} to ${largest.target} (${f(largest.value)}).`
+    ];
+
+    if (detailed) {
+      sentences.push(`Outgoing totals: ${totals.map(d => `${d.name} ${f(d.total)}`).join(', ')}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The flow matrix: a row per component, with a column for each
+   */
+  tabulate() {
+    if (this.data == null) return [];
+
+    const { matrix, labels } = this.processData(this.data);
+    const names = labels.map(label => label.replace(/\n/g, ' '));
+    return matrix.map((row, i) => ({
+      component: names[i],
+      ...Object.fromEntries(names.map((name, j) => [name, row[j]]))
+    }));
+  }
+
   /**
    * Update chart with new data
    */
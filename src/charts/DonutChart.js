@@ -11,7 +11,7 @@ class DonutChart extends PieChart {
       showCenterText: true,
       centerText: '',
       centerTextSize: '24px',
-      centerTextColor: '#333',
+      centerTextColor: null, // Defaults to the theme's text color
       ...options
     };
     
@@ -22,10 +22,7 @@ class DonutChart extends PieChart {
    * Render the donut chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for DonutChart');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
     // Calculate radius if not provided
     const outerRadius = this.options.outerRadius || 
@@ -54,7 +51,10 @@ class DonutChart extends PieChart {
     const centerX = this.innerWidth / 2;
     const centerY = this.innerHeight / 2;
 
-    const centerGroup = this.chartGroup.select('g')
+    // Re-append so the text stays above any newly entered slices
+    this.chartGroup.select('.center-text').remove();
+
+    const centerGroup = this.getOrCreateGroup('pie-group')
       .append('g')
       .attr('class', 'center-text');
 
@@ -67,7 +67,7 @@ class DonutChart extends PieChart {
       .attr('alignment-baseline', 'middle')
       .style('font-size', this.options.centerTextSize)
       .style('font-weight', 'bold')
-      .style('fill', this.options.centerTextColor)
+      .style('fill', this.options.centerTextColor || this.theme.text)
       .text(centerText);
 
     // Optional subtitle
@@ -78,7 +78,7 @@ class DonutChart extends PieChart {
         .attr('alignment-baseline', 'middle')
         .attr('dy', '1.5em')
         .style('font-size', '14px')
-        .style('fill', '#666')
+        .style('fill', this.theme.mutedText)
         .text(this.options.centerSubtext);
     }
   }
@@ -108,7 +108,7 @@ class DonutChart extends PieChart {
             .attr('alignment-baseline', 'middle')
             .attr('dy', '1.5em')
             .style('font-size', '14px')
-            .style('fill', '#666');
+            .style('fill', this.theme.mutedText);
         }
         subtextElement.text(subtext);
       }
@@ -122,8 +122,8 @@ class DonutChart extends PieChart {
    */
   renderProgress(value, total, options = {}) {
     const progressOptions = {
-      progressColor: '#3498db',
-      remainingColor: '#ecf0f1',
+      progressColor: this.theme.primary,
+      remainingColor: this.theme.grid,
       showPercentage: true,
       ...options
     };
@@ -151,35 +151,70 @@ class DonutChart extends PieChart {
   }
 
   /**
-   * Create animated progress donut
+   * Create animated progress donut. A run still going from an earlier call is
+   * stopped first, so the two don't fight over the arc.
    */
   animateProgress(targetValue, total, duration = 2000, options = {}) {
     const progressOptions = {
-      progressColor: '#3498db',
-      remainingColor: '#ecf0f1',
+      progressColor: this.theme.primary,
+      remainingColor: this.theme.grid,
       ...options
     };
 
+    this.stopProgress();
+
+    if (!this.isAnimated()) {
+      return this.renderProgress(targetValue, total, progressOptions);
+    }
+
     // Start with 0 progress
     this.renderProgress(0, total, progressOptions);
+    const length = this.getDuration(duration);
 
-    // Animate to target value
-    const self = this;
-    const startTime = Date.now();
+    // Animate to target value, carrying on from where pause() stopped it
+    let elapsed = 0;
+    const run = {};
 
-    function animate() {
-      const elapsed = Date.now() - startTime;
-      const progress = Math.min(elapsed / duration, 1);
-      const currentValue = targetValue * progress;
+    const start = () => {
+      const startTime = Date.now() - elapsed;
 
-      self.renderProgress(currentValue, total, progressOptions);
+      const animate = () => {
+        elapsed = Date.now() - startTime;
+        const progress = Math.min(elapsed / length, 1);
+        const currentValue = targetValue * progress;
 
-      if (progress < 1) {
-        requestAnimationFrame(animate);
-      }
-    }
+        this.renderProgress(currentValue, total, progressOptions);
+
+        if (progress < 1) {
+          run.timer = this.setTimer(animate);
+        } else {
+          this.removeAnimation(start);
+          this.progressRun = null;
+        }
+      };
 
-    requestAnimationFrame(animate);
+      run.timer = this.setTimer(animate);
+    };
+
+    run.start = start;
+    this.progressRun = run;
+    this.addAnimation(start);
+    return this;
+  }
+
+  /**
+   * Stop the run animateProgress() started, leaving the arc where it is
+   */
+  stopProgress() {
+    const run = this.progressRun;
+    if (!run) return this;
+
+    if (run.timer) {
+      run.timer.stop();
+      this.timers.delete(run.timer);
+    }
+    this.removeAnimation(run.start);
+    this.progressRun = null;
     return this;
   }
 
@@ -195,7 +230,8 @@ class DonutChart extends PieChart {
         // Highlight segment
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .style('opacity', 0.8);
 
         // Update center text with segment info
@@ -204,13 +240,15 @@ class DonutChart extends PieChart {
 
         // Show tooltip
         const tooltipContent = `${d.data.label}: ${d.data.value} (${percentage}%)`;
-        self.showTooltip(tooltipContent, event);
+        self.showTooltip(tooltipContent, event, d.data);
+        self.emit('hover', d.data, event);
       })
       .on('mouseout', function(event, d) {
         // Reset segment
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .style('opacity', 1);
 
         // Reset center text
@@ -218,6 +256,7 @@ class DonutChart extends PieChart {
         self.updateCenterText(centerText, self.options.centerSubtext);
 
         self.hideTooltip();
+        self.emit('leave', d.data, event);
       });
 
     return this;
@@ -227,6 +266,8 @@ class DonutChart extends PieChart {
    * Create multi-level donut chart
    */
   renderMultiLevel(innerData, outerData) {
+    this.runPlugins('beforeRender');
+
     // Clear previous chart
     this.chartGroup.selectAll('*').remove();
 
@@ -238,11 +279,12 @@ class DonutChart extends PieChart {
       .attr('transform', `translate(${centerX}, ${centerY})`);
 
     // Inner donut
-    this.renderDonutLevel(chartCenter, innerData, maxRadius * 0.3, maxRadius * 0.6, 'inner');
+    this.renderDonutLevel(chartCenter, this.encode(innerData), maxRadius * 0.3, maxRadius * 0.6, 'inner');
 
     // Outer donut
-    this.renderDonutLevel(chartCenter, outerData, maxRadius * 0.7, maxRadius, 'outer');
+    this.renderDonutLevel(chartCenter, this.encode(outerData), maxRadius * 0.7, maxRadius, 'outer');
 
+    this.emit('render');
     return this;
   }
 
@@ -258,7 +300,7 @@ class DonutChart extends PieChart {
       .innerRadius(innerRadius)
       .outerRadius(outerRadius);
 
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+    const colorScale = d3.scaleOrdinal(this.options.colors || this.theme.palette);
 
     const slices = container.selectAll(`.${className}-slice`)
       .data(pie(data))
@@ -268,12 +310,16 @@ class DonutChart extends PieChart {
 
     slices.append('path')
       .attr('fill', (d, i) => colorScale(i))
-      .attr('stroke', '#fff')
+      .attr('stroke', this.theme.stroke)
       .attr('stroke-width', 2)
       .attr('d', arc)
+      .on('mouseover', (event, d) => this.emit('hover', d.data, event))
+      .on('mouseout', (event, d) => this.emit('leave', d.data, event))
+      .on('click', (event, d) => this.emit('click', d.data, event))
       .each(function(d) { this._current = { startAngle: 0, endAngle: 0 }; })
       .transition()
-      .duration(1000)
+      .duration(this.getDuration(1000))
+      .ease(this.getEasing())
       .attrTween('d', function(d) {
         const interpolate = d3.interpolate(this._current, d);
         this._current = interpolate(0);
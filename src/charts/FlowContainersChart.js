@@ -137,32 +137,37 @@ class FlowContainersChart extends BaseChart {
   createSparkles(mainGroup) {
     if (!this.options.showSparkles) return;
 
+    const self = this;
     const sparkleGroup = mainGroup.append("g").attr("class", "sparkles");
     
     const { width, height } = this.options;
     
     for (let i = 0; i < this.options.sparkleCount; i++) {
-      sparkleGroup.append("circle")
+      const sparkle = sparkleGroup.append("circle")
         .attr("cx", Math.random() * width)
         .attr("cy", Math.random() * height)
         .attr("r", Math.random() * 3 + 1)
         .attr("fill", "#fbbf24")
         .attr("opacity", Math.random() * 0.5 + 0.2)
-        .attr("filter", "url(#glow)")
-        .transition()
-        .duration(2000 + Math.random() * 3000)
-        .ease(d3.easeSinInOut)
-        .attr("cy", Math.random() * height)
-        .attr("opacity", Math.random() * 0.3 + 0.1)
-        .on("end", function repeat() {
-          d3.select(this)
-            .transition()
-            .duration(2000 + Math.random() * 3000)
-            .ease(d3.easeSinInOut)
-            .attr("cy", Math.random() * height)
-            .attr("opacity", Math.random() * 0.5 + 0.2)
-            .on("end", repeat);
-        });
+        .attr("filter", "url(#glow)");
+
+      this.addAnimation(() => {
+        sparkle
+          .transition('ambient')
+          .duration(this.getDuration(2000 + Math.random() * 3000))
+          .ease(this.getEasing(d3.easeSinInOut))
+          .attr("cy", Math.random() * height)
+          .attr("opacity", Math.random() * 0.3 + 0.1)
+          .on("end", function repeat() {
+            d3.select(this)
+              .transition('ambient')
+              .duration(self.getDuration(2000 + Math.random() * 3000))
+              .ease(self.getEasing(d3.easeSinInOut))
+              .attr("cy", Math.random() * height)
+              .attr("opacity", Math.random() * 0.5 + 0.2)
+              .on("end", repeat);
+          });
+      });
     }
   }
 
@@ -182,7 +187,10 @@ class FlowContainersChart extends BaseChart {
       .enter()
       .append("g")
       .attr("class", "container-group")
-      .attr("transform", (d, i) => `translate(${startX + i * this.options.containerSpacing}, 200)`);
+      .attr("transform", (d, i) => `translate(${startX + i * this.options.containerSpacing}, 200)`)
+      .on('mouseover', (event, d) => this.emit('hover', d, event))
+      .on('mouseout', (event, d) => this.emit('leave', d, event))
+      .on('click', (event, d) => this.emit('click', d, event));
 
     // Draw bucket-shaped container outlines
     containerGroups.append("path")
@@ -222,7 +230,7 @@ class FlowContainersChart extends BaseChart {
       .attr("text-anchor", "middle")
       .attr("font-size", "12px")
       .attr("font-weight", "bold")
-      .attr("fill", "#374151")
+      .attr("fill", this.theme.text)
       .text("$0");
 
     // Create sub-groups for different elements
@@ -257,6 +265,7 @@ class FlowContainersChart extends BaseChart {
 
     // Initialize fill elements
     this.initializeFillElements(containerGroups);
+    this.addKeyboardNavigation(containerGroups, (d, i) => `${d.label}: $${Math.round(maxValues[i]).toLocaleString()} in total`);
 
     return { containerGroups, maxValues };
   }
@@ -345,13 +354,16 @@ class FlowContainersChart extends BaseChart {
 
     // Continue to next year
     const totalCurrentValue = this.containers.reduce((sum, c) => sum + Math.abs(yearData[c.key] || 0), 0);
-    const delay = totalCurrentValue > 0 ? this.options.animationDuration + 1000 : 500;
+    const delay = this.getDuration(totalCurrentValue > 0 ? this.options.animationDuration + 1000 : 500);
     
-    d3.timeout(() => {
+    // Registered as an animation so resume() picks the sequence up again after pause()
+    const nextYear = () => this.setTimer(() => {
+      this.removeAnimation(nextYear);
       if (this.isAnimating) {
         this.animateYear(yearIndex + 1, data, containerGroups, maxValues, mainGroup);
       }
     }, delay);
+    this.addAnimation(nextYear);
   }
 
   /**
@@ -370,7 +382,8 @@ class FlowContainersChart extends BaseChart {
       .attr("stroke-width", 2)
       .attr("opacity", 0)
       .transition()
-      .duration(500)
+      .duration(this.getDuration(500))
+      .ease(this.getEasing())
       .attr("opacity", currentValue > 0 ? 0.4 : 0);
 
     if (this.options.showYearLabels) {
@@ -383,15 +396,16 @@ class FlowContainersChart extends BaseChart {
         .attr("opacity", 0)
         .text(`Y${yearIndex + 1}`)
         .transition()
-        .duration(500)
+        .duration(this.getDuration(500))
+        .ease(this.getEasing())
         .attr("opacity", currentValue > 0 ? 0.9 : 0);
     }
 
     // Animate liquid fill
     containerGroup.select(".fill-background")
       .transition()
-      .duration(this.options.animationDuration * 1.5)
-      .ease(d3.easeExpOut)
+      .duration(this.getDuration(this.options.animationDuration * 1.5))
+      .ease(this.getEasing(d3.easeExpOut))
       .attr("y", this.options.containerHeight - fillHeight)
       .attr("height", fillHeight)
       .attr("opacity", fillHeight > 0 ? 0.25 : 0.15);
@@ -399,8 +413,8 @@ class FlowContainersChart extends BaseChart {
     // Animate liquid surface
     containerGroup.select(".liquid-surface")
       .transition()
-      .duration(this.options.animationDuration * 1.5)
-      .ease(d3.easeExpOut)
+      .duration(this.getDuration(this.options.animationDuration * 1.5))
+      .ease(this.getEasing(d3.easeExpOut))
       .attr("cy", this.options.containerHeight - fillHeight)
       .attr("opacity", fillHeight > 0 ? 0.6 : 0)
       .attr("ry", fillHeight > 0 ? 4 : 3);
@@ -409,9 +423,9 @@ class FlowContainersChart extends BaseChart {
     for (let b = 0; b < 3; b++) {
       containerGroup.select(`.bubble-${b}`)
         .transition()
-        .duration(this.options.animationDuration * 1.2)
-        .delay(b * 200)
-        .ease(d3.easeExpOut)
+        .duration(this.getDuration(this.options.animationDuration * 1.2))
+        .delay(this.getDuration(b * 200))
+        .ease(this.getEasing(d3.easeExpOut))
         .attr("cy", this.options.containerHeight - fillHeight + Math.random() * 10)
         .attr("opacity", fillHeight > 0 ? 0.4 : 0)
         .attr("r", fillHeight > 0 ? Math.random() * 3 + 1 : 1);
@@ -420,8 +434,8 @@ class FlowContainersChart extends BaseChart {
     // Animate fill level indicator
     containerGroup.select(".fill-level-indicator")
       .transition()
-      .duration(this.options.animationDuration * 1.5)
-      .ease(d3.easeExpOut)
+      .duration(this.getDuration(this.options.animationDuration * 1.5))
+      .ease(this.getEasing(d3.easeExpOut))
       .attr("y1", this.options.containerHeight - fillHeight)
       .attr("y2", this.options.containerHeight - fillHeight)
       .attr("opacity", fillHeight > 0 ? 0.9 : 0)
@@ -432,6 +446,7 @@ class FlowContainersChart extends BaseChart {
    * Create dollar symbols in container
    */
   createDollarSymbols(containerGroup, container, numDollars, currentValue) {
+    const self = this;
     const dollarGroup = containerGroup.select(".dollar-container");
     dollarGroup.selectAll("*").remove();
 
@@ -451,35 +466,39 @@ class FlowContainersChart extends BaseChart {
         .text("$")
         .attr("transform", "scale(0.5)")
         .transition()
-        .duration(this.options.animationDuration * 0.8)
-        .delay(d * 100)
-        .ease(d3.easeExpOut)
+        .duration(this.getDuration(this.options.animationDuration * 0.8))
+        .delay(this.getDuration(d * 100))
+        .ease(this.getEasing(d3.easeExpOut))
         .attr("y", dollarY)
         .attr("opacity", 0.9)
         .attr("transform", `scale(1.2) rotate(${(Math.random() - 0.5) * 10})`)
         .on("end", function() {
+          const dollar = d3.select(this);
+
           // Add floating animation
-          d3.select(this)
-            .transition()
-            .duration(3000 + Math.random() * 2000)
-            .ease(d3.easeSinInOut)
-            .attr("y", dollarY - 3)
-            .transition()
-            .duration(3000 + Math.random() * 2000)
-            .ease(d3.easeSinInOut)
-            .attr("y", dollarY + 3)
-            .on("end", function floatRepeat() {
-              d3.select(this)
-                .transition()
-                .duration(3000 + Math.random() * 2000)
-                .ease(d3.easeSinInOut)
-                .attr("y", dollarY - 3)
-                .transition()
-                .duration(3000 + Math.random() * 2000)
-                .ease(d3.easeSinInOut)
-                .attr("y", dollarY + 3)
-                .on("end", floatRepeat);
-            });
+          self.addAnimation(() => {
+            dollar
+              .transition('ambient')
+              .duration(self.getDuration(3000 + Math.random() * 2000))
+              .ease(self.getEasing(d3.easeSinInOut))
+              .attr("y", dollarY - 3)
+              .transition()
+              .duration(self.getDuration(3000 + Math.random() * 2000))
+              .ease(self.getEasing(d3.easeSinInOut))
+              .attr("y", dollarY + 3)
+              .on("end", function floatRepeat() {
+                d3.select(this)
+                  .transition('ambient')
+                  .duration(self.getDuration(3000 + Math.random() * 2000))
+                  .ease(self.getEasing(d3.easeSinInOut))
+                  .attr("y", dollarY - 3)
+                  .transition()
+                  .duration(self.getDuration(3000 + Math.random() * 2000))
+                  .ease(self.getEasing(d3.easeSinInOut))
+                  .attr("y", dollarY + 3)
+                  .on("end", floatRepeat);
+              });
+          });
         });
     }
   }
@@ -490,6 +509,7 @@ class FlowContainersChart extends BaseChart {
   createFlowingParticles(containerGroup, container, currentValue, fillHeight, numDollars) {
     if (!this.options.showParticles || currentValue <= 0) return;
 
+    const self = this;
     const particleGroup = containerGroup.select(".dollar-particles");
     const { animationDuration, containerWidth, containerHeight } = this.options;
     
@@ -511,17 +531,17 @@ class FlowContainersChart extends BaseChart {
 
       // Falling animation
       particle.transition()
-        .duration(animationDuration * 0.8)
-        .delay(p * 120)
-        .ease(d3.easeQuadIn)
+        .duration(this.getDuration(animationDuration * 0.8))
+        .delay(this.getDuration(p * 120))
+        .ease(this.getEasing(d3.easeQuadIn))
         .attr("y", endY)
         .attr("transform", `rotate(${(Math.random() - 0.5) * 90}) scale(1.0)`)
         .on("end", function() {
           // Settle animation
           d3.select(this)
             .transition()
-            .duration(animationDuration * 0.3)
-            .ease(d3.easeBounceOut)
+            .duration(self.getDuration(animationDuration * 0.3))
+            .ease(self.getEasing(d3.easeBounceOut))
             .attr("y", containerHeight - (Math.floor(Math.random() * numDollars) + 1) * 15)
             .attr("x", containerWidth / 2 + (Math.random() - 0.5) * 70)
             .attr("opacity", 0.9)
@@ -530,7 +550,8 @@ class FlowContainersChart extends BaseChart {
               // Fade out
               d3.select(this)
                 .transition()
-                .duration(500)
+                .duration(self.getDuration(500))
+                .ease(self.getEasing())
                 .attr("opacity", 0)
                 .remove();
             });
@@ -544,7 +565,8 @@ class FlowContainersChart extends BaseChart {
   updateValueDisplay(containerGroup, cumulativeValue) {
     containerGroup.select(".value-display")
       .transition()
-      .duration(this.options.animationDuration)
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .tween("text", function() {
         const node = this;
         const previousValue = parseFloat(node.textContent.replace(/[$,]/g, '')) || 0;
@@ -570,7 +592,7 @@ class FlowContainersChart extends BaseChart {
         .attr("text-anchor", "middle")
         .attr("font-size", "24px")
         .attr("font-weight", "bold")
-        .attr("fill", "#1f2937");
+        .attr("fill", this.theme.text);
     }
     
     yearIndicator.text(`Year ${year}`);
@@ -594,15 +616,16 @@ class FlowContainersChart extends BaseChart {
       // Update fill
       containerGroup.select(".fill-background")
         .transition()
-        .duration(1000)
-        .ease(d3.easeQuadInOut)
+        .duration(this.getDuration(1000))
+        .ease(this.getEasing(d3.easeQuadInOut))
         .attr("y", this.options.containerHeight - fillHeight)
         .attr("height", fillHeight);
 
       // Update value display
       containerGroup.select(".value-display")
         .transition()
-        .duration(1000)
+        .duration(this.getDuration(1000))
+        .ease(this.getEasing())
         .tween("text", function() {
           const node = this;
           const currentValue = parseFloat(node.textContent.replace(/[$,]/g, '')) || 0;
@@ -619,14 +642,46 @@ class FlowContainersChart extends BaseChart {
     mainGroup.select(".year-indicator").text("Total Values");
   }
 
+  /**
+   * containers of { amount }, or a legacy economicSchedule
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        containers: { type: 'array', required: false, rows: { type: 'object', fields: { amount: 'number' } } },
+        economicSchedule: { type: 'array', required: false, rows: 'object' }
+      },
+      rules: [
+        data => (data.containers || data.economicSchedule
+          ? []
+          : [{ message: 'should have containers or an economicSchedule' }])
+      ]
+    };
+  }
+
+  /**
+   * Containers read x as their year and value as their amount;
+   * schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    return {
+      containers: { x: 'year', label: 'label', value: 'amount' },
+      economicSchedule: { value: 'remainder' }
+    };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
     // Clear existing content
+    this.clearAnimations();
     this.svg.selectAll('*').remove();
+    this.applyTheme();
+    this.applyAccessibility();
 
     // Process data
     const processedData = this.processData(this.data);
@@ -645,10 +700,14 @@ class FlowContainersChart extends BaseChart {
     const { containerGroups, maxValues } = this.createContainers(mainGroup, processedData);
 
     // Start animation if auto-play is enabled
-    if (this.options.autoPlay) {
+    if (this.options.headless || !this.isAnimated()) {
+      // No timers when rendering on the server or without animation, so draw the final totals
+      this._showTotalValuesInternal(processedData, containerGroups, maxValues);
+    } else if (this.options.autoPlay) {
       this.startAnimation(processedData, containerGroups, maxValues, mainGroup);
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -703,6 +762,35 @@ class FlowContainersChart extends BaseChart {
     return this.render();
   }
 
+  /**
+   * Summarize how much each container fills over the years for describe()
+   */
+  summarize(detailed) {
+    const years = this.processData(this.data);
+    if (years.length === 0) return ['Flow containers chart with no years.'];
+
+    const f = value => `$${Math.round(value).toLocaleString()}`;
+    const totals = this.containers.map(container => ({ label: container.label, total: d3.sum(years, d => d[container.key]) }));
+    const fullest = d3.greatest(totals, d => d.total);
+    const sentences = [
+      `Flow containers chart of ${totals.length} containers filled over ${years.length} years.`,
+      `Fullest container: ${fullest.label} with ${f(fullest.total)}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Totals: ${totals.map(d => `${d.label} ${f(d.total)}`).join(', ')}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The yearly values derived from the containers or economic schedule
+   */
+  tabulate() {
+    return this.data == null ? [] : this.processData(this.data);
+  }
+
   /**
    * Update chart with new data
    */
@@ -175,9 +175,9 @@ class ForceDirectedChart extends BaseChart {
   animateParticles(particles) {
     const animateStep = () => {
       particles
-        .transition()
-        .duration(4000)
-        .ease(d3.easeLinear)
+        .transition('ambient')
+        .duration(this.getDuration(4000))
+        .ease(this.getEasing(d3.easeLinear))
         .attr("cx", d => {
           d.x += d.vx * 4;
           if (d.x < 0) d.x = this.options.width;
@@ -192,7 +192,7 @@ class ForceDirectedChart extends BaseChart {
         })
         .on("end", animateStep);
     };
-    animateStep();
+    this.addAnimation(animateStep);
   }
 
   /**
@@ -359,11 +359,14 @@ class ForceDirectedChart extends BaseChart {
    * Animate flow particles along paths
    */
   animateFlowParticles(flowParticles) {
+    if (this.options.headless) return;
+
+    const self = this;
     const animateStep = () => {
       flowParticles
-        .transition()
-        .duration(d => 2000 + Math.random() * 1000)
-        .ease(d3.easeLinear)
+        .transition('ambient')
+        .duration(d => this.getDuration(2000 + Math.random() * 1000))
+        .ease(this.getEasing(d3.easeLinear))
         .attrTween('transform', function(d) {
           const path = this.parentNode?.querySelector('.link');
           if (!path) return () => '';
@@ -381,14 +384,15 @@ class ForceDirectedChart extends BaseChart {
         .on('end', function() {
           d3.select(this)
             .attr('opacity', 0)
-            .transition()
-            .duration(100)
+            .transition('ambient')
+            .duration(self.getDuration(100))
+            .ease(self.getEasing())
             .attr('opacity', 0.8)
-            .on('end', () => setTimeout(animateStep, Math.random() * 500));
+            .on('end', () => self.setTimer(animateStep, Math.random() * 500));
         });
     };
     
-    setTimeout(animateStep, 1500);
+    this.addAnimation(() => this.setTimer(animateStep, 1500));
   }
 
   /**
@@ -423,7 +427,7 @@ class ForceDirectedChart extends BaseChart {
       .attr('class', 'main-circle')
       .attr('r', d => this.getNodeRadius(d.value))
       .attr('fill', d => `url(#nodeGradient-${d.id})`)
-      .attr('stroke', '#ffffff')
+      .attr('stroke', this.theme.stroke)
       .attr('stroke-width', 3)
       .attr('opacity', 0.95)
       .attr('filter', d => {
@@ -443,8 +447,9 @@ class ForceDirectedChart extends BaseChart {
       .text(d => d.label)
       .style("opacity", 0)
       .transition()
-      .delay((d, i) => i * 150 + 300)
-      .duration(400)
+      .delay((d, i) => this.getStagger(i, 150) + this.getDuration(300))
+      .duration(this.getDuration(400))
+      .ease(this.getEasing())
       .style("opacity", 1);
 
     // Animate central node
@@ -461,18 +466,18 @@ class ForceDirectedChart extends BaseChart {
     
     const pulse = () => {
       centralNode
-        .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .transition('ambient')
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('r', d => this.getNodeRadius(d.value) * 1.2)
         .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('r', d => this.getNodeRadius(d.value))
         .on('end', pulse);
     };
     
-    pulse();
+    this.addAnimation(pulse);
   }
 
   /**
@@ -481,20 +486,20 @@ class ForceDirectedChart extends BaseChart {
   animateGlowRings(glowRings) {
     const breathe = () => {
       glowRings
-        .transition()
-        .duration(3000)
-        .ease(d3.easeSinInOut)
+        .transition('ambient')
+        .duration(this.getDuration(3000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('stroke-opacity', 0.6)
         .attr('r', d => this.getNodeRadius(d.value) * 1.4)
         .transition()
-        .duration(3000)
-        .ease(d3.easeSinInOut)
+        .duration(this.getDuration(3000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('stroke-opacity', 0.3)
         .attr('r', d => this.getNodeRadius(d.value) * 1.3)
         .on('end', breathe);
     };
     
-    breathe();
+    this.addAnimation(breathe);
   }
 
   /**
@@ -514,7 +519,8 @@ class ForceDirectedChart extends BaseChart {
               : this.getLinkWidth(l.value)
           );
 
-        this.showTooltip(event, d);
+        this.showTooltip(`<strong>${d.label}</strong><br/>Value: ${d3.format(',')(d.value)}`, event, d);
+        this.emit('hover', d, event);
       })
       .on('mouseout', (event, d) => {
         // Reset link styles
@@ -523,19 +529,26 @@ class ForceDirectedChart extends BaseChart {
           .style('stroke-width', d => this.getLinkWidth(d.value));
 
         this.hideTooltip();
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        this.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(node, d => `${d.label}: ${d.value}`);
   }
 
   /**
    * Add zoom functionality
    */
   addZoom(container) {
-    if (!this.options.enableZoom) return;
+    if (!this.options.enableZoom || this.options.headless) return;
 
     const zoom = d3.zoom()
       .scaleExtent([0.5, 3])
       .on('zoom', (event) => {
         container.attr('transform', event.transform);
+        this.emit('zoom', event.transform, event);
       });
 
     this.svg.call(zoom);
@@ -551,8 +564,8 @@ class ForceDirectedChart extends BaseChart {
     legend.append("rect")
       .attr("width", 160)
       .attr("height", 120)
-      .attr("fill", "rgba(255,255,255,0.9)")
-      .attr("stroke", "#e2e8f0")
+      .attr("fill", this.theme.background)
+      .attr("stroke", this.theme.grid)
       .attr("stroke-width", 1)
       .attr("rx", 8);
 
@@ -587,19 +600,45 @@ class ForceDirectedChart extends BaseChart {
         .attr("x", 20)
         .attr("y", 4)
         .attr("font-size", "11px")
-        .attr("fill", "#1e293b")
+        .attr("fill", this.theme.text)
         .text(item.label);
     });
   }
 
+  /**
+   * An economicSchedule of yearly remainders and distributions
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        economicSchedule: {
+          type: 'array',
+          minLength: 1,
+          rows: { type: 'object', fields: { remainder: 'number', distribution: 'number' } }
+        }
+      }
+    };
+  }
+
+  /**
+   * Schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    return { economicSchedule: { value: 'remainder' } };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
     // Clear existing content
+    this.clearAnimations();
     this.svg.selectAll('*').remove();
+    this.applyTheme();
+    this.applyAccessibility();
     
     // Process data
     const { nodes, links } = this.processData(this.data);
@@ -620,7 +659,7 @@ class ForceDirectedChart extends BaseChart {
     this.addZoom(container);
 
     // Create simulation
-    this.simulation = this.createSimulation(nodes, links);
+    this.simulation = this.addSimulation(this.createSimulation(nodes, links));
 
     // Create links
     const { linkPaths } = this.createLinks(container, links);
@@ -663,26 +702,49 @@ class ForceDirectedChart extends BaseChart {
     // Create legend
     this.createLegend();
 
+    this.emit('render');
     return this;
   }
 
   /**
-   * Update chart with new data
+   * Summarize the network and the schedule it is built from for describe()
    */
-  update(newData) {
-    this.setData(newData);
-    return this.render();
+  summarize(detailed) {
+    const { nodes, links } = this.processData(this.data);
+    if (nodes.length === 0) return ['Force-directed network with no nodes.'];
+
+    const f = value => this.formatNumber(value);
+    const metric = id => nodes.find(d => d.id === id).value;
+    const years = nodes.filter(d => d.type === 'year');
+    const sentences = [
+      `Force-directed network of ${nodes.length} nodes and ${links.length} links around a hub, with ${years.length} years of the schedule.`,
+      `Distributions total ${f(metric('total-metric'))}.`
+    ];
+
+    if (detailed) {
+      if (years.length > 0) {
+        sentences.push(`Remainder goes from ${f(years[0].value)} in year 1 to ${f(years[years.length - 1].value)} in year ${years.length}.`);
+      }
+      sentences.push(`Charitable deduction ${f(metric('deduction-metric'))}; optimal payout ${f(metric('optimal-metric'))}.`);
+    }
+
+    return sentences;
   }
 
   /**
-   * Destroy simulation and cleanup
+   * One row per node: the hub, each year and the summary metrics
    */
-  destroy() {
-    if (this.simulation) {
-      this.simulation.stop();
-      this.simulation = null;
-    }
-    super.destroy();
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).nodes.map(({ id, label, group, type, value }) => ({ id, label, group, type, value }));
+  }
+
+  /**
+   * Update chart with new data
+   */
+  update(newData) {
+    this.setData(newData);
+    return this.render();
   }
 }
 
@@ -11,7 +11,6 @@ class GaugeChart extends BaseChart {
       colorScheme: 'traffic',
       startAngle: -Math.PI / 2,
       endAngle: Math.PI / 2,
-      animation: true,
       showValue: true,
       showTicks: true,
       tickCount: 5,
@@ -51,42 +50,61 @@ class GaugeChart extends BaseChart {
     };
   }
 
-  render() {
-    if (!this.data) return this;
+  /**
+   * A single { value, min, max } with max above min
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: { value: 'number', min: 'number', max: 'number', label: { type: 'label', required: false } },
+      rules: [
+        ({ min, max }) => (+max > +min ? [] : [{ path: 'max', message: `should be greater than min (${min})` }])
+      ]
+    };
+  }
+
+  /**
+   * The gauge reads its value and label from the data object
+   */
+  getEncodingChannels() {
+    return { label: 'label', value: 'value' };
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  render() {
+    if (!this.beginRender()) return this;
 
     const processedData = this.processData(this.data);
     const { value, min, max, normalizedValue, label } = processedData;
+    const { startAngle, endAngle } = this.options;
+    const transition = this.chartGroup.transition().duration(this.getDuration(1000)).ease(this.getEasing());
+
+    // The gauge is kept across renders, so a new reading swings the value
+    // arc and needle over from the last one
+    const gaugeGroup = this.getOrCreateGroup('gauge')
+      .attr('transform', `translate(${this.centerX}, ${this.centerY})`)
+      .on('mouseover', (event) => this.emit('hover', processedData, event))
+      .on('mouseout', (event) => this.emit('leave', processedData, event))
+      .on('click', (event) => this.emit('click', processedData, event));
 
-    // Create gauge group
-    const gaugeGroup = this.chartGroup.append('g')
-      .attr('transform', `translate(${this.centerX}, ${this.centerY})`);
+    const part = (tag, className) => {
+      const node = gaugeGroup.selectChild(`.${className}`);
+      return node.empty() ? gaugeGroup.append(tag).attr('class', className) : node;
+    };
 
     // Background arc
-    const backgroundArc = d3.arc()
+    const arc = d3.arc()
       .innerRadius(this.radius * 0.7)
       .outerRadius(this.radius)
-      .startAngle(this.options.startAngle)
-      .endAngle(this.options.endAngle);
-
-    gaugeGroup.append('path')
-      .datum({ startAngle: this.options.startAngle, endAngle: this.options.endAngle })
-      .attr('d', backgroundArc)
-      .attr('fill', '#e0e0e0')
-      .attr('stroke', '#ccc')
+      .startAngle(startAngle);
+
+    part('path', 'gauge-background')
+      .attr('d', arc.endAngle(endAngle)())
+      .attr('fill', this.theme.grid)
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', 1);
 
     // Value arc
-    const valueAngle = this.options.startAngle + 
-      (this.options.endAngle - this.options.startAngle) * normalizedValue;
-
-    const valueArc = d3.arc()
-      .innerRadius(this.radius * 0.7)
-      .outerRadius(this.radius)
-      .startAngle(this.options.startAngle)
-      .endAngle(valueAngle);
+    const valueAngle = startAngle + (endAngle - startAngle) * normalizedValue;
 
     // Determine color based on value
     const colors = this.colorSchemes[this.options.colorScheme];
@@ -99,117 +117,168 @@ class GaugeChart extends BaseChart {
       color = colors[2]; // High range
     }
 
-    const valueArcElement = gaugeGroup.append('path')
-      .attr('d', valueArc)
+    const valueArcElement = part('path', 'gauge-value')
       .attr('fill', color)
       .attr('stroke', d3.color(color).darker(0.5))
       .attr('stroke-width', 1);
 
     // Add ticks
-    if (this.options.showTicks) {
-      const tickData = d3.range(this.options.tickCount + 1).map(i => {
-        const ratio = i / this.options.tickCount;
-        const angle = this.options.startAngle + 
-          (this.options.endAngle - this.options.startAngle) * ratio;
-        const tickValue = min + (max - min) * ratio;
-        return { angle, value: tickValue };
-      });
-
-      const ticks = gaugeGroup.selectAll('.tick')
-        .data(tickData)
-        .enter()
-        .append('g')
-        .attr('class', 'tick');
-
-      // Tick lines
-      ticks.append('line')
-        .attr('x1', d => Math.cos(d.angle) * (this.radius * 0.65))
-        .attr('y1', d => Math.sin(d.angle) * (this.radius * 0.65))
-        .attr('x2', d => Math.cos(d.angle) * (this.radius * 0.6))
-        .attr('y2', d => Math.sin(d.angle) * (this.radius * 0.6))
-        .attr('stroke', '#666')
-        .attr('stroke-width', 2);
-
-      // Tick labels
-      ticks.append('text')
-        .attr('x', d => Math.cos(d.angle) * (this.radius * 0.55))
-        .attr('y', d => Math.sin(d.angle) * (this.radius * 0.55))
-        .attr('text-anchor', 'middle')
-        .attr('dominant-baseline', 'middle')
-        .style('font-size', '10px')
-        .style('fill', '#666')
-        .text(d => Math.round(d.value));
-    }
+    const tickData = !this.options.showTicks ? [] : d3.range(this.options.tickCount + 1).map(i => {
+      const ratio = i / this.options.tickCount;
+      const angle = startAngle + (endAngle - startAngle) * ratio;
+      const tickValue = min + (max - min) * ratio;
+      return { angle, value: tickValue };
+    });
 
-    // Needle
-    const needleAngle = this.options.startAngle + 
-      (this.options.endAngle - this.options.startAngle) * normalizedValue;
+    const ticks = gaugeGroup.selectAll('.tick')
+      .data(tickData);
+
+    ticks.exit().remove();
+
+    const ticksEnter = ticks.enter()
+      .insert('g', '.gauge-needle')
+      .attr('class', 'tick');
+
+    // Tick lines
+    ticksEnter.append('line')
+      .attr('stroke-width', 2);
 
+    // Tick labels
+    ticksEnter.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', '10px');
+
+    const ticksUpdate = ticksEnter.merge(ticks);
+
+    ticksUpdate.select('line')
+      .attr('x1', d => Math.cos(d.angle) * (this.radius * 0.65))
+      .attr('y1', d => Math.sin(d.angle) * (this.radius * 0.65))
+      .attr('x2', d => Math.cos(d.angle) * (this.radius * 0.6))
+      .attr('y2', d => Math.sin(d.angle) * (this.radius * 0.6))
+      .attr('stroke', this.theme.mutedText);
+
+    ticksUpdate.select('text')
+      .attr('x', d => Math.cos(d.angle) * (this.radius * 0.55))
+      .attr('y', d => Math.sin(d.angle) * (this.radius * 0.55))
+      .style('fill', this.theme.mutedText)
+      .text(d => Math.round(d.value));
+
+    // Needle
     const needleLength = this.radius * 0.6;
-    const needlePath = `M 0,0 L ${Math.cos(needleAngle) * needleLength},${Math.sin(needleAngle) * needleLength}`;
+    const needlePath = angle => `M 0,0 L ${Math.cos(angle) * needleLength},${Math.sin(angle) * needleLength}`;
 
-    gaugeGroup.append('path')
-      .attr('d', needlePath)
-      .attr('stroke', '#333')
+    const needle = part('path', 'gauge-needle')
+      .attr('stroke', this.theme.text)
       .attr('stroke-width', 3)
       .attr('stroke-linecap', 'round');
 
     // Center circle
-    gaugeGroup.append('circle')
+    part('circle', 'gauge-center')
       .attr('cx', 0)
       .attr('cy', 0)
       .attr('r', 6)
-      .attr('fill', '#333');
+      .attr('fill', this.theme.text);
 
-    // Value text
-    if (this.options.showValue) {
-      gaugeGroup.append('text')
-        .attr('x', 0)
-        .attr('y', this.radius * 0.3)
-        .attr('text-anchor', 'middle')
-        .attr('dominant-baseline', 'middle')
-        .style('font-size', '24px')
-        .style('font-weight', 'bold')
-        .style('fill', '#333')
-        .text(Math.round(value * 100) / 100);
-
-      // Label text
-      if (label) {
-        gaugeGroup.append('text')
-          .attr('x', 0)
-          .attr('y', this.radius * 0.45)
-          .attr('text-anchor', 'middle')
-          .attr('dominant-baseline', 'middle')
-          .style('font-size', '14px')
-          .style('fill', '#666')
-          .text(label);
+    // Swing the arc and needle from the angle they were last drawn at,
+    // which for a new gauge is the start of the scale
+    const sweep = (element, draw) => {
+      const node = element.node();
+      const from = node._current != null ? node._current : this.isAnimated() ? startAngle : valueAngle;
+      node._current = valueAngle;
+
+      if (from === valueAngle) {
+        element.interrupt().attr('d', draw(valueAngle));
+        return;
       }
-    }
 
-    // Add animations
-    if (this.options.animation) {
-      // Animate value arc
-      valueArcElement
-        .datum({ startAngle: this.options.startAngle, endAngle: this.options.startAngle })
-        .transition()
-        .duration(1000)
-        .attrTween('d', d => {
-          const interpolate = d3.interpolate(d.endAngle, valueAngle);
-          return t => {
-            d.endAngle = interpolate(t);
-            return valueArc(d);
-          };
+      element.transition(transition)
+        .attrTween('d', () => {
+          const interpolate = d3.interpolate(from, valueAngle);
+          return t => draw(interpolate(t));
         });
-    }
+    };
+
+    sweep(valueArcElement, angle => arc.endAngle(angle)());
+    sweep(needle, needlePath);
+
+    // Value text
+    const valueText = gaugeGroup.selectAll('.gauge-value-text')
+      .data(this.options.showValue ? [value] : []);
+
+    valueText.exit().remove();
+
+    valueText.enter()
+      .append('text')
+      .attr('class', 'gauge-value-text')
+      .attr('x', 0)
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', '24px')
+      .style('font-weight', 'bold')
+      .merge(valueText)
+      .attr('y', this.radius * 0.3)
+      .style('fill', this.theme.text)
+      .text(d => Math.round(d * 100) / 100);
+
+    // Label text
+    const labelText = gaugeGroup.selectAll('.gauge-label')
+      .data(this.options.showValue && label ? [label] : []);
 
+    labelText.exit().remove();
+
+    labelText.enter()
+      .append('text')
+      .attr('class', 'gauge-label')
+      .attr('x', 0)
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', '14px')
+      .merge(labelText)
+      .attr('y', this.radius * 0.45)
+      .style('fill', this.theme.mutedText)
+      .text(d => d);
+
+    const f = v => this.formatNumber(v);
+    this.addKeyboardNavigation(gaugeGroup, `${label ? `${label}: ` : ''}${f(value)} on a scale from ${f(min)} to ${f(max)}`);
+
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the reading against its range for describe()
+   */
+  summarize(detailed) {
+    const { value, min, max, normalizedValue, label } = this.processData(this.data);
+    const f = v => this.formatNumber(v);
+    const sentences = [
+      `Gauge${label ? ` for ${label}` : ''} reading ${f(value)}, ${d3.format('.0%')(normalizedValue)} of the way from ${f(min)} to ${f(max)}.`
+    ];
+
+    if (detailed) {
+      const band = normalizedValue < 0.33 ? 'low' : normalizedValue < 0.66 ? 'medium' : 'high';
+      sentences.push(`The reading is in the ${band} band.`);
+    }
+
+    return sentences;
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
     return this.render();
   }
 
+  /**
+   * The value with its range and how full the gauge is, in percent
+   */
+  tabulate() {
+    if (this.data == null) return [];
+
+    const { label, value, min, max, normalizedValue } = this.processData(this.data);
+    return [{ label, value, min, max, percent: normalizedValue * 100 }];
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -8,11 +8,11 @@ import BaseChart from './BaseChart.js';
 class HeatmapChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'blues',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's sequential scheme
       tooltips: true,
       showValues: false,
       cellPadding: 2,
+      renderer: 'svg', // 'svg' or 'canvas' for large matrices
       ...options
     };
 
@@ -27,6 +27,7 @@ class HeatmapChart extends BaseChart {
 
   setupColorSchemes() {
     this.colorSchemes = {
+      theme: this.theme.sequential,
       blues: d3.interpolateBlues,
       greens: d3.interpolateGreens,
       reds: d3.interpolateReds,
@@ -56,15 +57,19 @@ class HeatmapChart extends BaseChart {
     const rows = [...new Set(data.map(d => d.row))].sort();
     const columns = [...new Set(data.map(d => d.column))].sort();
     
-    // Create matrix with all combinations
+    // Index values by row and column so large matrices stay linear
+    const values = d3.rollup(data, group => group[0].value, d => d.row, d => d.column);
+
+    // Create matrix with all combinations, row by row
     const processedData = [];
     rows.forEach(row => {
+      const rowValues = values.get(row);
       columns.forEach(column => {
-        const existing = data.find(d => d.row === row && d.column === column);
+        const value = rowValues.get(column);
         processedData.push({
           row,
           column,
-          value: existing ? existing.value : 0
+          value: value !== undefined ? value : 0
         });
       });
     });
@@ -72,14 +77,34 @@ class HeatmapChart extends BaseChart {
     return { processedData, rows, columns };
   }
 
-  render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+  /**
+   * Rows of { row, column, value }
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { row: 'label', column: 'label', value: 'number' } }
+    };
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  /**
+   * Cells read x as their column and y as their row
+   */
+  getEncodingChannels() {
+    return { x: 'column', y: 'row', value: 'value' };
+  }
+
+  render() {
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
 
     const { processedData, rows, columns } = this.processData(this.data);
-    if (processedData.length === 0) return this;
+    if (processedData.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(600)).ease(this.getEasing());
 
     // Update scales
     this.xScale.domain(columns);
@@ -89,9 +114,9 @@ class HeatmapChart extends BaseChart {
     this.colorScale.domain(valueExtent);
 
     // Add axes
-    const xAxis = this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxis = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxis.transition(transition)
       .call(d3.axisBottom(this.xScale).tickSize(0));
 
     xAxis.selectAll('text')
@@ -101,8 +126,8 @@ class HeatmapChart extends BaseChart {
       .attr('transform', 'rotate(-45)')
       .style('font-size', '11px');
 
-    const yAxis = this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    const yAxis = this.getOrCreateGroup('y-axis');
+    yAxis.transition(transition)
       .call(d3.axisLeft(this.yScale).tickSize(0));
 
     yAxis.selectAll('text')
@@ -112,96 +137,239 @@ class HeatmapChart extends BaseChart {
     xAxis.select('.domain').remove();
     yAxis.select('.domain').remove();
 
-    // Create cells
-    const cells = this.chartGroup.selectAll('.cell')
-      .data(processedData)
-      .enter()
+    this.chartGroup.selectAll('.cell-hover').remove();
+
+    if (this.useCanvas()) {
+      this.chartGroup.selectAll('.cell').remove();
+      this.drawCanvasCells(processedData);
+      this.addCanvasInteractivity(processedData, rows, columns);
+      this.addColorLegend(valueExtent);
+
+      this.emit('render');
+      return this;
+    }
+
+    this.removeCanvasLayer();
+
+    // Join cells by row and column
+    const joined = this.chartGroup.selectAll('.cell')
+      .data(processedData, this.getKeyAccessor(d => JSON.stringify([d.row, d.column])));
+
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const cellsEnter = joined.enter()
       .append('g')
       .attr('class', 'cell')
       .attr('transform', d => `translate(${this.xScale(d.column)}, ${this.yScale(d.row)})`);
 
-    const rects = cells.append('rect')
+    cellsEnter.append('rect')
       .attr('width', this.xScale.bandwidth())
       .attr('height', this.yScale.bandwidth())
       .attr('fill', d => this.colorScale(d.value))
-      .attr('stroke', '#fff')
-      .attr('stroke-width', this.options.cellPadding)
       .style('cursor', 'pointer');
 
+    const cells = cellsEnter.merge(joined);
+
+    // Move existing cells to their row and column, and recolor them
+    joined.transition(transition)
+      .attr('transform', d => `translate(${this.xScale(d.column)}, ${this.yScale(d.row)})`);
+
+    joined.select('rect')
+      .transition(transition)
+      .attr('width', this.xScale.bandwidth())
+      .attr('height', this.yScale.bandwidth())
+      .attr('fill', d => this.colorScale(d.value));
+
+    // select() hands each cell's new datum down to its rect
+    const rects = cells.select('rect')
+      .attr('stroke', this.theme.stroke)
+      .attr('stroke-width', this.options.cellPadding);
+
     // Add value labels if requested
-    if (this.options.showValues) {
-      cells.append('text')
-        .attr('x', this.xScale.bandwidth() / 2)
-        .attr('y', this.yScale.bandwidth() / 2)
-        .attr('text-anchor', 'middle')
-        .attr('dominant-baseline', 'middle')
-        .style('font-size', Math.min(this.xScale.bandwidth(), this.yScale.bandwidth()) / 4 + 'px')
-        .style('fill', d => {
-          // Use contrasting color for text
-          const brightness = d3.hsl(this.colorScale(d.value)).l;
-          return brightness > 0.5 ? '#333' : '#fff';
-        })
-        .style('pointer-events', 'none')
-        .text(d => Math.round(d.value * 100) / 100);
-    }
+    const labels = cells.selectAll('text')
+      .data(d => this.options.showValues ? [d] : []);
+
+    labels.exit().remove();
+
+    labels.enter()
+      .append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('pointer-events', 'none')
+      .merge(labels)
+      .attr('x', this.xScale.bandwidth() / 2)
+      .attr('y', this.yScale.bandwidth() / 2)
+      .style('font-size', Math.min(this.xScale.bandwidth(), this.yScale.bandwidth()) / 4 + 'px')
+      .style('fill', d => {
+        // Use contrasting color for text
+        const brightness = d3.hsl(this.colorScale(d.value)).l;
+        return brightness > 0.5 ? '#333' : '#fff';
+      })
+      .text(d => Math.round(d.value * 100) / 100);
 
     // Add color legend
     this.addColorLegend(valueExtent);
 
     // Add interactions
-    if (this.options.tooltips) {
-      rects
-        .on('mouseover', (event, d) => {
+    rects
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
-            .attr('stroke', '#333')
+            .attr('stroke', this.theme.text)
             .attr('stroke-width', 2);
           
           this.showTooltip(
             `<strong>Row:</strong> ${d.row}<br/>
              <strong>Column:</strong> ${d.column}<br/>
              <strong>Value:</strong> ${d.value}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event, d) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
-            .attr('stroke', '#fff')
+            .attr('stroke', this.theme.stroke)
             .attr('stroke-width', this.options.cellPadding);
           
           this.hideTooltip();
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    this.addKeyboardNavigation(rects, d => `${d.row}, ${d.column}: ${d.value}`);
 
-    // Add animations
-    if (this.options.animation) {
-      rects
+    // Fade in new cells
+    if (this.isAnimated()) {
+      cellsEnter.select('rect')
         .style('opacity', 0)
         .transition()
-        .duration(600)
-        .delay((d, i) => i * 10)
+        .duration(this.getDuration(600))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 10))
         .style('opacity', 1);
     }
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Draw cells (and values) to the canvas layer
+   */
+  drawCanvasCells(processedData) {
+    const context = this.getCanvasContext();
+    const width = this.xScale.bandwidth();
+    const height = this.yScale.bandwidth();
+
+    context.strokeStyle = this.theme.stroke;
+    context.lineWidth = this.options.cellPadding;
+
+    processedData.forEach(d => {
+      const x = this.xScale(d.column);
+      const y = this.yScale(d.row);
+      context.fillStyle = this.colorScale(d.value);
+      context.fillRect(x, y, width, height);
+      if (this.options.cellPadding > 0) {
+        context.strokeRect(x, y, width, height);
+      }
+    });
+
+    if (this.options.showValues) {
+      context.font = `${Math.min(width, height) / 4}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+
+      processedData.forEach(d => {
+        // Use contrasting color for text
+        const brightness = d3.hsl(this.colorScale(d.value)).l;
+        context.fillStyle = brightness > 0.5 ? '#333' : '#fff';
+        context.fillText(Math.round(d.value * 100) / 100,
+          this.xScale(d.column) + width / 2, this.yScale(d.row) + height / 2);
+      });
+    }
+  }
+
+  /**
+   * Hit-test canvas cells by band index and outline the hovered one with an SVG rect
+   */
+  addCanvasInteractivity(processedData, rows, columns) {
+    const bandIndex = (scale, value, count) => {
+      const i = Math.floor((value - scale.range()[0] - scale.step() * scale.paddingOuter()) / scale.step());
+      if (i < 0 || i >= count) return -1;
+      const start = scale(scale.domain()[i]);
+      return value >= start && value <= start + scale.bandwidth() ? i : -1;
+    };
+
+    const marker = this.chartGroup.append('rect')
+      .attr('class', 'cell-hover')
+      .attr('width', this.xScale.bandwidth())
+      .attr('height', this.yScale.bandwidth())
+      .attr('fill', 'none')
+      .attr('stroke', this.theme.text)
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none')
+      .style('display', 'none');
+
+    const find = (x, y) => {
+      const column = bandIndex(this.xScale, x, columns.length);
+      const row = bandIndex(this.yScale, y, rows.length);
+      return column < 0 || row < 0 ? undefined : processedData[row * columns.length + column];
+    };
+
+    this.bindCanvasEvents(find, {
+      hover: (d, event) => {
+        if (!this.options.tooltips) return;
+
+        marker
+          .attr('x', this.xScale(d.column))
+          .attr('y', this.yScale(d.row))
+          .style('display', null);
+
+        this.showTooltip(
+          `<strong>Row:</strong> ${d.row}<br/>
+           <strong>Column:</strong> ${d.column}<br/>
+           <strong>Value:</strong> ${d.value}`,
+          event,
+          d
+        );
+      },
+      leave: () => {
+        marker.style('display', 'none');
+        this.hideTooltip();
+      }
+    });
+  }
+
   addColorLegend(valueExtent) {
     const legendWidth = 20;
     const legendHeight = 200;
     const legendX = this.innerWidth + 30;
     const legendY = (this.innerHeight - legendHeight) / 2;
 
+    this.chartGroup.selectAll('.color-legend').remove();
+
     const legendGroup = this.chartGroup.append('g')
       .attr('class', 'color-legend')
       .attr('transform', `translate(${legendX}, ${legendY})`);
 
-    // Create gradient
-    const gradient = this.svg.append('defs')
-      .append('linearGradient')
-      .attr('id', 'heatmap-gradient')
-      .attr('gradientUnits', 'userSpaceOnUse')
-      .attr('x1', 0).attr('y1', legendHeight)
-      .attr('x2', 0).attr('y2', 0);
+    // Create gradient, or restop the one from the last render
+    let gradient = this.svg.select('#heatmap-gradient');
+    if (gradient.empty()) {
+      gradient = this.svg.append('defs')
+        .append('linearGradient')
+        .attr('id', 'heatmap-gradient')
+        .attr('gradientUnits', 'userSpaceOnUse')
+        .attr('x1', 0).attr('y1', legendHeight)
+        .attr('x2', 0).attr('y2', 0);
+    }
+    gradient.selectAll('stop').remove();
 
     const steps = 10;
     for (let i = 0; i <= steps; i++) {
@@ -216,7 +384,7 @@ class HeatmapChart extends BaseChart {
       .attr('width', legendWidth)
       .attr('height', legendHeight)
       .style('fill', 'url(#heatmap-gradient)')
-      .attr('stroke', '#333')
+      .attr('stroke', this.theme.axis)
       .attr('stroke-width', 1);
 
     // Legend scale
@@ -235,12 +403,48 @@ class HeatmapChart extends BaseChart {
       .style('font-size', '10px');
   }
 
+  refreshThemeColors() {
+    this.setupColorSchemes();
+    this.colorScale = d3.scaleSequential(this.colorSchemes[this.options.colorScheme]);
+  }
+
+  /**
+   * Summarize the grid and its densest cell for describe()
+   */
+  summarize(detailed) {
+    const { processedData, rows, columns } = this.processData(this.data);
+    if (processedData.length === 0) return ['Heatmap with no cells.'];
+
+    const f = value => this.formatNumber(value);
+    const highest = d3.greatest(processedData, d => d.value);
+    const lowest = d3.least(processedData, d => d.value);
+    const sentences = [
+      `Heatmap of ${rows.length} rows by ${columns.length} columns.`,
+      `Highest value ${f(highest.value)} at ${highest.row}, ${highest.column}; lowest ${f(lowest.value)} at ${lowest.row}, ${lowest.column}.`
+    ];
+
+    if (detailed) {
+      const byRow = d3.rollups(processedData, cells => d3.sum(cells, d => d.value), d => d.row);
+      const [topRow, topRowTotal] = d3.greatest(byRow, ([, total]) => total);
+      sentences.push(`Mean cell value ${f(d3.mean(processedData, d => d.value))}. Row ${topRow} has the highest total, ${f(topRowTotal)}.`);
+    }
+
+    return sentences;
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
     this.colorScale = d3.scaleSequential(this.colorSchemes[scheme]);
     return this.render();
   }
 
+  /**
+   * The full row × column matrix, with missing cells filled in as 0
+   */
+  tabulate() {
+    return this.data == null ? [] : this.processData(this.data).processedData;
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
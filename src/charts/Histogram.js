@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { DOMUtils, MathUtils } from '../utils/index.js';
 
 /**
  * Histogram implementation
@@ -8,10 +9,10 @@ class Histogram extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
       bins: 20,
-      barColor: '#3498db',
-      hoverColor: '#2980b9',
+      barColor: null, // Defaults to the theme's primary color
+      hoverColor: null, // Defaults to a darker barColor
       showDensity: false,
-      densityColor: '#e74c3c',
+      densityColor: null, // Defaults to the theme's accent color
       densityWidth: 2,
       ...options
     };
@@ -20,17 +21,29 @@ class Histogram extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Raw numbers, or rows of { value }
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: ['number', 'object'], fields: { value: 'number' } }
+    };
+  }
+
+  /**
+   * Object rows read their value
+   */
+  getEncodingChannels() {
+    return { value: 'value' };
+  }
+
   /**
    * Render the histogram
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for Histogram');
-      return this;
-    }
-
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    if (!this.beginRender()) return this;
 
     // Extract values from data
     const values = this.data.map(d => typeof d === 'object' ? d.value : d);
@@ -40,7 +53,19 @@ class Histogram extends BaseChart {
       .domain(d3.extent(values))
       .thresholds(this.options.bins);
 
-    const bins = histogram(values);
+    this.drawHistogram(values, histogram(values));
+
+    this.emit('render');
+    return this;
+  }
+
+  /**
+   * Draw the axes, bars and density curve for a set of bins. Bars are
+   * joined to bins by position, so a redraw moves them to their new
+   * bounds and counts instead of rebuilding them.
+   */
+  drawHistogram(values, bins) {
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
 
     // Create scales
     const xScale = d3.scaleLinear()
@@ -51,77 +76,103 @@ class Histogram extends BaseChart {
       .domain([0, d3.max(bins, d => d.length)])
       .range([this.innerHeight, 0]);
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+    this.bins = bins;
+
     // Create axes
     const xAxis = d3.axisBottom(xScale);
     const yAxis = d3.axisLeft(yScale);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
     // Add axis labels
     this.addAxisLabels();
 
+    // Statistics added after a render describe the old data
+    this.chartGroup.selectAll('.statistics').remove();
+
     // Create bars
-    this.createBars(bins, xScale, yScale);
+    this.createBars(bins, xScale, yScale, transition);
 
     // Add density curve if requested
     if (this.options.showDensity) {
-      this.addDensityCurve(values, xScale, yScale);
+      this.addDensityCurve(values, xScale, yScale, transition);
+    } else {
+      this.chartGroup.selectAll('.density-curve').remove();
     }
-
-    return this;
   }
 
   /**
    * Create histogram bars
    */
-  createBars(bins, xScale, yScale) {
+  createBars(bins, xScale, yScale, transition) {
     const self = this;
 
-    const bars = this.chartGroup.selectAll('.bar')
-      .data(bins)
-      .enter()
+    // Bins have no identity of their own, so join them by position
+    const joined = this.chartGroup.selectAll('.bar')
+      .data(bins);
+
+    joined.exit()
+      .transition(transition)
+      .attr('y', this.innerHeight)
+      .attr('height', 0)
+      .remove();
+
+    const barsEnter = joined.enter()
       .append('rect')
       .attr('class', 'bar')
       .attr('x', d => xScale(d.x0))
       .attr('width', d => Math.max(0, xScale(d.x1) - xScale(d.x0) - 1))
       .attr('y', this.innerHeight)
       .attr('height', 0)
-      .attr('fill', this.options.barColor)
       .style('cursor', 'pointer');
 
-    // Animate bars
-    bars.transition()
-      .duration(800)
-      .delay((d, i) => i * 50)
+    const bars = barsEnter.merge(joined)
+      .attr('fill', this.getBarColor());
+
+    // Move existing bars to their new bounds
+    joined.transition(transition)
+      .attr('x', d => xScale(d.x0))
+      .attr('width', d => Math.max(0, xScale(d.x1) - xScale(d.x0) - 1))
+      .attr('y', d => yScale(d.length))
+      .attr('height', d => this.innerHeight - yScale(d.length));
+
+    // Grow new bars
+    barsEnter.transition(transition)
+      .delay((d, i) => this.getStagger(i, 50))
       .attr('y', d => yScale(d.length))
       .attr('height', d => this.innerHeight - yScale(d.length));
 
     // Add interactivity
     bars
       .on('mouseover', function(event, d) {
-        d3.select(this).attr('fill', self.options.hoverColor);
+        d3.select(this).attr('fill', self.getHoverColor());
         
         const tooltipContent = self.formatBinTooltip(d);
-        self.showTooltip(tooltipContent, event);
+        self.showTooltip(tooltipContent, event, d);
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
-        d3.select(this).attr('fill', self.options.barColor);
+      .on('mouseout', function(event, d) {
+        d3.select(this).attr('fill', self.getBarColor());
         self.hideTooltip();
+        self.emit('leave', d, event);
       })
-      .on('click', function(event, d) {
-        if (self.options.onClick) {
-          self.options.onClick(d, event);
-        }
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(bars, d => `${d.x0} to ${d.x1}: ${d.length}`);
   }
 
   /**
@@ -135,10 +186,24 @@ class Histogram extends BaseChart {
     return `Range: ${range}<br>Count: ${count}<br>Percentage: ${percentage}%`;
   }
 
+  /**
+   * Get the bar fill from options or the theme
+   */
+  getBarColor() {
+    return this.options.barColor || this.theme.primary;
+  }
+
+  /**
+   * Get the hovered bar fill from options, or darken the bar fill
+   */
+  getHoverColor() {
+    return this.options.hoverColor || d3.color(this.getBarColor()).darker(0.5).formatHex();
+  }
+
   /**
    * Add density curve overlay
    */
-  addDensityCurve(values, xScale, yScale) {
+  addDensityCurve(values, xScale, yScale, transition) {
     // Calculate kernel density estimation
     const kde = this.kernelDensityEstimator(this.kernelEpanechnikov(0.5), xScale.ticks(100));
     const density = kde(values);
@@ -154,23 +219,40 @@ class Histogram extends BaseChart {
       .y(d => yScale(d[1] * densityScale))
       .curve(d3.curveCardinal);
 
-    // Add density curve
-    const path = this.chartGroup.append('path')
-      .datum(density)
-      .attr('class', 'density-curve')
-      .attr('fill', 'none')
-      .attr('stroke', this.options.densityColor)
-      .attr('stroke-width', this.options.densityWidth)
-      .attr('d', line);
-
-    // Animate curve drawing
-    const totalLength = path.node().getTotalLength();
+    let path = this.chartGroup.select('.density-curve');
+
+    if (path.empty()) {
+      // Add density curve
+      path = this.chartGroup.append('path')
+        .datum(density)
+        .attr('class', 'density-curve')
+        .attr('fill', 'none')
+        .attr('d', line);
+
+      // Animate curve drawing
+      const totalLength = DOMUtils.getTotalLength(path.node());
+      path
+        .attr('stroke-dasharray', totalLength + ' ' + totalLength)
+        .attr('stroke-dashoffset', totalLength)
+        .transition()
+        .duration(this.getDuration(1500))
+        .ease(this.getEasing())
+        .attr('stroke-dashoffset', 0)
+        .on('end', function() {
+          d3.select(this).attr('stroke-dasharray', null);
+        });
+    } else {
+      // Morph the existing curve into the new density
+      path
+        .datum(density)
+        .attr('stroke-dasharray', null)
+        .transition(transition)
+        .attr('d', line);
+    }
+
     path
-      .attr('stroke-dasharray', totalLength + ' ' + totalLength)
-      .attr('stroke-dashoffset', totalLength)
-      .transition()
-      .duration(1500)
-      .attr('stroke-dashoffset', 0);
+      .attr('stroke', this.options.densityColor || this.theme.accent)
+      .attr('stroke-width', this.options.densityWidth);
   }
 
   /**
@@ -197,26 +279,30 @@ class Histogram extends BaseChart {
    * Add axis labels
    */
   addAxisLabels() {
+    this.chartGroup.selectAll('.x-label, .y-label').remove();
+
     // X axis label
     if (this.options.xLabel) {
       this.chartGroup.append('text')
+        .attr('class', 'x-label')
         .attr('x', this.innerWidth / 2)
         .attr('y', this.innerHeight + 35)
         .attr('text-anchor', 'middle')
         .style('font-size', '14px')
-        .style('fill', '#333')
+        .style('fill', this.theme.text)
         .text(this.options.xLabel);
     }
 
     // Y axis label
     const yLabel = this.options.yLabel || 'Frequency';
     this.chartGroup.append('text')
+      .attr('class', 'y-label')
       .attr('transform', 'rotate(-90)')
       .attr('x', -this.innerHeight / 2)
       .attr('y', -35)
       .attr('text-anchor', 'middle')
       .style('font-size', '14px')
-      .style('fill', '#333')
+      .style('fill', this.theme.text)
       .text(yLabel);
   }
 
@@ -224,13 +310,7 @@ class Histogram extends BaseChart {
    * Render histogram with custom binning
    */
   renderWithCustomBins(binEdges) {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for Histogram');
-      return this;
-    }
-
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    if (!this.beginRender()) return this;
 
     // Extract values from data
     const values = this.data.map(d => typeof d === 'object' ? d.value : d);
@@ -240,37 +320,9 @@ class Histogram extends BaseChart {
       .domain(d3.extent(values))
       .thresholds(binEdges);
 
-    const bins = histogram(values);
-
-    // Create scales
-    const xScale = d3.scaleLinear()
-      .domain(d3.extent(values))
-      .range([0, this.innerWidth]);
-
-    const yScale = d3.scaleLinear()
-      .domain([0, d3.max(bins, d => d.length)])
-      .range([this.innerHeight, 0]);
-
-    // Create axes
-    const xAxis = d3.axisBottom(xScale);
-    const yAxis = d3.axisLeft(yScale);
-
-    // Add axes
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
-      .call(xAxis);
-
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
-      .call(yAxis);
-
-    // Add axis labels
-    this.addAxisLabels();
-
-    // Create bars
-    this.createBars(bins, xScale, yScale);
+    this.drawHistogram(values, histogram(values));
 
+    this.emit('render');
     return this;
   }
 
@@ -324,12 +376,44 @@ class Histogram extends BaseChart {
       .attr('x', 0)
       .attr('y', (d, i) => i * 15)
       .style('font-size', '12px')
-      .style('fill', '#666')
+      .style('fill', this.theme.mutedText)
       .text(d => d);
 
     return this;
   }
 
+  /**
+   * Summarize the distribution and its fullest bin for describe()
+   */
+  summarize(detailed) {
+    const values = this.data.map(d => typeof d === 'object' ? d.value : d);
+    const stats = MathUtils.stats(values.map(value => ({ value })), 'value');
+    if (!stats) return ['Histogram with no values.'];
+
+    const f = value => this.formatNumber(value);
+    const bins = d3.histogram()
+      .domain(d3.extent(values))
+      .thresholds(this.options.bins)(values);
+    const fullest = d3.greatest(bins, bin => bin.length);
+    const sentences = [
+      `Histogram of ${stats.count} values from ${f(stats.min)} to ${f(stats.max)}.`,
+      `The most values, ${fullest.length}, fall between ${f(fullest.x0)} and ${f(fullest.x1)}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Mean ${f(stats.mean)}, median ${f(stats.median)}, standard deviation ${f(stats.standardDeviation)}, interquartile range ${f(stats.q1)} to ${f(stats.q3)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per bin drawn: its bounds and how many values fall in it
+   */
+  tabulate() {
+    return (this.bins || []).map(bin => ({ x0: bin.x0, x1: bin.x1, count: bin.length }));
+  }
+
   /**
    * Update chart with new data
    */
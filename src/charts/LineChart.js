@@ -1,5 +1,11 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { DOMUtils } from '../utils/index.js';
+import { traceBoxes } from '../annotations.js';
+import { addXZoom, getOverviewSpace, visibleXDomain } from '../zoom.js';
+
+// Gap between y axes on the same side of the plot
+const AXIS_OFFSET = 50;
 
 /**
  * Line Chart implementation
@@ -7,15 +13,21 @@ import BaseChart from './BaseChart.js';
 class LineChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      lineColor: '#3498db',
+      lineColor: null, // Defaults to the theme's primary color
       lineWidth: 2,
       pointRadius: 4,
-      pointColor: '#3498db',
+      pointColor: null, // Defaults to lineColor
       pointHoverRadius: 6,
       showPoints: true,
       showArea: false,
-      areaColor: 'rgba(52, 152, 219, 0.3)',
+      areaColor: null, // Defaults to a translucent lineColor
       curve: d3.curveLinear,
+      renderer: 'svg', // 'svg' or 'canvas' for large datasets
+      xType: 'auto', // 'auto', 'linear', 'time' or 'utc'; 'auto' uses a time scale for dates
+      timeZone: null, // IANA time zone for dates in tooltips, e.g. 'UTC'; defaults to the browser's
+      yAxes: null, // { left, right, [name]: { position, title, tickFormat, domain, series } } for renderMultiSeries
+      zoom: false, // true or { maxScale } to zoom and pan the x axis with the wheel and drag
+      overview: false, // true or { height } for a brushable overview of every x value below the plot
       ...options
     };
     
@@ -23,27 +35,65 @@ class LineChart extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Rows of { x, y }; x may be a number or a date
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { x: ['number', 'date'], y: 'number' } }
+    };
+  }
+
+  /**
+   * The plot area, less the space the overview takes below it
+   */
+  computeInnerSize() {
+    super.computeInnerSize();
+    this.innerHeight -= getOverviewSpace(this);
+  }
+
+  /**
+   * Points read x and y; an encoded series draws a line per series
+   */
+  getEncodingChannels() {
+    return { x: 'x', y: 'y', series: 'series' };
+  }
+
   /**
    * Render the line chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for LineChart');
-      return this;
+    if (!this.beginRender()) return this;
+
+    // Rows with an encoded series are drawn as one line per series
+    if (this.options.encoding && this.options.encoding.series != null) {
+      return this.drawMultiSeries(d3.groups(this.data, d => d.series).map(([name, data]) => ({ name, data })));
     }
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    // Multi-series output is not keyed, so start over when switching back
+    if (this.renderMode !== 'single') {
+      this.chartGroup.selectAll('*').remove();
+      this.renderMode = 'single';
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(1000)).ease(this.getEasing());
 
-    // Create scales
-    const xScale = d3.scaleLinear()
-      .domain(d3.extent(this.data, d => d.x))
+    // Create scales; dates are drawn on a time scale
+    const xScale = this.createXScale(this.data);
+    this.data = this.parseDates(this.data);
+    xScale
+      .domain(visibleXDomain(this, d3.extent(this.data, d => d.x)))
       .range([0, this.innerWidth]);
 
     const yScale = d3.scaleLinear()
       .domain(d3.extent(this.data, d => d.y))
       .range([this.innerHeight, 0]);
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+
     // Create line generator
     const line = d3.line()
       .x(d => xScale(d.x))
@@ -65,103 +115,252 @@ class LineChart extends BaseChart {
     const yAxis = d3.axisLeft(yScale);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
+    if (this.useCanvas()) {
+      this.chartGroup.selectAll('.area, .line, .point').remove();
+      this.drawCanvasLine(xScale, yScale, line, area);
+      this.addCanvasInteractivity(xScale, yScale);
+      addXZoom(this);
+
+      this.emit('render');
+      return this;
+    }
+
+    this.removeCanvasLayer();
+    this.chartGroup.selectAll('.hover-point').remove();
+
     // Add area if requested
-    if (this.options.showArea && area) {
-      this.chartGroup.append('path')
+    const areaPath = this.chartGroup.selectAll('.area')
+      .data(this.options.showArea && area ? [this.data] : []);
+
+    areaPath.exit().remove();
+
+    areaPath.enter()
+      .insert('path', '.line')
+      .attr('class', 'area')
+      .attr('d', area)
+      .merge(areaPath)
+      .attr('fill', this.getColors().area)
+      .transition(transition)
+      .attr('d', area);
+
+    // Add line
+    let path = this.chartGroup.select('.line');
+
+    if (path.empty()) {
+      path = this.chartGroup.append('path')
+        .datum(this.data)
+        .attr('class', 'line')
+        .attr('fill', 'none')
+        .attr('d', line);
+
+      // Animate line drawing
+      const totalLength = DOMUtils.getTotalLength(path.node());
+      path
+        .attr('stroke-dasharray', totalLength + ' ' + totalLength)
+        .attr('stroke-dashoffset', totalLength)
+        .transition(transition)
+        .attr('stroke-dashoffset', 0)
+        .on('end', function() {
+          d3.select(this).attr('stroke-dasharray', null);
+        });
+    } else {
+      // Morph the existing line into the new data
+      path
         .datum(this.data)
-        .attr('class', 'area')
-        .attr('fill', this.options.areaColor)
-        .attr('d', area);
+        .attr('stroke-dasharray', null)
+        .transition(transition)
+        .attr('d', line);
     }
 
-    // Add line
-    const path = this.chartGroup.append('path')
-      .datum(this.data)
-      .attr('class', 'line')
-      .attr('fill', 'none')
-      .attr('stroke', this.options.lineColor)
-      .attr('stroke-width', this.options.lineWidth)
-      .attr('d', line);
-
-    // Animate line drawing
-    const totalLength = path.node().getTotalLength();
     path
-      .attr('stroke-dasharray', totalLength + ' ' + totalLength)
-      .attr('stroke-dashoffset', totalLength)
-      .transition()
-      .duration(1000)
-      .attr('stroke-dashoffset', 0);
+      .attr('stroke', this.getColors().line)
+      .attr('stroke-width', this.options.lineWidth);
 
     // Add points if requested
     if (this.options.showPoints) {
-      this.addPoints(xScale, yScale);
+      this.addPoints(xScale, yScale, transition);
+    } else {
+      this.chartGroup.selectAll('.point').remove();
     }
 
+    addXZoom(this);
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Resolve line, point and area colors from options, falling back to the theme
+   */
+  getColors() {
+    const line = this.options.lineColor || this.theme.primary;
+    const area = d3.color(line);
+    area.opacity = 0.3;
+
+    return {
+      line,
+      point: this.options.pointColor || line,
+      area: this.options.areaColor || area.formatRgb()
+    };
+  }
+
   /**
    * Add interactive points to the line
    */
-  addPoints(xScale, yScale) {
+  addPoints(xScale, yScale, transition) {
     const self = this;
 
     const points = this.chartGroup.selectAll('.point')
-      .data(this.data)
-      .enter()
+      .data(this.data, this.getKeyAccessor('x'));
+
+    // Fade out removed points
+    points.exit()
+      .transition(transition)
+      .attr('r', 0)
+      .remove();
+
+    const pointsEnter = points.enter()
       .append('circle')
       .attr('class', 'point')
       .attr('cx', d => xScale(d.x))
       .attr('cy', d => yScale(d.y))
       .attr('r', 0)
-      .attr('fill', this.options.pointColor)
       .style('cursor', 'pointer');
 
-    // Animate points
-    points.transition()
-      .delay((d, i) => i * 50)
-      .duration(300)
+    const pointsUpdate = pointsEnter.merge(points)
+      .attr('fill', this.getColors().point);
+
+    // Move existing points into place
+    points.transition(transition)
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y));
+
+    // Animate new points
+    pointsEnter.transition(transition)
+      .delay((d, i) => this.getStagger(i, 50))
       .attr('r', this.options.pointRadius);
 
     // Add interactivity
-    points
+    pointsUpdate
       .on('mouseover', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointHoverRadius);
         
-        self.showTooltip(`(${d.x}, ${d.y})`, event);
+        self.showTooltip(`(${self.formatDate(d.x)}, ${d.y})`, event, d);
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
+      .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointRadius);
         
         self.hideTooltip();
+        self.emit('leave', d, event);
       })
-      .on('click', function(event, d) {
-        if (self.options.onClick) {
-          self.options.onClick(d, event);
-        }
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(pointsUpdate, d => `x ${this.formatDate(d.x)}, y ${d.y}`);
+  }
+
+  /**
+   * Draw the area, line and points to the canvas layer
+   */
+  drawCanvasLine(xScale, yScale, line, area) {
+    const context = this.getCanvasContext();
+
+    if (area) {
+      context.beginPath();
+      area.context(context)(this.data);
+      context.fillStyle = this.getColors().area;
+      context.fill();
+    }
+
+    context.beginPath();
+    line.context(context)(this.data);
+    context.strokeStyle = this.getColors().line;
+    context.lineWidth = this.options.lineWidth;
+    context.stroke();
+
+    if (this.options.showPoints) {
+      const radius = this.options.pointRadius;
+
+      context.beginPath();
+      this.data.forEach(d => {
+        context.moveTo(xScale(d.x) + radius, yScale(d.y));
+        context.arc(xScale(d.x), yScale(d.y), radius, 0, 2 * Math.PI);
+      });
+      context.fillStyle = this.getColors().point;
+      context.fill();
+    }
+  }
+
+  /**
+   * Hit-test canvas points with a quadtree and mark the hovered one with an SVG circle
+   */
+  addCanvasInteractivity(xScale, yScale) {
+    const quadtree = d3.quadtree()
+      .x(d => xScale(d.x))
+      .y(d => yScale(d.y))
+      .addAll(this.data);
+
+    let marker = this.chartGroup.select('.hover-point');
+    if (marker.empty()) {
+      marker = this.chartGroup.append('circle')
+        .attr('class', 'hover-point')
+        .style('pointer-events', 'none')
+        .style('display', 'none');
+    }
+
+    this.bindCanvasEvents((x, y) => quadtree.find(x, y, this.options.pointHoverRadius * 2), {
+      hover: (d, event) => {
+        marker
+          .attr('cx', xScale(d.x))
+          .attr('cy', yScale(d.y))
+          .attr('r', this.options.pointHoverRadius)
+          .attr('fill', this.getColors().point)
+          .style('display', null);
+
+        this.showTooltip(`(${this.formatDate(d.x)}, ${d.y})`, event, d);
+      },
+      leave: () => {
+        marker.style('display', 'none');
+        this.hideTooltip();
+      }
+    });
   }
 
   /**
    * Add multiple lines for multi-series data
    */
   renderMultiSeries(seriesData) {
+    this.runPlugins('beforeRender');
+
+    // The encoding applies to the points of each series
+    return this.drawMultiSeries(this.encode(seriesData, { data: this.getEncodingChannels() }));
+  }
+
+  /**
+   * Draw one line per series of encoded points; render() comes here with
+   * rows setData() encoded, once the beforeRender plugins have run
+   */
+  drawMultiSeries(seriesData) {
     if (!seriesData || seriesData.length === 0) {
       console.warn('No series data provided for LineChart');
       return this;
@@ -169,86 +368,180 @@ class LineChart extends BaseChart {
 
     // Clear previous chart
     this.chartGroup.selectAll('*').remove();
+    this.removeCanvasLayer();
+    this.renderMode = 'multiSeries';
+
+    // Create scales; dates are drawn on a time scale
+    const xScale = this.createXScale(seriesData.flatMap(series => series.data));
+    seriesData = seriesData.map(series => ({ ...series, data: this.parseDates(series.data) }));
+    this.seriesData = seriesData;
+
+    // Series hidden from the legend are left out, and the axes fit the rest
+    const keys = seriesData.map((series, index) => series.name || `Series ${index + 1}`);
+    const shown = seriesData.filter((series, index) => this.isSeriesVisible(keys[index]));
 
     // Get all data points for scaling
-    const allData = seriesData.flatMap(series => series.data);
+    const allData = shown.flatMap(series => series.data);
 
-    // Create scales
-    const xScale = d3.scaleLinear()
-      .domain(d3.extent(allData, d => d.x))
+    xScale
+      .domain(visibleXDomain(this, d3.extent(allData, d => d.x)))
       .range([0, this.innerWidth]);
 
-    const yScale = d3.scaleLinear()
-      .domain(d3.extent(allData, d => d.y))
-      .range([this.innerHeight, 0]);
-
-    // Color scale for different series
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10);
+    // Each y axis has its own scale over the series drawn against it
+    const axes = this.createYAxes(shown);
+    const axisOf = new Map(axes.flatMap(axis => axis.series.map(series => [series, axis])));
 
-    // Create line generator
-    const line = d3.line()
-      .x(d => xScale(d.x))
-      .y(d => yScale(d.y))
-      .curve(this.options.curve);
+    this.xScale = xScale;
+    this.axes = axes;
+    this.yScales = new Map(axes.map(axis => [axis.id, axis.scale]));
+    this.yScale = (axes.find(axis => axis.id === 'left') || axes[0]).scale;
 
-    // Create axes
-    const xAxis = d3.axisBottom(xScale);
-    const yAxis = d3.axisLeft(yScale);
+    // Color scale for different series, by index so hidden series keep their color
+    const colorScale = d3.scaleOrdinal(d3.range(seriesData.length), this.theme.palette);
+    this.colorScale = colorScale;
 
     // Add axes
-    this.chartGroup.append('g')
+    const xAxisGroup = this.chartGroup.append('g')
       .attr('class', 'x-axis')
       .attr('transform', `translate(0, ${this.innerHeight})`)
-      .call(xAxis);
+      .call(d3.axisBottom(xScale));
+    this.rotateTickLabels(xAxisGroup);
 
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
-      .call(yAxis);
+    axes.forEach(axis => this.addYAxis(axis));
+
+    // Series are named with their axis once there is more than one
+    const axisLabel = series => (axes.length > 1 && axisOf.has(series) ? axisOf.get(series).label : null);
 
     // Add lines for each series
     seriesData.forEach((series, index) => {
+      if (!shown.includes(series)) return;
       const color = series.color || colorScale(index);
+      const axis = axisOf.get(series);
+
+      // Create line generator
+      const line = d3.line()
+        .x(d => xScale(d.x))
+        .y(d => axis.scale(d.y))
+        .curve(this.options.curve);
 
       // Add line
       const path = this.chartGroup.append('path')
         .datum(series.data)
         .attr('class', `line series-${index}`)
+        .attr('data-axis', axis.id)
+        .attr('data-series', keys[index])
         .attr('fill', 'none')
         .attr('stroke', color)
         .attr('stroke-width', this.options.lineWidth)
         .attr('d', line);
 
       // Animate line drawing
-      const totalLength = path.node().getTotalLength();
+      const totalLength = DOMUtils.getTotalLength(path.node());
       path
         .attr('stroke-dasharray', totalLength + ' ' + totalLength)
         .attr('stroke-dashoffset', totalLength)
         .transition()
-        .delay(index * 200)
-        .duration(1000)
+        .delay(this.getDuration(index * 200))
+        .duration(this.getDuration(1000))
+        .ease(this.getEasing())
         .attr('stroke-dashoffset', 0);
 
       // Add points if requested
       if (this.options.showPoints) {
-        this.addSeriesPoints(series.data, xScale, yScale, color, series.name);
+        this.addSeriesPoints(series.data, xScale, axis.scale, color, series.name, axisLabel(series), axis.format)
+          .attr('data-series', keys[index]);
       }
     });
 
     // Add legend
     const legendItems = seriesData.map((series, index) => ({
-      label: series.name || `Series ${index + 1}`,
+      key: keys[index],
+      label: axisLabel(series) ? `${keys[index]} (${axisLabel(series)})` : keys[index],
       color: series.color || colorScale(index)
     }));
-    this.addLegend(legendItems);
+    this.addLegend(legendItems, { interactive: true });
 
+    addXZoom(this);
+    this.emit('render');
     return this;
   }
 
   /**
-   * Add points for a specific series
+   * Group the series by the y axis they are drawn against: series.axis, an
+   * axis whose yAxes entry lists the series by name, or 'left'. Each axis
+   * gets a scale over its series' values unless its entry sets a domain.
+   */
+  createYAxes(seriesData) {
+    const config = this.options.yAxes || {};
+    const axes = new Map();
+
+    seriesData.forEach(series => {
+      const listed = Object.keys(config).find(id => (config[id].series || []).includes(series.name));
+      const id = series.axis || listed || 'left';
+      if (!axes.has(id)) axes.set(id, { id, series: [] });
+      axes.get(id).series.push(series);
+    });
+
+    const used = { left: 0, right: 0 };
+    return [...axes.values()].map(axis => {
+      const { position = axis.id === 'left' ? 'left' : 'right', title = null, tickFormat = null, domain = null } = config[axis.id] || {};
+      const values = axis.series.flatMap(series => series.data.map(d => d.y));
+
+      // Axes on the same side stack outward from the plot
+      const index = used[position]++;
+
+      return {
+        ...axis,
+        position,
+        title,
+        label: `${position} axis${index > 0 ? ` ${index + 1}` : ''}`,
+        offset: index * AXIS_OFFSET,
+        format: typeof tickFormat === 'string' ? d3.format(tickFormat) : tickFormat,
+        scale: d3.scaleLinear()
+          .domain(domain || d3.extent(values))
+          .range([this.innerHeight, 0])
+      };
+    });
+  }
+
+  /**
+   * Draw a y axis from createYAxes() beside the plot, with its title
    */
-  addSeriesPoints(data, xScale, yScale, color, seriesName) {
+  addYAxis(axis) {
+    const left = axis.position === 'left';
+    const x = left ? -axis.offset : this.innerWidth + axis.offset;
+
+    const generator = (left ? d3.axisLeft : d3.axisRight)(axis.scale);
+    if (axis.format) generator.tickFormat(axis.format);
+
+    const group = this.chartGroup.append('g')
+      .attr('class', 'y-axis')
+      .attr('data-axis', axis.id)
+      .attr('transform', `translate(${x}, 0)`)
+      .call(generator);
+
+    if (axis.title) {
+      group.append('text')
+        .attr('class', 'axis-title')
+        .attr('transform', `rotate(${left ? -90 : 90})`)
+        .attr('x', left ? -this.innerHeight / 2 : this.innerHeight / 2)
+        .attr('y', -AXIS_OFFSET + 12)
+        .attr('text-anchor', 'middle')
+        .style('font-size', `${this.theme.font.size}px`)
+        .style('fill', this.theme.text)
+        .text(axis.title);
+    }
+  }
+
+  /**
+   * Add points for a specific series; axisLabel names its y axis in
+   * tooltips when the chart has more than one, and format its y values.
+   * Returns the points.
+   */
+  addSeriesPoints(data, xScale, yScale, color, seriesName, axisLabel = null, format = null) {
     const self = this;
+    const name = axisLabel ? `${seriesName} (${axisLabel})` : seriesName;
+    const formatY = format || (y => y);
 
     const points = this.chartGroup.selectAll(`.point-${seriesName}`)
       .data(data)
@@ -263,8 +556,9 @@ class LineChart extends BaseChart {
 
     // Animate points
     points.transition()
-      .delay((d, i) => i * 30)
-      .duration(300)
+      .delay((d, i) => this.getStagger(i, 30))
+      .duration(this.getDuration(300))
+      .ease(this.getEasing())
       .attr('r', this.options.pointRadius);
 
     // Add interactivity
@@ -272,19 +566,116 @@ class LineChart extends BaseChart {
       .on('mouseover', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointHoverRadius);
         
-        self.showTooltip(`${seriesName}: (${d.x}, ${d.y})`, event);
+        self.showTooltip(`${name}: (${self.formatDate(d.x)}, ${formatY(d.y)})`, event, { ...d, series: seriesName });
+        self.emit('hover', d, event);
       })
-      .on('mouseout', function() {
+      .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('r', self.options.pointRadius);
         
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(points, d => `${name}: x ${this.formatDate(d.x)}, y ${formatY(d.y)}`);
+    return points;
+  }
+
+  /**
+   * Redraw in the mode the chart was last drawn in
+   */
+  redraw() {
+    if (this.renderMode !== 'multiSeries') return this.render();
+
+    // The series kept from the last draw are already encoded
+    this.runPlugins('beforeRender');
+    return this.drawMultiSeries(this.seriesData);
+  }
+
+  /**
+   * Summarize the line, or each series, for describe()
+   */
+  summarize(detailed) {
+    if (this.renderMode === 'multiSeries') {
+      return [
+        `Line chart with ${this.seriesData.length} series.`,
+        ...this.seriesData.map(series => `${series.name}: ${this.summarizePoints(series.data, detailed).join(' ')}`)
+      ];
+    }
+
+    if (this.data.length === 0) return ['Line chart with no points.'];
+
+    const [xMin, xMax] = d3.extent(this.data, d => d.x).map(x => (x instanceof Date ? this.formatDate(x) : this.formatNumber(x)));
+    return [
+      `Line chart of ${this.data.length} points from x = ${xMin} to ${xMax}.`,
+      ...this.summarizePoints(this.data, detailed)
+    ];
+  }
+
+  /**
+   * Where the lines and points end up, for annotation callouts
+   */
+  getMarkBoxes() {
+    if (!this.xScale) return [];
+
+    const radius = this.options.showPoints ? this.options.pointRadius + 2 : this.options.lineWidth + 2;
+    const trace = (points, yScale) => traceBoxes(points.map(d => [this.xScale(d.x), yScale(d.y)]), radius);
+
+    if (this.renderMode === 'multiSeries') {
+      return this.axes.flatMap(axis => axis.series.flatMap(series => trace(series.data, axis.scale)));
+    }
+    return trace(this.data, this.yScale);
+  }
+
+  /**
+   * The line, or each series, for the overview
+   */
+  getOverviewSeries() {
+    if (this.renderMode === 'multiSeries') {
+      return this.seriesData
+        .map((series, index) => ({ series, points: series.data, color: series.color || this.colorScale(index) }))
+        .filter(({ series }) => this.axes.some(axis => axis.series.includes(series)));
+    }
+    return [{ points: this.data, color: this.getColors().line }];
+  }
+
+  /**
+   * The point of the line, or of each series, nearest x, for ChartGroup
+   */
+  valuesAt(x) {
+    if (this.renderMode !== 'multiSeries') {
+      return this.pointsAt([{ points: this.data, color: this.getColors().line }], x);
+    }
+
+    return this.pointsAt(this.seriesData.flatMap((series, index) => {
+      const axis = this.axes.find(item => item.series.includes(series));
+      return axis ? [{
+        name: series.name || `Series ${index + 1}`,
+        points: series.data,
+        color: series.color || this.colorScale(index),
+        format: axis.format
+      }] : [];
+    }), x);
+  }
+
+  /**
+   * One row per point, with its series when drawn by renderMultiSeries()
+   */
+  tabulate() {
+    if (this.renderMode === 'multiSeries') {
+      return this.seriesData.flatMap(series => series.data.map(d => ({ series: series.name, ...d })));
+    }
+    return super.tabulate();
   }
 
   /**
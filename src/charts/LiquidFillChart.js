@@ -26,160 +26,202 @@ class LiquidFillChart extends BaseChart {
     super(container, defaultOptions);
   }
 
+  /**
+   * Rows of { value } with an optional title; dualGauge uses the first two
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { value: 'number', title: { type: 'label', required: false } } }
+    };
+  }
+
+  /**
+   * Gauges read label as their title
+   */
+  getEncodingChannels() {
+    return { label: 'title', value: 'value' };
+  }
+
   /**
    * Render the liquid fill chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for LiquidFillChart');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    // The waves restart below, but the gauges are kept, so a new value
+    // raises or lowers the liquid from its last level
+    this.clearAnimations();
 
-    const centerX = this.innerWidth / 2;
-    const centerY = this.innerHeight / 2;
+    const transition = this.chartGroup.transition().duration(this.getDuration(1000)).ease(this.getEasing());
     const radius = Math.min(this.innerWidth, this.innerHeight) / 2 - 40;
 
     // Create main container
-    const container = this.chartGroup.append('g')
-      .attr('transform', `translate(${centerX}, ${centerY})`);
+    const container = this.getOrCreateGroup('liquid-fill')
+      .attr('transform', `translate(${this.innerWidth / 2}, ${this.innerHeight / 2})`);
 
     this.createGradients();
 
     if (this.options.dualGauge && this.data.length >= 2) {
-      this.renderDualGauge(container, radius);
+      this.renderDualGauge(container, radius, transition);
     } else {
-      this.renderSingleGauge(container, radius);
+      this.renderSingleGauge(container, radius, transition);
     }
 
     this.addTitle(container, radius);
+    this.addKeyboardNavigation(
+      container.selectAll('.liquid-gauge'),
+      d => `${d.title}: ${this.formatValue(d.value)}, ${(d.fillPercent * 100).toFixed(1)}% full`
+    );
     
+    this.emit('render');
     return this;
   }
 
   /**
-   * Create gradient definitions for liquid effects
+   * Create gradient definitions for liquid effects, reusing those from the last render
    */
   createGradients() {
     const defs = this.svg.select('defs').empty() ? 
       this.svg.append('defs') : this.svg.select('defs');
 
-    // Primary liquid gradient
-    const primaryGradient = defs.append('linearGradient')
-      .attr('id', 'primary-liquid')
-      .attr('x1', '0%').attr('y1', '0%')
-      .attr('x2', '0%').attr('y2', '100%');
-    
-    primaryGradient.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', this.options.colors.primary)
-      .attr('stop-opacity', 0.8);
-    
-    primaryGradient.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', d3.color(this.options.colors.primary).darker(0.5))
-      .attr('stop-opacity', 0.9);
-
-    // Secondary liquid gradient
-    const secondaryGradient = defs.append('linearGradient')
-      .attr('id', 'secondary-liquid')
-      .attr('x1', '0%').attr('y1', '0%')
-      .attr('x2', '0%').attr('y2', '100%');
-    
-    secondaryGradient.append('stop')
-      .attr('offset', '0%')
-      .attr('stop-color', this.options.colors.secondary)
-      .attr('stop-opacity', 0.8);
-    
-    secondaryGradient.append('stop')
-      .attr('offset', '100%')
-      .attr('stop-color', d3.color(this.options.colors.secondary).darker(0.5))
-      .attr('stop-opacity', 0.9);
+    [['primary', this.options.colors.primary], ['secondary', this.options.colors.secondary]].forEach(([name, color]) => {
+      let gradient = defs.select(`#${name}-liquid`);
+      if (gradient.empty()) {
+        gradient = defs.append('linearGradient')
+          .attr('id', `${name}-liquid`)
+          .attr('x1', '0%').attr('y1', '0%')
+          .attr('x2', '0%').attr('y2', '100%');
+      }
+      gradient.selectAll('stop').remove();
+
+      gradient.append('stop')
+        .attr('offset', '0%')
+        .attr('stop-color', color)
+        .attr('stop-opacity', 0.8);
+
+      gradient.append('stop')
+        .attr('offset', '100%')
+        .attr('stop-color', d3.color(color).darker(0.5))
+        .attr('stop-opacity', 0.9);
+    });
   }
 
   /**
    * Render single gauge
    */
-  renderSingleGauge(container, radius) {
+  renderSingleGauge(container, radius, transition) {
     const data = this.data[0];
-    const fillPercent = Math.min(Math.max(data.value / 100, 0), 1);
-    
-    this.createLiquidFill(
-      container,
-      fillPercent,
-      this.options.colors.primary,
-      data.title || 'Value',
-      data.value,
-      0,
-      radius * this.options.circleRadius
-    );
+    const gauge = {
+      title: data.title || 'Value',
+      value: data.value,
+      fillPercent: Math.min(Math.max(data.value / 100, 0), 1)
+    };
+
+    this.drawGauges(container, [gauge], [0], [this.options.colors.primary], radius, transition);
+    this.addConnectingFlow(container, radius, false);
+    this.addTotal(container, radius, null);
   }
 
   /**
    * Render dual gauge
    */
-  renderDualGauge(container, radius) {
+  renderDualGauge(container, radius, transition) {
     const total = this.data.reduce((sum, d) => sum + d.value, 0);
-    const leftData = this.data[0];
-    const rightData = this.data[1];
-    
-    const leftPercent = total > 0 ? leftData.value / total : 0;
-    const rightPercent = total > 0 ? rightData.value / total : 0;
-
-    // Left circle
-    const leftCircle = container.append('g')
-      .attr('transform', `translate(${-radius * 0.7}, 0)`);
-    
-    // Right circle
-    const rightCircle = container.append('g')
-      .attr('transform', `translate(${radius * 0.7}, 0)`);
-
-    this.createLiquidFill(
-      leftCircle,
-      leftPercent,
-      this.options.colors.secondary,
-      leftData.title || 'Left',
-      leftData.value,
-      0,
-      radius * this.options.circleRadius
-    );
+    const gauges = this.data.slice(0, 2).map((d, i) => ({
+      title: d.title || (i ? 'Right' : 'Left'),
+      value: d.value,
+      fillPercent: total > 0 ? d.value / total : 0
+    }));
 
-    this.createLiquidFill(
-      rightCircle,
-      rightPercent,
-      this.options.colors.primary,
-      rightData.title || 'Right',
-      rightData.value,
-      1,
-      radius * this.options.circleRadius
+    this.drawGauges(
+      container,
+      gauges,
+      [-radius * 0.7, radius * 0.7],
+      [this.options.colors.secondary, this.options.colors.primary],
+      radius,
+      transition
     );
 
     // Add connecting flow if enabled
-    if (this.options.showConnectingFlow) {
-      this.addConnectingFlow(container, radius);
-    }
+    this.addConnectingFlow(container, radius, this.options.showConnectingFlow);
 
     // Add total value at the bottom
-    container.append('text')
-      .attr('x', 0)
-      .attr('y', radius + 40)
-      .attr('text-anchor', 'middle')
-      .attr('font-size', '16px')
-      .attr('font-weight', 'bold')
-      .attr('fill', '#6b7280')
-      .text(`Total: ${this.formatValue(total)}`);
+    this.addTotal(container, radius, total);
   }
 
   /**
-   * Create liquid fill effect for a single gauge
+   * Join gauges to their groups by position, sliding kept gauges to their new offsets
    */
-  createLiquidFill(container, fillPercent, color, title, value, index, circleRadius) {
-    const defs = this.svg.select('defs');
-    
+  drawGauges(container, gauges, offsets, colors, radius, transition) {
+    const self = this;
+    const circleRadius = radius * this.options.circleRadius;
+    const place = (d, i) => `translate(${offsets[i]}, 0)`;
+
+    const gaugeGroups = container.selectAll('.liquid-gauge')
+      .data(gauges);
+
+    gaugeGroups.exit()
+      .transition(transition)
+      .attr('opacity', 0)
+      .remove();
+
+    const gaugesEnter = gaugeGroups.enter()
+      .append('g')
+      .attr('class', 'liquid-gauge')
+      .attr('transform', place);
+
+    gaugeGroups.transition(transition)
+      .attr('opacity', 1)
+      .attr('transform', place);
+
+    const allGauges = gaugesEnter.merge(gaugeGroups);
+
+    allGauges.each(function(d, i) {
+      self.createLiquidFill(d3.select(this), d, colors[i], i, circleRadius, transition);
+    });
+
+    // Add hover effects
+    allGauges
+      .style('cursor', 'pointer')
+      .on('mouseover', function(event, d) {
+        d3.select(this)
+          .transition()
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
+          .attr('transform', d3.select(this).attr('transform') + ' scale(1.05)');
+        
+        const tooltipContent = `${d.title}<br>Value: ${self.formatValue(d.value)}<br>Percentage: ${(d.fillPercent * 100).toFixed(1)}%`;
+        self.showTooltip(tooltipContent, event, d);
+        self.emit('hover', d, event);
+      })
+      .on('mouseout', function(event, d) {
+        d3.select(this)
+          .transition()
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
+          .attr('transform', d3.select(this).attr('transform').replace(' scale(1.05)', ''));
+        
+        self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', function(event, d) {
+        self.emit('click', d, event);
+      });
+  }
+
+  /**
+   * Create or update the liquid fill effect for a single gauge
+   */
+  createLiquidFill(gauge, d, color, index, circleRadius, transition) {
+    const part = (parent, tag, className) => {
+      const node = parent.selectChild(`.${className}`);
+      return node.empty() ? parent.append(tag).attr('class', className) : node;
+    };
+
     // Outer circle (container)
-    container.append('circle')
+    part(gauge, 'circle', 'liquid-outline')
       .attr('cx', 0)
       .attr('cy', 0)
       .attr('r', circleRadius)
@@ -188,72 +230,79 @@ class LiquidFillChart extends BaseChart {
       .attr('stroke-width', 3)
       .attr('opacity', 0.3);
 
-    // Create clipping path for liquid
-    const clipId = `clip-${title.toLowerCase().replace(/[^a-z]/g, '')}-${index}`;
-    defs.append('clipPath')
-      .attr('id', clipId)
-      .append('circle')
+    // Create clipping path for liquid, kept in the gauge so it leaves with it
+    const clipId = `clip-${d.title.toLowerCase().replace(/[^a-z]/g, '')}-${index}`;
+    const clipPath = part(gauge, 'clipPath', 'liquid-clip')
+      .attr('id', clipId);
+
+    part(clipPath, 'circle', 'liquid-clip-circle')
       .attr('cx', 0)
       .attr('cy', 0)
       .attr('r', circleRadius - 2);
 
-    // Liquid container
-    const liquidContainer = container.append('g')
+    // Liquid container, and the surface within it that rises and falls with the value
+    const liquidContainer = part(gauge, 'g', 'liquid')
       .attr('clip-path', `url(#${clipId})`);
 
-    // Create wave generator
-    const waveGenerator = d3.line()
-      .x(d => d[0])
-      .y(d => d[1])
-      .curve(d3.curveBasis);
+    // Base liquid level (inverted because SVG y increases downward)
+    const liquidLevel = circleRadius * (1 - d.fillPercent * 2) + circleRadius * 0.1;
+    const surface = part(liquidContainer, 'g', 'liquid-surface');
+    (surface.attr('transform') ? surface.transition(transition) : surface)
+      .attr('transform', `translate(0, ${liquidLevel})`);
 
     // Create multiple wave layers for depth
-    for (let i = 0; i < this.options.waveCount; i++) {
-      this.createWaveLayer(
-        liquidContainer,
-        waveGenerator,
-        fillPercent,
-        color,
-        circleRadius,
-        i,
-        index === 0 ? 'secondary' : 'primary'
-      );
-    }
+    const waves = surface.selectAll('.wave')
+      .data(d3.range(this.options.waveCount));
 
-    // Add percentage text in center
-    if (this.options.showPercentages) {
-      container.append('text')
+    waves.exit().remove();
+
+    waves.enter()
+      .append('path')
+      .attr('class', 'wave')
+      .merge(waves)
+      .attr('d', layerIndex => this.getWavePath(circleRadius, layerIndex, 0))
+      .attr('fill', `url(#${index === 0 ? 'secondary' : 'primary'}-liquid)`)
+      .attr('opacity', layerIndex => 0.7 - layerIndex * 0.1)
+      .each((layerIndex, i, nodes) => this.animateWave(d3.select(nodes[i]), circleRadius, layerIndex));
+
+    const label = (className, shown) => {
+      const labels = gauge.selectAll(`.${className}`)
+        .data(shown ? [d] : []);
+
+      labels.exit().remove();
+
+      return labels.enter()
+        .append('text')
+        .attr('class', className)
         .attr('x', 0)
-        .attr('y', -10)
         .attr('text-anchor', 'middle')
-        .attr('font-size', '24px')
-        .attr('font-weight', 'bold')
-        .attr('fill', color)
-        .text(`${(fillPercent * 100).toFixed(1)}%`);
-    }
+        .merge(labels);
+    };
+
+    // Add percentage text in center
+    label('liquid-percent', this.options.showPercentages)
+      .attr('y', -10)
+      .attr('font-size', '24px')
+      .attr('font-weight', 'bold')
+      .attr('fill', color)
+      .text(`${(d.fillPercent * 100).toFixed(1)}%`);
 
     // Add title below
-    container.append('text')
-      .attr('x', 0)
+    label('liquid-title', true)
       .attr('y', 15)
-      .attr('text-anchor', 'middle')
       .attr('font-size', '14px')
-      .attr('fill', '#666')
-      .text(title);
+      .attr('fill', this.theme.mutedText)
+      .text(d.title);
 
     // Add value below title
-    if (this.options.showValues) {
-      container.append('text')
-        .attr('x', 0)
-        .attr('y', 35)
-        .attr('text-anchor', 'middle')
-        .attr('font-size', '12px')
-        .attr('fill', '#888')
-        .text(this.formatValue(value));
-    }
+    label('liquid-value', this.options.showValues)
+      .attr('y', 35)
+      .attr('font-size', '12px')
+      .attr('fill', this.theme.mutedText)
+      .text(this.formatValue(d.value));
 
     // Add subtle glow effect
-    container.append('circle')
+    part(gauge, 'circle', 'liquid-glow')
       .attr('cx', 0)
       .attr('cy', 0)
       .attr('r', circleRadius + 5)
@@ -262,104 +311,67 @@ class LiquidFillChart extends BaseChart {
       .attr('stroke-width', 1)
       .attr('opacity', 0.2)
       .style('filter', 'blur(2px)');
-
-    // Add hover effects
-    const self = this;
-    container
-      .style('cursor', 'pointer')
-      .on('mouseover', function(event) {
-        d3.select(this)
-          .transition()
-          .duration(200)
-          .attr('transform', d3.select(this).attr('transform') + ' scale(1.05)');
-        
-        const tooltipContent = `${title}<br>Value: ${self.formatValue(value)}<br>Percentage: ${(fillPercent * 100).toFixed(1)}%`;
-        self.showTooltip(tooltipContent, event);
-      })
-      .on('mouseout', function() {
-        d3.select(this)
-          .transition()
-          .duration(200)
-          .attr('transform', d3.select(this).attr('transform').replace(' scale(1.05)', ''));
-        
-        self.hideTooltip();
-      })
-      .on('click', function(event) {
-        if (self.options.onClick) {
-          self.options.onClick({ title, value, fillPercent }, event);
-        }
-      });
   }
 
   /**
-   * Create individual wave layer
+   * Outline of one wave layer at a phase from 0 to 1, with the liquid's surface at y = 0
    */
-  createWaveLayer(liquidContainer, waveGenerator, fillPercent, color, circleRadius, layerIndex, gradientType) {
+  getWavePath(circleRadius, layerIndex, phase) {
     const waveHeight = this.options.waveHeight - layerIndex * 2;
     const waveLength = circleRadius * 2;
-    const waveData = [];
-    
-    // Generate wave points
+    const wavePoints = [];
+
     for (let x = -circleRadius * 1.5; x <= circleRadius * 1.5; x += 2) {
-      const y = Math.sin((x / waveLength) * Math.PI * 4 + layerIndex * Math.PI / 3) * waveHeight;
-      waveData.push([x, y]);
+      const y = Math.sin((x / waveLength) * Math.PI * 4 + layerIndex * Math.PI / 3 + phase * Math.PI * 2) * waveHeight;
+      wavePoints.push([x, y]);
     }
 
-    // Base liquid level (inverted because SVG y increases downward)
-    const liquidLevel = circleRadius * (1 - fillPercent * 2) + circleRadius * 0.1;
-
-    // Create wave path
-    const wavePath = liquidContainer.append('path')
-      .attr('d', () => {
-        const wavePoints = waveData.map(([x, y]) => [x, y + liquidLevel]);
-        const bottomPoints = [
-          [circleRadius * 1.5, circleRadius],
-          [-circleRadius * 1.5, circleRadius]
-        ];
-        return waveGenerator([...wavePoints, ...bottomPoints]) + 'Z';
-      })
-      .attr('fill', `url(#${gradientType}-liquid)`)
-      .attr('opacity', 0.7 - layerIndex * 0.1);
+    // Deep enough to fill the gauge even when the surface is near its top
+    const bottomPoints = [
+      [circleRadius * 1.5, circleRadius * 2],
+      [-circleRadius * 1.5, circleRadius * 2]
+    ];
 
-    // Animate wave
-    this.animateWave(wavePath, waveGenerator, waveData, waveLength, waveHeight, liquidLevel, circleRadius, layerIndex);
+    const waveGenerator = d3.line()
+      .x(d => d[0])
+      .y(d => d[1])
+      .curve(d3.curveBasis);
+
+    return waveGenerator([...wavePoints, ...bottomPoints]) + 'Z';
   }
 
   /**
    * Animate wave movement
    */
-  animateWave(wavePath, waveGenerator, waveData, waveLength, waveHeight, liquidLevel, circleRadius, layerIndex) {
+  animateWave(wavePath, circleRadius, layerIndex) {
+    const self = this;
     const animationDuration = this.options.animationDuration + layerIndex * 500;
 
     function animate() {
       wavePath
-        .transition()
-        .duration(animationDuration)
-        .ease(d3.easeLinear)
-        .attrTween('d', () => {
-          return (t) => {
-            const animatedWaveData = waveData.map(([x, y]) => {
-              const animatedY = Math.sin((x / waveLength) * Math.PI * 4 + layerIndex * Math.PI / 3 + t * Math.PI * 2) * waveHeight;
-              return [x, animatedY + liquidLevel];
-            });
-            const bottomPoints = [
-              [circleRadius * 1.5, circleRadius],
-              [-circleRadius * 1.5, circleRadius]
-            ];
-            return waveGenerator([...animatedWaveData, ...bottomPoints]) + 'Z';
-          };
-        })
+        .transition('ambient')
+        .duration(self.getDuration(animationDuration))
+        .ease(self.getEasing(d3.easeLinear))
+        .attrTween('d', () => t => self.getWavePath(circleRadius, layerIndex, t))
         .on('end', animate);
     }
 
-    animate();
+    this.addAnimation(animate);
   }
 
   /**
    * Add connecting flow animation between dual gauges
    */
-  addConnectingFlow(container, radius) {
-    const flowPath = container.append('path')
+  addConnectingFlow(container, radius, shown) {
+    const flows = container.selectAll('.connecting-flow')
+      .data(shown ? [radius] : []);
+
+    flows.exit().remove();
+
+    const flowPath = flows.enter()
+      .append('path')
+      .attr('class', 'connecting-flow')
+      .merge(flows)
       .attr('d', `M ${-radius * 0.1} 0 Q 0 -20 ${radius * 0.1} 0`)
       .attr('stroke', this.options.colors.connecting)
       .attr('stroke-width', 2)
@@ -367,35 +379,66 @@ class LiquidFillChart extends BaseChart {
       .attr('opacity', 0.6)
       .attr('stroke-dasharray', '5,5');
 
+    if (flowPath.empty()) return;
+
     // Animate the connecting flow
+    const self = this;
     function animateFlow() {
       flowPath
-        .transition()
-        .duration(2000)
-        .ease(d3.easeLinear)
+        .transition('ambient')
+        .duration(self.getDuration(2000))
+        .ease(self.getEasing(d3.easeLinear))
         .attrTween('stroke-dashoffset', () => {
           return (t) => `${-t * 10}`;
         })
         .on('end', animateFlow);
     }
 
-    animateFlow();
+    this.addAnimation(animateFlow);
+  }
+
+  /**
+   * Add the dual gauge's total below the pair, or remove it when total is null
+   */
+  addTotal(container, radius, total) {
+    const totals = container.selectAll('.liquid-total')
+      .data(total === null ? [] : [total]);
+
+    totals.exit().remove();
+
+    totals.enter()
+      .append('text')
+      .attr('class', 'liquid-total')
+      .attr('x', 0)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '16px')
+      .attr('font-weight', 'bold')
+      .merge(totals)
+      .attr('y', radius + 40)
+      .attr('fill', this.theme.mutedText)
+      .text(d => `Total: ${this.formatValue(d)}`);
   }
 
   /**
    * Add title to the chart
    */
   addTitle(container, radius) {
-    if (this.options.title) {
-      container.append('text')
-        .attr('x', 0)
-        .attr('y', -radius - 20)
-        .attr('text-anchor', 'middle')
-        .attr('font-size', '18px')
-        .attr('font-weight', 'bold')
-        .attr('fill', '#374151')
-        .text(this.options.title);
-    }
+    const titles = container.selectAll('.liquid-chart-title')
+      .data(this.options.title ? [this.options.title] : []);
+
+    titles.exit().remove();
+
+    titles.enter()
+      .append('text')
+      .attr('class', 'liquid-chart-title')
+      .attr('x', 0)
+      .attr('text-anchor', 'middle')
+      .attr('font-size', '18px')
+      .attr('font-weight', 'bold')
+      .merge(titles)
+      .attr('y', -radius - 20)
+      .attr('fill', this.theme.text)
+      .text(d => d);
   }
 
   /**
@@ -428,6 +471,44 @@ class LiquidFillChart extends BaseChart {
     ];
   }
 
+  /**
+   * Summarize how full the gauge, or each of a dual gauge's pair, is for describe()
+   */
+  summarize(detailed) {
+    const percent = d3.format('.1%');
+    const drawn = this.tabulate();
+    const sentences = [];
+
+    if (drawn.length === 2) {
+      const total = d3.sum(drawn, d => d.value);
+      const [left, right] = drawn.map((d, i) => ({ title: d.title || (i ? 'Right' : 'Left'), value: d.value }));
+      const share = d => `${d.title} ${this.formatValue(d.value)} (${percent(total > 0 ? d.value / total : 0)})`;
+      sentences.push(`Dual liquid fill gauge of ${this.formatValue(total)}: ${share(left)} and ${share(right)}.`);
+      if (detailed) {
+        const [larger, smaller] = left.value >= right.value ? [left, right] : [right, left];
+        sentences.push(`${larger.title} is larger by ${this.formatValue(larger.value - smaller.value)}.`);
+      }
+    } else {
+      const { title = 'Value', value } = drawn[0];
+      sentences.push(`Liquid fill gauge for ${title} at ${this.formatValue(value)}, ${percent(Math.min(Math.max(value / 100, 0), 1))} full.`);
+    }
+
+    if (detailed && this.data.length > drawn.length) {
+      const hidden = this.data.length - drawn.length;
+      sentences.push(`${hidden} more ${hidden === 1 ? 'row is' : 'rows are'} not drawn.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The values drawn: the first, or the first two as a dual gauge
+   */
+  tabulate() {
+    const count = this.options.dualGauge && Array.isArray(this.data) && this.data.length >= 2 ? 2 : 1;
+    return super.tabulate().slice(0, count);
+  }
+
   /**
    * Update chart with new data
    */
@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
 
 /**
  * NetworkChart class for interactive node-link diagrams with force simulations
@@ -8,8 +9,7 @@ import BaseChart from './BaseChart.js';
 class NetworkChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       tooltips: true,
       showLabels: true,
       nodeRadius: 8,
@@ -21,7 +21,6 @@ class NetworkChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     this.simulation = null;
     
@@ -30,19 +29,8 @@ class NetworkChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9],
-      spectral: d3.schemeSpectral[11]
-    };
-  }
-
   setupScales() {
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
     this.radiusScale = d3.scaleSqrt()
       .domain([1, 100])
       .range([this.options.nodeRadius / 2, this.options.nodeRadius * 2]);
@@ -71,17 +59,66 @@ class NetworkChart extends BaseChart {
     return { nodes, links };
   }
 
+  /**
+   * Nodes with ids, and links between them by id
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        nodes: { type: 'array', minLength: 1, rows: { type: 'object', fields: { id: 'label' } } },
+        links: { type: 'array', rows: { type: 'object', fields: { source: 'label', target: 'label' } } }
+      },
+      rules: [
+        ({ nodes, links }) => {
+          const ids = new Set(nodes.map(d => d.id));
+          return links.flatMap((link, i) => ['source', 'target']
+            .filter(end => !ids.has(link[end]))
+            .map(end => ({ path: `links.${i}.${end}`, message: `refers to unknown node "${link[end]}"` })));
+        }
+      ]
+    };
+  }
+
+  /**
+   * Nodes read color as their group and size as their value; links read their value
+   */
+  getEncodingChannels() {
+    return { nodes: { color: 'group', size: 'value' }, links: { value: 'value' } };
+  }
+
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+    // The simulation and floating animation restart on the nodes as they are now
+    this.clearAnimations();
 
     const { nodes, links } = this.processData(this.data);
-    if (nodes.length === 0) return this;
+    if (nodes.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(500)).ease(this.getEasing());
+    const nodeKey = this.getKeyAccessor('id');
+    // Link ends are ids until the simulation swaps in their nodes
+    const endKey = end => (typeof end === 'object' ? nodeKey(end) : end);
+    const linkKey = d => JSON.stringify([endKey(d.source), endKey(d.target)]);
+
+    // Add container for zoom/pan
+    const container = this.getOrCreateGroup('network-container');
+
+    // Nodes kept from the last render carry on from where they were
+    const previous = new Map(container.selectAll('.node').data().map(d => [nodeKey(d), d]));
+    nodes.forEach(node => {
+      const last = previous.get(nodeKey(node));
+      if (last) {
+        ['x', 'y', 'vx', 'vy', 'fx', 'fy'].forEach(field => { node[field] = last[field]; });
+      }
+    });
 
     // Create simulation
-    this.simulation = d3.forceSimulation(nodes)
+    this.simulation = this.addSimulation(d3.forceSimulation(nodes)
       .force('link', d3.forceLink(links)
         .id(d => d.id)
         .strength(this.options.linkStrength)
@@ -91,80 +128,125 @@ class NetworkChart extends BaseChart {
       .force('center', d3.forceCenter(this.innerWidth / 2, this.innerHeight / 2)
         .strength(this.options.centerForce))
       .force('collision', d3.forceCollide()
-        .radius(d => d.radius + this.options.collisionRadius));
+        .radius(d => d.radius + this.options.collisionRadius)));
 
-    // Add container for zoom/pan
-    const container = this.chartGroup.append('g')
-      .attr('class', 'network-container');
+    // Settle gently into an update rather than exploding from the center
+    if (previous.size > 0) {
+      this.simulation.alpha(0.3);
+    }
 
     // Add zoom behavior
     const zoom = d3.zoom()
       .scaleExtent([0.1, 10])
       .on('zoom', (event) => {
         container.attr('transform', event.transform);
+        this.emit('zoom', event.transform, event);
       });
 
-    this.svg.call(zoom);
+    // Pointer behaviours need a browser, so they are left off in headless mode
+    if (!this.options.headless) {
+      this.svg.call(zoom);
+    }
+
+    // Join links by the nodes they connect
+    const linkJoin = container.selectAll('.link')
+      .data(links, linkKey);
+
+    linkJoin.exit()
+      .transition(transition)
+      .attr('stroke-opacity', 0)
+      .remove();
 
-    // Create links
-    const linkElements = container.selectAll('.link')
-      .data(links)
-      .enter()
-      .append('line')
+    const linksEnter = linkJoin.enter()
+      .insert('line', '.node')
       .attr('class', 'link')
-      .attr('stroke', '#999')
-      .attr('stroke-opacity', 0.6)
+      .attr('stroke-opacity', 0.6);
+
+    const linkElements = linksEnter.merge(linkJoin)
+      .attr('stroke', this.theme.line)
       .attr('stroke-width', d => Math.sqrt(d.value || 1));
 
-    // Create nodes
-    const nodeElements = container.selectAll('.node')
-      .data(nodes)
-      .enter()
+    // Join nodes by id
+    const nodeJoin = container.selectAll('.node')
+      .data(nodes, nodeKey);
+
+    nodeJoin.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const nodesEnter = nodeJoin.enter()
       .append('g')
       .attr('class', 'node')
-      .style('cursor', 'pointer')
-      .call(this.createDragBehavior());
-
-    // Add node circles with gradients
-    const defs = this.svg.append('defs');
-    nodes.forEach((node, i) => {
-      const gradient = defs.append('radialGradient')
-        .attr('id', `node-gradient-${i}`)
-        .attr('cx', '30%')
-        .attr('cy', '30%');
-
-      const color = this.colorScale(node.group || 0);
-      gradient.append('stop')
-        .attr('offset', '0%')
-        .attr('stop-color', d3.color(color).brighter(0.5));
-      
-      gradient.append('stop')
-        .attr('offset', '100%')
-        .attr('stop-color', color);
-    });
+      .style('cursor', 'pointer');
+
+    if (!this.options.headless) {
+      nodesEnter.call(this.createDragBehavior());
+    }
 
-    const circles = nodeElements.append('circle')
+    nodesEnter.append('circle')
       .attr('r', d => d.radius)
-      .attr('fill', (d, i) => `url(#node-gradient-${i})`)
-      .attr('stroke', '#fff')
       .attr('stroke-width', 2);
 
+    const nodeElements = nodesEnter.merge(nodeJoin);
+
+    // Add node circles with gradients, named by node index
+    const defs = this.svg.select('defs').empty() ? this.svg.append('defs') : this.svg.select('defs');
+    const gradients = defs.selectAll('.node-gradient')
+      .data(nodes, nodeKey);
+
+    gradients.exit().remove();
+
+    const gradientsEnter = gradients.enter()
+      .append('radialGradient')
+      .attr('class', 'node-gradient')
+      .attr('cx', '30%')
+      .attr('cy', '30%');
+
+    gradientsEnter.append('stop')
+      .attr('offset', '0%');
+
+    gradientsEnter.append('stop')
+      .attr('offset', '100%');
+
+    gradientsEnter.merge(gradients)
+      .attr('id', (d, i) => `node-gradient-${i}`)
+      .each((node, i, gradientNodes) => {
+        const color = this.colorScale(node.group || 0);
+        d3.select(gradientNodes[i]).selectAll('stop')
+          .attr('stop-color', (d, j) => (j === 0 ? d3.color(color).brighter(0.5) : color));
+      });
+
+    // select() hands each node's new datum down to its circle
+    const circles = nodeElements.select('circle')
+      .attr('fill', (d, i) => `url(#node-gradient-${i})`)
+      .attr('stroke', this.theme.stroke);
+
+    nodeJoin.select('circle')
+      .transition(transition)
+      .attr('r', d => d.radius);
+
     // Add node labels
-    if (this.options.showLabels) {
-      const labels = nodeElements.append('text')
-        .attr('class', 'node-label')
-        .attr('dy', d => d.radius + 15)
-        .attr('text-anchor', 'middle')
-        .style('font-size', '10px')
-        .style('fill', '#333')
-        .style('pointer-events', 'none')
-        .text(d => d.id);
-    }
+    const labels = nodeElements.selectAll('.node-label')
+      .data(d => this.options.showLabels ? [d] : []);
+
+    labels.exit().remove();
+
+    labels.enter()
+      .append('text')
+      .attr('class', 'node-label')
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px')
+      .style('pointer-events', 'none')
+      .merge(labels)
+      .attr('dy', d => d.radius + 15)
+      .style('fill', this.theme.text)
+      .text(d => d.id);
 
     // Add interactions
-    if (this.options.tooltips) {
-      nodeElements
-        .on('mouseover', (event, d) => {
+    nodeElements
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           // Highlight connected nodes and links
           this.highlightConnections(d, nodeElements, linkElements);
           
@@ -173,21 +255,31 @@ class NetworkChart extends BaseChart {
              Group: ${d.group || 'N/A'}<br/>
              Connections: ${d.degree}<br/>
              Value: ${d.value || 'N/A'}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event, d) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           // Reset highlights
           this.resetHighlights(nodeElements, linkElements);
           this.hideTooltip();
-        })
-        .on('click', (event, d) => {
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        if (this.options.tooltips) {
           // Pin/unpin node
           d.fx = d.fx ? null : d.x;
           d.fy = d.fy ? null : d.y;
           this.simulation.alpha(0.3).restart();
-        });
-    }
+        }
+        this.emit('click', d, event);
+      });
+
+    this.addKeyboardNavigation(nodeElements, d => `${d.id}, ${d.degree} connections`);
 
     // Update positions on simulation tick
     this.simulation.on('tick', () => {
@@ -201,29 +293,31 @@ class NetworkChart extends BaseChart {
         .attr('transform', d => `translate(${d.x}, ${d.y})`);
     });
 
-    // Add animations
-    if (this.options.animation) {
+    // Grow new nodes and links in, and keep every node floating
+    if (this.isAnimated()) {
       // Animate nodes appearing
-      circles
+      nodesEnter.select('circle')
         .attr('r', 0)
         .transition()
-        .duration(800)
-        .delay((d, i) => i * 50)
-        .ease(d3.easeElasticOut.amplitude(1).period(0.3))
+        .duration(this.getDuration(800))
+        .delay((d, i) => this.getStagger(i, 50))
+        .ease(this.getEasing(d3.easeElasticOut.amplitude(1).period(0.3)))
         .attr('r', d => d.radius);
 
       // Animate links appearing
-      linkElements
+      linksEnter
         .attr('stroke-opacity', 0)
         .transition()
-        .duration(1000)
-        .delay(500)
+        .duration(this.getDuration(1000))
+        .ease(this.getEasing())
+        .delay(this.getDuration(500))
         .attr('stroke-opacity', 0.6);
 
       // Add floating animation
       this.addFloatingAnimation(circles);
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -281,25 +375,53 @@ class NetworkChart extends BaseChart {
   }
 
   addFloatingAnimation(circles) {
+    if (this.options.headless) return;
+
     const float = () => {
       circles
-        .transition()
-        .duration(2000 + Math.random() * 1000)
-        .ease(d3.easeSinInOut)
+        .transition('ambient')
+        .duration(this.getDuration(2000 + Math.random() * 1000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('r', d => d.radius * (0.9 + Math.random() * 0.2))
         .transition()
-        .duration(2000 + Math.random() * 1000)
-        .ease(d3.easeSinInOut)
+        .duration(this.getDuration(2000 + Math.random() * 1000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('r', d => d.radius)
         .on('end', float);
     };
 
-    setTimeout(float, 1000);
+    this.addAnimation(() => this.setTimer(float, 1000));
+  }
+
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
+  /**
+   * Summarize the graph and its best-connected node for describe()
+   */
+  summarize(detailed) {
+    const { nodes, links } = this.processData(this.data);
+    if (nodes.length === 0) return ['Network with no nodes.'];
+
+    const hub = d3.greatest(nodes, d => d.degree);
+    const sentences = [
+      `Network of ${nodes.length} nodes and ${links.length} links.`,
+      `Most connected: ${hub.id} (${hub.degree} links).`
+    ];
+
+    if (detailed) {
+      const groups = new Set(nodes.map(d => d.group).filter(group => group != null));
+      sentences.push(`Average ${this.formatNumber(d3.mean(nodes, d => d.degree))} links per node` +
+        (groups.size > 0 ? ` across ${groups.size} groups.` : '.'));
+    }
+
+    return sentences;
   }
 
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
@@ -314,25 +436,28 @@ class NetworkChart extends BaseChart {
           this.simulation.force('center').strength(value);
         }
       });
-      this.simulation.alpha(0.3).restart();
+      this.simulation.alpha(0.3);
+      if (!this.paused) this.simulation.restart();
     }
     return this;
   }
 
+  /**
+   * One row per node, with its degree (how many links it has)
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).nodes.map(node => {
+      const row = { ...node };
+      delete row.radius;
+      return row;
+    });
+  }
+
   updateData(newData) {
-    if (this.simulation) {
-      this.simulation.stop();
-    }
     this.setData(newData);
     return this.render();
   }
-
-  destroy() {
-    if (this.simulation) {
-      this.simulation.stop();
-    }
-    super.destroy();
-  }
 }
 
 export default NetworkChart;
@@ -1,5 +1,7 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
+import { DOMUtils } from '../utils/index.js';
 
 /**
  * ParallelCoordinatesChart class for multi-dimensional data analysis
@@ -8,8 +10,7 @@ import BaseChart from './BaseChart.js';
 class ParallelCoordinatesChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       tooltips: true,
       brushing: true,
       lineOpacity: 0.6,
@@ -19,7 +20,6 @@ class ParallelCoordinatesChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     this.brushes = new Map();
     
@@ -28,19 +28,8 @@ class ParallelCoordinatesChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9],
-      viridis: d3.schemeViridis
-    };
-  }
-
   setupScales() {
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
     this.dimensions = [];
     this.yScales = new Map();
   }
@@ -72,72 +61,119 @@ class ParallelCoordinatesChart extends BaseChart {
     return data;
   }
 
-  render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+  /**
+   * Rows with a number for each dimension
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: 'object',
+      rules: [
+        data => (Object.keys(data[0]).some(key => key !== 'name' && typeof data[0][key] === 'number')
+          ? []
+          : [{ path: '0', message: 'should have at least one numeric dimension' }])
+      ]
+    };
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  /**
+   * Rows read label as their name
+   */
+  getEncodingChannels() {
+    return { label: 'name' };
+  }
+
+  render() {
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
 
     const processedData = this.processData(this.data);
-    if (processedData.length === 0) return this;
+    if (processedData.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
 
     // Create line generator
-    const line = d3.line()
-      .x(dim => this.xScale(dim))
-      .y(dim => this.yScales.get(dim)(processedData[0][dim]))
-      .curve(d3.curveCardinal.tension(0.5));
+    const line = d => d3.line()
+      .x(dimension => this.xScale(dimension))
+      .y(dimension => this.yScales.get(dimension)(d[dimension]))
+      .curve(d3.curveCardinal.tension(0.5))(this.dimensions);
 
     // Draw background lines
-    const background = this.chartGroup.append('g')
-      .attr('class', 'background');
+    this.getOrCreateGroup('background');
 
     // Draw foreground lines
-    const foreground = this.chartGroup.append('g')
-      .attr('class', 'foreground');
+    const foreground = this.getOrCreateGroup('foreground');
+
+    // Join a path to each row by name, falling back to its position
+    const joined = foreground.selectAll('.line')
+      .data(processedData, this.getKeyAccessor((d, i) => d.name ?? i));
 
-    // Create paths for each data point
-    const paths = foreground.selectAll('.line')
-      .data(processedData)
-      .enter()
+    joined.exit()
+      .transition(transition)
+      .attr('opacity', 0)
+      .remove();
+
+    const linesEnter = joined.enter()
       .append('path')
       .attr('class', 'line')
-      .attr('d', d => {
-        const lineGen = d3.line()
-          .x(dimension => this.xScale(dimension))
-          .y(dimension => this.yScales.get(dimension)(d[dimension]))
-          .curve(d3.curveCardinal.tension(0.5));
-        return lineGen(this.dimensions);
-      })
+      .attr('d', line)
       .attr('fill', 'none')
-      .attr('stroke', (d, i) => this.colorScale(i))
       .attr('stroke-width', 2)
       .attr('opacity', this.options.lineOpacity)
       .style('cursor', 'pointer');
 
-    // Draw axes
-    const axes = this.chartGroup.selectAll('.axis')
-      .data(this.dimensions)
-      .enter()
+    const paths = linesEnter.merge(joined)
+      .attr('stroke', (d, i) => this.colorScale(i));
+
+    // Move existing lines to their new values
+    joined
+      .attr('stroke-dasharray', null)
+      .transition(transition)
+      .attr('d', line)
+      .attr('opacity', this.options.lineOpacity);
+
+    // Draw axes, joined by dimension
+    const axesJoin = this.chartGroup.selectAll('.axis')
+      .data(this.dimensions, d => d);
+
+    axesJoin.exit()
+      .each(d => this.brushes.delete(d))
+      .remove();
+
+    const axesEnter = axesJoin.enter()
       .append('g')
       .attr('class', 'axis')
       .attr('data-dimension', d => d)
       .attr('transform', d => `translate(${this.xScale(d)}, 0)`);
 
     // Add axis lines
-    const self = this;
-    axes.append('g')
-      .each(function(d) {
-        d3.select(this).call(d3.axisLeft(self.yScales.get(d)));
-      });
+    axesEnter.append('g')
+      .attr('class', 'axis-scale');
 
     // Add axis titles
-    axes.append('text')
+    axesEnter.append('text')
       .attr('class', 'axis-title')
       .attr('text-anchor', 'middle')
       .attr('y', -10)
       .style('font-size', '12px')
-      .style('font-weight', 'bold')
-      .style('fill', '#333')
+      .style('font-weight', 'bold');
+
+    const axes = axesEnter.merge(axesJoin);
+
+    axesJoin.transition(transition)
+      .attr('transform', d => `translate(${this.xScale(d)}, 0)`);
+
+    const self = this;
+    axes.select('.axis-scale')
+      .each(function(d) {
+        d3.select(this).transition(transition).call(d3.axisLeft(self.yScales.get(d)));
+      });
+
+    axes.select('.axis-title')
+      .style('fill', this.theme.text)
       .text(d => d);
 
     // Add brushing if enabled
@@ -146,9 +182,9 @@ class ParallelCoordinatesChart extends BaseChart {
     }
 
     // Add interactions
-    if (this.options.tooltips) {
-      paths
-        .on('mouseover', (event, d) => {
+    paths
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           // Highlight current line
           d3.select(event.target)
             .attr('opacity', this.options.highlightOpacity)
@@ -162,57 +198,70 @@ class ParallelCoordinatesChart extends BaseChart {
           const tooltipContent = `<strong>${d.name || 'Data Point'}</strong><br/>` +
             this.dimensions.map(dim => `${dim}: ${d[dim]}`).join('<br/>');
           
-          this.showTooltip(tooltipContent, event);
-        })
-        .on('mouseout', (event, d) => {
+          this.showTooltip(tooltipContent, event, d);
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           // Reset all lines
           paths
             .attr('opacity', this.options.lineOpacity)
             .attr('stroke-width', 2);
 
           this.hideTooltip();
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+    this.addKeyboardNavigation(paths, d => `${d.name || 'Data Point'}: ${this.dimensions.map(dim => `${dim} ${d[dim]}`).join(', ')}`);
 
-    // Add animations
-    if (this.options.animation) {
+    // Draw in new lines and axes
+    if (this.isAnimated()) {
       // Animate lines drawing
-      const totalLength = paths.nodes().map(node => node.getTotalLength());
+      const totalLength = linesEnter.nodes().map(node => DOMUtils.getTotalLength(node));
       
-      paths
+      linesEnter
         .attr('stroke-dasharray', (d, i) => `0 ${totalLength[i]}`)
         .transition()
-        .duration(1500)
-        .delay((d, i) => i * 50)
-        .ease(d3.easeLinear)
+        .duration(this.getDuration(1500))
+        .delay((d, i) => this.getStagger(i, 50))
+        .ease(this.getEasing(d3.easeLinear))
         .attr('stroke-dasharray', (d, i) => `${totalLength[i]} 0`);
 
       // Animate axes
-      axes
+      axesEnter
         .style('opacity', 0)
         .transition()
-        .duration(800)
-        .delay((d, i) => i * 100 + 500)
+        .duration(this.getDuration(800))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 100) + this.getDuration(500))
         .style('opacity', 1);
     }
 
+    this.emit('render');
     return this;
   }
 
   addBrushing(axes, paths) {
-    axes.append('g')
+    if (this.options.headless) return;
+
+    // Axes kept from the last render keep their brush, which now filters the new paths
+    axes.filter(function() { return d3.select(this).select('.brush').empty(); })
+      .append('g')
       .attr('class', 'brush')
       .each((d, i, nodes) => {
         const brush = d3.brushY()
-          .extent([[-10, 0], [10, this.innerHeight]])
-          .on('brush end', () => this.onBrush(paths));
+          .extent([[-10, 0], [10, this.innerHeight]]);
         
         this.brushes.set(d, brush);
         d3.select(nodes[i]).call(brush);
       });
+
+    this.brushes.forEach(brush => brush.on('brush end', (event) => this.onBrush(paths, event)));
   }
 
-  onBrush(paths) {
+  onBrush(paths, event) {
     const actives = [];
     
     // Get active brushes
@@ -231,17 +280,57 @@ class ParallelCoordinatesChart extends BaseChart {
     });
 
     // Filter paths based on active brushes
-    paths.style('display', d => {
-      return actives.every(active => {
-        const value = d[active.dimension];
-        return value >= active.extent[1] && value <= active.extent[0];
-      }) ? null : 'none';
+    const isSelected = d => actives.every(active => {
+      const value = d[active.dimension];
+      return value >= active.extent[1] && value <= active.extent[0];
     });
+
+    paths.style('display', d => isSelected(d) ? null : 'none');
+
+    this.emit('brush', { selections: actives, data: paths.data().filter(isSelected) }, event);
+  }
+
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
+  /**
+   * Summarize the lines and the dimensions they cross for describe()
+   */
+  summarize(detailed) {
+    const rows = this.processData(this.data);
+    if (rows.length === 0 || this.dimensions.length === 0) return ['Parallel coordinates chart with no dimensions.'];
+
+    const f = value => this.formatNumber(value);
+    const sentences = [
+      `Parallel coordinates chart of ${rows.length} lines across ${this.dimensions.length} dimensions: ${this.dimensions.join(', ')}.`
+    ];
+
+    if (detailed) {
+      this.dimensions.forEach(dim => {
+        const highest = d3.greatest(rows, d => d[dim]);
+        const [min, max] = d3.extent(rows, d => d[dim]);
+        sentences.push(`${dim} ranges from ${f(min)} to ${f(max)}, highest for ${highest.name || 'an unnamed line'}.`);
+      });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per line: its name and its value on each dimension drawn
+   */
+  tabulate() {
+    const rows = this.processData(this.data);
+    return rows.map(d => ({
+      name: d.name,
+      ...Object.fromEntries(this.dimensions.map(dim => [dim, d[dim]]))
+    }));
   }
 
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { MathUtils } from '../utils/index.js';
 
 /**
  * Pie Chart implementation
@@ -11,7 +12,7 @@ class PieChart extends BaseChart {
       outerRadius: null, // Will be calculated based on chart size
       padAngle: 0.02,
       cornerRadius: 0,
-      colors: d3.schemeCategory10,
+      colors: null, // Defaults to the theme's palette
       showLabels: true,
       labelOffset: 20,
       showPercentages: true,
@@ -22,17 +23,31 @@ class PieChart extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Rows of { label, value } with no negative values
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { label: 'label', value: { type: 'number', min: 0 } } }
+    };
+  }
+
+  /**
+   * Slices read their label and value
+   */
+  getEncodingChannels() {
+    return { label: 'label', value: 'value' };
+  }
+
   /**
    * Render the pie chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for PieChart');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    const transition = this.chartGroup.transition().duration(this.getDuration(1000)).ease(this.getEasing());
 
     // Calculate radius if not provided
     const radius = this.options.outerRadius || 
@@ -42,7 +57,7 @@ class PieChart extends BaseChart {
     const centerX = this.innerWidth / 2;
     const centerY = this.innerHeight / 2;
 
-    const chartCenter = this.chartGroup.append('g')
+    const chartCenter = this.getOrCreateGroup('pie-group')
       .attr('transform', `translate(${centerX}, ${centerY})`);
 
     // Create pie layout
@@ -62,43 +77,80 @@ class PieChart extends BaseChart {
       .innerRadius(radius + this.options.labelOffset)
       .outerRadius(radius + this.options.labelOffset);
 
-    // Color scale
-    const colorScale = d3.scaleOrdinal(this.options.colors);
+    // Color scale, kept between renders so each key keeps its color
+    const palette = this.options.colors || this.theme.palette;
+    if (!this.colorScale || this.colorPalette !== palette) {
+      this.colorPalette = palette;
+      this.colorScale = d3.scaleOrdinal(palette);
+    }
+    const colorScale = this.colorScale;
+
+    // Tween from the last drawn angles to the new ones
+    const arcTween = function(d) {
+      const interpolate = d3.interpolate(this._current, d);
+      this._current = interpolate(1);
+      return function(t) {
+        return arc(interpolate(t));
+      };
+    };
+
+    // Join slices on the key of the underlying datum
+    const key = this.getKeyAccessor('label');
+    const pieData = pie(this.data);
 
-    // Create pie slices
     const slices = chartCenter.selectAll('.slice')
-      .data(pie(this.data))
-      .enter()
+      .data(pieData, (d, i) => key(d.data, i));
+
+    // Collapse removed slices before dropping them
+    slices.exit()
+      .select('path')
+      .transition(transition)
+      .attrTween('d', function(d) {
+        const interpolate = d3.interpolate(this._current, { ...d, endAngle: d.startAngle });
+        return function(t) {
+          return arc(interpolate(t));
+        };
+      });
+
+    slices.exit()
+      .transition(transition)
+      .remove();
+
+    // Create pie slices
+    const slicesEnter = slices.enter()
       .append('g')
       .attr('class', 'slice');
 
-    // Add paths
-    const paths = slices.append('path')
-      .attr('fill', (d, i) => colorScale(i))
-      .attr('stroke', '#fff')
+    // New slices grow out from their start angle
+    slicesEnter.append('path')
       .attr('stroke-width', 2)
       .style('cursor', 'pointer')
-      .each(function(d) { this._current = { startAngle: 0, endAngle: 0 }; });
+      .each(function(d) {
+        this._current = { startAngle: d.startAngle, endAngle: d.startAngle };
+      });
+
+    const slicesUpdate = slicesEnter.merge(slices).order();
+
+    // Push the new arc data down to the paths; colors follow the slice's key
+    const paths = slicesUpdate.select('path')
+      .attr('fill', (d, i) => colorScale(key(d.data, i)))
+      .attr('stroke', this.theme.stroke);
 
     // Animate slices
-    paths.transition()
-      .duration(1000)
-      .attrTween('d', function(d) {
-        const interpolate = d3.interpolate(this._current, d);
-        this._current = interpolate(0);
-        return function(t) {
-          return arc(interpolate(t));
-        };
-      });
+    paths.transition(transition)
+      .attrTween('d', arcTween);
 
     // Add interactivity
     this.addSliceInteractivity(paths, arc);
 
     // Add labels if requested
     if (this.options.showLabels) {
-      this.addLabels(slices, pie(this.data), labelArc);
+      this.addLabels(slicesUpdate, pieData, labelArc);
+    } else {
+      chartCenter.selectAll('.slice-label, .label-line').remove();
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -117,44 +169,55 @@ class PieChart extends BaseChart {
         // Expand slice
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr('d', hoverArc);
 
         // Show tooltip
         const percentage = ((d.endAngle - d.startAngle) / (2 * Math.PI) * 100).toFixed(1);
         const tooltipContent = `${d.data.label}: ${d.data.value} (${percentage}%)`;
-        self.showTooltip(tooltipContent, event);
+        self.showTooltip(tooltipContent, event, d.data);
+        self.emit('hover', d.data, event);
       })
       .on('mouseout', function(event, d) {
         // Return to normal size
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr('d', arc);
 
         self.hideTooltip();
+        self.emit('leave', d.data, event);
       })
       .on('click', function(event, d) {
-        if (self.options.onClick) {
-          self.options.onClick(d.data, event);
-        }
+        self.emit('click', d.data, event);
       });
+
+    this.addKeyboardNavigation(paths, d => `${d.data.label}: ${d.data.value}`);
   }
 
   /**
    * Add labels to pie slices
    */
   addLabels(slices, pieData, labelArc) {
-    const labels = slices.append('text')
+    const labels = slices.selectAll('.slice-label')
+      .data(d => [d]);
+
+    const labelsEnter = labels.enter()
+      .append('text')
+      .attr('class', 'slice-label')
       .attr('transform', d => `translate(${labelArc.centroid(d)})`)
       .attr('text-anchor', 'middle')
       .attr('alignment-baseline', 'middle')
-      .style('font-size', '12px')
-      .style('fill', '#333')
       .style('opacity', 0);
 
+    const labelsUpdate = labelsEnter.merge(labels)
+      .style('font-size', `${this.theme.font.size}px`)
+      .style('fill', this.theme.text);
+
     // Add label text
-    labels.text(d => {
+    labelsUpdate.text(d => {
       if (this.options.showPercentages) {
         const percentage = ((d.endAngle - d.startAngle) / (2 * Math.PI) * 100).toFixed(1);
         return `${d.data.label} (${percentage}%)`;
@@ -163,9 +226,11 @@ class PieChart extends BaseChart {
     });
 
     // Animate labels
-    labels.transition()
-      .delay(500)
-      .duration(500)
+    labelsUpdate.transition()
+      .delay(this.getDuration(500))
+      .duration(this.getDuration(500))
+      .ease(this.getEasing())
+      .attr('transform', d => `translate(${labelArc.centroid(d)})`)
       .style('opacity', 1);
 
     // Add lines connecting labels to slices
@@ -181,22 +246,28 @@ class PieChart extends BaseChart {
       .outerRadius(this.options.outerRadius || 
         Math.min(this.innerWidth, this.innerHeight) / 2 - 10);
 
-    const lines = slices.append('polyline')
+    const lines = slices.selectAll('.label-line')
+      .data(d => [d]);
+
+    const linesEnter = lines.enter()
+      .append('polyline')
+      .attr('class', 'label-line')
       .attr('fill', 'none')
-      .attr('stroke', '#999')
       .attr('stroke-width', 1)
       .style('opacity', 0);
 
-    lines.attr('points', d => {
-      const pos = labelArc.centroid(d);
-      const midPos = arc.centroid(d);
-      return [midPos, pos];
-    });
-
     // Animate lines
-    lines.transition()
-      .delay(500)
-      .duration(500)
+    linesEnter.merge(lines)
+      .attr('stroke', this.theme.line)
+      .transition()
+      .delay(this.getDuration(500))
+      .duration(this.getDuration(500))
+      .ease(this.getEasing())
+      .attr('points', d => {
+        const pos = labelArc.centroid(d);
+        const midPos = arc.centroid(d);
+        return [midPos, pos];
+      })
       .style('opacity', 0.7);
   }
 
@@ -211,6 +282,38 @@ class PieChart extends BaseChart {
     return this.render();
   }
 
+  /**
+   * Summarize the slices, led by the largest share, for describe()
+   */
+  summarize(detailed) {
+    const type = this.options.innerRadius > 0 ? 'Donut chart' : 'Pie chart';
+    const stats = MathUtils.stats(this.data, 'value');
+    if (!stats || stats.sum === 0) return [`${type} with no slices.`];
+
+    const percent = d3.format('.1%');
+    const slices = this.data.slice().sort((a, b) => b.value - a.value);
+    const share = d => `${d.label} ${percent(d.value / stats.sum)}`;
+    const sentences = [
+      `${type} with ${stats.count} slices totalling ${this.formatNumber(stats.sum)}.`,
+      `Largest share: ${share(slices[0])}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Shares: ${slices.map(share).join(', ')}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Each slice with its share of the total, in percent
+   */
+  tabulate() {
+    const rows = super.tabulate();
+    const total = d3.sum(rows, d => d.value);
+    return rows.map(d => ({ ...d, percent: total ? d.value / total * 100 : 0 }));
+  }
+
   /**
    * Update chart with new data
    */
@@ -236,7 +339,8 @@ class PieChart extends BaseChart {
     const y = centroid[1] * distance / 100;
 
     slice.transition()
-      .duration(300)
+      .duration(this.getDuration(300))
+      .ease(this.getEasing())
       .attr('transform', `translate(${x}, ${y})`);
 
     return this;
@@ -248,7 +352,8 @@ class PieChart extends BaseChart {
   resetSlices() {
     this.chartGroup.selectAll('.slice')
       .transition()
-      .duration(300)
+      .duration(this.getDuration(300))
+      .ease(this.getEasing())
       .attr('transform', 'translate(0, 0)');
 
     return this;
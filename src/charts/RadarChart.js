@@ -1,5 +1,7 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
+import { DOMUtils } from '../utils/index.js';
 
 /**
  * RadarChart class for multi-dimensional data visualization
@@ -8,10 +10,9 @@ import BaseChart from './BaseChart.js';
 class RadarChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       levels: 5,
       maxValue: 100,
-      animation: true,
       tooltips: true,
       legend: true,
       showAxes: true,
@@ -20,7 +21,6 @@ class RadarChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     
     if (this.options.tooltips) {
@@ -28,23 +28,13 @@ class RadarChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9]
-    };
-  }
-
   setupScales() {
     const radius = Math.min(this.innerWidth, this.innerHeight) / 2;
     this.radius = radius * 0.8;
     this.centerX = this.innerWidth / 2;
     this.centerY = this.innerHeight / 2;
     
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
     this.radiusScale = d3.scaleLinear()
       .domain([0, this.options.maxValue])
       .range([0, this.radius]);
@@ -66,75 +56,126 @@ class RadarChart extends BaseChart {
     }));
   }
 
-  render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+  /**
+   * Series of { name, values: [{ axis, value }] }
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: {
+          values: {
+            type: 'array',
+            minLength: 1,
+            rows: { type: 'object', fields: { axis: 'label', value: 'number' } }
+          }
+        }
+      }
+    };
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  /**
+   * Series read series as their name; their values read label as the axis
+   */
+  getEncodingChannels() {
+    return { series: 'name', values: { label: 'axis', value: 'value' } };
+  }
+
+  render() {
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
 
     const processedData = this.processData(this.data);
-    if (processedData.length === 0) return this;
+    if (processedData.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+
+    // Series hidden from the legend are left out; colors go by series index
+    const shown = processedData.filter(d => this.isSeriesVisible(d.name));
+    this.colorScale.domain(d3.range(processedData.length));
 
     const axes = processedData[0].values.map(d => d.axis);
     const angleSlice = (Math.PI * 2) / axes.length;
+    const pointAt = (value, i) => {
+      const angle = angleSlice * i - Math.PI / 2;
+      const radius = this.radiusScale(value);
+      return `translate(${radius * Math.cos(angle)}, ${radius * Math.sin(angle)})`;
+    };
 
     // Create radar group
-    const radarGroup = this.chartGroup.append('g')
+    const radarGroup = this.getOrCreateGroup('radar')
       .attr('transform', `translate(${this.centerX}, ${this.centerY})`);
 
     // Draw grid circles
-    if (this.options.showGrid) {
-      const gridLevels = radarGroup.selectAll('.grid-level')
-        .data(d3.range(1, this.options.levels + 1))
-        .enter()
-        .append('circle')
-        .attr('class', 'grid-level')
-        .attr('r', d => this.radius * d / this.options.levels)
-        .attr('fill', 'none')
-        .attr('stroke', '#ddd')
-        .attr('stroke-width', 1);
-    }
+    const gridLevels = radarGroup.selectAll('.grid-level')
+      .data(this.options.showGrid ? d3.range(1, this.options.levels + 1) : []);
 
-    // Draw axis lines and labels
-    if (this.options.showAxes) {
-      const axisGroup = radarGroup.selectAll('.axis')
-        .data(axes)
-        .enter()
-        .append('g')
-        .attr('class', 'axis');
-
-      // Axis lines
-      axisGroup.append('line')
-        .attr('x1', 0)
-        .attr('y1', 0)
-        .attr('x2', (d, i) => this.radius * Math.cos(angleSlice * i - Math.PI / 2))
-        .attr('y2', (d, i) => this.radius * Math.sin(angleSlice * i - Math.PI / 2))
-        .attr('stroke', '#999')
-        .attr('stroke-width', 1);
-
-      // Axis labels
-      axisGroup.append('text')
-        .attr('x', (d, i) => (this.radius + 20) * Math.cos(angleSlice * i - Math.PI / 2))
-        .attr('y', (d, i) => (this.radius + 20) * Math.sin(angleSlice * i - Math.PI / 2))
-        .attr('text-anchor', 'middle')
-        .attr('dominant-baseline', 'middle')
-        .style('font-size', '12px')
-        .style('font-weight', 'bold')
-        .style('fill', '#333')
-        .text(d => d);
-
-      // Grid level labels
-      const levelLabels = radarGroup.selectAll('.level-label')
-        .data(d3.range(1, this.options.levels + 1))
-        .enter()
-        .append('text')
-        .attr('class', 'level-label')
-        .attr('x', 5)
-        .attr('y', d => -(this.radius * d / this.options.levels))
-        .style('font-size', '10px')
-        .style('fill', '#666')
-        .text(d => Math.round(this.options.maxValue * d / this.options.levels));
-    }
+    gridLevels.exit().remove();
+
+    gridLevels.enter()
+      .insert('circle', '.axis, .level-label, .series')
+      .attr('class', 'grid-level')
+      .attr('fill', 'none')
+      .attr('stroke-width', 1)
+      .merge(gridLevels)
+      .attr('r', d => this.radius * d / this.options.levels)
+      .attr('stroke', this.theme.grid);
+
+    // Draw axis lines and labels, joined by axis name
+    const axisGroups = radarGroup.selectAll('.axis')
+      .data(this.options.showAxes ? axes : [], d => d);
+
+    axisGroups.exit().remove();
+
+    const axisEnter = axisGroups.enter()
+      .insert('g', '.level-label, .series')
+      .attr('class', 'axis');
+
+    // Axis lines
+    axisEnter.append('line')
+      .attr('x1', 0)
+      .attr('y1', 0)
+      .attr('stroke-width', 1);
+
+    // Axis labels
+    axisEnter.append('text')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', '12px')
+      .style('font-weight', 'bold');
+
+    const axisUpdate = axisEnter.merge(axisGroups);
+
+    axisUpdate.select('line')
+      .attr('x2', (d, i) => this.radius * Math.cos(angleSlice * i - Math.PI / 2))
+      .attr('y2', (d, i) => this.radius * Math.sin(angleSlice * i - Math.PI / 2))
+      .attr('stroke', this.theme.line);
+
+    axisUpdate.select('text')
+      .attr('x', (d, i) => (this.radius + 20) * Math.cos(angleSlice * i - Math.PI / 2))
+      .attr('y', (d, i) => (this.radius + 20) * Math.sin(angleSlice * i - Math.PI / 2))
+      .style('fill', this.theme.text)
+      .text(d => d);
+
+    // Grid level labels
+    const levelLabels = radarGroup.selectAll('.level-label')
+      .data(this.options.showAxes ? d3.range(1, this.options.levels + 1) : []);
+
+    levelLabels.exit().remove();
+
+    levelLabels.enter()
+      .insert('text', '.series')
+      .attr('class', 'level-label')
+      .attr('x', 5)
+      .style('font-size', '10px')
+      .merge(levelLabels)
+      .attr('y', d => -(this.radius * d / this.options.levels))
+      .style('fill', this.theme.mutedText)
+      .text(d => Math.round(this.options.maxValue * d / this.options.levels));
 
     // Line generator for radar areas
     const lineGenerator = d3.lineRadial()
@@ -142,69 +183,104 @@ class RadarChart extends BaseChart {
       .radius(d => this.radiusScale(d.value))
       .curve(d3.curveLinearClosed);
 
-    // Draw radar areas and lines for each series
-    const seriesGroups = radarGroup.selectAll('.series')
-      .data(processedData)
-      .enter()
+    // Join series by name, so their areas morph to new values
+    const seriesJoin = radarGroup.selectAll('.series')
+      .data(shown, d => d.name);
+
+    seriesJoin.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const seriesEnter = seriesJoin.enter()
       .append('g')
-      .attr('class', 'series');
+      .attr('class', 'series')
+      .attr('data-series', d => d.name);
 
-    // Areas
-    const areas = seriesGroups.append('path')
+    seriesEnter.append('path')
       .attr('class', 'radar-area')
       .attr('d', d => lineGenerator(d.values))
-      .attr('fill', (d, i) => this.colorScale(i))
       .attr('fill-opacity', 0.2)
-      .attr('stroke', (d, i) => this.colorScale(i))
       .attr('stroke-width', 2)
       .style('cursor', 'pointer');
 
-    // Data points
-    const pointGroups = seriesGroups.selectAll('.point')
-      .data(d => d.values.map(v => ({ ...v, seriesName: d.name })))
-      .enter()
+    const seriesGroups = seriesEnter.merge(seriesJoin);
+
+    // select() hands each series' new datum down to its area
+    const areas = seriesGroups.select('.radar-area')
+      .attr('fill', d => this.colorScale(processedData.indexOf(d)))
+      .attr('stroke', d => this.colorScale(processedData.indexOf(d)));
+
+    seriesJoin.select('.radar-area')
+      .attr('stroke-dasharray', null)
+      .transition(transition)
+      .attr('d', d => lineGenerator(d.values));
+
+    // Data points, joined by axis
+    const pointJoin = seriesGroups.selectAll('.point')
+      .data(d => d.values.map(v => ({ ...v, seriesName: d.name })), d => d.axis);
+
+    pointJoin.exit().remove();
+
+    const pointsEnter = pointJoin.enter()
       .append('g')
       .attr('class', 'point')
-      .attr('transform', (d, i) => {
-        const angle = angleSlice * i - Math.PI / 2;
-        const radius = this.radiusScale(d.value);
-        return `translate(${radius * Math.cos(angle)}, ${radius * Math.sin(angle)})`;
-      });
+      .attr('transform', (d, i) => pointAt(d.value, i));
 
-    const points = pointGroups.append('circle')
+    pointsEnter.append('circle')
       .attr('r', 4)
-      .attr('fill', (d, i, nodes) => {
+      .attr('stroke-width', 2)
+      .style('cursor', 'pointer');
+
+    pointJoin.transition(transition)
+      .attr('transform', (d, i) => pointAt(d.value, i));
+
+    const points = pointsEnter.merge(pointJoin).select('circle')
+      .attr('fill', d => {
         const seriesIndex = processedData.findIndex(s => s.name === d.seriesName);
         return this.colorScale(seriesIndex);
       })
-      .attr('stroke', '#fff')
-      .attr('stroke-width', 2)
-      .style('cursor', 'pointer');
+      .attr('stroke', this.theme.stroke);
 
     // Add interactions
-    if (this.options.tooltips) {
-      points
-        .on('mouseover', (event, d) => {
+    points
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).attr('r', 6);
           this.showTooltip(
             `<strong>${d.seriesName}</strong><br/>
              ${d.axis}: ${d.value}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).attr('r', 4);
           this.hideTooltip();
-        });
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    this.addKeyboardNavigation(points, d => `${d.seriesName}, ${d.axis}: ${d.value}`);
 
-      areas
-        .on('mouseover', (event, d) => {
+    areas
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).attr('fill-opacity', 0.4);
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).attr('fill-opacity', 0.2);
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
 
     // Add legend
     if (this.options.legend && processedData.length > 1) {
@@ -212,39 +288,70 @@ class RadarChart extends BaseChart {
         label: d.name,
         color: this.colorScale(i)
       }));
-      this.addLegend(legendItems);
+      this.addLegend(legendItems, { interactive: true });
     }
 
-    // Add animations
-    if (this.options.animation) {
+    // Draw in new series
+    if (this.isAnimated()) {
       // Animate areas
-      areas
+      seriesEnter.select('.radar-area')
         .attr('stroke-dasharray', function() {
-          return this.getTotalLength();
+          return DOMUtils.getTotalLength(this);
         })
         .attr('stroke-dashoffset', function() {
-          return this.getTotalLength();
+          return DOMUtils.getTotalLength(this);
         })
         .transition()
-        .duration(1500)
-        .delay((d, i) => i * 200)
+        .duration(this.getDuration(1500))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 200))
         .attr('stroke-dashoffset', 0);
 
       // Animate points
-      points
+      pointsEnter.select('circle')
         .attr('r', 0)
         .transition()
-        .duration(800)
-        .delay((d, i) => i * 50)
+        .duration(this.getDuration(800))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 50))
         .attr('r', 4);
     }
 
+    this.emit('render');
     return this;
   }
 
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
+  /**
+   * Summarize each series by its strongest axis for describe()
+   */
+  summarize(detailed) {
+    const processedData = this.processData(this.data);
+    if (processedData.length === 0) return ['Radar chart with no series.'];
+
+    const f = value => this.formatNumber(value);
+    const axes = processedData[0].values.map(d => d.axis);
+    const sentences = [`Radar chart of ${processedData.length} series over ${axes.length} axes.`];
+
+    processedData.forEach(series => {
+      const strongest = d3.greatest(series.values, d => d.value);
+      let sentence = `${series.name}: strongest on ${strongest.axis} (${f(strongest.value)})`;
+      if (detailed) {
+        const weakest = d3.least(series.values, d => d.value);
+        sentence += `, weakest on ${weakest.axis} (${f(weakest.value)}), mean ${f(d3.mean(series.values, d => d.value))}`;
+      }
+      sentences.push(`${sentence}.`);
+    });
+
+    return sentences;
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
@@ -254,6 +361,14 @@ class RadarChart extends BaseChart {
     return this.render();
   }
 
+  /**
+   * One row per series and axis, with axes a series lacks filled in as 0
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).flatMap(series => series.values.map(d => ({ series: series.name, ...d })));
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -1,6 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
-import { ColorUtils, AnimationUtils } from '../utils/index.js';
+import { ColorUtils, AnimationUtils, DOMUtils } from '../utils/index.js';
 
 /**
  * RadialRemainderChart - Creates a radial remainder chart showing trust remainder growth in spiral pattern
@@ -20,7 +20,7 @@ class RadialRemainderChart extends BaseChart {
       primaryColor: '#10b981',
       secondaryColor: '#3b82f6',
       accentColor: '#8b5cf6',
-      backgroundColor: '#e2e8f0',
+      trackColor: null, // Spiral track; defaults to the theme's grid color
       showTooltip: true,
       showCenterInfo: true,
       title: 'Trust Remainder Growth'
@@ -29,6 +29,7 @@ class RadialRemainderChart extends BaseChart {
     super(container, { ...defaultOptions, ...options });
     this.spiralData = [];
     this.id = Math.random().toString(36).substr(2, 9);
+    this.addTooltip();
   }
 
   /**
@@ -139,7 +140,7 @@ class RadialRemainderChart extends BaseChart {
       .datum(this.spiralData)
       .attr('d', line)
       .attr('fill', 'none')
-      .attr('stroke', this.options.backgroundColor)
+      .attr('stroke', this.options.trackColor || this.theme.grid)
       .attr('stroke-width', 8)
       .attr('opacity', 0.3)
       .attr('class', 'spiral-background');
@@ -156,13 +157,13 @@ class RadialRemainderChart extends BaseChart {
       .style('filter', `url(#glow-${this.id})`);
 
     // Animate spiral drawing
-    const totalLength = spiralPath.node()?.getTotalLength() || 0;
+    const totalLength = DOMUtils.getTotalLength(spiralPath.node());
     spiralPath
       .attr('stroke-dasharray', totalLength + ' ' + totalLength)
       .attr('stroke-dashoffset', totalLength)
       .transition()
-      .duration(this.options.animationDuration)
-      .ease(d3.easeLinear)
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing(d3.easeLinear))
       .attr('stroke-dashoffset', 0);
 
     return spiralPath;
@@ -192,7 +193,7 @@ class RadialRemainderChart extends BaseChart {
     nodes.append('circle')
       .attr('r', d => radiusScale(d.remainder))
       .attr('fill', this.options.primaryColor)
-      .attr('stroke', 'white')
+      .attr('stroke', this.theme.stroke)
       .attr('stroke-width', 2)
       .style('filter', 'drop-shadow(0 2px 4px rgba(0,0,0,0.2))');
 
@@ -208,14 +209,16 @@ class RadialRemainderChart extends BaseChart {
     // Animate nodes appearance
     nodes
       .transition()
-      .delay((d, i) => i * this.options.nodeAnimationDelay + 1000)
-      .duration(600)
+      .delay((d, i) => this.getStagger(i, this.options.nodeAnimationDelay) + this.getDuration(1000))
+      .duration(this.getDuration(600))
+      .ease(this.getEasing())
       .style('opacity', 1);
 
     // Add hover effects
     if (this.options.showTooltip) {
       this.addNodeInteractions(nodes);
     }
+    this.addKeyboardNavigation(nodes, d => `Year ${d.year}: ${this.formatCurrency(d.remainder)}`);
 
     return nodes;
   }
@@ -230,54 +233,28 @@ class RadialRemainderChart extends BaseChart {
       .on('mouseover', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr('transform', `translate(${d.x},${d.y}) scale(1.3)`);
         
-        self.showTooltip(event, d);
+        self.showTooltip(`Year ${d.year}: ${self.formatCurrency(d.remainder)}`, event, d);
+        self.emit('hover', d, event);
       })
       .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr('transform', `translate(${d.x},${d.y}) scale(1)`);
         
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
   }
 
-  /**
-   * Show tooltip for node
-   */
-  showTooltip(event, d) {
-    const tooltip = this.chartGroup.append('g')
-      .attr('class', 'chart-tooltip')
-      .attr('transform', `translate(${d.x + 20},${d.y - 20})`);
-    
-    const text = `Year ${d.year}: ${this.formatCurrency(d.remainder)}`;
-    const bbox = this.getTextBBox(text, '10px');
-    
-    tooltip.append('rect')
-      .attr('x', -5)
-      .attr('y', -bbox.height / 2 - 2)
-      .attr('width', bbox.width + 10)
-      .attr('height', bbox.height + 4)
-      .attr('fill', 'rgba(0,0,0,0.8)')
-      .attr('rx', 4);
-    
-    tooltip.append('text')
-      .attr('fill', 'white')
-      .attr('font-size', '10px')
-      .attr('dy', '0.35em')
-      .text(text);
-  }
-
-  /**
-   * Hide tooltip
-   */
-  hideTooltip() {
-    this.chartGroup.selectAll('.chart-tooltip').remove();
-  }
-
   /**
    * Render center information
    */
@@ -293,7 +270,7 @@ class RadialRemainderChart extends BaseChart {
       .attr('dy', '-1em')
       .attr('font-size', '16px')
       .attr('font-weight', 'bold')
-      .attr('fill', '#1e293b')
+      .attr('fill', this.theme.text)
       .text(this.options.title);
     
     // Final remainder value
@@ -310,7 +287,7 @@ class RadialRemainderChart extends BaseChart {
       .attr('text-anchor', 'middle')
       .attr('dy', '1.8em')
       .attr('font-size', '10px')
-      .attr('fill', '#6b7280')
+      .attr('fill', this.theme.mutedText)
       .text(`after ${this.spiralData.length} years`);
   }
 
@@ -326,21 +303,6 @@ class RadialRemainderChart extends BaseChart {
     }).format(value);
   }
 
-  /**
-   * Get text bounding box
-   */
-  getTextBBox(text, fontSize) {
-    const tempText = this.svg.append('text')
-      .attr('font-size', fontSize)
-      .text(text)
-      .style('opacity', 0);
-    
-    const bbox = tempText.node().getBBox();
-    tempText.remove();
-    
-    return bbox;
-  }
-
   /**
    * Clear the chart content
    */
@@ -350,14 +312,34 @@ class RadialRemainderChart extends BaseChart {
     }
   }
 
+  /**
+   * An economic schedule, or an object holding one
+   */
+  getDataSchema() {
+    return {
+      type: ['array', 'object'],
+      rules: [
+        data => (Array.isArray(data) || Array.isArray(data.economicSchedule) ||
+          (data.data && Array.isArray(data.data.economicSchedule))
+          ? []
+          : [{ message: 'should be an economic schedule or have an economicSchedule' }])
+      ]
+    };
+  }
+
+  /**
+   * Schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    const row = { value: 'remainder' };
+    return { ...row, economicSchedule: row, data: { economicSchedule: row } };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('RadialRemainderChart: No data to render');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
     // Clear previous render
     this.clear();
@@ -383,9 +365,39 @@ class RadialRemainderChart extends BaseChart {
     this.renderNodes();
     this.renderCenterInfo();
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize how the remainder changes over the schedule for describe()
+   */
+  summarize(detailed) {
+    const years = this.processData(this.data);
+    if (years.length === 0) return ['Radial remainder chart with no years.'];
+
+    const f = value => this.formatCurrency(value);
+    const last = years[years.length - 1];
+    const sentences = [
+      `Radial remainder chart of ${years.length} years, the remainder going from ${f(years[0].remainder)} in year 1 to ${f(last.remainder)} in year ${last.year}.`
+    ];
+
+    if (detailed) {
+      const highest = d3.greatest(years, d => d.remainder);
+      sentences.push(`Highest remainder ${f(highest.remainder)} in year ${highest.year}; mean ${f(d3.mean(years, d => d.remainder))}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The remainder for each year of the schedule
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).map(({ year, remainder }) => ({ year, remainder }));
+  }
+
   /**
    * Update chart with new data
    */
@@ -1,5 +1,7 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { resolveTheme } from '../themes/index.js';
+import { resolveAnimation } from '../animation.js';
 
 /**
  * RadialStackedBarChart class for creating radial stacked bar visualizations
@@ -12,7 +14,6 @@ class RadialStackedBarChart extends BaseChart {
       height: 600,
       margin: { top: 20, right: 20, bottom: 20, left: 20 },
       colorScheme: 'blue', // 'blue', 'orange', 'green'
-      animated: true,
       innerRadiusRatio: 0.3,
       ringPadding: 0.02,
       showLegend: true,
@@ -89,6 +90,10 @@ class RadialStackedBarChart extends BaseChart {
       };
     }
     
+    // Tooltips and exports read these; BaseChart.init() is not called
+    this.theme = resolveTheme(this.options.theme);
+    this.animation = resolveAnimation(this.options.animated === false ? false : this.options.animation);
+
     // Clear existing content
     d3.select(this.container).selectAll('*').remove();
     
@@ -277,49 +282,167 @@ class RadialStackedBarChart extends BaseChart {
       .text('Hover segments • Click to select year');
   }
 
+  /**
+   * Draw the HTML legend into exported SVGs
+   */
+  decorateExport(svg) {
+    if (!this.options.showLegend) return;
+
+    const colors = this.colorSchemes[this.options.colorScheme];
+    const components = Object.keys(colors).filter(component => component !== 'gradient' && component !== 'glow');
+    const boxWidth = 140;
+    const boxHeight = 58 + components.length * 24;
+
+    const legend = d3.select(svg).append('g')
+      .attr('class', 'export-legend')
+      .attr('transform', `translate(${this.options.width - 24 - boxWidth}, 24)`);
+
+    legend.append('rect')
+      .attr('width', boxWidth)
+      .attr('height', boxHeight)
+      .attr('rx', 12)
+      .attr('fill', 'rgba(255,255,255,0.9)')
+      .attr('stroke', 'rgba(226,232,240,0.8)');
+
+    legend.append('text')
+      .attr('x', 16)
+      .attr('y', 30)
+      .attr('font-size', '14px')
+      .attr('font-weight', 600)
+      .attr('fill', '#475569')
+      .text('Components');
+
+    const items = legend.selectAll('.export-legend-item')
+      .data(components)
+      .enter()
+      .append('g')
+      .attr('class', 'export-legend-item')
+      .attr('transform', (d, i) => `translate(16, ${50 + i * 24})`);
+
+    items.append('circle')
+      .attr('cx', 8)
+      .attr('cy', 8)
+      .attr('r', 8)
+      .attr('fill', d => colors[d]);
+
+    items.append('text')
+      .attr('x', 28)
+      .attr('y', 12)
+      .attr('font-size', '12px')
+      .attr('font-weight', 500)
+      .attr('fill', '#64748b')
+      .text(d => d.replace(/^category(\w)$/, 'Category $1'));
+  }
+
+  /**
+   * A row per year of category values and their total
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: {
+          year: 'label',
+          categoryA: 'number',
+          categoryB: 'number',
+          categoryC: 'number',
+          totalValue: 'number'
+        },
+        rules: [d => (+d.totalValue > 0 ? [] : [{ path: 'totalValue', message: 'should be greater than 0' }])]
+      }
+    };
+  }
+
+  /**
+   * Rows read x as their year
+   */
+  getEncodingChannels() {
+    return { x: 'year' };
+  }
+
   /**
    * Render the radial stacked bar chart
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided to RadialStackedBarChart');
-      return this;
-    }
-
-    // Clear existing chart content
-    this.chartGroup.selectAll('*').remove();
+    if (!this.beginRender()) return this;
 
     const ringWidth = (this.outerRadius - this.innerRadius) / this.data.length;
     const colors = this.colorSchemes[this.options.colorScheme];
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+
+    // Rings are joined by year, so kept years slide to their new radius and
+    // their segments sweep to the new shares
+    const rings = this.chartGroup.selectAll('.ring')
+      .data(this.data, this.getKeyAccessor('year'));
 
-    // Create rings for each year
-    this.data.forEach((yearData, yearIndex) => {
-      this.createRing(yearData, yearIndex, ringWidth, colors);
+    rings.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const ringsEnter = rings.enter()
+      .insert('g', '.center-label')
+      .style('opacity', 0);
+
+    ringsEnter.append('circle')
+      .attr('class', 'ring-background')
+      .attr('fill', 'none')
+      .attr('stroke', '#e2e8f0')
+      .attr('stroke-width', 1)
+      .attr('opacity', 0.3);
+
+    ringsEnter.append('text')
+      .attr('class', 'ring-label')
+      .attr('x', 0)
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('fill', '#64748b')
+      .style('font-size', '11px')
+      .style('font-weight', 'bold')
+      .style('opacity', 0);
+
+    const self = this;
+    ringsEnter.merge(rings)
+      .attr('class', (d, i) => `ring ring-${i}`)
+      .each(function(yearData, yearIndex) {
+        self.createRing(d3.select(this), yearData, yearIndex, ringWidth, colors, transition);
+      });
+
+    // Animate ring appearance
+    ringsEnter.each(function(yearData, yearIndex) {
+      self.animateRing(d3.select(this), yearIndex);
     });
 
+    this.addKeyboardNavigation(
+      this.chartGroup.selectAll('.segment'),
+      d => `${d.year}, ${d.component.replace(/^category/, 'Category ')}: ${d3.format('$,.0f')(d.value)}`
+    );
+
     // Add center label if enabled
-    if (this.options.showCenterLabel) {
-      this.addCenterLabel();
-    }
+    this.addCenterLabel();
 
     // Update selected year info if exists
     this.updateSelectedYearInfo();
 
+    this.emit('render');
     return this;
   }
 
   /**
-   * Create a ring for a specific year's data
+   * Create or update the ring for a specific year's data
    */
-  createRing(yearData, yearIndex, ringWidth, colors) {
+  createRing(ringGroup, yearData, yearIndex, ringWidth, colors, transition) {
     const currentInnerRadius = this.innerRadius + (yearIndex * ringWidth);
     const currentOuterRadius = currentInnerRadius + ringWidth * 0.8;
+    const isNew = ringGroup.select('.segment').empty();
     
     // Calculate stack data
     const stackData = [
-      { component: 'categoryA', value: yearData.categoryA, startAngle: 0 },
-      { component: 'categoryB', value: yearData.categoryB, startAngle: 0 },
-      { component: 'categoryC', value: yearData.categoryC, startAngle: 0 }
+      { component: 'categoryA', value: yearData.categoryA, startAngle: 0, year: yearData.year },
+      { component: 'categoryB', value: yearData.categoryB, startAngle: 0, year: yearData.year },
+      { component: 'categoryC', value: yearData.categoryC, startAngle: 0, year: yearData.year }
     ];
 
     // Calculate cumulative angles
@@ -330,85 +453,90 @@ class RadialStackedBarChart extends BaseChart {
       cumulativeAngle += proportion * 2 * Math.PI;
     });
 
+    // Each segment ends where the next begins
+    const shape = d => {
+      const nextIndex = stackData.indexOf(d) + 1;
+      return {
+        innerRadius: currentInnerRadius,
+        outerRadius: currentOuterRadius,
+        startAngle: d.startAngle,
+        endAngle: nextIndex < stackData.length ? stackData[nextIndex].startAngle : 2 * Math.PI
+      };
+    };
+
     // Create arc generator
     const arc = d3.arc()
-      .innerRadius(currentInnerRadius)
-      .outerRadius(currentOuterRadius)
-      .startAngle(d => d.startAngle)
-      .endAngle((d, i) => {
-        const nextIndex = i + 1;
-        return nextIndex < stackData.length ? stackData[nextIndex].startAngle : 2 * Math.PI;
-      })
       .padAngle(this.options.ringPadding);
 
-    // Create ring group
-    const ringGroup = this.chartGroup.append('g')
-      .attr('class', `ring-${yearIndex}`)
-      .style('opacity', 0);
+    // Tween from the last drawn shape to the new one
+    const arcTween = function(d) {
+      const interpolate = d3.interpolate(this._current, shape(d));
+      this._current = interpolate(1);
+      return function(t) {
+        return arc(interpolate(t));
+      };
+    };
 
     // Add background ring
-    ringGroup.append('circle')
-      .attr('r', currentOuterRadius)
-      .attr('fill', 'none')
-      .attr('stroke', '#e2e8f0')
-      .attr('stroke-width', 1)
-      .attr('opacity', 0.3);
+    const background = ringGroup.select('.ring-background');
+    (isNew ? background : background.transition(transition))
+      .attr('r', currentOuterRadius);
 
     // Create segments
     const segments = ringGroup.selectAll('.segment')
-      .data(stackData)
-      .enter()
-      .append('path')
+      .data(stackData, d => d.component);
+
+    segments.exit().remove();
+
+    const segmentsEnter = segments.enter()
+      .insert('path', '.ring-label')
       .attr('class', 'segment')
-      .attr('d', arc)
       .attr('fill', d => `url(#radial-gradient-${d.component})`)
       .attr('stroke', '#ffffff')
       .attr('stroke-width', 1)
       .style('filter', 'url(#radial-glow)')
       .style('cursor', 'pointer')
-      .style('opacity', 0);
+      .style('opacity', 0)
+      .each(function(d) { this._current = shape(d); })
+      .attr('d', d => arc(shape(d)));
+
+    segments.transition(transition)
+      .attrTween('d', arcTween);
 
     // Add hover interactions
-    this.addSegmentInteractions(segments, ringGroup, yearData, colors);
+    this.addSegmentInteractions(segmentsEnter.merge(segments), colors);
 
     // Add year label
-    ringGroup.append('text')
-      .attr('x', 0)
-      .attr('y', -currentInnerRadius - ringWidth / 2)
-      .attr('text-anchor', 'middle')
-      .attr('dominant-baseline', 'middle')
-      .style('fill', '#64748b')
-      .style('font-size', '11px')
-      .style('font-weight', 'bold')
-      .style('opacity', 0)
+    const label = ringGroup.select('.ring-label')
       .text(yearData.year.toString());
+    (isNew ? label : label.transition(transition))
+      .attr('y', -currentInnerRadius - ringWidth / 2);
 
-    // Animate ring appearance
-    if (this.options.animated) {
-      this.animateRing(ringGroup, segments, yearIndex);
-    } else {
-      ringGroup.style('opacity', 1);
-      segments.style('opacity', 0.8);
-      ringGroup.select('text').style('opacity', 1);
+    // New rings fade their segments in from animateRing()
+    if (!isNew || !this.isAnimated()) {
+      segmentsEnter.style('opacity', 0.8);
     }
   }
 
   /**
-   * Add interactions to segments
+   * Add interactions to segments, which read their year from their ring
    */
-  addSegmentInteractions(segments, ringGroup, yearData, colors) {
+  addSegmentInteractions(segments, colors) {
     const self = this;
     
     segments
       .on('mouseover', function(event, d) {
         const segment = d3.select(this);
+        const ringGroup = d3.select(this.parentNode);
+        const yearData = ringGroup.datum();
         
         // Highlight effect
         ringGroup.selectAll('.segment').style('opacity', 0.4);
         segment.style('opacity', 1)
           .style('stroke-width', 3)
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr('transform', 'scale(1.05)');
 
         // Show tooltip
@@ -422,78 +550,102 @@ class RadialStackedBarChart extends BaseChart {
               <div><strong>Total:</strong> ${d3.format('$,.0f')(yearData.totalValue)}</div>
             </div>
           `;
-          self.showTooltip(tooltipContent, event);
+          self.showTooltip(tooltipContent, event, { ...d });
         }
+
+        self.emit('hover', { ...d }, event);
       })
-      .on('mouseout', function() {
+      .on('mouseout', function(event, d) {
         // Reset segments
-        ringGroup.selectAll('.segment')
+        d3.select(this.parentNode).selectAll('.segment')
           .style('opacity', 0.8)
           .style('stroke-width', 1)
           .transition()
-          .duration(300)
+          .duration(self.getDuration(300))
+          .ease(self.getEasing())
           .attr('transform', 'scale(1)');
 
         if (self.options.showTooltip) {
           self.hideTooltip();
         }
+
+        self.emit('leave', { ...d }, event);
       })
       .on('click', function(event, d) {
-        self.selectedYear = self.selectedYear === yearData.year ? null : yearData.year;
+        self.selectedYear = self.selectedYear === d.year ? null : d.year;
         self.updateSelectedYearInfo();
         
         // Click animation
         const segment = d3.select(this);
         segment.transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('transform', 'scale(0.95)')
           .transition()
-          .duration(150)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
           .attr('transform', 'scale(1.02)');
+
+        self.emit('click', { ...d }, event);
       });
   }
 
   /**
-   * Animate ring appearance
+   * Animate a new ring's appearance, or show it at once without animation
    */
-  animateRing(ringGroup, segments, yearIndex) {
+  animateRing(ringGroup, yearIndex) {
+    const segments = ringGroup.selectAll('.segment');
+
+    if (!this.isAnimated()) {
+      ringGroup.style('opacity', 1);
+      ringGroup.select('.ring-label').style('opacity', 1);
+      return;
+    }
+
     ringGroup
       .transition()
-      .delay(yearIndex * 200)
-      .duration(800)
-      .ease(d3.easeBackOut)
+      .delay(this.getDuration(yearIndex * 200))
+      .duration(this.getDuration(800))
+      .ease(this.getEasing(d3.easeBackOut))
       .style('opacity', 1);
 
     segments
       .transition()
-      .delay(yearIndex * 200 + 400)
-      .duration(600)
-      .ease(d3.easeBounceOut)
+      .delay(this.getDuration(yearIndex * 200 + 400))
+      .duration(this.getDuration(600))
+      .ease(this.getEasing(d3.easeBounceOut))
       .style('opacity', 0.8);
 
-    ringGroup.select('text')
+    ringGroup.select('.ring-label')
       .transition()
-      .delay(yearIndex * 200 + 800)
-      .duration(400)
+      .delay(this.getDuration(yearIndex * 200 + 800))
+      .duration(this.getDuration(400))
+      .ease(this.getEasing())
       .style('opacity', 1);
   }
 
   /**
-   * Add center label
+   * Add the center label, or remove it when showCenterLabel is off
    */
   addCenterLabel() {
-    const centerGroup = this.chartGroup.append('g')
+    const centers = this.chartGroup.selectAll('.center-label')
+      .data(this.options.showCenterLabel ? [this.data.length] : []);
+
+    centers.exit().remove();
+
+    const centerEnter = centers.enter()
+      .append('g')
       .attr('class', 'center-label')
       .style('opacity', 0);
 
-    centerGroup.append('circle')
-      .attr('r', this.innerRadius * 0.8)
+    centerEnter.append('circle')
       .attr('fill', `url(#radial-gradient-categoryA)`)
       .attr('stroke', '#ffffff')
       .attr('stroke-width', 3)
       .style('filter', 'url(#radial-glow)');
 
-    centerGroup.append('text')
+    centerEnter.append('text')
+      .attr('class', 'center-title')
       .attr('text-anchor', 'middle')
       .attr('dominant-baseline', 'middle')
       .attr('y', -10)
@@ -503,25 +655,29 @@ class RadialStackedBarChart extends BaseChart {
       .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.7)')
       .text('Radial Chart');
 
-    centerGroup.append('text')
+    centerEnter.append('text')
+      .attr('class', 'center-count')
       .attr('text-anchor', 'middle')
       .attr('dominant-baseline', 'middle')
       .attr('y', 10)
       .style('fill', 'white')
       .style('font-size', '12px')
       .style('font-weight', '500')
-      .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.7)')
-      .text(`${this.data.length} Years`);
+      .style('text-shadow', '1px 1px 2px rgba(0,0,0,0.7)');
+
+    const centerGroup = centerEnter.merge(centers);
+    centerGroup.select('circle').attr('r', this.innerRadius * 0.8);
+    centerGroup.select('.center-count').text(d => `${d} Years`);
 
-    if (this.options.animated) {
-      centerGroup
+    if (this.isAnimated()) {
+      centerEnter
         .transition()
-        .delay(this.data.length * 200 + 1000)
-        .duration(600)
-        .ease(d3.easeBackOut)
+        .delay(this.getDuration(this.data.length * 200 + 1000))
+        .duration(this.getDuration(600))
+        .ease(this.getEasing(d3.easeBackOut))
         .style('opacity', 1);
     } else {
-      centerGroup.style('opacity', 1);
+      centerEnter.style('opacity', 1);
     }
   }
 
@@ -570,6 +726,41 @@ class RadialStackedBarChart extends BaseChart {
     }
   }
 
+  /**
+   * Summarize the rings and each category's share for describe()
+   */
+  summarize(detailed) {
+    const f = d3.format('$,.0f');
+    const percent = d3.format('.1%');
+    const total = d3.sum(this.data, d => d.totalValue);
+    const largest = d3.greatest(this.data, d => d.totalValue);
+    const categories = ['categoryA', 'categoryB', 'categoryC']
+      .map(key => ({ name: key.replace(/^category/, 'Category '), value: d3.sum(this.data, d => d[key]) }));
+    const sentences = [
+      `Radial stacked bar chart of ${this.data.length} years from ${this.data[0].year} to ${this.data[this.data.length - 1].year}, totalling ${f(total)}.`,
+      `Largest year: ${largest.year} with ${f(largest.totalValue)}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Shares: ${categories.map(d => `${d.name} ${f(d.value)} (${percent(d.value / total)})`).join(', ')}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per segment: its year, category, value and share of the year
+   */
+  tabulate() {
+    if (!Array.isArray(this.data)) return [];
+    return this.data.flatMap(d => ['categoryA', 'categoryB', 'categoryC'].map(component => ({
+      year: d.year,
+      component,
+      value: d[component],
+      share: d[component] / d.totalValue
+    })));
+  }
+
   /**
    * Update color scheme and re-render
    */
@@ -20,7 +20,7 @@ class RadialTimelineChart extends BaseChart {
       strokeWidth: 1,
       segmentWidthRatio: 0.8, // 80% width for gaps
       gridRings: 5,
-      colors: ['#22c55e', '#3b82f6', '#f59e0b'], // Green, Blue, Amber
+      colors: null, // Primary, secondary and tertiary colors; defaults to the theme's palette
       showGridLines: true,
       showYearLabels: true,
       showCenterLabel: true,
@@ -31,7 +31,6 @@ class RadialTimelineChart extends BaseChart {
     
     super(container, defaultOptions);
     this.addTooltip();
-    this.colorScale = d3.scaleOrdinal(this.options.colors);
     this.hoveredYear = null;
   }
 
@@ -102,30 +101,18 @@ class RadialTimelineChart extends BaseChart {
       .domain([0, dataLength])
       .range([0, 2 * Math.PI]);
 
-    // Create color gradients with safe color handling
-    try {
-      const primaryColor = this.colorScale(0) || '#22c55e';
-      const secondaryColor = this.colorScale(1) || '#3b82f6';
-      const tertiaryColor = this.colorScale(2) || '#f59e0b';
-      
-      this.primaryColorScale = d3.scaleLinear()
-        .domain([0, maxValue])
-        .range([d3.color(primaryColor)?.brighter(0.3)?.toString() || primaryColor, primaryColor]);
-
-      this.secondaryColorScale = d3.scaleLinear()
-        .domain([0, maxValue])
-        .range([d3.color(secondaryColor)?.brighter(0.3)?.toString() || secondaryColor, secondaryColor]);
-
-      this.tertiaryColorScale = d3.scaleLinear()
-        .domain([0, maxValue])
-        .range([d3.color(tertiaryColor)?.brighter(0.3)?.toString() || tertiaryColor, tertiaryColor]);
-    } catch (e) {
-      console.warn('Color scale creation failed, using fallbacks:', e);
-      // Fallback color scales
-      this.primaryColorScale = d3.scaleLinear().domain([0, maxValue]).range(['#22c55e', '#16a34a']);
-      this.secondaryColorScale = d3.scaleLinear().domain([0, maxValue]).range(['#3b82f6', '#2563eb']);
-      this.tertiaryColorScale = d3.scaleLinear().domain([0, maxValue]).range(['#f59e0b', '#d97706']);
-    }
+    // Colors of the three value components: the colors option, or the theme's palette
+    this.colorScale = d3.scaleOrdinal(this.options.colors || this.theme.palette);
+
+    // Create color gradients, from a lighter tint at 0 to the component's color;
+    // colors d3 cannot parse are used flat
+    const gradient = color => d3.scaleLinear()
+      .domain([0, maxValue])
+      .range([d3.color(color)?.brighter(0.3)?.toString() || color, color]);
+
+    this.primaryColorScale = gradient(this.colorScale(0));
+    this.secondaryColorScale = gradient(this.colorScale(1));
+    this.tertiaryColorScale = gradient(this.colorScale(2));
   }
 
   /**
@@ -145,7 +132,7 @@ class RadialTimelineChart extends BaseChart {
         .attr("cy", 0)
         .attr("r", ringRadius)
         .attr("fill", "none")
-        .attr("stroke", "#374151")
+        .attr("stroke", this.theme.line)
         .attr("stroke-width", 0.5)
         .attr("stroke-dasharray", "2,2")
         .attr("opacity", 0.3);
@@ -174,13 +161,14 @@ class RadialTimelineChart extends BaseChart {
         .attr("text-anchor", "middle")
         .attr("dominant-baseline", "central")
         .attr("font-size", "12px")
-        .attr("fill", "#94a3b8")
+        .attr("fill", this.theme.mutedText)
         .attr("font-weight", "500")
         .text(`Y${d.year}`)
         .style("opacity", 0)
         .transition()
-        .delay(i * this.options.animationDelay)
-        .duration(this.options.animationDuration)
+        .delay(this.getDuration(i * this.options.animationDelay))
+        .duration(this.getDuration(this.options.animationDuration))
+        .ease(this.getEasing())
         .style("opacity", 1);
     });
   }
@@ -199,12 +187,13 @@ class RadialTimelineChart extends BaseChart {
       .attr("text-anchor", "middle")
       .attr("font-size", "16px")
       .attr("font-weight", "bold")
-      .attr("fill", "#e2e8f0")
+      .attr("fill", this.theme.text)
       .text("RADIAL")
       .style("opacity", 0)
       .transition()
-      .delay(500)
-      .duration(this.options.animationDuration)
+      .delay(this.getDuration(500))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .style("opacity", 1);
 
     centerGroup.append("text")
@@ -212,12 +201,13 @@ class RadialTimelineChart extends BaseChart {
       .attr("y", 10)
       .attr("text-anchor", "middle")
       .attr("font-size", "12px")
-      .attr("fill", "#94a3b8")
+      .attr("fill", this.theme.mutedText)
       .text(this.options.centerLabelText)
       .style("opacity", 0)
       .transition()
-      .delay(700)
-      .duration(this.options.animationDuration)
+      .delay(this.getDuration(700))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .style("opacity", 1);
   }
 
@@ -386,7 +376,7 @@ class RadialTimelineChart extends BaseChart {
       .append("path")
       .attr("class", "arc")
       .attr("fill", d => d.color)
-      .attr("stroke", "#1e293b")
+      .attr("stroke", this.theme.stroke)
       .attr("stroke-width", this.options.strokeWidth)
       .style("cursor", "pointer")
       .style("opacity", d => this.hoveredYear && this.hoveredYear !== d.year ? 0.3 : 1)
@@ -410,8 +400,9 @@ class RadialTimelineChart extends BaseChart {
     // Animate arcs with safe interpolation
     arcPaths
       .transition()
-      .delay(d => d.index * this.options.animationDelay + 300)
-      .duration(this.options.animationDuration)
+      .delay(d => this.getDuration(d.index * this.options.animationDelay + 300))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .attrTween('d', function(d) {
         const node = this;
         const startRadius = Math.max(0, d.innerRadius || 0);
@@ -446,15 +437,21 @@ class RadialTimelineChart extends BaseChart {
         this.hoveredYear = d.year;
         this.updateArcOpacity(arcPaths);
         this.showArcTooltip(event, d);
+        this.emit('hover', d, event);
       })
       .on("mousemove", (event) => {
         this.moveTooltip(event);
       })
-      .on("mouseout", () => {
+      .on("mouseout", (event, d) => {
         this.hoveredYear = null;
         this.updateArcOpacity(arcPaths);
         this.hideTooltip();
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        this.emit('click', d, event);
       });
+    this.addKeyboardNavigation(arcPaths, d => `Year ${d.year}, ${d.type}: ${this.formatValue(d.value)}`);
 
     return arcPaths;
   }
@@ -465,7 +462,8 @@ class RadialTimelineChart extends BaseChart {
   updateArcOpacity(arcPaths) {
     arcPaths
       .transition()
-      .duration(200)
+      .duration(this.getDuration(200))
+      .ease(this.getEasing())
       .style("opacity", d => this.hoveredYear && this.hoveredYear !== d.year ? 0.3 : 1);
   }
 
@@ -481,7 +479,7 @@ class RadialTimelineChart extends BaseChart {
       <div style="margin-top: 4px; font-weight: bold;">Total: ${this.formatValue(d.data.totalValue)}</div>
     `;
     
-    this.showTooltip(tooltipContent, event);
+    this.showTooltip(tooltipContent, event, d);
   }
 
   /**
@@ -519,8 +517,9 @@ class RadialTimelineChart extends BaseChart {
     legend.append("rect")
       .attr("width", 140)
       .attr("height", 90)
-      .attr("fill", "rgba(30, 41, 59, 0.9)")
-      .attr("stroke", "#475569")
+      .attr("fill", this.theme.background)
+      .attr("fill-opacity", 0.9)
+      .attr("stroke", this.theme.grid)
       .attr("stroke-width", 1)
       .attr("rx", 6)
       .style("backdrop-filter", "blur(4px)");
@@ -545,19 +544,44 @@ class RadialTimelineChart extends BaseChart {
         .attr("x", 18)
         .attr("y", 4)
         .attr("font-size", "11px")
-        .attr("fill", "#e2e8f0")
+        .attr("fill", this.theme.text)
         .text(item.label);
     });
   }
 
+  /**
+   * An economicSchedule of yearly remainders
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        economicSchedule: {
+          type: 'array',
+          minLength: 1,
+          rows: { type: 'object', fields: { remainder: 'number' } }
+        }
+      }
+    };
+  }
+
+  /**
+   * Schedule rows read value as their remainder
+   */
+  getEncodingChannels() {
+    return { economicSchedule: { value: 'remainder' } };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
     // Clear existing content
     this.svg.selectAll('*').remove();
+    this.applyTheme();
+    this.applyAccessibility();
 
     // Process data
     const processedData = this.processData(this.data);
@@ -587,9 +611,39 @@ class RadialTimelineChart extends BaseChart {
     // Create legend
     this.createLegend();
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the yearly totals around the timeline for describe()
+   */
+  summarize(detailed) {
+    const years = this.processData(this.data);
+    if (years.length === 0) return ['Radial timeline with no years.'];
+
+    const f = value => this.formatValue(value);
+    const last = years[years.length - 1];
+    const highest = d3.greatest(years, d => d.totalValue);
+    const sentences = [
+      `Radial timeline of ${years.length} years, the total going from ${f(years[0].totalValue)} in year 1 to ${f(last.totalValue)} in year ${last.year}.`,
+      `Highest total ${f(highest.totalValue)} in year ${highest.year}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Distributions total ${f(d3.sum(years, d => d.tertiaryValue))} and income ${f(d3.sum(years, d => d.income))}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The yearly values derived from the economic schedule
+   */
+  tabulate() {
+    return this.data == null ? [] : this.processData(this.data);
+  }
+
   /**
    * Update chart with new data
    */
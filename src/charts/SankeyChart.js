@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { DOMUtils } from '../utils/index.js';
 
 /**
  * Sankey Chart implementation with animated flows
@@ -22,28 +23,61 @@ class SankeyChart extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Nodes, and links between them by node index
+   */
+  getDataSchema() {
+    return {
+      type: 'object',
+      fields: {
+        nodes: {
+          type: 'array',
+          minLength: 1,
+          rows: { type: 'object', fields: { value: { type: 'number', min: 0, required: false } } }
+        },
+        links: {
+          type: 'array',
+          rows: { type: 'object', fields: { source: 'number', target: 'number', value: { type: 'number', min: 0 } } }
+        }
+      },
+      rules: [
+        ({ nodes, links }) => links.flatMap((link, i) => ['source', 'target']
+          .filter(end => !nodes[link[end]])
+          .map(end => ({ path: `links.${i}.${end}`, message: `refers to unknown node ${link[end]}` })))
+      ]
+    };
+  }
+
+  /**
+   * Nodes read label as their name; links read their value
+   */
+  getEncodingChannels() {
+    return { nodes: { label: 'name' }, links: { value: 'value' } };
+  }
+
   /**
    * Render the Sankey chart
    */
   render() {
-    if (!this.data || !this.data.nodes || !this.data.links) {
-      console.warn('No valid Sankey data provided. Expected format: { nodes: [], links: [] }');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    // Particles restart along the links as they are now
+    this.clearAnimations();
+    this.chartGroup.selectAll('.flow-particle').remove();
 
-    this.createGradients();
     this.calculateNodePositions();
+    this.createGradients();
     this.renderLinks();
     this.renderNodes();
     this.addTitle();
     
     if (this.options.showEfficiency) {
       this.addEfficiencyPanel();
+    } else {
+      this.chartGroup.selectAll('.efficiency-panel').remove();
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -58,6 +92,13 @@ class SankeyChart extends BaseChart {
       this.autoLayoutNodes();
     }
 
+    // Nodes without a value carry the larger of the flows into and out of them
+    nodes.forEach((node, i) => {
+      if (node.value != null) return;
+      const flow = end => d3.sum(links, link => (link[end] === i ? link.value : 0));
+      node.value = Math.max(flow('target'), flow('source'));
+    });
+
     // Scale positions to chart dimensions
     const xScale = d3.scaleLinear()
       .domain(d3.extent(nodes, d => d.x))
@@ -106,6 +147,22 @@ class SankeyChart extends BaseChart {
     });
   }
 
+  /**
+   * Key links by the keys of the nodes they join
+   */
+  getLinkKeyAccessor() {
+    const nodeKey = this.getKeyAccessor('name');
+    const { nodes } = this.data;
+    return link => JSON.stringify([nodeKey(nodes[link.source]), nodeKey(nodes[link.target])]);
+  }
+
+  /**
+   * Get a link's color: its own, or the node colors in turn
+   */
+  getLinkColor(link, i) {
+    return link.color || this.options.nodeColors[i % this.options.nodeColors.length];
+  }
+
   /**
    * Create gradients for animated flows
    */
@@ -113,103 +170,146 @@ class SankeyChart extends BaseChart {
     const defs = this.svg.select('defs').empty() ? 
       this.svg.append('defs') : this.svg.select('defs');
 
-    this.data.links.forEach((link, i) => {
-      const sourceNode = this.data.nodes[link.source];
-      const targetNode = this.data.nodes[link.target];
-      const linkColor = link.color || this.options.nodeColors[i % this.options.nodeColors.length];
-
-      const gradient = defs.append('linearGradient')
-        .attr('id', `flow-gradient-${i}`)
-        .attr('gradientUnits', 'userSpaceOnUse')
-        .attr('x1', sourceNode.scaledX || sourceNode.x)
-        .attr('y1', sourceNode.scaledY || sourceNode.y)
-        .attr('x2', targetNode.scaledX || targetNode.x)
-        .attr('y2', targetNode.scaledY || targetNode.y);
-
-      gradient.append('stop')
-        .attr('offset', '0%')
-        .attr('stop-color', linkColor)
-        .attr('stop-opacity', 0.8);
-
-      gradient.append('stop')
-        .attr('offset', '100%')
-        .attr('stop-color', linkColor)
-        .attr('stop-opacity', 0.4);
-    });
+    // Gradients are named by link index, so they are joined that way
+    const gradients = defs.selectAll('.flow-gradient')
+      .data(this.data.links);
+
+    gradients.exit().remove();
+
+    const gradientsEnter = gradients.enter()
+      .append('linearGradient')
+      .attr('class', 'flow-gradient')
+      .attr('id', (link, i) => `flow-gradient-${i}`)
+      .attr('gradientUnits', 'userSpaceOnUse');
+
+    gradientsEnter.append('stop')
+      .attr('offset', '0%')
+      .attr('stop-opacity', 0.8);
+
+    gradientsEnter.append('stop')
+      .attr('offset', '100%')
+      .attr('stop-opacity', 0.4);
+
+    gradientsEnter.merge(gradients)
+      .attr('x1', link => this.data.nodes[link.source].scaledX)
+      .attr('y1', link => this.data.nodes[link.source].scaledY)
+      .attr('x2', link => this.data.nodes[link.target].scaledX)
+      .attr('y2', link => this.data.nodes[link.target].scaledY)
+      .each((link, i, nodes) => {
+        d3.select(nodes[i]).selectAll('stop').attr('stop-color', this.getLinkColor(link, i));
+      });
   }
 
   /**
-   * Render animated links
+   * Render animated links, joined by the nodes they connect. Each link
+   * keeps the bend it was drawn with, so an update only moves and resizes it.
    */
   renderLinks() {
     const self = this;
-    
-    this.data.links.forEach((link, i) => {
-      const sourceNode = this.data.nodes[link.source];
-      const targetNode = this.data.nodes[link.target];
-      const linkColor = link.color || this.options.nodeColors[i % this.options.nodeColors.length];
+    const { nodes } = this.data;
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+
+    const linkPathData = (link, bend) => {
+      const sourceNode = nodes[link.source];
+      const targetNode = nodes[link.target];
 
       // Create curved path
       const midX = (sourceNode.scaledX + targetNode.scaledX) / 2;
-      const midY = (sourceNode.scaledY + targetNode.scaledY) / 2 + (Math.random() - 0.5) * 100;
-      const pathData = `M${sourceNode.scaledX},${sourceNode.scaledY} Q${midX},${midY} ${targetNode.scaledX},${targetNode.scaledY}`;
-
-      const linkPath = this.chartGroup.append('path')
-        .attr('d', pathData)
-        .attr('fill', 'none')
-        .attr('stroke', `url(#flow-gradient-${i})`)
-        .attr('stroke-width', this.linkScale(link.value))
-        .attr('stroke-linecap', 'round')
-        .style('opacity', 0)
-        .style('filter', `drop-shadow(0 2px 8px ${linkColor}40)`)
-        .style('cursor', 'pointer');
-
-      // Animate link appearance
-      const totalLength = linkPath.node().getTotalLength();
-      linkPath
-        .attr('stroke-dasharray', totalLength + ' ' + totalLength)
-        .attr('stroke-dashoffset', totalLength)
-        .transition()
-        .delay(i * 400)
-        .duration(this.options.animationDuration)
-        .ease(d3.easeLinear)
-        .style('opacity', this.options.linkOpacity)
-        .attr('stroke-dashoffset', 0);
-
-      // Add interactivity
-      linkPath
-        .on('mouseover', function(event) {
-          d3.select(this).style('opacity', 1);
-          const tooltipContent = `${sourceNode.name} → ${targetNode.name}<br>Value: ${self.formatValue(link.value)}`;
-          self.showTooltip(tooltipContent, event);
-        })
-        .on('mouseout', function() {
-          d3.select(this).style('opacity', self.options.linkOpacity);
-          self.hideTooltip();
-        });
+      const midY = (sourceNode.scaledY + targetNode.scaledY) / 2 + bend;
+      return `M${sourceNode.scaledX},${sourceNode.scaledY} Q${midX},${midY} ${targetNode.scaledX},${targetNode.scaledY}`;
+    };
 
-      // Add flowing particles if enabled
-      if (this.options.particleAnimation) {
-        this.addFlowingParticles(linkPath, linkColor, i, totalLength);
-      }
-    });
+    const joined = this.chartGroup.selectAll('.sankey-link')
+      .data(this.data.links, this.getLinkKeyAccessor());
+
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const linksEnter = joined.enter()
+      .insert('path', '.sankey-node')
+      .attr('class', 'sankey-link')
+      .each(function() { this._bend = (Math.random() - 0.5) * 100; })
+      .attr('d', function(link) { return linkPathData(link, this._bend); })
+      .attr('fill', 'none')
+      .attr('stroke-linecap', 'round')
+      .style('opacity', 0)
+      .style('cursor', 'pointer');
+
+    const linkPaths = linksEnter.merge(joined)
+      .attr('stroke', (link, i) => `url(#flow-gradient-${i})`)
+      .style('filter', (link, i) => `drop-shadow(0 2px 8px ${this.getLinkColor(link, i)}40)`);
+
+    // Animate link appearance
+    linksEnter
+      .attr('stroke-width', link => this.linkScale(link.value))
+      .each(function(link, i) {
+        const totalLength = DOMUtils.getTotalLength(this);
+        d3.select(this)
+          .attr('stroke-dasharray', totalLength + ' ' + totalLength)
+          .attr('stroke-dashoffset', totalLength)
+          .transition()
+          .delay(self.getDuration(i * 400))
+          .duration(self.getDuration(self.options.animationDuration))
+          .ease(self.getEasing(d3.easeLinear))
+          .style('opacity', self.options.linkOpacity)
+          .attr('stroke-dashoffset', 0);
+      });
+
+    // Move existing links to their nodes' new positions and values
+    joined
+      .attr('stroke-dasharray', null)
+      .transition(transition)
+      .attr('d', function(link) { return linkPathData(link, this._bend); })
+      .attr('stroke-width', link => this.linkScale(link.value))
+      .style('opacity', this.options.linkOpacity);
+
+    // Add interactivity
+    linkPaths
+      .on('mouseover', function(event, link) {
+        d3.select(this).style('opacity', 1);
+        const tooltipContent = `${nodes[link.source].name} → ${nodes[link.target].name}<br>Value: ${self.formatValue(link.value)}`;
+        self.showTooltip(tooltipContent, event, link);
+        self.emit('hover', link, event);
+      })
+      .on('mouseout', function(event, link) {
+        d3.select(this).style('opacity', self.options.linkOpacity);
+        self.hideTooltip();
+        self.emit('leave', link, event);
+      })
+      .on('click', (event, link) => {
+        self.emit('click', link, event);
+      });
+
+    // Add flowing particles if enabled
+    if (this.options.particleAnimation) {
+      linkPaths.each(function(link, i) {
+        self.addFlowingParticles(d3.select(this), self.getLinkColor(link, i), i);
+      });
+    }
   }
 
   /**
    * Add flowing particles along links
    */
-  addFlowingParticles(linkPath, color, index, totalLength) {
-    const particle = this.chartGroup.append('circle')
+  addFlowingParticles(linkPath, color, index) {
+    if (this.options.headless) return;
+
+    const particle = this.chartGroup.insert('circle', '.sankey-node')
+      .attr('class', 'flow-particle')
       .attr('r', 4)
       .attr('fill', color)
       .style('opacity', 0)
       .style('filter', 'drop-shadow(0 0 6px currentColor)');
 
     const animateParticle = () => {
+      const totalLength = DOMUtils.getTotalLength(linkPath.node());
+
       particle
-        .transition()
-        .duration(2000 + Math.random() * 1000)
-        .ease(d3.easeLinear)
+        .transition('ambient')
+        .duration(this.getDuration(2000 + Math.random() * 1000))
+        .ease(this.getEasing(d3.easeLinear))
         .style('opacity', 1)
         .attrTween('transform', () => {
           return (t) => {
@@ -218,100 +318,134 @@ class SankeyChart extends BaseChart {
           };
         })
         .transition()
-        .duration(200)
+        .duration(this.getDuration(200))
+        .ease(this.getEasing())
         .style('opacity', 0)
         .on('end', () => {
-          setTimeout(animateParticle, Math.random() * 2000 + 1000);
+          this.setTimer(animateParticle, Math.random() * 2000 + 1000);
         });
     };
 
-    setTimeout(() => animateParticle(), index * 400 + this.options.animationDuration);
+    this.addAnimation(() => this.setTimer(animateParticle, index * 400 + this.options.animationDuration));
   }
 
   /**
-   * Render nodes with enhanced styling
+   * Render nodes with enhanced styling, joined by name
    */
   renderNodes() {
     const self = this;
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+    const nodeColor = (node, i) => node.color || this.options.nodeColors[i % this.options.nodeColors.length];
 
-    this.data.nodes.forEach((node, i) => {
-      const nodeColor = node.color || this.options.nodeColors[i % this.options.nodeColors.length];
-      
-      const nodeGroup = this.chartGroup.append('g')
-        .attr('transform', `translate(${node.scaledX},${node.scaledY})`)
-        .style('opacity', 0)
-        .style('cursor', 'pointer');
-
-      // Node background circle
-      nodeGroup.append('circle')
-        .attr('r', this.options.nodeWidth)
-        .attr('fill', nodeColor)
-        .attr('stroke', 'white')
-        .attr('stroke-width', 3)
-        .style('filter', `drop-shadow(0 4px 12px ${nodeColor}40)`);
-
-      // Node value text (if enabled)
-      if (this.options.showValues) {
-        nodeGroup.append('text')
-          .attr('text-anchor', 'middle')
-          .attr('dy', '0.35em')
-          .attr('font-size', '10px')
-          .attr('font-weight', 'bold')
-          .attr('fill', 'white')
-          .text(this.formatValue(node.value));
-      }
+    const joined = this.chartGroup.selectAll('.sankey-node')
+      .data(this.data.nodes, this.getKeyAccessor('name'));
 
-      // Node label
-      nodeGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dy', '45px')
-        .attr('font-size', '12px')
-        .attr('font-weight', '600')
-        .attr('fill', '#1e293b')
-        .text(node.name);
-
-      // Animate node appearance
-      nodeGroup
-        .transition()
-        .delay(i * 200)
-        .duration(800)
-        .style('opacity', 1);
-
-      // Add hover effects
-      nodeGroup
-        .on('mouseover', function(event) {
-          d3.select(this)
-            .transition()
-            .duration(200)
-            .attr('transform', `translate(${node.scaledX},${node.scaledY}) scale(1.2)`);
-          
-          const tooltipContent = `${node.name}<br>Value: ${self.formatValue(node.value)}`;
-          self.showTooltip(tooltipContent, event);
-        })
-        .on('mouseout', function() {
-          d3.select(this)
-            .transition()
-            .duration(200)
-            .attr('transform', `translate(${node.scaledX},${node.scaledY}) scale(1)`);
-          
-          self.hideTooltip();
-        })
-        .on('click', function(event) {
-          if (self.options.onClick) {
-            self.options.onClick(node, event);
-          }
-        });
-    });
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const nodesEnter = joined.enter()
+      .insert('g', '.efficiency-panel')
+      .attr('class', 'sankey-node')
+      .attr('transform', node => `translate(${node.scaledX},${node.scaledY})`)
+      .style('opacity', 0)
+      .style('cursor', 'pointer');
+
+    // Node background circle
+    nodesEnter.append('circle')
+      .attr('stroke-width', 3);
+
+    // Node label
+    nodesEnter.append('text')
+      .attr('class', 'node-label')
+      .attr('text-anchor', 'middle')
+      .attr('dy', '45px')
+      .attr('font-size', '12px')
+      .attr('font-weight', '600');
+
+    const nodeGroups = nodesEnter.merge(joined);
+
+    nodeGroups.select('circle')
+      .attr('r', this.options.nodeWidth)
+      .attr('fill', nodeColor)
+      .attr('stroke', this.theme.stroke)
+      .style('filter', (node, i) => `drop-shadow(0 4px 12px ${nodeColor(node, i)}40)`);
+
+    // Node value text (if enabled)
+    const values = nodeGroups.selectAll('.node-value')
+      .data(node => this.options.showValues ? [node] : []);
+
+    values.exit().remove();
+
+    values.enter()
+      .insert('text', '.node-label')
+      .attr('class', 'node-value')
+      .attr('text-anchor', 'middle')
+      .attr('dy', '0.35em')
+      .attr('font-size', '10px')
+      .attr('font-weight', 'bold')
+      .attr('fill', 'white')
+      .merge(values)
+      .text(node => this.formatValue(node.value));
+
+    nodeGroups.select('.node-label')
+      .attr('fill', this.theme.text)
+      .text(node => node.name);
+
+    // Animate node appearance
+    nodesEnter
+      .transition()
+      .delay((node, i) => this.getDuration(i * 200))
+      .duration(this.getDuration(800))
+      .ease(this.getEasing())
+      .style('opacity', 1);
+
+    // Move existing nodes to their new positions
+    joined.transition(transition)
+      .attr('transform', node => `translate(${node.scaledX},${node.scaledY})`)
+      .style('opacity', 1);
+
+    // Add hover effects
+    nodeGroups
+      .on('mouseover', function(event, node) {
+        d3.select(this)
+          .transition()
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
+          .attr('transform', `translate(${node.scaledX},${node.scaledY}) scale(1.2)`);
+        
+        const tooltipContent = `${node.name}<br>Value: ${self.formatValue(node.value)}`;
+        self.showTooltip(tooltipContent, event, node);
+        self.emit('hover', node, event);
+      })
+      .on('mouseout', function(event, node) {
+        d3.select(this)
+          .transition()
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
+          .attr('transform', `translate(${node.scaledX},${node.scaledY}) scale(1)`);
+        
+        self.hideTooltip();
+        self.emit('leave', node, event);
+      })
+      .on('click', (event, node) => {
+        self.emit('click', node, event);
+      });
+
+    this.addKeyboardNavigation(nodeGroups, d => `${d.name}: ${this.formatValue(d.value)}`);
   }
 
   /**
    * Add efficiency panel
    */
   addEfficiencyPanel() {
+    this.chartGroup.selectAll('.efficiency-panel').remove();
     if (!this.data.efficiency) return;
 
     const efficiency = this.data.efficiency;
     const panelGroup = this.chartGroup.append('g')
+      .attr('class', 'efficiency-panel')
       .attr('transform', `translate(${this.innerWidth - 150}, ${this.innerHeight - 60})`);
 
     panelGroup.append('rect')
@@ -328,7 +462,7 @@ class SankeyChart extends BaseChart {
       .attr('text-anchor', 'middle')
       .attr('font-size', '12px')
       .attr('font-weight', '600')
-      .attr('fill', '#1e293b')
+      .attr('fill', this.theme.text)
       .text('Efficiency');
 
     const efficiencyColor = efficiency > 90 ? this.options.nodeColors[2] : 
@@ -358,7 +492,7 @@ class SankeyChart extends BaseChart {
     } else if (value >= 1000) {
       return `$${(value / 1000).toFixed(1)}K`;
     }
-    return `$${value.toFixed(0)}`;
+    return `$${(+value).toFixed(0)}`;
   }
 
   /**
@@ -400,6 +534,41 @@ class SankeyChart extends BaseChart {
     };
   }
 
+  /**
+   * Summarize the nodes and the largest flows for describe()
+   */
+  summarize(detailed) {
+    const { nodes = [], links = [] } = this.data;
+    if (links.length === 0) return [`Sankey diagram with ${nodes.length} nodes and no flows.`];
+
+    const name = index => (nodes[index] ? nodes[index].name : index);
+    const flow = link => `${name(link.source)} to ${name(link.target)} (${this.formatValue(link.value)})`;
+    const topFlows = links.slice().sort((a, b) => b.value - a.value).slice(0, detailed ? 3 : 1);
+    const sentences = [
+      `Sankey diagram with ${nodes.length} nodes and ${links.length} flows.`,
+      detailed
+        ? `Largest flows: ${topFlows.map(flow).join('; ')}.`
+        : `Largest flow: ${flow(topFlows[0])}.`
+    ];
+
+    if (detailed) {
+      sentences.push(`Total flow ${this.formatValue(d3.sum(links, d => d.value))}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per link, with its nodes by name
+   */
+  tabulate() {
+    if (this.data == null) return [];
+
+    const { nodes, links } = this.data;
+    const name = index => (nodes[index] ? nodes[index].name : index);
+    return links.map(link => ({ ...link, source: name(link.source), target: name(link.target) }));
+  }
+
   /**
    * Update chart with new data
    */
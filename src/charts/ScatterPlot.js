@@ -1,5 +1,10 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { MathUtils } from '../utils/index.js';
+import { traceBoxes } from '../annotations.js';
+
+// Smallest and largest point radius for sized points
+const BUBBLE_RADIUS = [3, 20];
 
 /**
  * Scatter Plot implementation
@@ -8,13 +13,14 @@ class ScatterPlot extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
       pointRadius: 4,
-      pointColor: '#3498db',
+      pointColor: null, // Defaults to the theme's primary color
       pointOpacity: 0.7,
       hoverRadius: 6,
       hoverOpacity: 1,
       showTrendLine: false,
-      trendLineColor: '#e74c3c',
+      trendLineColor: null, // Defaults to the theme's accent color
       trendLineWidth: 2,
+      renderer: 'svg', // 'svg' or 'canvas' for large datasets
       ...options
     };
     
@@ -22,17 +28,32 @@ class ScatterPlot extends BaseChart {
     this.addTooltip();
   }
 
+  /**
+   * Rows of { x, y } with an optional label
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: { type: 'object', fields: { x: 'number', y: 'number', label: { type: 'label', required: false } } }
+    };
+  }
+
+  /**
+   * Points read x, y and label; color and size are the category and size
+   * fields, drawn through a color and a size scale
+   */
+  getEncodingChannels() {
+    return { x: 'x', y: 'y', label: 'label', color: 'category', size: 'size' };
+  }
+
   /**
    * Render the scatter plot
    */
   render() {
-    if (!this.data || this.data.length === 0) {
-      console.warn('No data provided for ScatterPlot');
-      return this;
-    }
+    if (!this.beginRender()) return this;
 
-    // Clear previous chart
-    this.chartGroup.selectAll('*').remove();
+    const transition = this.chartGroup.transition().duration(this.getDuration(500)).ease(this.getEasing());
 
     // Create scales
     const xScale = d3.scaleLinear()
@@ -45,85 +66,202 @@ class ScatterPlot extends BaseChart {
       .range([this.innerHeight, 0])
       .nice();
 
+    this.xScale = xScale;
+    this.yScale = yScale;
+
+    // Encoded color and size channels are drawn through scales
+    const { encoding } = this.options;
+    this.categoryScale = encoding && encoding.color != null
+      ? d3.scaleOrdinal(this.theme.palette).domain([...new Set(this.data.map(d => d.category))])
+      : null;
+    this.sizeScale = encoding && encoding.size != null
+      ? d3.scaleSqrt().domain(d3.extent(this.data, d => d.size)).range(BUBBLE_RADIUS)
+      : null;
+
     // Create axes
     const xAxis = d3.axisBottom(xScale);
     const yAxis = d3.axisLeft(yScale);
 
     // Add X axis
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
-      .attr('transform', `translate(0, ${this.innerHeight})`)
+    const xAxisGroup = this.getOrCreateGroup('x-axis')
+      .attr('transform', `translate(0, ${this.innerHeight})`);
+    xAxisGroup.transition(transition)
       .call(xAxis);
+    this.rotateTickLabels(xAxisGroup);
 
     // Add Y axis
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(yAxis);
 
     // Add axis labels
     this.addAxisLabels();
 
     // Add trend line if requested
+    this.chartGroup.selectAll('.trend-line, .trend-label').remove();
     if (this.options.showTrendLine) {
       this.addTrendLine(xScale, yScale);
     }
 
     // Create points
-    this.addPoints(xScale, yScale);
+    if (this.useCanvas()) {
+      this.chartGroup.selectAll('.point').remove();
+      this.drawCanvasPoints(xScale, yScale);
+      this.addCanvasInteractivity(xScale, yScale);
+    } else {
+      this.removeCanvasLayer();
+      this.chartGroup.selectAll('.hover-point').remove();
+      this.addPoints(xScale, yScale, transition);
+    }
 
+    this.emit('render');
     return this;
   }
 
   /**
    * Add scatter plot points
    */
-  addPoints(xScale, yScale) {
+  addPoints(xScale, yScale, transition) {
     const self = this;
 
     const points = this.chartGroup.selectAll('.point')
-      .data(this.data)
-      .enter()
+      .data(this.data, this.getKeyAccessor());
+
+    // Shrink removed points away
+    points.exit()
+      .transition(transition)
+      .attr('r', 0)
+      .remove();
+
+    const pointsEnter = points.enter()
       .append('circle')
       .attr('class', 'point')
       .attr('cx', d => xScale(d.x))
       .attr('cy', d => yScale(d.y))
       .attr('r', 0)
-      .attr('fill', d => d.color || this.options.pointColor)
-      .attr('opacity', this.options.pointOpacity)
       .style('cursor', 'pointer');
 
-    // Animate points
-    points.transition()
-      .delay((d, i) => i * 20)
-      .duration(500)
-      .attr('r', d => d.radius || this.options.pointRadius);
+    const pointsUpdate = pointsEnter.merge(points)
+      .attr('fill', d => this.getPointColor(d))
+      .attr('opacity', this.options.pointOpacity);
+
+    // Move existing points into place
+    points.transition(transition)
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y))
+      .attr('r', d => this.getPointRadius(d));
+
+    // Animate new points
+    pointsEnter.transition(transition)
+      .delay((d, i) => this.getStagger(i, 20))
+      .attr('r', d => this.getPointRadius(d));
 
     // Add interactivity
-    points
+    pointsUpdate
       .on('mouseover', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
-          .attr('r', self.options.hoverRadius)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
+          .attr('r', Math.max(self.getPointRadius(d), self.options.hoverRadius))
           .attr('opacity', self.options.hoverOpacity);
 
         const tooltipContent = self.formatTooltip(d);
-        self.showTooltip(tooltipContent, event);
+        self.showTooltip(tooltipContent, event, d);
+        self.emit('hover', d, event);
       })
       .on('mouseout', function(event, d) {
         d3.select(this)
           .transition()
-          .duration(150)
-          .attr('r', d.radius || self.options.pointRadius)
+          .duration(self.getDuration(150))
+          .ease(self.getEasing())
+          .attr('r', self.getPointRadius(d))
           .attr('opacity', self.options.pointOpacity);
 
         self.hideTooltip();
+        self.emit('leave', d, event);
       })
-      .on('click', function(event, d) {
-        if (self.options.onClick) {
-          self.options.onClick(d, event);
-        }
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+
+    this.addKeyboardNavigation(pointsUpdate, d => (d.label ? `${d.label}: ` : '') + `x ${d.x}, y ${d.y}`);
+  }
+
+  /**
+   * Get a point's fill: its own color, its encoded category's, the
+   * pointColor option or the theme
+   */
+  getPointColor(d) {
+    if (d.color) return d.color;
+    if (this.categoryScale && d.category != null) return this.categoryScale(d.category);
+    return this.options.pointColor || this.theme.primary;
+  }
+
+  /**
+   * Get a point's radius: its own, its encoded size's or the pointRadius option
+   */
+  getPointRadius(d) {
+    if (d.radius) return d.radius;
+    if (this.sizeScale && Number.isFinite(d.size)) return this.sizeScale(d.size);
+    return this.options.pointRadius;
+  }
+
+  /**
+   * Draw points to the canvas layer
+   */
+  drawCanvasPoints(xScale, yScale, fill = d => this.getPointColor(d)) {
+    const context = this.getCanvasContext();
+
+    context.globalAlpha = this.options.pointOpacity;
+    this.data.forEach(d => {
+      context.beginPath();
+      context.arc(xScale(d.x), yScale(d.y), this.getPointRadius(d), 0, 2 * Math.PI);
+      context.fillStyle = fill(d);
+      context.fill();
+    });
+    context.globalAlpha = 1;
+  }
+
+  /**
+   * Hit-test canvas points with a quadtree and mark the hovered one with an SVG circle
+   */
+  addCanvasInteractivity(xScale, yScale) {
+    const quadtree = d3.quadtree()
+      .x(d => xScale(d.x))
+      .y(d => yScale(d.y))
+      .addAll(this.data);
+
+    const searchRadius = Math.max(
+      d3.max(this.data, d => this.getPointRadius(d)),
+      this.options.hoverRadius
+    );
+
+    let marker = this.chartGroup.select('.hover-point');
+    if (marker.empty()) {
+      marker = this.chartGroup.append('circle')
+        .attr('class', 'hover-point')
+        .style('pointer-events', 'none')
+        .style('display', 'none');
+    }
+
+    this.bindCanvasEvents((x, y) => quadtree.find(x, y, searchRadius), {
+      hover: (d, event) => {
+        marker
+          .attr('cx', xScale(d.x))
+          .attr('cy', yScale(d.y))
+          .attr('r', Math.max(this.getPointRadius(d), this.options.hoverRadius))
+          .attr('fill', this.getPointColor(d))
+          .attr('opacity', this.options.hoverOpacity)
+          .style('display', null);
+
+        this.showTooltip(this.formatTooltip(d), event, d);
+      },
+      leave: () => {
+        marker.style('display', 'none');
+        this.hideTooltip();
+      }
+    });
   }
 
   /**
@@ -165,18 +303,19 @@ class ScatterPlot extends BaseChart {
       .datum(trendData)
       .attr('class', 'trend-line')
       .attr('fill', 'none')
-      .attr('stroke', this.options.trendLineColor)
+      .attr('stroke', this.options.trendLineColor || this.theme.accent)
       .attr('stroke-width', this.options.trendLineWidth)
       .attr('stroke-dasharray', '5,5')
       .attr('d', line);
 
     // Add R² value
     this.chartGroup.append('text')
+      .attr('class', 'trend-label')
       .attr('x', this.innerWidth - 10)
       .attr('y', 20)
       .attr('text-anchor', 'end')
       .style('font-size', '12px')
-      .style('fill', this.options.trendLineColor)
+      .style('fill', this.options.trendLineColor || this.theme.accent)
       .text(`R² = ${regression.rSquared.toFixed(3)}`);
   }
 
@@ -184,51 +323,37 @@ class ScatterPlot extends BaseChart {
    * Calculate linear regression
    */
   calculateLinearRegression() {
-    if (this.data.length < 2) return null;
-
-    const n = this.data.length;
-    const sumX = d3.sum(this.data, d => d.x);
-    const sumY = d3.sum(this.data, d => d.y);
-    const sumXY = d3.sum(this.data, d => d.x * d.y);
-    const sumXX = d3.sum(this.data, d => d.x * d.x);
-    const sumYY = d3.sum(this.data, d => d.y * d.y);
-
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
-
-    // Calculate R²
-    const yMean = sumY / n;
-    const ssRes = d3.sum(this.data, d => Math.pow(d.y - (slope * d.x + intercept), 2));
-    const ssTot = d3.sum(this.data, d => Math.pow(d.y - yMean, 2));
-    const rSquared = 1 - (ssRes / ssTot);
-
-    return { slope, intercept, rSquared };
+    return MathUtils.linearRegression(this.data);
   }
 
   /**
    * Add axis labels
    */
   addAxisLabels() {
+    this.chartGroup.selectAll('.x-label, .y-label').remove();
+
     // X axis label
     if (this.options.xLabel) {
       this.chartGroup.append('text')
+        .attr('class', 'x-label')
         .attr('x', this.innerWidth / 2)
         .attr('y', this.innerHeight + 35)
         .attr('text-anchor', 'middle')
         .style('font-size', '14px')
-        .style('fill', '#333')
+        .style('fill', this.theme.text)
         .text(this.options.xLabel);
     }
 
     // Y axis label
     if (this.options.yLabel) {
       this.chartGroup.append('text')
+        .attr('class', 'y-label')
         .attr('transform', 'rotate(-90)')
         .attr('x', -this.innerHeight / 2)
         .attr('y', -35)
         .attr('text-anchor', 'middle')
         .style('font-size', '14px')
-        .style('fill', '#333')
+        .style('fill', this.theme.text)
         .text(this.options.yLabel);
     }
   }
@@ -240,8 +365,8 @@ class ScatterPlot extends BaseChart {
     this.setData(data);
 
     // Get unique categories
-    const categories = [...new Set(data.map(d => d[categoryField]))];
-    const colorScale = d3.scaleOrdinal(d3.schemeCategory10)
+    const categories = [...new Set(this.data.map(d => d[categoryField]))];
+    const colorScale = d3.scaleOrdinal(this.theme.palette)
       .domain(categories);
 
     // Assign colors based on category
@@ -274,7 +399,7 @@ class ScatterPlot extends BaseChart {
     const sizeExtent = d3.extent(this.data, d => d[sizeField]);
     const sizeScale = d3.scaleSqrt()
       .domain(sizeExtent)
-      .range([3, 20]);
+      .range(BUBBLE_RADIUS);
 
     // Assign radius based on size field
     this.data.forEach(d => {
@@ -286,6 +411,47 @@ class ScatterPlot extends BaseChart {
     return this;
   }
 
+  /**
+   * Summarize the points and the strength of the x/y correlation for describe()
+   */
+  summarize(detailed) {
+    if (this.data.length === 0) return ['Scatter plot with no points.'];
+
+    const sentences = [`Scatter plot of ${this.data.length} points.`];
+    const regression = this.calculateLinearRegression();
+
+    if (regression && Number.isFinite(regression.rSquared)) {
+      const r = Math.sqrt(Math.max(0, regression.rSquared));
+      const strength = r >= 0.7 ? 'strong' : r >= 0.4 ? 'moderate' : r >= 0.2 ? 'weak' : null;
+      const direction = regression.slope > 0 ? 'positive' : 'negative';
+      sentences.push(strength
+        ? `x and y show a ${strength} ${direction} correlation (slope ${this.formatNumber(regression.slope)}, R² ${regression.rSquared.toFixed(2)}).`
+        : `x and y show no clear correlation (R² ${regression.rSquared.toFixed(2)}).`);
+    }
+
+    if (detailed) {
+      const x = MathUtils.stats(this.data, 'x');
+      const y = MathUtils.stats(this.data, 'y');
+      const f = value => this.formatNumber(value);
+      sentences.push(`x ranges from ${f(x.min)} to ${f(x.max)} and y from ${f(y.min)} to ${f(y.max)}.`);
+      sentences.push(`Mean x ${f(x.mean)}, mean y ${f(y.mean)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Where the points end up, for annotation callouts
+   */
+  getMarkBoxes() {
+    if (!this.xScale) return [];
+
+    return this.data.flatMap(d => traceBoxes(
+      [[this.xScale(d.x), this.yScale(d.y)]],
+      this.getPointRadius(d) + 2
+    ));
+  }
+
   /**
    * Update chart with new data
    */
@@ -298,9 +464,15 @@ class ScatterPlot extends BaseChart {
   /**
    * Highlight points based on condition
    */
-  highlightPoints(condition, highlightColor = '#e74c3c') {
+  highlightPoints(condition, highlightColor = this.theme.accent) {
+    if (this.useCanvas()) {
+      this.drawCanvasPoints(this.xScale, this.yScale,
+        d => condition(d) ? highlightColor : this.getPointColor(d));
+      return this;
+    }
+
     this.chartGroup.selectAll('.point')
-      .attr('fill', d => condition(d) ? highlightColor : (d.color || this.options.pointColor));
+      .attr('fill', d => condition(d) ? highlightColor : this.getPointColor(d));
 
     return this;
   }
@@ -309,8 +481,13 @@ class ScatterPlot extends BaseChart {
    * Reset point colors
    */
   resetHighlight() {
+    if (this.useCanvas()) {
+      this.drawCanvasPoints(this.xScale, this.yScale);
+      return this;
+    }
+
     this.chartGroup.selectAll('.point')
-      .attr('fill', d => d.color || this.options.pointColor);
+      .attr('fill', d => this.getPointColor(d));
 
     return this;
   }
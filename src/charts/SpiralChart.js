@@ -191,7 +191,7 @@ class SpiralChart extends BaseChart {
     backgroundSpiral.append("path")
       .attr("d", spiralPath.toString())
       .attr("fill", "none")
-      .attr("stroke", "#e5e7eb")
+      .attr("stroke", this.theme.grid)
       .attr("stroke-width", 2)
       .attr("opacity", 0.3);
 
@@ -219,23 +219,25 @@ class SpiralChart extends BaseChart {
       })
       .attr("filter", "url(#glow)")
       .transition()
-      .delay((d, i) => i * this.options.animationDelay)
-      .duration(this.options.animationDuration)
+      .delay((d, i) => this.getStagger(i, this.options.animationDelay))
+      .duration(this.getDuration(this.options.animationDuration))
+      .ease(this.getEasing())
       .attr("r", d => this.calculateNodeRadius(d));
 
     // Add metric value circles
     yearNodes.append("circle")
       .attr("class", "metric-circle")
       .attr("r", 0)
-      .attr("fill", "white")
+      .attr("fill", this.theme.background)
       .attr("stroke", d => {
         const metric = this.metrics.find(m => m.key === this.options.selectedMetric) || this.metrics[0];
         return metric.color;
       })
       .attr("stroke-width", 3)
       .transition()
-      .delay((d, i) => i * this.options.animationDelay + 200)
-      .duration(this.options.animationDuration * 0.8)
+      .delay((d, i) => this.getStagger(i, this.options.animationDelay) + this.getDuration(200))
+      .duration(this.getDuration(this.options.animationDuration * 0.8))
+      .ease(this.getEasing())
       .attr("r", d => this.calculateNodeRadius(d));
 
     // Add period labels
@@ -245,12 +247,13 @@ class SpiralChart extends BaseChart {
       .attr("dy", "0.35em")
       .attr("font-size", "12px")
       .attr("font-weight", "bold")
-      .attr("fill", "#374151")
+      .attr("fill", this.theme.text)
       .attr("opacity", 0)
       .text(d => `${d.period}`)
       .transition()
-      .delay((d, i) => i * this.options.animationDelay + 400)
-      .duration(this.options.animationDuration * 0.6)
+      .delay((d, i) => this.getStagger(i, this.options.animationDelay) + this.getDuration(400))
+      .duration(this.getDuration(this.options.animationDuration * 0.6))
+      .ease(this.getEasing())
       .attr("opacity", 1);
 
     return yearNodes;
@@ -306,8 +309,9 @@ class SpiralChart extends BaseChart {
         .attr("stroke-dasharray", "5,5");
 
       line.transition()
-        .delay(i * 150 + 600)
-        .duration(800)
+        .delay(this.getDuration(i * 150 + 600))
+        .duration(this.getDuration(800))
+        .ease(this.getEasing())
         .attr("x2", next.x)
         .attr("y2", next.y);
     }
@@ -316,7 +320,8 @@ class SpiralChart extends BaseChart {
   }
 
   /**
-   * Create floating particles along the spiral
+   * Create floating particles along the spiral; they drift only while the
+   * chart animates, as an ambient animation pause() and destroy() stop
    */
   createFloatingParticles(positions, mainGroup) {
     if (!this.options.showParticles) return;
@@ -324,20 +329,27 @@ class SpiralChart extends BaseChart {
     const particles = mainGroup.append("g").attr("class", "particles");
     
     for (let i = 0; i < this.options.particleCount; i++) {
-      const particle = particles.append("circle")
+      const startPos = positions[Math.floor(Math.random() * positions.length)];
+      particles.append("circle")
         .attr("class", "particle")
         .attr("r", Math.random() * 3 + 1)
+        .attr('cx', startPos.x)
+        .attr('cy', startPos.y)
         .attr("fill", this.colorScale(0))
         .attr("opacity", 0.6);
-
-      this.animateParticle(particle, positions);
     }
 
+    const self = this;
+    this.addAnimation(() => particles.selectAll('.particle').each(function() {
+      self.animateParticle(d3.select(this), positions);
+    }));
+
     return particles;
   }
 
   /**
-   * Animate particle along spiral path
+   * Animate particle along spiral path, starting again from a random point
+   * each time it reaches the end
    */
   animateParticle(particle, positions) {
     const randomStart = Math.floor(Math.random() * positions.length);
@@ -346,9 +358,9 @@ class SpiralChart extends BaseChart {
     particle
       .attr("cx", startPos.x)
       .attr("cy", startPos.y)
-      .transition()
-      .duration(3000 + Math.random() * 2000)
-      .ease(d3.easeLinear)
+      .transition('ambient')
+      .duration(this.getDuration(3000 + Math.random() * 2000))
+      .ease(this.getEasing(d3.easeLinear))
       .attrTween("cx", () => {
         return (t) => {
           const index = Math.floor(t * (positions.length - 1));
@@ -372,30 +384,30 @@ class SpiralChart extends BaseChart {
    * Add breathing animation to nodes
    */
   addBreathingAnimation(nodes) {
-    if (!this.options.showBreathing) return;
+    if (!this.options.showBreathing || this.options.headless) return;
 
     const breathe = () => {
       nodes.selectAll(".glow-circle")
-        .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .transition('ambient')
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr("r", d => this.calculateNodeRadius(d) * 1.15)
         .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr("r", d => this.calculateNodeRadius(d))
-        .on("end", function() {
+        .on("end", () => {
           if (!this.isAnimating) {
             breathe();
           }
         });
     };
 
-    setTimeout(() => {
+    this.addAnimation(() => this.setTimer(() => {
       if (!this.isAnimating) {
         breathe();
       }
-    }, 2000);
+    }, 2000));
   }
 
   /**
@@ -421,14 +433,14 @@ class SpiralChart extends BaseChart {
       .attr("dy", "-0.5em")
       .attr("font-size", "14px")
       .attr("font-weight", "bold")
-      .attr("fill", "#374151")
+      .attr("fill", this.theme.text)
       .text("SPIRAL");
 
     centerInfo.append("text")
       .attr("text-anchor", "middle")
       .attr("dy", "1em")
       .attr("font-size", "12px")
-      .attr("fill", "#6b7280")
+      .attr("fill", this.theme.mutedText)
       .text(this.options.centerLabel);
 
     return centerInfo;
@@ -446,21 +458,29 @@ class SpiralChart extends BaseChart {
         
         d3.select(this).select(".glow-circle")
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr("r", self.calculateNodeRadius(d) * 1.3);
 
         self.showDataTooltip(event, d);
+        self.emit('hover', d, event);
       })
       .on("mouseout", function(event, d) {
         self.hoveredPeriod = null;
         
         d3.select(this).select(".glow-circle")
           .transition()
-          .duration(200)
+          .duration(self.getDuration(200))
+          .ease(self.getEasing())
           .attr("r", self.calculateNodeRadius(d));
 
         self.hideTooltip();
+        self.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        self.emit('click', d, event);
       });
+    this.addKeyboardNavigation(nodes, d => `Period ${d.period}: total ${this.formatValue(d.totalValue)}`);
   }
 
   /**
@@ -476,7 +496,7 @@ class SpiralChart extends BaseChart {
       <div style="margin-top: 8px; font-weight: bold;">Total: ${this.formatValue(d.totalValue)}</div>
     `;
     
-    super.showTooltip(tooltipContent, event);
+    super.showTooltip(tooltipContent, event, d);
   }
 
   /**
@@ -491,14 +511,39 @@ class SpiralChart extends BaseChart {
     return `${value.toFixed(0)}`;
   }
 
+  /**
+   * Rows, or an object holding them as timeSeries, data or economicSchedule
+   */
+  getDataSchema() {
+    return {
+      type: ['array', 'object'],
+      rules: [
+        data => (Array.isArray(data) || ['timeSeries', 'data', 'economicSchedule'].some(key => Array.isArray(data[key]))
+          ? []
+          : [{ message: 'should be an array, or have a timeSeries, data or economicSchedule array' }])
+      ]
+    };
+  }
+
+  /**
+   * Periods read label as the timeField option and value as their primary value
+   */
+  getEncodingChannels() {
+    const row = { label: this.options.timeField, value: 'primaryValue' };
+    return { ...row, timeSeries: row, data: row, economicSchedule: row };
+  }
+
   /**
    * Main render method
    */
   render() {
-    if (!this.data) return this;
+    if (!this.beginRender()) return this;
 
     // Clear existing content
+    this.clearAnimations();
     this.svg.selectAll('*').remove();
+    this.applyTheme();
+    this.applyAccessibility();
 
     // Process data
     this.processedData = this.processData(this.data);
@@ -534,9 +579,46 @@ class SpiralChart extends BaseChart {
     // Add hover interactions
     this.addHoverInteractions(nodes);
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the periods along the spiral and their totals for describe()
+   */
+  summarize(detailed) {
+    const periods = this.processData(this.data);
+    if (periods.length === 0) return ['Spiral chart with no periods.'];
+
+    const f = value => this.formatValue(value);
+    const last = periods[periods.length - 1];
+    const highest = d3.greatest(periods, d => d.totalValue);
+    const sentences = [
+      `Spiral chart of ${periods.length} periods from ${periods[0].period} to ${last.period}, totalling ${f(d3.sum(periods, d => d.totalValue))}.`,
+      `Highest total ${f(highest.totalValue)} in period ${highest.period}.`
+    ];
+
+    if (detailed) {
+      const parts = ['primary', 'secondary', 'tertiary', 'quaternary']
+        .map(part => `${part} ${f(d3.sum(periods, d => d[`${part}Value`]))}`);
+      sentences.push(`Totals by part: ${parts.join(', ')}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * The values of each period drawn, without the input row they came from
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).map(d => {
+      const row = { ...d };
+      delete row.originalData;
+      return row;
+    });
+  }
+
   /**
    * Update chart with new data
    */
@@ -559,7 +641,7 @@ class SpiralChart extends BaseChart {
   startAnimation() {
     this.isAnimating = true;
     // Implement custom animation logic here
-    setTimeout(() => {
+    this.setTimer(() => {
       this.isAnimating = false;
     }, 5000);
     return this;
@@ -1,15 +1,16 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
+import { DOMUtils } from '../utils/index.js';
 
 /**
  * StreamChart class for flowing stacked area visualization
- * Data format: [{ date: Date, [category]: number, ... }]
+ * Data format: [{ date: Date, ISO 8601 string or timestamp, [category]: number, ... }]
  */
 class StreamChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       tooltips: true,
       legend: true,
       curve: 'cardinal',
@@ -19,7 +20,6 @@ class StreamChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     
     if (this.options.tooltips) {
@@ -27,46 +27,42 @@ class StreamChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9],
-      spectral: d3.schemeSpectral[11]
-    };
-  }
-
   setupScales() {
     this.xScale = d3.scaleTime().range([0, this.innerWidth]);
     this.yScale = d3.scaleLinear().range([this.innerHeight, 0]);
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
   }
 
   processData(data) {
-    if (!Array.isArray(data) || data.length === 0) return { series: [], keys: [] };
+    if (!Array.isArray(data) || data.length === 0) return { series: [], keys: [], rows: [] };
+
+    // Dates may be given as ISO strings or timestamps; draw them as Dates in date order
+    this.timeScaleType = 'time';
+    const rows = this.parseDates(data, 'date').sort((a, b) => a.date - b.date);
 
     // Extract keys (categories) excluding date
-    const keys = Object.keys(data[0]).filter(key => key !== 'date');
+    const keys = Object.keys(rows[0]).filter(key => key !== 'date');
+
+    // Colors go by category index, so hidden categories keep theirs
+    this.colorScale.domain(d3.range(keys.length));
     
-    // Create stack generator
+    // Create stack generator; categories hidden from the legend are left out
     const stack = d3.stack()
-      .keys(keys)
+      .keys(keys.filter(key => this.isSeriesVisible(key)))
       .offset(this.getOffsetFunction())
       .order(d3.stackOrderNone);
 
-    const series = stack(data);
+    const series = stack(rows);
 
     // Update scales
-    this.xScale.domain(d3.extent(data, d => d.date));
+    this.xScale.domain(d3.extent(rows, d => d.date));
     
     // For stream charts, y-scale should be symmetric around 0
     const yExtent = d3.extent(series.flat(2));
     const maxAbs = Math.max(Math.abs(yExtent[0]), Math.abs(yExtent[1]));
     this.yScale.domain([-maxAbs, maxAbs]);
 
-    return { series, keys };
+    return { series, keys, rows };
   }
 
   getOffsetFunction() {
@@ -91,14 +87,46 @@ class StreamChart extends BaseChart {
     return curves[this.options.curve] || d3.curveCardinal;
   }
 
+  /**
+   * Rows of a date and a number for every category
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: { date: 'date' },
+        rules: [
+          d => Object.keys(d)
+            .filter(key => key !== 'date' && !Number.isFinite(+d[key]))
+            .map(key => ({ path: key, message: 'should be a number' }))
+        ]
+      }
+    };
+  }
+
+  /**
+   * Rows read x as their date
+   */
+  getEncodingChannels() {
+    return { x: 'date' };
+  }
+
   render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
+
+    // The flowing animation restarts on the layers as they are now
+    this.clearAnimations();
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+    const { series, keys, rows } = this.processData(this.data);
+    if (series.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
 
-    const { series, keys } = this.processData(this.data);
-    if (series.length === 0) return this;
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+    const colorOf = s => this.colorScale(keys.indexOf(s.key));
 
     // Create area generator
     const area = d3.area()
@@ -113,73 +141,98 @@ class StreamChart extends BaseChart {
       .y(d => this.yScale(d[1]))
       .curve(this.getCurveFunction());
 
-    // Add gradient definitions
-    const defs = this.svg.append('defs');
-    series.forEach((s, i) => {
-      const gradient = defs.append('linearGradient')
-        .attr('id', `stream-gradient-${i}`)
-        .attr('gradientUnits', 'userSpaceOnUse')
-        .attr('x1', 0).attr('y1', this.yScale.range()[0])
-        .attr('x2', 0).attr('y2', this.yScale.range()[1]);
-
-      const color = this.colorScale(i);
-      gradient.append('stop')
-        .attr('offset', '0%')
-        .attr('stop-color', color)
-        .attr('stop-opacity', 0.8);
-      
-      gradient.append('stop')
-        .attr('offset', '50%')
-        .attr('stop-color', color)
-        .attr('stop-opacity', 0.6);
-      
-      gradient.append('stop')
-        .attr('offset', '100%')
-        .attr('stop-color', color)
-        .attr('stop-opacity', 0.8);
-    });
+    // Add gradient definitions, one per category
+    const defs = this.svg.select('defs').empty() ? this.svg.append('defs') : this.svg.select('defs');
+    const gradients = defs.selectAll('.stream-gradient')
+      .data(series, d => d.key);
+
+    gradients.exit().remove();
+
+    const gradientsEnter = gradients.enter()
+      .append('linearGradient')
+      .attr('class', 'stream-gradient')
+      .attr('gradientUnits', 'userSpaceOnUse');
 
-    // Create stream layers
-    const layers = this.chartGroup.selectAll('.layer')
-      .data(series)
+    gradientsEnter.selectAll('stop')
+      .data([{ offset: '0%', opacity: 0.8 }, { offset: '50%', opacity: 0.6 }, { offset: '100%', opacity: 0.8 }])
       .enter()
-      .append('g')
-      .attr('class', 'layer');
+      .append('stop')
+      .attr('offset', d => d.offset)
+      .attr('stop-opacity', d => d.opacity);
+
+    gradientsEnter.merge(gradients)
+      .attr('id', s => `stream-gradient-${keys.indexOf(s.key)}`)
+      .attr('x1', 0).attr('y1', this.yScale.range()[0])
+      .attr('x2', 0).attr('y2', this.yScale.range()[1])
+      .each(function(s) {
+        d3.select(this).selectAll('stop').attr('stop-color', colorOf(s));
+      });
+
+    // Join stream layers by category
+    const joined = this.chartGroup.selectAll('.layer')
+      .data(series, d => d.key);
+
+    joined.exit()
+      .transition(transition)
+      .attr('opacity', 0)
+      .remove();
+
+    const layersEnter = joined.enter()
+      .insert('g', '.x-axis')
+      .attr('class', 'layer')
+      .attr('data-series', d => d.key);
 
     // Add areas
-    const areas = layers.append('path')
+    layersEnter.append('path')
       .attr('class', 'area')
       .attr('d', area)
-      .attr('fill', (d, i) => `url(#stream-gradient-${i})`)
       .attr('stroke', 'none')
       .style('cursor', 'pointer');
 
     // Add border lines
-    const borders = layers.append('path')
+    layersEnter.append('path')
       .attr('class', 'border')
       .attr('d', line)
       .attr('fill', 'none')
-      .attr('stroke', (d, i) => d3.color(this.colorScale(i)).darker(0.5))
       .attr('stroke-width', 1)
       .attr('opacity', 0.7);
 
+    // Keep the layers in stack order, as a series shown again enters last
+    const layers = layersEnter.merge(joined).order();
+
+    // select() hands each layer's new datum down to its area and border
+    const areas = layers.select('.area')
+      .attr('fill', s => `url(#stream-gradient-${keys.indexOf(s.key)})`);
+
+    layers.select('.border')
+      .attr('stroke', s => d3.color(colorOf(s)).darker(0.5));
+
+    // Morph existing layers into the new stack
+    joined.select('.area')
+      .transition(transition)
+      .attr('d', area);
+
+    joined.select('.border')
+      .attr('stroke-dasharray', null)
+      .transition(transition)
+      .attr('d', line);
+
     // Add axes
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
+    this.getOrCreateGroup('x-axis')
       .attr('transform', `translate(0, ${this.yScale(0)})`)
+      .transition(transition)
       .call(d3.axisBottom(this.xScale)
         .tickFormat(d3.timeFormat('%Y-%m')));
 
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(d3.axisLeft(this.yScale));
 
     // Add interactions
-    if (this.options.tooltips) {
-      layers
-        .on('mouseover', (event, d) => {
-          const layerIndex = series.indexOf(d);
-          const category = keys[layerIndex];
+    layers
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
+          const category = d.key;
           
           // Highlight current layer
           d3.select(event.currentTarget).select('.area')
@@ -194,24 +247,31 @@ class StreamChart extends BaseChart {
           const [mouseX] = d3.pointer(event, this.chartGroup.node());
           const date = this.xScale.invert(mouseX);
           const bisect = d3.bisector(d => d.date).left;
-          const index = bisect(this.data, date, 1);
-          const dataPoint = this.data[index - 1] || this.data[index];
+          const index = bisect(rows, date, 1);
+          const dataPoint = rows[index - 1] || rows[index];
           
           if (dataPoint) {
             this.showTooltip(
               `<strong>${category}</strong><br/>
                Date: ${d3.timeFormat('%Y-%m-%d')(dataPoint.date)}<br/>
                Value: ${dataPoint[category] || 0}`,
-              event
+              event,
+              { key: category, date: dataPoint.date, value: dataPoint[category] || 0 }
             );
           }
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           // Reset all layers
           layers.select('.area').attr('opacity', 1);
           this.hideTooltip();
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+    this.addKeyboardNavigation(layers, d => `${d.key}: ${d3.sum(rows, row => row[d.key] || 0)} in total`);
 
     // Add legend
     if (this.options.legend && keys.length > 1) {
@@ -219,56 +279,58 @@ class StreamChart extends BaseChart {
         label: key,
         color: this.colorScale(i)
       }));
-      this.addLegend(legendItems);
+      this.addLegend(legendItems, { interactive: true });
     }
 
-    // Add animations
-    if (this.options.animation) {
+    // Animate new layers in, and keep every layer flowing
+    if (this.isAnimated()) {
       // Animate areas with wave effect
-      areas
+      layersEnter.select('.area')
         .attr('opacity', 0)
         .attr('transform', 'scale(1,0)')
         .transition()
-        .duration(this.options.transitionDuration)
-        .delay((d, i) => i * 200)
-        .ease(d3.easeElasticOut.amplitude(1).period(0.3))
+        .duration(this.getDuration(this.options.transitionDuration))
+        .delay((d, i) => this.getStagger(i, 200))
+        .ease(this.getEasing(d3.easeElasticOut.amplitude(1).period(0.3)))
         .attr('opacity', 1)
         .attr('transform', 'scale(1,1)');
 
       // Animate borders
-      borders
+      layersEnter.select('.border')
         .attr('stroke-dasharray', function() {
-          return this.getTotalLength();
+          return DOMUtils.getTotalLength(this);
         })
         .attr('stroke-dashoffset', function() {
-          return this.getTotalLength();
+          return DOMUtils.getTotalLength(this);
         })
         .transition()
-        .duration(this.options.transitionDuration)
-        .delay((d, i) => i * 200 + 500)
-        .ease(d3.easeLinear)
+        .duration(this.getDuration(this.options.transitionDuration))
+        .delay((d, i) => this.getStagger(i, 200) + this.getDuration(500))
+        .ease(this.getEasing(d3.easeLinear))
         .attr('stroke-dashoffset', 0);
 
       // Add flowing animation
-      this.addFlowingAnimation(areas);
+      this.addFlowingAnimation(areas, keys);
     }
 
+    this.emit('render');
     return this;
   }
 
-  addFlowingAnimation(areas) {
+  addFlowingAnimation(areas, keys) {
+    if (this.options.headless) return;
+
     // Create flowing gradient animation
-    areas.each(function(d, i) {
-      const area = d3.select(this);
-      const gradientId = `stream-gradient-${i}`;
+    areas.each((d, i) => {
+      const gradientId = `stream-gradient-${keys.indexOf(d.key)}`;
       
       // Animate gradient position
       const animate = () => {
-        const gradient = d3.select(`#${gradientId}`);
+        const gradient = this.svg.select(`#${gradientId}`);
         gradient.selectAll('stop')
-          .transition()
-          .duration(3000)
-          .ease(d3.easeSinInOut)
+          .transition('ambient')
+          .duration(this.getDuration(3000))
+          .ease(this.getEasing(d3.easeSinInOut))
           .attr('stop-opacity', (d, j) => {
             const base = j === 1 ? 0.6 : 0.8;
             return base + Math.sin(Date.now() * 0.001 + i + j) * 0.2;
@@ -276,13 +338,17 @@ class StreamChart extends BaseChart {
           .on('end', animate);
       };
       
-      setTimeout(animate, i * 500);
+      this.addAnimation(() => this.setTimer(animate, i * 500));
     });
   }
 
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
@@ -296,6 +362,43 @@ class StreamChart extends BaseChart {
     return this.render();
   }
 
+  /**
+   * Summarize the date range and each category's total for describe()
+   */
+  summarize(detailed) {
+    const { keys, rows } = this.processData(this.data);
+    if (rows.length === 0) return ['Stream chart with no data.'];
+
+    const f = value => this.formatNumber(value);
+    const totals = keys.map(key => ({ key, total: d3.sum(rows, d => d[key] || 0) }));
+    const largest = d3.greatest(totals, d => d.total);
+    const sentences = [
+      `Stream chart of ${keys.length} categories over ${rows.length} dates from ${this.formatDate(rows[0].date)} to ${this.formatDate(rows[rows.length - 1].date)}.`,
+      `Largest category: ${largest.key} with ${f(largest.total)} in total.`
+    ];
+
+    if (detailed) {
+      const peak = d3.greatest(rows, d => d3.sum(keys, key => d[key] || 0));
+      sentences.push(`Totals: ${totals.map(d => `${d.key} ${f(d.total)}`).join(', ')}. The stream is widest on ${this.formatDate(peak.date)}.`);
+    }
+
+    return sentences;
+  }
+
+  /**
+   * One row per series and date, with the band's stacked bottom and top
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).series.flatMap(layer => layer.map(d => ({
+      date: d.data.date,
+      series: layer.key,
+      value: d.data[layer.key],
+      y0: d[0],
+      y1: d[1]
+    })));
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
 
 /**
  * SunburstChart class for multi-level hierarchical data visualization
@@ -8,8 +9,7 @@ import BaseChart from './BaseChart.js';
 class SunburstChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       tooltips: true,
       showLabels: true,
       arcPadding: 0.01,
@@ -18,7 +18,6 @@ class SunburstChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     
     if (this.options.tooltips) {
@@ -26,24 +25,13 @@ class SunburstChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9],
-      rainbow: d3.schemeSpectral[11]
-    };
-  }
-
   setupScales() {
     const radius = Math.min(this.innerWidth, this.innerHeight) / 2;
     this.radius = radius * 0.9;
     this.centerX = this.innerWidth / 2;
     this.centerY = this.innerHeight / 2;
     
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
     
     this.partition = d3.partition()
       .size([2 * Math.PI, this.radius]);
@@ -78,11 +66,29 @@ class SunburstChart extends BaseChart {
     return this.partition(root);
   }
 
-  render() {
-    if (!this.data) return this;
+  /**
+   * A tree of { name, value, children }
+   */
+  getDataSchema() {
+    const node = {
+      type: 'object',
+      fields: { value: { type: 'number', required: false, min: 0 } }
+    };
+    node.fields.children = { type: 'array', required: false, rows: node };
+    return node;
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  /**
+   * Nodes at every level read label as their name
+   */
+  getEncodingChannels() {
+    const channels = { label: 'name', value: 'value' };
+    channels.children = channels;
+    return channels;
+  }
+
+  render() {
+    if (!this.beginRender()) return this;
 
     const root = this.processData(this.data);
     const descendants = root.descendants()
@@ -92,68 +98,116 @@ class SunburstChart extends BaseChart {
         d.x1 > d.x0 + 0.0005 && d.y1 > d.y0
       )); // Filter out invalid or tiny arcs
 
+    const transition = this.chartGroup.transition()
+      .duration(this.getDuration(this.options.transitionDuration))
+      .ease(this.getEasing());
+
     // Create sunburst group
-    const sunburstGroup = this.chartGroup.append('g')
+    const sunburstGroup = this.getOrCreateGroup('sunburst')
       .attr('transform', `translate(${this.centerX}, ${this.centerY})`);
 
-    // Create arcs
-    const arcs = sunburstGroup.selectAll('.arc')
-      .data(descendants)
-      .enter()
-      .append('g')
+    // Join arcs by their path of names, so segments sweep to new sizes
+    const joined = sunburstGroup.selectAll('.arc')
+      .data(descendants, this.getNodeKeyAccessor());
+
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    // Tween only each arc's bounds, as nodes link to their parents and children
+    const bounds = d => {
+      const { x0, x1, y0, y1 } = this.sanitizeNode(d);
+      return { x0, x1, y0, y1 };
+    };
+
+    const arcsEnter = joined.enter()
+      .insert('g', '.center-circle')
       .attr('class', 'arc');
 
-    const paths = arcs.append('path')
+    arcsEnter.append('path')
       .attr('d', d => this.arc(this.sanitizeNode(d)))
-      .attr('fill', (d, i) => this.colorScale(i))
-      .attr('stroke', '#fff')
       .attr('stroke-width', 1)
       .style('cursor', 'pointer')
-      .style('opacity', 0.8);
+      .style('opacity', 0.8)
+      .each(function(d) { this._current = bounds(d); });
+
+    const arcs = arcsEnter.merge(joined);
+
+    // select() hands each arc's new datum down to its path and label
+    const paths = arcs.select('path')
+      .attr('fill', (d, i) => this.colorScale(i))
+      .attr('stroke', this.theme.stroke);
+
+    const self = this;
+    joined.select('path')
+      .transition(transition)
+      .attrTween('d', function(d) {
+        const interpolate = d3.interpolate(this._current, bounds(d));
+        this._current = interpolate(1);
+        return t => self.arc(interpolate(t));
+      });
 
     // Add labels for larger segments
-    let labels = null;
-    if (this.options.showLabels) {
-      labels = arcs.append('text')
-        .attr('transform', d => {
-          const angle = (d.x0 + d.x1) / 2;
-          const radius = (d.y0 + d.y1) / 2;
-          return `rotate(${(angle * 180 / Math.PI - 90)}) translate(${radius},0) rotate(${angle > Math.PI ? 180 : 0})`;
-        })
-        .attr('dy', '0.35em')
-        .attr('text-anchor', d => (d.x0 + d.x1) / 2 > Math.PI ? 'end' : 'start')
-        .style('font-size', d => Math.min(12, (d.y1 - d.y0) / 4) + 'px')
-        .style('fill', '#333')
-        .style('pointer-events', 'none')
-        .text(d => {
-          const arcLength = d.x1 - d.x0;
-          const radius = d.y1 - d.y0;
-          return arcLength * radius > 0.1 ? d.data.name : '';
-        });
-    }
+    const labelJoin = arcs.selectAll('text')
+      .data(d => this.options.showLabels ? [d] : []);
+
+    labelJoin.exit().remove();
+
+    const labelsEnter = labelJoin.enter()
+      .append('text')
+      .attr('dy', '0.35em')
+      .style('pointer-events', 'none');
+
+    labelsEnter.merge(labelJoin)
+      .attr('transform', d => {
+        const angle = (d.x0 + d.x1) / 2;
+        const radius = (d.y0 + d.y1) / 2;
+        return `rotate(${(angle * 180 / Math.PI - 90)}) translate(${radius},0) rotate(${angle > Math.PI ? 180 : 0})`;
+      })
+      .attr('text-anchor', d => (d.x0 + d.x1) / 2 > Math.PI ? 'end' : 'start')
+      .style('font-size', d => Math.min(12, (d.y1 - d.y0) / 4) + 'px')
+      .style('fill', this.theme.text)
+      .text(d => {
+        const arcLength = d.x1 - d.x0;
+        const radius = d.y1 - d.y0;
+        return arcLength * radius > 0.1 ? d.data.name : '';
+      });
 
     // Add center circle
-    sunburstGroup.append('circle')
+    let centerCircle = sunburstGroup.select('.center-circle');
+    if (centerCircle.empty()) {
+      centerCircle = sunburstGroup.append('circle')
+        .attr('class', 'center-circle')
+        .attr('stroke-width', 2);
+    }
+
+    centerCircle
       .attr('r', root.children ? 0 : this.radius * 0.1)
-      .attr('fill', '#f8f9fa')
-      .attr('stroke', '#dee2e6')
-      .attr('stroke-width', 2);
+      .attr('fill', this.theme.background)
+      .attr('stroke', this.theme.grid);
 
     // Add center text
-    if (root.data.name) {
-      sunburstGroup.append('text')
-        .attr('text-anchor', 'middle')
-        .attr('dominant-baseline', 'middle')
-        .style('font-size', '16px')
-        .style('font-weight', 'bold')
-        .style('fill', '#333')
-        .text(root.data.name);
-    }
+    const centerLabel = sunburstGroup.selectAll('.center-label')
+      .data(root.data.name ? [root.data.name] : []);
+
+    centerLabel.exit().remove();
+
+    centerLabel.enter()
+      .append('text')
+      .attr('class', 'center-label')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('font-size', '16px')
+      .style('font-weight', 'bold')
+      .merge(centerLabel)
+      .style('fill', this.theme.text)
+      .text(d => d);
 
     // Add interactions
-    if (this.options.tooltips) {
-      paths
-        .on('mouseover', (event, d) => {
+    paths
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
             .style('opacity', 1)
             .attr('stroke-width', 2);
@@ -165,10 +219,14 @@ class SunburstChart extends BaseChart {
             `<strong>${d.data.name}</strong><br/>
              Value: ${d.value}<br/>
              Percentage: ${((d.value / root.value) * 100).toFixed(1)}%`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event, d) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
             .style('opacity', 0.8)
             .attr('stroke-width', 1);
@@ -178,33 +236,42 @@ class SunburstChart extends BaseChart {
             .style('opacity', 0.8);
           
           this.hideTooltip();
-        })
-        .on('click', (event, d) => {
-          this.zoomToSegment(d, sunburstGroup);
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => {
+        if (this.options.tooltips) {
+          this.zoomToSegment(d, sunburstGroup, event);
+        }
+        this.emit('click', d, event);
+      });
+
+    this.addKeyboardNavigation(paths, d => `${d.data.name}: ${d.value}`);
 
-    // Add animations
-    if (this.options.animation) {
+    // Fade in new segments
+    if (this.isAnimated()) {
       // Animate arcs growing from center
-      paths
+      arcsEnter.select('path')
         .style('opacity', 0)
         .transition()
-        .duration(this.options.transitionDuration)
-        .delay((d, i) => i * 50)
+        .duration(this.getDuration(this.options.transitionDuration))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 50))
         .style('opacity', 0.8);
 
       // Animate labels
-      if (this.options.showLabels && labels) {
-        labels
+      if (this.options.showLabels) {
+        labelsEnter
           .style('opacity', 0)
           .transition()
-          .duration(this.options.transitionDuration)
-          .delay((d, i) => i * 50 + 500)
+          .duration(this.getDuration(this.options.transitionDuration))
+          .ease(this.getEasing())
+          .delay((d, i) => this.getStagger(i, 50) + this.getDuration(500))
           .style('opacity', 1);
       }
     }
 
+    this.emit('render');
     return this;
   }
 
@@ -218,9 +285,10 @@ class SunburstChart extends BaseChart {
       });
   }
 
-  zoomToSegment(d, container) {
+  zoomToSegment(d, container, event) {
     const transition = container.transition()
-      .duration(this.options.transitionDuration);
+      .duration(this.getDuration(this.options.transitionDuration))
+      .ease(this.getEasing());
 
     // Calculate new scale and translate
     const kx = (d.x1 - d.x0) ? (2 * Math.PI) / (d.x1 - d.x0) : 1;
@@ -235,14 +303,58 @@ class SunburstChart extends BaseChart {
         const iY1 = d3.interpolate(node.y1, ky * node.y1);
         return t => this.arc({ ...node, x0: iX0(t), x1: iX1(t), y0: iY0(t), y1: iY1(t) });
       });
+
+    this.emit('zoom', d, event);
+  }
+
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
+  /**
+   * Summarize the hierarchy and its largest branches for describe()
+   */
+  summarize(detailed) {
+    const root = d3.hierarchy(this.data).sum(d => d.value);
+    const leaves = root.leaves();
+    if (!root.value) return ['Sunburst chart with no values.'];
+
+    const percent = d3.format('.1%');
+    const share = node => `${node.data.name} ${percent(node.value / root.value)}`;
+    const branches = (root.children || []).slice().sort((a, b) => b.value - a.value);
+    const sentences = [
+      `Sunburst chart of ${leaves.length} items in ${branches.length} groups totalling ${this.formatNumber(root.value)}.`,
+      `Largest group: ${share(branches[0])}.`
+    ];
+
+    if (detailed) {
+      const largestItem = d3.greatest(leaves, d => d.value);
+      sentences.push(`Groups: ${branches.map(share).join(', ')}. Largest single item: ${share(largestItem)}.`);
+    }
+
+    return sentences;
   }
 
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
+  /**
+   * One row per segment, with its path below the root, its depth and its
+   * value summed from its children
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).descendants().slice(1).map(node => ({
+      name: node.data.name,
+      path: node.ancestors().reverse().slice(1).map(d => d.data.name).join(' / '),
+      depth: node.depth,
+      value: node.value
+    }));
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -1,5 +1,7 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
+import { DOMUtils } from '../utils/index.js';
 
 /**
  * TreemapChart class for visualizing hierarchical data using nested rectangles
@@ -8,16 +10,14 @@ import BaseChart from './BaseChart.js';
 class TreemapChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       padding: 2,
-      animation: true,
       tooltips: true,
       legend: false,
       ...options
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     
     if (this.options.tooltips) {
@@ -25,18 +25,8 @@ class TreemapChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9]
-    };
-  }
-
   setupScales() {
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
     
     this.treemap = d3.treemap()
       .size([this.innerWidth, this.innerHeight])
@@ -52,103 +42,201 @@ class TreemapChart extends BaseChart {
     return this.treemap(root);
   }
 
-  render() {
-    if (!this.data) return this;
+  /**
+   * A tree of { name, value, children }
+   */
+  getDataSchema() {
+    const node = {
+      type: 'object',
+      fields: { value: { type: 'number', required: false, min: 0 } }
+    };
+    node.fields.children = { type: 'array', required: false, rows: node };
+    return node;
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  /**
+   * Nodes at every level read label as their name
+   */
+  getEncodingChannels() {
+    const channels = { label: 'name', value: 'value' };
+    channels.children = channels;
+    return channels;
+  }
+
+  render() {
+    if (!this.beginRender()) return this;
 
     const root = this.processData(this.data);
     const leaves = root.leaves();
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+    const width = d => d.x1 - d.x0;
+    const height = d => d.y1 - d.y0;
+
+    // Join leaves by their path of names, so they resize in place
+    const joined = this.chartGroup.selectAll('.cell')
+      .data(leaves, this.getNodeKeyAccessor());
 
-    // Create rectangles for each leaf node
-    const cells = this.chartGroup.selectAll('.cell')
-      .data(leaves)
-      .enter()
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const cellsEnter = joined.enter()
       .append('g')
       .attr('class', 'cell')
       .attr('transform', d => `translate(${d.x0},${d.y0})`);
 
     // Add rectangles
-    const rects = cells.append('rect')
-      .attr('width', d => d.x1 - d.x0)
-      .attr('height', d => d.y1 - d.y0)
-      .attr('fill', (d, i) => this.colorScale(i))
-      .attr('stroke', '#fff')
+    cellsEnter.append('rect')
+      .attr('width', width)
+      .attr('height', height)
       .attr('stroke-width', 1)
       .style('cursor', 'pointer');
 
-    // Add labels
-    cells.append('text')
-      .attr('x', d => (d.x1 - d.x0) / 2)
-      .attr('y', d => (d.y1 - d.y0) / 2)
+    // Add labels, and value labels for larger rectangles
+    cellsEnter.append('text')
+      .attr('class', 'cell-label')
+      .attr('text-anchor', 'middle')
+      .attr('dominant-baseline', 'middle')
+      .style('pointer-events', 'none');
+
+    cellsEnter.append('text')
+      .attr('class', 'cell-value')
       .attr('text-anchor', 'middle')
       .attr('dominant-baseline', 'middle')
-      .style('font-size', d => Math.min(12, (d.x1 - d.x0) / 8, (d.y1 - d.y0) / 4) + 'px')
-      .style('fill', '#333')
-      .style('pointer-events', 'none')
+      .style('pointer-events', 'none');
+
+    const cells = cellsEnter.merge(joined);
+
+    // Move existing cells to their new bounds
+    joined.transition(transition)
+      .attr('transform', d => `translate(${d.x0},${d.y0})`);
+
+    joined.select('rect')
+      .transition(transition)
+      .attr('width', width)
+      .attr('height', height);
+
+    // select() hands each cell's new datum down to its rect and labels
+    const rects = cells.select('rect')
+      .attr('fill', (d, i) => this.colorScale(i))
+      .attr('stroke', this.theme.stroke);
+
+    cells.select('.cell-label')
+      .attr('x', d => width(d) / 2)
+      .attr('y', d => height(d) / 2)
+      .style('font-size', d => Math.min(12, width(d) / 8, height(d) / 4) + 'px')
+      .style('fill', this.theme.text)
+      .style('display', null)
       .text(d => d.data.name)
       .each(function(d) {
         // Hide text if rectangle is too small
-        const bbox = this.getBBox();
-        if (bbox.width > (d.x1 - d.x0) || bbox.height > (d.y1 - d.y0)) {
+        const bbox = DOMUtils.getBBox(this);
+        if (bbox.width > width(d) || bbox.height > height(d)) {
           d3.select(this).style('display', 'none');
         }
       });
 
-    // Add value labels for larger rectangles
-    cells.append('text')
-      .attr('x', d => (d.x1 - d.x0) / 2)
-      .attr('y', d => (d.y1 - d.y0) / 2 + 15)
-      .attr('text-anchor', 'middle')
-      .attr('dominant-baseline', 'middle')
-      .style('font-size', d => Math.min(10, (d.x1 - d.x0) / 10, (d.y1 - d.y0) / 6) + 'px')
-      .style('fill', '#666')
-      .style('pointer-events', 'none')
+    cells.select('.cell-value')
+      .attr('x', d => width(d) / 2)
+      .attr('y', d => height(d) / 2 + 15)
+      .style('font-size', d => Math.min(10, width(d) / 10, height(d) / 6) + 'px')
+      .style('fill', this.theme.mutedText)
+      .style('display', null)
       .text(d => d.data.value)
       .each(function(d) {
         // Hide value if rectangle is too small
-        const bbox = this.getBBox();
-        if (bbox.width > (d.x1 - d.x0) || (d.y1 - d.y0) < 40) {
+        const bbox = DOMUtils.getBBox(this);
+        if (bbox.width > width(d) || height(d) < 40) {
           d3.select(this).style('display', 'none');
         }
       });
 
     // Add interactions
-    if (this.options.tooltips) {
-      rects
-        .on('mouseover', (event, d) => {
+    rects
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).style('opacity', 0.8);
           this.showTooltip(
             `<strong>${d.data.name}</strong><br/>Value: ${d.data.value}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).style('opacity', 1);
           this.hideTooltip();
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    this.addKeyboardNavigation(rects, d => `${d.data.name}: ${d.data.value}`);
 
-    // Add animations
-    if (this.options.animation) {
-      rects
+    // Fade in new cells
+    if (this.isAnimated()) {
+      cellsEnter.select('rect')
         .style('opacity', 0)
         .transition()
-        .duration(800)
-        .delay((d, i) => i * 20)
+        .duration(this.getDuration(800))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 20))
         .style('opacity', 1);
     }
 
+    this.emit('render');
     return this;
   }
 
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
+  }
+
+  /**
+   * Summarize the hierarchy and its largest branches for describe()
+   */
+  summarize(detailed) {
+    const root = d3.hierarchy(this.data).sum(d => d.value);
+    const leaves = root.leaves();
+    if (!root.value) return ['Treemap with no values.'];
+
+    const percent = d3.format('.1%');
+    const share = node => `${node.data.name} ${percent(node.value / root.value)}`;
+    const branches = (root.children || []).slice().sort((a, b) => b.value - a.value);
+    const sentences = [
+      `Treemap of ${leaves.length} items in ${branches.length} groups totalling ${this.formatNumber(root.value)}.`,
+      `Largest group: ${share(branches[0])}.`
+    ];
+
+    if (detailed) {
+      const largestItem = d3.greatest(leaves, d => d.value);
+      sentences.push(`Groups: ${branches.map(share).join(', ')}. Largest single item: ${share(largestItem)}.`);
+    }
+
+    return sentences;
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
+  /**
+   * One row per leaf, with its path below the root and its value
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).leaves().map(node => ({
+      name: node.data.name,
+      path: node.ancestors().reverse().slice(1).map(d => d.data.name).join(' / '),
+      value: node.value
+    }));
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -1,5 +1,6 @@
 import * as d3 from 'd3';
 import BaseChart from './BaseChart.js';
+import { schemeColors } from '../themes/index.js';
 
 /**
  * ViolinChart class for distribution visualization with smooth curves
@@ -8,8 +9,7 @@ import BaseChart from './BaseChart.js';
 class ViolinChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'category10',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's palette
       tooltips: true,
       showBoxPlot: true,
       showMedian: true,
@@ -20,7 +20,6 @@ class ViolinChart extends BaseChart {
     };
 
     super(container, defaultOptions);
-    this.setupColorSchemes();
     this.setupScales();
     
     if (this.options.tooltips) {
@@ -28,17 +27,6 @@ class ViolinChart extends BaseChart {
     }
   }
 
-  setupColorSchemes() {
-    this.colorSchemes = {
-      category10: d3.schemeCategory10,
-      blues: d3.schemeBlues[9],
-      greens: d3.schemeGreens[9],
-      oranges: d3.schemeOranges[9],
-      purples: d3.schemePurples[9],
-      viridis: d3.schemeViridis
-    };
-  }
-
   setupScales() {
     this.xScale = d3.scaleBand()
       .range([0, this.innerWidth])
@@ -47,7 +35,7 @@ class ViolinChart extends BaseChart {
     this.yScale = d3.scaleLinear()
       .range([this.innerHeight, 0]);
 
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[this.options.colorScheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
   }
 
   processData(data) {
@@ -107,14 +95,49 @@ class ViolinChart extends BaseChart {
     };
   }
 
+  /**
+   * Rows of { category, values } or of { category, value }
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: {
+          category: 'label',
+          values: { type: 'array', required: false, minLength: 1, rows: 'number' },
+          value: { type: 'number', required: false }
+        },
+        rules: [
+          d => (d.values || d.value != null ? [] : [{ path: 'value', message: 'is missing (or give values)' }])
+        ]
+      }
+    };
+  }
+
+  /**
+   * Rows read label as their category
+   */
+  getEncodingChannels() {
+    return { label: 'category', value: 'value' };
+  }
+
   render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+    // The pulsing animation restarts on the violins as they are now
+    this.clearAnimations();
 
     const processedData = this.processData(this.data);
-    if (processedData.length === 0) return this;
+    if (processedData.length === 0) {
+      this.chartGroup.selectAll('*').remove();
+      return this;
+    }
+
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
+    const colorOf = d => this.colorScale(processedData.indexOf(d));
+    const position = d => `translate(${this.xScale(d.category) + this.xScale.bandwidth() / 2}, 0)`;
 
     // Update scales
     this.xScale.domain(processedData.map(d => d.category));
@@ -128,14 +151,6 @@ class ViolinChart extends BaseChart {
       .domain([0, maxDensity])
       .range([0, this.xScale.bandwidth() * this.options.violinWidth / 2]);
 
-    // Create violin groups
-    const violins = this.chartGroup.selectAll('.violin')
-      .data(processedData)
-      .enter()
-      .append('g')
-      .attr('class', 'violin')
-      .attr('transform', d => `translate(${this.xScale(d.category) + this.xScale.bandwidth() / 2}, 0)`);
-
     // Create area generator for violin shape
     const area = d3.area()
       .x0(d => -violinWidthScale(d[1]))
@@ -143,48 +158,84 @@ class ViolinChart extends BaseChart {
       .y(d => this.yScale(d[0]))
       .curve(d3.curveBasis);
 
+    // Join violin groups by category
+    const joined = this.chartGroup.selectAll('.violin')
+      .data(processedData, this.getKeyAccessor('category'));
+
+    joined.exit()
+      .transition(transition)
+      .style('opacity', 0)
+      .remove();
+
+    const violinsEnter = joined.enter()
+      .insert('g', '.x-axis')
+      .attr('class', 'violin')
+      .attr('transform', position);
+
     // Add violin shapes
-    const violinPaths = violins.append('path')
+    violinsEnter.append('path')
       .attr('class', 'violin-area')
       .attr('d', d => area(d.density))
-      .attr('fill', (d, i) => this.colorScale(i))
       .attr('fill-opacity', 0.7)
-      .attr('stroke', (d, i) => d3.color(this.colorScale(i)).darker(0.5))
       .attr('stroke-width', 1.5)
       .style('cursor', 'pointer');
 
+    const violins = violinsEnter.merge(joined);
+
+    // select() hands each violin's new datum down to its shape
+    const violinPaths = violins.select('.violin-area')
+      .attr('fill', colorOf)
+      .attr('stroke', d => d3.color(colorOf(d)).darker(0.5));
+
+    // Move existing violins to their category and reshape them
+    joined.transition(transition)
+      .attr('transform', position);
+
+    joined.select('.violin-area')
+      .transition(transition)
+      .attr('d', d => area(d.density));
+
     // Add box plots if enabled
-    if (this.options.showBoxPlot) {
-      this.addBoxPlots(violins, violinWidthScale);
-    }
+    this.addBoxPlots(violins, transition);
 
     // Add median lines if enabled
-    if (this.options.showMedian) {
-      violins.append('line')
-        .attr('class', 'median-line')
-        .attr('x1', d => -violinWidthScale(d.maxDensity) * 0.8)
-        .attr('x2', d => violinWidthScale(d.maxDensity) * 0.8)
-        .attr('y1', d => this.yScale(d.statistics.median))
-        .attr('y2', d => this.yScale(d.statistics.median))
-        .attr('stroke', '#fff')
-        .attr('stroke-width', 3)
-        .attr('opacity', 0.9);
-    }
+    const medianLines = violins.selectAll('.median-line')
+      .data(d => this.options.showMedian ? [d] : []);
+
+    medianLines.exit().remove();
+
+    const placeMedian = lines => lines
+      .attr('x1', d => -violinWidthScale(d.maxDensity) * 0.8)
+      .attr('x2', d => violinWidthScale(d.maxDensity) * 0.8)
+      .attr('y1', d => this.yScale(d.statistics.median))
+      .attr('y2', d => this.yScale(d.statistics.median));
+
+    const medianEnter = medianLines.enter()
+      .append('line')
+      .attr('class', 'median-line')
+      .attr('stroke-width', 3)
+      .attr('opacity', 0.9);
+
+    placeMedian(medianEnter);
+    placeMedian(medianLines.transition(transition));
+
+    medianEnter.merge(medianLines)
+      .attr('stroke', this.theme.stroke);
 
     // Add axes
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
+    this.getOrCreateGroup('x-axis')
       .attr('transform', `translate(0, ${this.innerHeight})`)
+      .transition(transition)
       .call(d3.axisBottom(this.xScale));
 
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(d3.axisLeft(this.yScale));
 
     // Add interactions
-    if (this.options.tooltips) {
-      violinPaths
-        .on('mouseover', (event, d) => {
+    violinPaths
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
             .attr('fill-opacity', 0.9)
             .attr('stroke-width', 2);
@@ -197,125 +248,149 @@ class ViolinChart extends BaseChart {
              Q1: ${stats.q1.toFixed(2)}<br/>
              Q3: ${stats.q3.toFixed(2)}<br/>
              Range: ${stats.min.toFixed(2)} - ${stats.max.toFixed(2)}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target)
             .attr('fill-opacity', 0.7)
             .attr('stroke-width', 1.5);
           
           this.hideTooltip();
-        });
-    }
-
-    // Add animations
-    if (this.options.animation) {
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+    this.addKeyboardNavigation(violinPaths, d => `${d.category}: ${d.values.length} values, median ${d.statistics.median.toFixed(2)}`);
+
+    // Grow new violins, and keep every violin pulsing
+    if (this.isAnimated()) {
       // Animate violin shapes growing from center
-      violinPaths
+      violinsEnter.select('.violin-area')
         .attr('transform', 'scale(1,0)')
         .transition()
-        .duration(1200)
-        .delay((d, i) => i * 200)
-        .ease(d3.easeElasticOut.amplitude(1).period(0.4))
+        .duration(this.getDuration(1200))
+        .delay((d, i) => this.getStagger(i, 200))
+        .ease(this.getEasing(d3.easeElasticOut.amplitude(1).period(0.4)))
         .attr('transform', 'scale(1,1)');
 
       // Add pulsing animation
       this.addPulsingAnimation(violinPaths);
     }
 
+    this.emit('render');
     return this;
   }
 
-  addBoxPlots(violins, violinWidthScale) {
+  addBoxPlots(violins, transition) {
     const boxWidth = 8;
-    const self = this;
-
-    violins.each(function(d) {
-      const violin = d3.select(this);
-      const stats = d.statistics;
-
-      // Box
-      violin.append('rect')
-        .attr('class', 'box')
-        .attr('x', -boxWidth / 2)
-        .attr('y', self.yScale(stats.q3))
-        .attr('width', boxWidth)
-        .attr('height', self.yScale(stats.q1) - self.yScale(stats.q3))
-        .attr('fill', '#fff')
-        .attr('stroke', '#333')
-        .attr('stroke-width', 1.5);
-
-      // Median line
-      violin.append('line')
-        .attr('class', 'median')
-        .attr('x1', -boxWidth / 2)
-        .attr('x2', boxWidth / 2)
-        .attr('y1', self.yScale(stats.median))
-        .attr('y2', self.yScale(stats.median))
-        .attr('stroke', '#333')
-        .attr('stroke-width', 2);
-
-      // Whiskers
-      violin.append('line')
-        .attr('class', 'whisker')
-        .attr('x1', 0)
-        .attr('x2', 0)
-        .attr('y1', self.yScale(stats.q1))
-        .attr('y2', self.yScale(stats.min))
-        .attr('stroke', '#333')
-        .attr('stroke-width', 1);
 
-      violin.append('line')
-        .attr('class', 'whisker')
+    const boxPlots = violins.selectAll('.box-plot')
+      .data(d => this.options.showBoxPlot ? [d] : []);
+
+    boxPlots.exit().remove();
+
+    const boxPlotsEnter = boxPlots.enter()
+      .append('g')
+      .attr('class', 'box-plot');
+
+    // Box
+    boxPlotsEnter.append('rect')
+      .attr('class', 'box')
+      .attr('x', -boxWidth / 2)
+      .attr('width', boxWidth)
+      .attr('stroke-width', 1.5);
+
+    // Median line
+    boxPlotsEnter.append('line')
+      .attr('class', 'median')
+      .attr('x1', -boxWidth / 2)
+      .attr('x2', boxWidth / 2)
+      .attr('stroke-width', 2);
+
+    // Whiskers, and their caps, below the box and above it
+    ['min', 'max'].forEach(end => {
+      boxPlotsEnter.append('line')
+        .attr('class', `whisker whisker-${end}`)
         .attr('x1', 0)
         .attr('x2', 0)
-        .attr('y1', self.yScale(stats.q3))
-        .attr('y2', self.yScale(stats.max))
-        .attr('stroke', '#333')
-        .attr('stroke-width', 1);
-
-      // Whisker caps
-      violin.append('line')
-        .attr('class', 'whisker-cap')
-        .attr('x1', -boxWidth / 4)
-        .attr('x2', boxWidth / 4)
-        .attr('y1', self.yScale(stats.min))
-        .attr('y2', self.yScale(stats.min))
-        .attr('stroke', '#333')
         .attr('stroke-width', 1);
 
-      violin.append('line')
-        .attr('class', 'whisker-cap')
+      boxPlotsEnter.append('line')
+        .attr('class', `whisker-cap whisker-cap-${end}`)
         .attr('x1', -boxWidth / 4)
         .attr('x2', boxWidth / 4)
-        .attr('y1', self.yScale(stats.max))
-        .attr('y2', self.yScale(stats.max))
-        .attr('stroke', '#333')
         .attr('stroke-width', 1);
     });
+
+    const merged = boxPlotsEnter.merge(boxPlots);
+    merged.selectAll('rect, line')
+      .attr('stroke', this.theme.text);
+
+    merged.select('.box')
+      .attr('fill', this.theme.background);
+
+    // Works on a selection or a transition, which both select their parts
+    const y = key => d => this.yScale(d.statistics[key]);
+    const place = parts => {
+      parts.select('.box')
+        .attr('y', y('q3'))
+        .attr('height', d => y('q1')(d) - y('q3')(d));
+
+      parts.select('.median')
+        .attr('y1', y('median'))
+        .attr('y2', y('median'));
+
+      parts.select('.whisker-min')
+        .attr('y1', y('q1'))
+        .attr('y2', y('min'));
+
+      parts.select('.whisker-max')
+        .attr('y1', y('q3'))
+        .attr('y2', y('max'));
+
+      ['min', 'max'].forEach(end => {
+        parts.select(`.whisker-cap-${end}`)
+          .attr('y1', y(end))
+          .attr('y2', y(end));
+      });
+    };
+
+    // Draw new box plots in place and move existing ones to their new statistics
+    place(boxPlotsEnter);
+    place(boxPlots.transition(transition));
   }
 
   addPulsingAnimation(violinPaths) {
+    if (this.options.headless) return;
+
     const pulse = () => {
       violinPaths
-        .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .transition('ambient')
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('fill-opacity', 0.5)
         .transition()
-        .duration(2000)
-        .ease(d3.easeSinInOut)
+        .duration(this.getDuration(2000))
+        .ease(this.getEasing(d3.easeSinInOut))
         .attr('fill-opacity', 0.7)
         .on('end', pulse);
     };
 
-    setTimeout(pulse, 1500);
+    this.addAnimation(() => this.setTimer(pulse, 1500));
+  }
+
+  refreshThemeColors() {
+    this.colorScale = d3.scaleOrdinal(schemeColors(this.options.colorScheme, this.theme));
   }
 
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
-    this.colorScale = d3.scaleOrdinal(this.colorSchemes[scheme]);
+    this.colorScale = d3.scaleOrdinal(schemeColors(scheme, this.theme));
     return this.render();
   }
 
@@ -324,6 +399,40 @@ class ViolinChart extends BaseChart {
     return this.render();
   }
 
+  /**
+   * Summarize each category's distribution by its median for describe()
+   */
+  summarize(detailed) {
+    const categories = this.processData(this.data);
+    if (categories.length === 0) return ['Violin chart with no categories.'];
+
+    const f = value => this.formatNumber(value);
+    const highest = d3.greatest(categories, d => d.statistics.median);
+    const lowest = d3.least(categories, d => d.statistics.median);
+    const sentences = [
+      `Violin chart of ${categories.length} categories and ${d3.sum(categories, d => d.values.length)} values.`,
+      highest.statistics.median === lowest.statistics.median
+        ? `Every category has median ${f(highest.statistics.median)}.`
+        : `Highest median: ${highest.category} (${f(highest.statistics.median)}); lowest: ${lowest.category} (${f(lowest.statistics.median)}).`
+    ];
+
+    if (detailed) {
+      categories.forEach(({ category, values, statistics: s }) => {
+        sentences.push(`${category}: ${values.length} values from ${f(s.min)} to ${f(s.max)}, middle half ${f(s.q1)} to ${f(s.q3)}.`);
+      });
+    }
+
+    return sentences;
+  }
+
+  /**
+   * For each category, the statistics its box plot shows
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).map(d => ({ category: d.category, count: d.values.length, ...d.statistics }));
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
@@ -8,8 +8,7 @@ import BaseChart from './BaseChart.js';
 class WaterfallChart extends BaseChart {
   constructor(container, options = {}) {
     const defaultOptions = {
-      colorScheme: 'default',
-      animation: true,
+      colorScheme: 'theme', // 'theme' follows the theme's positive, negative and primary colors; or 'business', 'muted'
       tooltips: true,
       showConnectors: true,
       showValues: true,
@@ -25,29 +24,36 @@ class WaterfallChart extends BaseChart {
     }
   }
 
+  /**
+   * Bar colors for each colorScheme; connectors follow the theme in every scheme.
+   * 'default', the old name of 'theme', is kept as an alias.
+   */
   setupColorSchemes() {
+    const { positive, negative, primary, line } = this.theme;
+    const theme = { positive, negative, total: primary, connector: line };
+
     this.colorSchemes = {
-      default: {
-        positive: '#4caf50',
-        negative: '#f44336',
-        total: '#2196f3',
-        connector: '#999'
-      },
+      theme,
+      default: theme,
       business: {
         positive: '#00c853',
         negative: '#d32f2f',
         total: '#1976d2',
-        connector: '#666'
+        connector: line
       },
       muted: {
         positive: '#81c784',
         negative: '#e57373',
         total: '#64b5f6',
-        connector: '#bbb'
+        connector: line
       }
     };
   }
 
+  refreshThemeColors() {
+    this.setupColorSchemes();
+  }
+
   setupScales() {
     this.xScale = d3.scaleBand()
       .range([0, this.innerWidth])
@@ -84,14 +90,34 @@ class WaterfallChart extends BaseChart {
     return processedData;
   }
 
-  render() {
-    if (!this.data || !Array.isArray(this.data)) return this;
+  /**
+   * Rows of { label, value } with an optional type
+   */
+  getDataSchema() {
+    return {
+      type: 'array',
+      minLength: 1,
+      rows: {
+        type: 'object',
+        fields: { label: 'label', value: 'number', type: { type: 'string', required: false } }
+      }
+    };
+  }
+
+  /**
+   * Steps read their label and value
+   */
+  getEncodingChannels() {
+    return { label: 'label', value: 'value' };
+  }
 
-    // Clear previous render
-    this.chartGroup.selectAll('*').remove();
+  render() {
+    if (!this.beginRender() || !Array.isArray(this.data)) return this;
 
     const processedData = this.processData(this.data);
-    const colors = this.colorSchemes[this.options.colorScheme];
+    const colors = this.colorSchemes[this.options.colorScheme] || this.colorSchemes.theme;
+    const key = this.getKeyAccessor('label');
+    const transition = this.chartGroup.transition().duration(this.getDuration(800)).ease(this.getEasing());
 
     // Update scales
     this.xScale.domain(processedData.map(d => d.label));
@@ -103,94 +129,137 @@ class WaterfallChart extends BaseChart {
       Math.max(0, yExtent[1] * 1.1)
     ]);
 
+    const barTop = d => this.yScale(Math.max(d.startValue, d.endValue));
+    const barHeight = d => Math.abs(this.yScale(d.startValue) - this.yScale(d.endValue));
+
     // Add axes
-    this.chartGroup.append('g')
-      .attr('class', 'x-axis')
+    const xAxisGroup = this.getOrCreateGroup('x-axis');
+    xAxisGroup.transition(transition)
       .attr('transform', `translate(0, ${this.yScale(0)})`)
-      .call(d3.axisBottom(this.xScale))
-      .selectAll('text')
+      .call(d3.axisBottom(this.xScale));
+
+    xAxisGroup.selectAll('text')
       .style('text-anchor', 'end')
       .attr('dx', '-.8em')
       .attr('dy', '.15em')
       .attr('transform', 'rotate(-45)');
 
-    this.chartGroup.append('g')
-      .attr('class', 'y-axis')
+    this.getOrCreateGroup('y-axis')
+      .transition(transition)
       .call(d3.axisLeft(this.yScale));
 
     // Add zero line
-    this.chartGroup.append('line')
+    let zeroLine = this.chartGroup.select('.zero-line');
+    if (zeroLine.empty()) {
+      zeroLine = this.chartGroup.append('line')
+        .attr('class', 'zero-line')
+        .attr('y1', this.yScale(0))
+        .attr('y2', this.yScale(0))
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3,3');
+    }
+
+    zeroLine
       .attr('x1', 0)
       .attr('x2', this.innerWidth)
+      .attr('stroke', this.theme.axis)
+      .transition(transition)
       .attr('y1', this.yScale(0))
-      .attr('y2', this.yScale(0))
-      .attr('stroke', '#333')
+      .attr('y2', this.yScale(0));
+
+    // Add connectors, one from each step to the next
+    const steps = processedData.slice(0, -1).map((d, i) => ({ from: d, to: processedData[i + 1] }));
+    const connectors = this.chartGroup.selectAll('.connector')
+      .data(this.options.showConnectors ? steps : [], step => key(step.from));
+
+    connectors.exit().remove();
+
+    const connectorsEnter = connectors.enter()
+      .insert('line', '.bar')
+      .attr('class', 'connector')
+      .attr('x1', step => this.xScale(step.from.label) + this.xScale.bandwidth())
+      .attr('x2', step => this.xScale(step.to.label))
+      .attr('y1', step => this.yScale(step.from.endValue))
+      .attr('y2', step => this.yScale(step.to.startValue))
       .attr('stroke-width', 1)
-      .attr('stroke-dasharray', '3,3');
-
-    // Add connectors
-    if (this.options.showConnectors) {
-      const connectors = this.chartGroup.selectAll('.connector')
-        .data(processedData.slice(0, -1))
-        .enter()
-        .append('line')
-        .attr('class', 'connector')
-        .attr('x1', d => this.xScale(d.label) + this.xScale.bandwidth())
-        .attr('x2', (d, i) => this.xScale(processedData[i + 1].label))
-        .attr('y1', d => this.yScale(d.endValue))
-        .attr('y2', (d, i) => this.yScale(processedData[i + 1].startValue))
-        .attr('stroke', colors.connector)
-        .attr('stroke-width', 1)
-        .attr('stroke-dasharray', '2,2');
-
-      if (this.options.animation) {
-        connectors
-          .attr('stroke-dashoffset', 100)
-          .transition()
-          .duration(1000)
-          .delay((d, i) => i * 200)
-          .attr('stroke-dashoffset', 0);
-      }
+      .attr('stroke-dasharray', '2,2');
+
+    connectorsEnter.merge(connectors)
+      .attr('stroke', colors.connector);
+
+    connectors.transition(transition)
+      .attr('x1', step => this.xScale(step.from.label) + this.xScale.bandwidth())
+      .attr('x2', step => this.xScale(step.to.label))
+      .attr('y1', step => this.yScale(step.from.endValue))
+      .attr('y2', step => this.yScale(step.to.startValue));
+
+    if (this.isAnimated()) {
+      connectorsEnter
+        .attr('stroke-dashoffset', 100)
+        .transition()
+        .duration(this.getDuration(1000))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 200))
+        .attr('stroke-dashoffset', 0);
     }
 
-    // Add bars
-    const bars = this.chartGroup.selectAll('.bar')
-      .data(processedData)
-      .enter()
+    // Join bars by key
+    const joined = this.chartGroup.selectAll('.bar')
+      .data(processedData, key);
+
+    joined.exit()
+      .transition(transition)
+      .attr('y', this.yScale(0))
+      .attr('height', 0)
+      .remove();
+
+    const barsEnter = joined.enter()
       .append('rect')
       .attr('class', 'bar')
       .attr('x', d => this.xScale(d.label))
       .attr('width', this.xScale.bandwidth())
-      .attr('y', d => this.yScale(Math.max(d.startValue, d.endValue)))
-      .attr('height', d => Math.abs(this.yScale(d.startValue) - this.yScale(d.endValue)))
-      .attr('fill', d => colors[d.type])
-      .attr('stroke', d => d3.color(colors[d.type]).darker(0.3))
+      .attr('y', barTop)
+      .attr('height', barHeight)
       .attr('stroke-width', 1)
       .style('cursor', 'pointer');
 
+    const bars = barsEnter.merge(joined)
+      .attr('fill', d => colors[d.type])
+      .attr('stroke', d => d3.color(colors[d.type]).darker(0.3));
+
+    // Move existing bars to their new step and running total
+    joined.transition(transition)
+      .attr('x', d => this.xScale(d.label))
+      .attr('width', this.xScale.bandwidth())
+      .attr('y', barTop)
+      .attr('height', barHeight);
+
     // Add value labels
-    if (this.options.showValues) {
-      this.chartGroup.selectAll('.value-label')
-        .data(processedData)
-        .enter()
-        .append('text')
-        .attr('class', 'value-label')
-        .attr('x', d => this.xScale(d.label) + this.xScale.bandwidth() / 2)
-        .attr('y', d => {
-          const barTop = this.yScale(Math.max(d.startValue, d.endValue));
-          return barTop - 5;
-        })
-        .attr('text-anchor', 'middle')
-        .style('font-size', '11px')
-        .style('font-weight', 'bold')
-        .style('fill', '#333')
-        .text(d => d.value > 0 ? `+${d.value}` : d.value);
-    }
+    const labels = this.chartGroup.selectAll('.value-label')
+      .data(this.options.showValues ? processedData : [], key);
+
+    labels.exit().remove();
+
+    labels.enter()
+      .append('text')
+      .attr('class', 'value-label')
+      .attr('x', d => this.xScale(d.label) + this.xScale.bandwidth() / 2)
+      .attr('y', d => barTop(d) - 5)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '11px')
+      .style('font-weight', 'bold')
+      .merge(labels)
+      .style('fill', this.theme.text)
+      .text(d => d.value > 0 ? `+${d.value}` : d.value);
+
+    labels.transition(transition)
+      .attr('x', d => this.xScale(d.label) + this.xScale.bandwidth() / 2)
+      .attr('y', d => barTop(d) - 5);
 
     // Add interactions
-    if (this.options.tooltips) {
-      bars
-        .on('mouseover', (event, d) => {
+    bars
+      .on('mouseover', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).style('opacity', 0.8);
           const changeText = d.type === 'total' ? 'Total' : 
             (d.value >= 0 ? `+${d.value}` : `${d.value}`);
@@ -198,35 +267,83 @@ class WaterfallChart extends BaseChart {
             `<strong>${d.label}</strong><br/>
              Change: ${changeText}<br/>
              Running Total: ${d.endValue}`,
-            event
+            event,
+            d
           );
-        })
-        .on('mouseout', (event) => {
+        }
+        this.emit('hover', d, event);
+      })
+      .on('mouseout', (event, d) => {
+        if (this.options.tooltips) {
           d3.select(event.target).style('opacity', 1);
           this.hideTooltip();
-        });
-    }
+        }
+        this.emit('leave', d, event);
+      })
+      .on('click', (event, d) => this.emit('click', d, event));
+
+    this.addKeyboardNavigation(bars, d => `${d.label}: ${d.value}, running total ${d.endValue}`);
 
-    // Add animations
-    if (this.options.animation) {
-      bars
+    // Grow new bars from zero
+    if (this.isAnimated()) {
+      barsEnter
         .attr('height', 0)
         .attr('y', this.yScale(0))
         .transition()
-        .duration(800)
-        .delay((d, i) => i * 100)
+        .duration(this.getDuration(800))
+        .ease(this.getEasing())
+        .delay((d, i) => this.getStagger(i, 100))
         .attr('y', d => this.yScale(Math.max(d.startValue, d.endValue)))
         .attr('height', d => Math.abs(this.yScale(d.startValue) - this.yScale(d.endValue)));
     }
 
+    this.emit('render');
     return this;
   }
 
+  /**
+   * Summarize the running total and the biggest changes for describe()
+   */
+  summarize(detailed) {
+    const processedData = this.processData(this.data);
+    if (processedData.length === 0) return ['Waterfall chart with no steps.'];
+
+    const f = value => this.formatNumber(value);
+    const changes = processedData.filter(d => d.type !== 'total');
+    const last = processedData[processedData.length - 1];
+    const sentences = [`Waterfall chart of ${processedData.length} steps ending at ${f(last.endValue)}.`];
+
+    const increase = d3.greatest(changes.filter(d => d.value > 0), d => d.value);
+    const decrease = d3.least(changes.filter(d => d.value < 0), d => d.value);
+    if (increase) sentences.push(`Largest increase: ${increase.label} (+${f(increase.value)}).`);
+    if (decrease) sentences.push(`Largest decrease: ${decrease.label} (${f(decrease.value)}).`);
+
+    if (detailed) {
+      const gains = d3.sum(changes, d => Math.max(0, d.value));
+      const losses = d3.sum(changes, d => Math.min(0, d.value));
+      sentences.push(`Gains total ${f(gains)} and losses ${f(losses)}.`);
+    }
+
+    return sentences;
+  }
+
   updateColorScheme(scheme) {
     this.options.colorScheme = scheme;
     return this.render();
   }
 
+  /**
+   * Each step with the running total it starts and ends at
+   */
+  tabulate() {
+    if (this.data == null) return [];
+    return this.processData(this.data).map(d => {
+      const row = { ...d };
+      delete row.index;
+      return row;
+    });
+  }
+
   updateData(newData) {
     this.setData(newData);
     return this.render();
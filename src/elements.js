@@ -0,0 +1,206 @@
+import { createChart, getChartTypes } from './chartSpec.js';
+
+// Chart events re-dispatched from the element, and the CustomEvent detail each carries
+const forwardedEvents = {
+  click: (datum, event) => ({ datum, sourceEvent: event }),
+  hover: (datum, event) => ({ datum, sourceEvent: event }),
+  leave: (datum, event) => ({ datum, sourceEvent: event }),
+  render: () => ({}),
+  renderEnd: () => ({}),
+  dataChange: data => ({ data }),
+  error: error => ({ error }),
+  resize: size => size,
+  zoom: (transform, event, domain) => ({ transform, domain, sourceEvent: event }),
+  brush: (selection, event) => ({ ...selection, sourceEvent: event }),
+  legendToggle: (change, event) => ({ ...change, sourceEvent: event }),
+  tooltipPin: (datum, event) => ({ datum, sourceEvent: event }),
+  tooltipUnpin: (datum, event) => ({ datum, sourceEvent: event })
+};
+
+const shadowStyle = `
+:host { display: block; position: relative; }
+:host([hidden]) { display: none; }
+.tooltips { position: absolute; top: 0; left: 0; }
+`;
+
+let ChartElement;
+
+/**
+ * The element class every chart element extends, created on first use
+ * because HTMLElement only exists in browsers
+ */
+function getChartElementClass() {
+  if (ChartElement) return ChartElement;
+
+  ChartElement = class extends HTMLElement {
+    static get observedAttributes() {
+      return ['data', 'options'];
+    }
+
+    constructor() {
+      super();
+      this._data = null;
+      this._options = {};
+      this.chart = null;
+      this.updateQueued = false;
+      this.rebuild = true;
+
+      const root = this.attachShadow({ mode: 'open' });
+      root.innerHTML = `<style>${shadowStyle}</style><div class="chart" part="chart"></div><div class="tooltips"></div>`;
+      this.container = root.querySelector('.chart');
+      this.tooltipContainer = root.querySelector('.tooltips');
+    }
+
+    get data() {
+      return this._data;
+    }
+
+    set data(data) {
+      this._data = data;
+      this.queueUpdate();
+    }
+
+    get options() {
+      return this._options;
+    }
+
+    set options(options) {
+      this._options = options || {};
+      this.rebuild = true;
+      this.queueUpdate();
+    }
+
+    connectedCallback() {
+      // Properties set before the element was defined shadow the accessors
+      ['data', 'options'].forEach(name => {
+        if (Object.prototype.hasOwnProperty.call(this, name)) {
+          const value = this[name];
+          delete this[name];
+          this[name] = value;
+        }
+      });
+
+      this.rebuild = true;
+      this.queueUpdate();
+    }
+
+    disconnectedCallback() {
+      if (this.chart) {
+        this.chart.destroy();
+        this.chart = null;
+      }
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+      if (value === oldValue) return;
+
+      let parsed;
+      try {
+        parsed = value === null ? null : JSON.parse(value);
+      } catch (error) {
+        this.dispatch('error', { error: new Error(`The ${name} attribute is not valid JSON: ${error.message}`) });
+        return;
+      }
+
+      this[name] = parsed;
+    }
+
+    /**
+     * Update once, after every property and attribute set in the same task
+     */
+    queueUpdate() {
+      if (this.updateQueued) return;
+      this.updateQueued = true;
+      queueMicrotask(() => {
+        this.updateQueued = false;
+        if (!this.isConnected) return;
+
+        try {
+          this.update();
+        } catch (error) {
+          this.dispatch('error', { error });
+        }
+      });
+    }
+
+    /**
+     * Create the chart when its options changed, then draw the current data
+     */
+    update() {
+      if (this.rebuild || !this.chart) {
+        if (this.chart) this.chart.destroy();
+        this.chart = this.createChart();
+        this.rebuild = false;
+      }
+
+      if (this._data != null) {
+        this.chart.setData(this._data).render();
+      }
+    }
+
+    /**
+     * Build the chart in the shadow root, with its tooltip there too and its
+     * events re-dispatched as CustomEvents
+     */
+    createChart() {
+      const chart = createChart(this.container, { type: this.constructor.chartType, options: this._options }, {
+        tooltipContainer: this.tooltipContainer
+      });
+
+      Object.entries(forwardedEvents).forEach(([name, detail]) => {
+        chart.on(name, (...args) => this.dispatch(name, detail(...args)));
+      });
+
+      return chart;
+    }
+
+    /**
+     * Dispatch a chart event, e.g. dataChange as 'dcv-data-change'
+     */
+    dispatch(name, detail) {
+      const type = `${this.constructor.eventPrefix}-${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+      this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+  };
+
+  return ChartElement;
+}
+
+/**
+ * Define a custom element for one registered chart type, named
+ * `${prefix}-${type}-chart` unless a tag name is given.
+ * Returns the element class.
+ */
+export function defineChartElement(type, { prefix = 'dcv', tagName = `${prefix}-${type}-chart` } = {}) {
+  if (typeof customElements === 'undefined') {
+    throw new Error('Chart elements need a browser with custom elements support');
+  }
+
+  const existing = customElements.get(tagName);
+  if (existing) return existing;
+
+  const Base = getChartElementClass();
+  const ElementClass = class extends Base {
+    static get chartType() {
+      return type;
+    }
+
+    static get eventPrefix() {
+      return prefix;
+    }
+  };
+
+  customElements.define(tagName, ElementClass);
+  return ElementClass;
+}
+
+/**
+ * Define custom elements for every registered chart type:
+ * <dcv-bar-chart>, <dcv-sankey-chart>, and so on
+ */
+export function defineChartElements({ prefix = 'dcv' } = {}) {
+  return Object.fromEntries(getChartTypes().map(type => [
+    `${prefix}-${type}-chart`,
+    defineChartElement(type, { prefix })
+  ]));
+}
@@ -0,0 +1,324 @@
+import { resolveTheme } from './themes/index.js';
+import { AnimationUtils } from './utils/index.js';
+
+export const SVG_NS = 'http://www.w3.org/2000/svg';
+export const XLINK_NS = 'http://www.w3.org/1999/xlink';
+export const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+// Upper bound on passes over pending transitions; looping animations re-arm
+// themselves from their 'end' handlers and would otherwise never settle
+export const MAX_TRANSITION_PASSES = 20;
+
+// Presentation properties copied from stylesheets onto elements
+const INLINE_STYLE_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+  'opacity', 'display', 'visibility', 'color', 'font-family', 'font-size', 'font-style',
+  'font-weight', 'letter-spacing', 'text-anchor', 'dominant-baseline', 'stop-color', 'stop-opacity'
+];
+
+// Attributes and styles that can point at defs with url(#id)
+const REFERENCE_PROPERTIES = ['fill', 'stroke', 'filter', 'clip-path', 'mask', 'marker-start', 'marker-mid', 'marker-end'];
+
+/**
+ * Run a force simulation to rest and draw its final positions
+ */
+export function settleSimulation(simulation) {
+  if (!simulation) return;
+
+  simulation.stop();
+  simulation.tick(Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay())));
+
+  const onTick = simulation.on('tick');
+  if (onTick) onTick.call(simulation);
+}
+
+/**
+ * Copy stylesheet-driven presentation styles from each element of source onto
+ * the matching element of target (the same SVG, or a copy of it) so it renders
+ * the same outside the page. Values equal to the parent's are inherited
+ * anyway and are skipped.
+ */
+export function inlineStyles(source, target, view) {
+  if (!view || typeof view.getComputedStyle !== 'function') return;
+
+  const sourceNodes = [source, ...source.querySelectorAll('*')];
+  const targetNodes = [target, ...target.querySelectorAll('*')];
+  const computed = new Map();
+
+  sourceNodes.forEach((node, i) => {
+    const copy = targetNodes[i];
+    const style = view.getComputedStyle(node);
+    const parentStyle = computed.get(node.parentNode);
+    computed.set(node, style);
+
+    INLINE_STYLE_PROPERTIES.forEach(property => {
+      const value = style.getPropertyValue(property);
+      if (!value || copy.style.getPropertyValue(property)) return;
+      if (parentStyle && parentStyle.getPropertyValue(property) === value) return;
+      // Some browsers resolve url(#id) against the page URL, which a
+      // standalone file cannot follow
+      copy.style.setProperty(property, value.replace(/url\((['"]?)[^#'")]*#/g, 'url($1#'));
+    });
+  });
+}
+
+/**
+ * Bring a live chart to where its animations end: settle force simulations
+ * that are still moving and finish pending transitions. This changes the
+ * chart on the page, not a copy: it jumps to its end state.
+ */
+export function freezeAnimations(chart) {
+  chart.simulations.forEach(simulation => {
+    if (simulation.alpha() > simulation.alphaMin()) settleSimulation(simulation);
+  });
+
+  AnimationUtils.finishTransitions(chart.svg.node(), MAX_TRANSITION_PASSES);
+}
+
+/**
+ * Copy into svg the gradients, filters and other defs it refers to with
+ * url(#id) that live elsewhere in the page
+ */
+function embedDefs(svg, doc) {
+  const ids = new Set();
+  [svg, ...svg.querySelectorAll('*')].forEach(node => {
+    REFERENCE_PROPERTIES.forEach(property => {
+      const value = `${node.getAttribute(property) || ''} ${node.style ? node.style.getPropertyValue(property) : ''}`;
+      const match = value.match(/url\(['"]?#([^'")]+)['"]?\)/);
+      if (match) ids.add(match[1]);
+    });
+  });
+
+  const missing = [...ids]
+    .filter(id => !svg.querySelector(`[id="${id}"]`))
+    .map(id => doc.getElementById(id))
+    .filter(Boolean);
+
+  if (missing.length === 0) return;
+
+  const defs = doc.createElementNS(SVG_NS, 'defs');
+  missing.forEach(node => defs.appendChild(node.cloneNode(true)));
+  svg.insertBefore(defs, svg.firstChild);
+}
+
+/**
+ * Swap each canvas layer (see BaseChart.getCanvasContext()) in svg, a copy
+ * of source, for an image of what the live canvas drew: a copied canvas has
+ * no pixels. A canvas that cannot be read is left out.
+ */
+function rasterizeCanvasLayers(source, svg, doc) {
+  const canvases = [...source.querySelectorAll('.canvas-layer')].map(layer => layer.querySelector('canvas'));
+
+  svg.querySelectorAll('.canvas-layer').forEach((layer, i) => {
+    let href = null;
+    try {
+      href = canvases[i] ? canvases[i].toDataURL('image/png') : null;
+    } catch (error) {
+      // A canvas tainted by cross-origin images cannot be read
+    }
+
+    if (!href) {
+      layer.remove();
+      return;
+    }
+
+    const image = doc.createElementNS(SVG_NS, 'image');
+    ['x', 'y', 'width', 'height'].forEach(name => image.setAttribute(name, layer.getAttribute(name)));
+    image.setAttribute('class', 'canvas-layer');
+    image.setAttribute('preserveAspectRatio', 'none');
+    image.setAttribute('href', href);
+    layer.parentNode.replaceChild(image, layer);
+  });
+}
+
+/**
+ * Split a CSS function's arguments on the commas outside parentheses
+ */
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  [...text].forEach((char, i) => {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  });
+
+  parts.push(text.slice(start).trim());
+  return parts;
+}
+
+// Angle in degrees for each linear-gradient 'to <side>' direction
+const GRADIENT_SIDES = {
+  'to top': 0, 'to top right': 45, 'to right top': 45, 'to right': 90,
+  'to bottom right': 135, 'to right bottom': 135, 'to bottom': 180,
+  'to bottom left': 225, 'to left bottom': 225, 'to left': 270,
+  'to top left': 315, 'to left top': 315
+};
+
+/**
+ * Fill the whole width × height of svg with a CSS background: a color or a
+ * linear-gradient(), as set by RadialStackedBarChart's backgroundColor
+ */
+function drawBackground(svg, background, width, height, doc) {
+  const rect = doc.createElementNS(SVG_NS, 'rect');
+  rect.setAttribute('class', 'export-background');
+  rect.setAttribute('width', width);
+  rect.setAttribute('height', height);
+
+  const gradient = /^linear-gradient\((.*)\)$/i.exec(background.trim());
+  if (!gradient) {
+    rect.setAttribute('fill', background);
+    svg.insertBefore(rect, svg.firstChild);
+    return;
+  }
+
+  const parts = splitArguments(gradient[1]);
+  let angle = 180;
+  if (/^-?[\d.]+deg$/.test(parts[0])) {
+    angle = parseFloat(parts.shift());
+  } else if (parts[0] in GRADIENT_SIDES) {
+    angle = GRADIENT_SIDES[parts.shift()];
+  }
+
+  // The gradient line runs through the center at the given angle, long
+  // enough for the corners to get the first and last colors, as in CSS
+  const radians = angle * Math.PI / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const length = Math.abs(width * dx) + Math.abs(height * dy);
+  const round = value => Math.round(value * 100) / 100;
+
+  const element = doc.createElementNS(SVG_NS, 'linearGradient');
+  element.setAttribute('id', 'export-background-gradient');
+  element.setAttribute('gradientUnits', 'userSpaceOnUse');
+  element.setAttribute('x1', round(width / 2 - dx * length / 2));
+  element.setAttribute('y1', round(height / 2 - dy * length / 2));
+  element.setAttribute('x2', round(width / 2 + dx * length / 2));
+  element.setAttribute('y2', round(height / 2 + dy * length / 2));
+
+  parts.forEach((part, i) => {
+    const stop = /^(.*?)\s+([\d.]+%)$/.exec(part);
+    const node = doc.createElementNS(SVG_NS, 'stop');
+    node.setAttribute('offset', stop ? stop[2] : `${parts.length > 1 ? i / (parts.length - 1) * 100 : 0}%`);
+    node.setAttribute('stop-color', stop ? stop[1] : part);
+    element.appendChild(node);
+  });
+
+  const defs = doc.createElementNS(SVG_NS, 'defs');
+  defs.appendChild(element);
+  rect.setAttribute('fill', 'url(#export-background-gradient)');
+  svg.insertBefore(rect, svg.firstChild);
+  svg.insertBefore(defs, rect);
+}
+
+/**
+ * Copy a rendered chart into a standalone SVG element: animations finished,
+ * page styles inlined, referenced defs embedded, canvas marks drawn as an
+ * image, the background painted and a heading added for a title the chart
+ * does not draw itself. Finishing the animations happens on the live chart,
+ * which is left at its end state. Returns { svg, width, height }.
+ */
+export function exportSVG(chart, options = {}) {
+  const theme = chart.theme || resolveTheme(chart.options.theme);
+  const { background = chart.options.backgroundColor || theme.background, title = true } = options;
+  const source = chart.svg && chart.svg.node();
+  if (!source) {
+    throw new Error('Render the chart before exporting it');
+  }
+
+  freezeAnimations(chart);
+
+  const doc = source.ownerDocument;
+  const svg = source.cloneNode(true);
+  inlineStyles(source, svg, doc.defaultView);
+  rasterizeCanvasLayers(source, svg, doc);
+  embedDefs(svg, doc);
+  chart.decorateExport(svg);
+
+  const { width, height: chartHeight } = chart.options;
+  let height = chartHeight;
+
+  const heading = title && chart.options.title != null ? String(chart.options.title) : '';
+  const drawsTitle = [...svg.querySelectorAll('text')].some(node => node.textContent.trim() === heading);
+  if (heading && !drawsTitle) {
+    const band = theme.font.titleSize + 16;
+
+    const group = doc.createElementNS(SVG_NS, 'g');
+    group.setAttribute('transform', `translate(0, ${band})`);
+    [...svg.childNodes]
+      .filter(node => node.nodeName.toLowerCase() !== 'style')
+      .forEach(node => group.appendChild(node));
+    svg.appendChild(group);
+
+    const text = doc.createElementNS(SVG_NS, 'text');
+    text.setAttribute('class', 'export-title');
+    text.setAttribute('x', width / 2);
+    text.setAttribute('y', band / 2);
+    text.setAttribute('text-anchor', 'middle');
+    text.setAttribute('dominant-baseline', 'central');
+    text.setAttribute('font-size', theme.font.titleSize);
+    text.setAttribute('font-weight', 'bold');
+    text.setAttribute('fill', theme.text);
+    text.textContent = heading;
+    svg.appendChild(text);
+
+    height += band;
+  }
+
+  // The background is drawn as a shape, which every SVG renderer paints
+  svg.style.removeProperty('background');
+  svg.style.removeProperty('background-color');
+  if (background && background !== 'transparent' && background !== 'none') {
+    drawBackground(svg, background, width, height, doc);
+  }
+
+  svg.setAttributeNS(XMLNS_NS, 'xmlns', SVG_NS);
+  svg.setAttributeNS(XMLNS_NS, 'xmlns:xlink', XLINK_NS);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  return { svg, width, height };
+}
+
+/**
+ * Serialize an SVG element to markup
+ */
+export function serializeSVG(svg) {
+  const view = svg.ownerDocument.defaultView;
+  return view && view.XMLSerializer
+    ? new view.XMLSerializer().serializeToString(svg)
+    : svg.outerHTML;
+}
+
+/**
+ * Draw SVG markup onto a canvas scale times its size.
+ * Resolves to the canvas; needs a browser that can load SVG images.
+ */
+export function rasterizeSVG(markup, width, height, scale = 2) {
+  const doc = globalThis.document;
+  const canvas = doc && doc.createElement('canvas');
+  const context = canvas && typeof canvas.getContext === 'function' && canvas.getContext('2d');
+
+  if (!context || typeof Image === 'undefined') {
+    return Promise.reject(new Error('PNG export needs a browser with canvas support; use toSVGString() elsewhere'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      resolve(canvas);
+    };
+    image.onerror = () => reject(new Error('The chart SVG could not be loaded as an image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  });
+}
@@ -30,5 +30,29 @@ export { default as StreamChart } from './charts/StreamChart.js';
 export { default as ViolinChart } from './charts/ViolinChart.js';
 export { default as NetworkChart } from './charts/NetworkChart.js';
 
+// Chart specs
+export { createChart, registerChartType, getChartType, getChartTypes, validateSpec, ChartSpecError } from './chartSpec.js';
+
+// Custom elements
+export { defineChartElements, defineChartElement } from './elements.js';
+
+// Linked charts
+export { default as ChartGroup } from './sync.js';
+
 // Utility functions
 export * from './utils/index.js';
+
+// Server-side rendering
+export { renderToString } from './ssr.js';
+
+// Themes
+export { registerTheme, getTheme, setDefaultTheme } from './themes/index.js';
+
+// Animation
+export { setAnimationDefaults, getAnimationDefaults } from './animation.js';
+
+// Plugins
+export { watermark, renderTimeLogger } from './plugins/index.js';
+
+// Data validation
+export { ChartDataError, validateData } from './validation.js';
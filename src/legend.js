@@ -0,0 +1,289 @@
+/**
+ * Legends
+ *
+ * The legend BaseChart.addLegend() draws: a swatch and label per item,
+ * { key, label, color }. With legendPosition it sits outside the plot, which
+ * gives up room for it: down the left or right side, or in rows above or
+ * below, wrapped to the plot's width. Items that do not fit are paged.
+ * Interactive legends toggle a series on click, isolate it on double-click
+ * and highlight it on hover; charts that leave out hidden series ask for one.
+ */
+
+// Height of one legend item or row
+export const ITEM_HEIGHT = 20;
+
+// Space between the plot's axes and a legend outside it
+const LEGEND_GAP = 16;
+
+const SWATCH_SIZE = 12;
+
+// Space between items in a row, and between a swatch and its label
+const ITEM_SPACING = 16;
+const LABEL_OFFSET = 16;
+
+// Width the pager takes at the end of a paged row
+const PAGER_WIDTH = 56;
+
+const LEGEND_POSITIONS = ['right', 'left', 'top', 'bottom', 'auto'];
+
+// Narrowest chart with 'auto' placement that puts the legend beside the plot
+const AUTO_SIDE_WIDTH = 600;
+
+// How long a click waits to see whether it is half of a double-click
+const CLICK_DELAY = 250;
+
+/**
+ * Where the chart's legend goes: 'right', 'left', 'top' or 'bottom', or
+ * null for the original placement over the plot's top right
+ */
+export function getLegendPosition(chart) {
+  const { legendPosition, showLegend, width } = chart.options;
+  if (!legendPosition || showLegend === false) return null;
+  if (!LEGEND_POSITIONS.includes(legendPosition)) {
+    throw new Error(`Unknown legendPosition "${legendPosition}"; use ${LEGEND_POSITIONS.join(', ')} or null`);
+  }
+  if (legendPosition === 'auto') return width >= AUTO_SIDE_WIDTH ? 'right' : 'bottom';
+  return legendPosition;
+}
+
+/**
+ * The margin around the plot, with room added on the side the legend sits
+ */
+export function getPlotMargin(chart) {
+  const { margin, legendWidth, legendRows } = chart.options;
+  const position = getLegendPosition(chart);
+  if (!position) return { ...margin };
+
+  const vertical = position === 'left' || position === 'right';
+  const room = (vertical ? legendWidth : legendRows * ITEM_HEIGHT) + LEGEND_GAP;
+  return { ...margin, [position]: margin[position] + room };
+}
+
+/**
+ * Width of a label, estimated from its length so layouts come out the same
+ * without a browser
+ */
+function labelWidth(label, fontSize) {
+  return String(label).length * fontSize * 0.6;
+}
+
+/**
+ * A label cut short with an ellipsis to fit width
+ */
+function fitLabel(label, width, fontSize) {
+  const text = String(label);
+  const fits = Math.floor(width / (fontSize * 0.6));
+  return text.length <= fits ? text : `${text.slice(0, Math.max(1, fits - 1))}…`;
+}
+
+/**
+ * Lay items out in rows no wider than width: [{ item, x, row }]
+ */
+function wrapItems(items, width, fontSize) {
+  let x = 0;
+  let row = 0;
+
+  return items.map(item => {
+    const size = Math.min(LABEL_OFFSET + labelWidth(item.label, fontSize), width);
+    if (x > 0 && x + size > width) {
+      x = 0;
+      row++;
+    }
+
+    const placed = { item, x, row, width: size };
+    x += size + ITEM_SPACING;
+    return placed;
+  });
+}
+
+/**
+ * Split the items into pages: a column down the side, or rows across
+ */
+function paginate(items, position, chart, fontSize) {
+  if (!position) {
+    return [items.map((item, i) => ({ item, x: 0, row: i, width: null }))];
+  }
+
+  if (position === 'left' || position === 'right') {
+    const fits = Math.max(1, Math.floor(chart.innerHeight / ITEM_HEIGHT));
+    const perPage = items.length > fits ? Math.max(1, fits - 1) : fits;
+    const pages = [];
+    for (let i = 0; i < items.length; i += perPage) {
+      pages.push(items.slice(i, i + perPage).map((item, row) => ({ item, x: 0, row, width: chart.options.legendWidth })));
+    }
+    return pages;
+  }
+
+  const { legendRows } = chart.options;
+  let placed = wrapItems(items, chart.innerWidth, fontSize);
+  if (placed[placed.length - 1].row < legendRows) return [placed];
+
+  // Leave room for the pager at the end of each row
+  placed = wrapItems(items, chart.innerWidth - PAGER_WIDTH, fontSize);
+  const pages = [];
+  placed.forEach(entry => {
+    const page = Math.floor(entry.row / legendRows);
+    if (!pages[page]) pages[page] = [];
+    pages[page].push({ ...entry, row: entry.row % legendRows });
+  });
+  return pages;
+}
+
+/**
+ * Where the legend group goes, and where its pager sits inside it
+ */
+function placeLegend(chart, position, options) {
+  const margin = chart.plotMargin;
+  const { width, height, legendWidth } = chart.options;
+
+  // Beside the axes on the left, right and bottom; below the title on top
+  const placements = {
+    right: { x: width - legendWidth, y: margin.top, pager: 'below' },
+    left: { x: 0, y: margin.top, pager: 'below' },
+    top: { x: margin.left, y: chart.options.margin.top, pager: 'end' },
+    bottom: { x: margin.left, y: height - margin.bottom + chart.options.margin.bottom + LEGEND_GAP, pager: 'end' }
+  };
+  return placements[position] || { x: options.x, y: options.y, pager: 'below' };
+}
+
+/**
+ * Draw the ‹ n/m › controls that move between pages
+ */
+function drawPager(legend, chart, pages, page, at, redraw) {
+  const pager = legend.append('g')
+    .attr('class', 'legend-pager')
+    .attr('transform', at === 'below'
+      ? `translate(0, ${pages[page].length * ITEM_HEIGHT})`
+      : `translate(${chart.innerWidth - PAGER_WIDTH + 8}, 0)`);
+
+  const button = (className, text, x, target) => pager.append('text')
+    .attr('class', className)
+    .attr('x', x)
+    .attr('y', 9)
+    .attr('dominant-baseline', 'middle')
+    .style('fill', chart.theme.text)
+    .style('cursor', target == null ? 'default' : 'pointer')
+    .style('opacity', target == null ? 0.3 : null)
+    .text(text)
+    .on('click', event => {
+      event.stopPropagation();
+      if (target == null) return;
+      chart.legendPage = target;
+      redraw();
+    });
+
+  button('legend-page-prev', '‹', 0, page > 0 ? page - 1 : null);
+  pager.append('text')
+    .attr('class', 'legend-page')
+    .attr('x', 10)
+    .attr('y', 9)
+    .attr('dominant-baseline', 'middle')
+    .style('font-size', '11px')
+    .style('fill', chart.theme.text)
+    .text(`${page + 1}/${pages.length}`);
+  button('legend-page-next', '›', 40, page < pages.length - 1 ? page + 1 : null);
+}
+
+/**
+ * Toggle, isolate and highlight series from the legend's items
+ */
+function bindItems(itemGroups, chart) {
+  let pending = null;
+
+  itemGroups
+    .attr('tabindex', 0)
+    .attr('role', 'checkbox')
+    .attr('aria-checked', d => chart.isSeriesVisible(d.item.key))
+    .attr('aria-label', d => d.item.label)
+    .style('cursor', 'pointer')
+    .on('click', (event, d) => {
+      if (pending) pending.stop();
+      pending = chart.setTimer(() => {
+        pending = null;
+        chart.toggleSeries(d.item.key, undefined, event);
+      }, CLICK_DELAY);
+    })
+    .on('dblclick', (event, d) => {
+      if (pending) pending.stop();
+      pending = null;
+      chart.isolateSeries(d.item.key, event);
+    })
+    .on('keydown', (event, d) => {
+      if (event.key !== 'Enter' && event.key !== ' ') return;
+      event.preventDefault();
+      chart.toggleSeries(d.item.key, undefined, event);
+    })
+    .on('mouseenter', (event, d) => chart.highlightSeries(d.item.key))
+    .on('mouseleave', () => chart.highlightSeries(null));
+}
+
+/**
+ * Draw the chart's legend, replacing the one from the previous render.
+ * options: x, y and itemHeight for a legend without legendPosition,
+ * fontSize, and interactive for charts that leave out the series hidden
+ * from it.
+ */
+export function drawLegend(chart, items, options = {}) {
+  chart.svg.selectChildren('.legend').remove();
+  if (chart.options.showLegend === false || items.length === 0) return;
+
+  const legendOptions = {
+    x: chart.options.width - 100,
+    y: 30,
+    itemHeight: ITEM_HEIGHT,
+    fontSize: chart.theme.font.size,
+    interactive: false,
+    ...options
+  };
+  const fontSize = parseFloat(legendOptions.fontSize);
+  const keyed = items.map(item => ({ ...item, key: item.key ?? item.label }));
+  const interactive = legendOptions.interactive && chart.options.legendInteractive;
+  if (interactive) chart.legendKeys = keyed.map(item => item.key);
+
+  const position = getLegendPosition(chart);
+  const pages = paginate(keyed, position, chart, fontSize);
+  const page = Math.min(chart.legendPage || 0, pages.length - 1);
+  const { x, y, pager } = placeLegend(chart, position, legendOptions);
+  const rowHeight = position ? ITEM_HEIGHT : legendOptions.itemHeight;
+
+  const legend = chart.svg.append('g')
+    .attr('class', `legend${position ? ` legend-${position}` : ''}`)
+    .attr('transform', `translate(${x}, ${y})`);
+
+  const itemGroups = legend.selectAll('.legend-item')
+    .data(pages[page])
+    .enter()
+    .append('g')
+    .attr('class', 'legend-item')
+    .attr('data-series', d => d.item.key)
+    .attr('transform', d => `translate(${d.x}, ${d.row * rowHeight})`);
+
+  const hidden = d => interactive && !chart.isSeriesVisible(d.item.key);
+
+  itemGroups.append('rect')
+    .attr('width', SWATCH_SIZE)
+    .attr('height', SWATCH_SIZE)
+    .attr('fill', d => d.item.color)
+    .attr('fill-opacity', d => (hidden(d) ? 0.15 : null))
+    .attr('stroke', d => (hidden(d) ? d.item.color : null));
+
+  const labels = itemGroups.append('text')
+    .attr('x', LABEL_OFFSET)
+    .attr('y', 9)
+    .style('font-size', `${fontSize}px`)
+    .style('fill', chart.theme.text)
+    .style('opacity', d => (hidden(d) ? 0.45 : null))
+    .style('alignment-baseline', 'middle')
+    .text(d => (d.width ? fitLabel(d.item.label, d.width - LABEL_OFFSET, fontSize) : d.item.label));
+
+  // Labels cut short keep their full text as a tooltip
+  labels.filter(function(d) { return this.textContent !== String(d.item.label); })
+    .append('title')
+    .text(d => d.item.label);
+
+  if (interactive) bindItems(itemGroups, chart);
+
+  if (pages.length > 1) {
+    drawPager(legend, chart, pages, page, pager, () => drawLegend(chart, items, options));
+  }
+}
@@ -0,0 +1,73 @@
+/**
+ * Built-in plugins. A plugin is an object with any of the hooks
+ *   install(chart), beforeRender(chart), afterRender(chart),
+ *   onDataChange(chart, data), beforeDestroy(chart)
+ * registered for every chart with BaseChart.use(plugin), for one chart
+ * type with e.g. BarChart.use(plugin), or for one chart with { plugins: [plugin] }.
+ */
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+const anchors = { left: 'start', center: 'middle', right: 'end' };
+const baselines = { top: 'hanging', middle: 'central', bottom: 'auto' };
+
+/**
+ * Draw a line of text over the plot area after every render.
+ * position is 'top-left', 'top-right', 'bottom-left', 'bottom-right' or 'center'.
+ */
+export function watermark(options = {}) {
+  const { text = '', position = 'bottom-right', opacity = 0.4, fontSize = null, color = null } = options;
+  const [vertical, horizontal] = position === 'center' ? ['middle', 'center'] : position.split('-');
+
+  return {
+    name: 'watermark',
+    afterRender(chart) {
+      const layer = chart.getLayer('watermark')
+        .attr('aria-hidden', 'true')
+        .style('pointer-events', 'none');
+
+      layer.selectAll('*').remove();
+      layer.append('text')
+        .attr('class', 'watermark')
+        .attr('x', { left: 0, center: chart.innerWidth / 2, right: chart.innerWidth }[horizontal])
+        .attr('y', { top: 0, middle: chart.innerHeight / 2, bottom: chart.innerHeight }[vertical])
+        .attr('text-anchor', anchors[horizontal])
+        .attr('dominant-baseline', baselines[vertical])
+        .style('font-size', `${fontSize || chart.theme.font.size}px`)
+        .style('fill', color || chart.theme.mutedText)
+        .style('opacity', opacity)
+        .text(text);
+    }
+  };
+}
+
+/**
+ * Report how long each render takes, from the start of render() until its
+ * 'render' event (transitions keep running after that). log, which is required,
+ * gets the message, the time in ms and the chart; renders faster than
+ * threshold ms are skipped.
+ */
+export function renderTimeLogger(options = {}) {
+  const { log, threshold = 0 } = options;
+  if (typeof log !== 'function') {
+    throw new Error('renderTimeLogger() needs a log function, e.g. { log: console.log }');
+  }
+  const started = new WeakMap();
+
+  return {
+    name: 'renderTimeLogger',
+    beforeRender(chart) {
+      started.set(chart, now());
+    },
+    afterRender(chart) {
+      if (!started.has(chart)) return;
+
+      const ms = now() - started.get(chart);
+      started.delete(chart);
+      if (ms >= threshold) {
+        const name = chart.options.title || chart.options.ariaLabel || chart.constructor.name;
+        log(`${name} rendered in ${ms.toFixed(1)} ms`, ms, chart);
+      }
+    }
+  };
+}
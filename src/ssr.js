@@ -0,0 +1,161 @@
+import { AnimationUtils } from './utils/index.js';
+import {
+  SVG_NS, XLINK_NS, XMLNS_NS, MAX_TRANSITION_PASSES, inlineStyles, serializeSVG, settleSimulation
+} from './export.js';
+
+/**
+ * Render a chart without a browser and return it as a standalone SVG string.
+ * Pass a jsdom-style document as options.document when running in Node;
+ * every other option is handed to the chart constructor.
+ *
+ * @example
+ * import { JSDOM } from 'jsdom';
+ * const { document } = new JSDOM().window;
+ * const svg = renderToString(BarChart, data, { document, width: 600 });
+ */
+export function renderToString(ChartClass, data, options = {}) {
+  const { document: doc = globalThis.document, ...chartOptions } = options;
+
+  if (!doc) {
+    throw new Error('renderToString() needs a DOM document; pass one as options.document (e.g. new JSDOM().window.document)');
+  }
+
+  // Attach while rendering so page stylesheets apply and layout is available
+  const container = doc.createElement('div');
+  const host = doc.body || doc.documentElement;
+  host.appendChild(container);
+
+  const chart = new ChartClass(container, { ...chartOptions, headless: true });
+
+  try {
+    withTransformParser(() => {
+      chart.setData(data).render();
+
+      chart.simulations.forEach(settleSimulation);
+      AnimationUtils.finishTransitions(container, MAX_TRANSITION_PASSES);
+      stopTransitions(container);
+    });
+
+    const svg = container.querySelector('svg');
+    if (!svg) return '';
+
+    svg.setAttributeNS(XMLNS_NS, 'xmlns', SVG_NS);
+    svg.setAttributeNS(XMLNS_NS, 'xmlns:xlink', XLINK_NS);
+    if (!svg.hasAttribute('viewBox')) {
+      svg.setAttribute('viewBox', `0 0 ${chart.options.width} ${chart.options.height}`);
+    }
+
+    if (doc.styleSheets && doc.styleSheets.length > 0) {
+      inlineStyles(svg, svg, doc.defaultView);
+    }
+
+    return serializeSVG(svg);
+  } finally {
+    chart.destroy();
+    container.remove();
+  }
+}
+
+/**
+ * Drop whatever is still looping once the transitions have been finished
+ */
+function stopTransitions(root) {
+  [root, ...root.querySelectorAll('*')].forEach(node => {
+    if (!node.__transition) return;
+    Object.values(node.__transition).forEach(schedule => schedule.timer.stop());
+    delete node.__transition;
+  });
+}
+
+/**
+ * Run callback with a global document that d3-interpolate can use to parse
+ * SVG transforms. d3 creates its scratch element from the global document,
+ * which Node lacks and jsdom provides without transform support, so stand
+ * in a small transform-list parser while the chart renders.
+ */
+function withTransformParser(callback) {
+  const current = globalThis.document;
+  if (current && 'transform' in current.createElementNS(SVG_NS, 'g')) {
+    return callback();
+  }
+
+  globalThis.document = { createElementNS: createTransformElement };
+  try {
+    return callback();
+  } finally {
+    if (current) {
+      globalThis.document = current;
+    } else {
+      delete globalThis.document;
+    }
+  }
+}
+
+/**
+ * Scratch element exposing just what d3-interpolate reads:
+ * setAttribute('transform', ...) and transform.baseVal.consolidate()
+ */
+function createTransformElement() {
+  let matrix = null;
+
+  return {
+    setAttribute(name, value) {
+      matrix = parseTransform(value);
+    },
+    transform: {
+      baseVal: {
+        consolidate: () => (matrix ? { matrix } : null)
+      }
+    }
+  };
+}
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Matrix [a, b, c, d, e, f] for each SVG transform function
+const TRANSFORM_FUNCTIONS = {
+  matrix: args => args,
+  translate: ([x, y = 0]) => [1, 0, 0, 1, x, y],
+  scale: ([x, y = x]) => [x, 0, 0, y, 0, 0],
+  rotate: ([angle, cx = 0, cy = 0]) => {
+    const cos = Math.cos(toRadians(angle));
+    const sin = Math.sin(toRadians(angle));
+    return multiplyMatrix(
+      multiplyMatrix([1, 0, 0, 1, cx, cy], [cos, sin, -sin, cos, 0, 0]),
+      [1, 0, 0, 1, -cx, -cy]
+    );
+  },
+  skewX: ([angle]) => [1, 0, Math.tan(toRadians(angle)), 1, 0, 0],
+  skewY: ([angle]) => [1, Math.tan(toRadians(angle)), 0, 1, 0, 0]
+};
+
+/**
+ * Parse an SVG transform list into a single { a, b, c, d, e, f } matrix
+ */
+function parseTransform(value) {
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let result = null;
+  let match;
+
+  while ((match = pattern.exec(value))) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number);
+    const m = TRANSFORM_FUNCTIONS[match[1]](args);
+    result = result ? multiplyMatrix(result, m) : m;
+  }
+
+  if (!result) return null;
+
+  const [a, b, c, d, e, f] = result;
+  return { a, b, c, d, e, f };
+}
+
+function multiplyMatrix([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1
+  ];
+}
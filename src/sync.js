@@ -0,0 +1,226 @@
+import * as d3 from 'd3';
+import { locate } from './annotations.js';
+import { escapeHTML } from './tooltip.js';
+
+/**
+ * Linked charts
+ *
+ * A ChartGroup links charts that share an x axis, such as time series
+ * stacked on a dashboard. Hovering one shows a crosshair at the same x in
+ * all of them and a tooltip listing every series' value there; with
+ * zoom: true, zooming one (see zoom.js) zooms the others to the same range.
+ * Charts take part through valuesAt() and xValueAt(): LineChart, AreaChart
+ * and vertical BarCharts.
+ */
+class ChartGroup {
+  /**
+   * @param {BaseChart[]} charts - charts to link; more can be added later
+   * @param {Object} options - crosshair, tooltip and zoom: what is shared
+   */
+  constructor(charts = [], options = {}) {
+    this.options = {
+      crosshair: true,
+      tooltip: true, // One tooltip with every chart's values in place of each chart's own
+      zoom: false, // Zooming one chart zooms the others
+      ...options
+    };
+    this.charts = [];
+    this.handlers = new Map();
+    this.syncing = false;
+
+    charts.forEach(chart => this.add(chart));
+  }
+
+  /**
+   * Link a chart to the group
+   */
+  add(chart) {
+    if (this.handlers.has(chart)) return this;
+
+    const handlers = {
+      render: () => this.bind(chart),
+      zoom: () => this.syncZoom(chart)
+    };
+    chart.on('render', handlers.render).on('zoom', handlers.zoom);
+    this.handlers.set(chart, handlers);
+    this.charts.push(chart);
+
+    if (chart.xScale) this.bind(chart);
+    return this;
+  }
+
+  /**
+   * Unlink a chart, removing its crosshair and pointer listeners
+   */
+  remove(chart) {
+    const handlers = this.handlers.get(chart);
+    if (!handlers) return this;
+
+    chart.off('render', handlers.render).off('zoom', handlers.zoom);
+    this.handlers.delete(chart);
+    this.charts = this.charts.filter(item => item !== chart);
+
+    if (chart.chartGroup) {
+      chart.chartGroup.on('.sync', null).selectChildren('.sync-surface').remove();
+      chart.svg.selectChildren('.layer-crosshair').remove();
+    }
+    return this;
+  }
+
+  /**
+   * Follow the pointer over a chart; drawn again after every render, which
+   * may replace the chart's group
+   */
+  bind(chart) {
+    // Something to catch the pointer between bars and lines
+    let surface = chart.chartGroup.selectChild('.sync-surface');
+    if (surface.empty()) {
+      surface = chart.chartGroup.insert('rect', ':first-child')
+        .attr('class', 'sync-surface')
+        .attr('fill', 'none')
+        .style('pointer-events', 'all');
+    }
+    surface
+      .attr('width', chart.innerWidth)
+      .attr('height', chart.innerHeight);
+
+    chart.chartGroup
+      .on('mousemove.sync', event => this.track(chart, event))
+      .on('mouseleave.sync', () => this.hideCrosshair());
+  }
+
+  /**
+   * Show the crosshair at the x under the pointer, moved to the nearest
+   * value the hovered chart has there
+   */
+  track(chart, event) {
+    const [position] = d3.pointer(event, chart.chartGroup.node());
+    const value = chart.xValueAt(position);
+    const rows = value == null ? [] : chart.valuesAt(value);
+    if (rows.length === 0) {
+      this.hideCrosshair();
+      return;
+    }
+
+    // Dates and numbers snap to the nearest row; labels match exactly
+    const nearest = rows.reduce((best, row) => (Math.abs(row.x - value) < Math.abs(best.x - value) ? row : best));
+    this.showCrosshair(nearest.x, event, chart);
+  }
+
+  /**
+   * Draw the crosshair at x in every chart, and with event the shared
+   * tooltip beside the pointer over source
+   */
+  showCrosshair(x, event = null, source = null) {
+    const entries = this.charts
+      .filter(chart => chart.xScale)
+      .map(chart => ({ chart, rows: chart.valuesAt(x) }));
+
+    if (this.options.crosshair) {
+      entries.forEach(({ chart, rows }) => this.drawCrosshair(chart, x, rows));
+    }
+
+    if (this.options.tooltip && event && source) {
+      this.charts.forEach(chart => chart !== source && chart.hideTooltip());
+      source.showTooltip(this.formatTooltip(x, entries, source), event, { x, values: entries.flatMap(({ rows }) => rows) });
+    }
+    return this;
+  }
+
+  /**
+   * Remove the crosshair and tooltip from every chart
+   */
+  hideCrosshair() {
+    this.charts.forEach(chart => {
+      if (chart.svg) chart.svg.selectChildren('.layer-crosshair').selectAll('*').remove();
+      if (this.options.tooltip) chart.hideTooltip();
+    });
+    return this;
+  }
+
+  /**
+   * Draw a chart's crosshair: at x on a continuous axis, at the matching
+   * bar on a band axis
+   */
+  drawCrosshair(chart, x, rows) {
+    const scale = chart.xScale;
+    let position = null;
+    if (!scale.bandwidth) {
+      position = locate(scale, x, chart);
+    } else if (rows.length) {
+      position = locate(scale, rows[0].x, chart);
+    }
+
+    chart.getLayer('crosshair')
+      .style('pointer-events', 'none')
+      .selectAll('line.crosshair')
+      .data(position == null ? [] : [position])
+      .join('line')
+      .attr('class', 'crosshair')
+      .attr('x1', d => d)
+      .attr('x2', d => d)
+      .attr('y1', 0)
+      .attr('y2', chart.innerHeight)
+      .attr('stroke', chart.theme.line)
+      .attr('stroke-width', 1)
+      .attr('stroke-dasharray', '3,3');
+  }
+
+  /**
+   * The shared tooltip: x, then a line per series with its value; names
+   * and values are escaped
+   */
+  formatTooltip(x, entries, source) {
+    const lines = entries.flatMap(({ chart, rows }) => rows.map(row => {
+      const name = row.name ?? chart.options.title;
+      const value = row.format ? row.format(row.value) : row.value;
+      const swatch = `<span style="color: ${escapeHTML(row.color)}">&#9679;</span>`;
+      return `${swatch} ${name != null ? `${escapeHTML(name)}: ` : ''}${escapeHTML(value)}`;
+    }));
+
+    return [`<strong>${escapeHTML(source.formatDate(x))}</strong>`, ...lines].join('<br/>');
+  }
+
+  /**
+   * Zoom the other charts to the range a chart zoomed to
+   */
+  syncZoom(chart) {
+    if (!this.options.zoom || this.syncing || !chart.getXDomain()) return;
+
+    const domain = chart.xDomain ? chart.getXDomain() : null;
+    this.syncing = true;
+    try {
+      this.charts
+        .filter(other => other !== chart && other.getXDomain())
+        .forEach(other => other.setXDomain(domain));
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Show [from, to] of the x axis in every chart that can zoom, or
+   * everything for null
+   */
+  setXDomain(domain) {
+    this.syncing = true;
+    try {
+      this.charts
+        .filter(chart => chart.getXDomain())
+        .forEach(chart => chart.setXDomain(domain));
+    } finally {
+      this.syncing = false;
+    }
+    return this;
+  }
+
+  /**
+   * Unlink every chart
+   */
+  destroy() {
+    this.hideCrosshair();
+    this.charts.slice().forEach(chart => this.remove(chart));
+  }
+}
+
+export default ChartGroup;
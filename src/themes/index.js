@@ -0,0 +1,175 @@
+import * as d3 from 'd3';
+
+/**
+ * Light theme, the default and the base every other theme extends
+ */
+const light = {
+  name: 'light',
+  background: '#ffffff',
+  palette: d3.schemeCategory10,
+  primary: '#3498db',
+  accent: '#e74c3c',
+  positive: '#4caf50',
+  negative: '#f44336',
+  sequential: d3.interpolateBlues,
+  diverging: d3.interpolateRdBu,
+  font: {
+    family: 'sans-serif',
+    size: 12,
+    axisSize: 10,
+    titleSize: 16
+  },
+  text: '#333',
+  mutedText: '#666',
+  axis: '#333',
+  grid: '#e0e0e0',
+  line: '#999',
+  stroke: '#fff',
+  tooltip: {
+    background: 'rgba(0, 0, 0, 0.8)',
+    color: 'white',
+    border: 'none',
+    padding: '8px',
+    borderRadius: '4px',
+    fontSize: '12px'
+  }
+};
+
+/**
+ * Dark theme
+ */
+const dark = {
+  name: 'dark',
+  background: '#1e1e1e',
+  palette: d3.schemeTableau10,
+  primary: '#4e9de0',
+  accent: '#ff6b6b',
+  positive: '#59a14f',
+  negative: '#e15759',
+  sequential: d3.interpolateViridis,
+  diverging: d3.interpolatePuOr,
+  text: '#e0e0e0',
+  mutedText: '#a0a0a0',
+  axis: '#bbbbbb',
+  grid: '#3a3a3a',
+  line: '#777777',
+  stroke: '#1e1e1e',
+  tooltip: {
+    background: 'rgba(255, 255, 255, 0.92)',
+    color: '#111'
+  }
+};
+
+/**
+ * High-contrast theme: white on black, bold saturated palette and larger type
+ */
+const highContrast = {
+  name: 'high-contrast',
+  background: '#000000',
+  palette: ['#ffff00', '#00ffff', '#ff00ff', '#00ff00', '#ff8000', '#ffffff', '#ff4040', '#4da6ff'],
+  primary: '#ffff00',
+  accent: '#00ffff',
+  positive: '#00ff00',
+  negative: '#ff4040',
+  sequential: d3.interpolateInferno,
+  diverging: d3.interpolatePiYG,
+  font: {
+    size: 14,
+    axisSize: 12,
+    titleSize: 18
+  },
+  text: '#ffffff',
+  mutedText: '#ffffff',
+  axis: '#ffffff',
+  grid: '#808080',
+  line: '#ffffff',
+  stroke: '#000000',
+  tooltip: {
+    background: '#000000',
+    color: '#ffffff',
+    border: '2px solid #ffffff',
+    fontSize: '14px'
+  }
+};
+
+// Categorical schemes a chart's colorScheme option can name besides 'theme'
+const schemes = {
+  category10: d3.schemeCategory10,
+  blues: d3.schemeBlues[9],
+  greens: d3.schemeGreens[9],
+  oranges: d3.schemeOranges[9],
+  purples: d3.schemePurples[9],
+  spectral: d3.schemeSpectral[11],
+  rainbow: d3.schemeSpectral[11],
+  viridis: d3.quantize(d3.interpolateViridis, 9)
+};
+
+const themes = {};
+let defaultThemeName = 'light';
+
+/**
+ * Fill in everything a partial theme leaves out from its base theme
+ */
+function mergeTheme(base, theme) {
+  return {
+    ...base,
+    ...theme,
+    font: { ...base.font, ...theme.font },
+    tooltip: { ...base.tooltip, ...theme.tooltip }
+  };
+}
+
+/**
+ * Register a theme under a name so charts can use it with { theme: name }.
+ * Partial themes extend `theme.extends` (a registered theme name) or light.
+ */
+export function registerTheme(name, theme = {}) {
+  const base = themes[theme.extends] || themes.light || light;
+  themes[name] = mergeTheme(base, { ...theme, name });
+  return themes[name];
+}
+
+/**
+ * Get a registered theme by name
+ */
+export function getTheme(name) {
+  return themes[name];
+}
+
+/**
+ * Set the theme charts use when they are not given one
+ */
+export function setDefaultTheme(name) {
+  if (!themes[name]) {
+    throw new Error(`Unknown theme "${name}"`);
+  }
+  defaultThemeName = name;
+}
+
+/**
+ * Colors for a colorScheme option: the theme's palette for 'theme' or a name
+ * it does not know, a named scheme, or an array of colors as given
+ */
+export function schemeColors(scheme, theme) {
+  if (Array.isArray(scheme)) return scheme;
+  return schemes[scheme] || theme.palette;
+}
+
+/**
+ * Resolve a theme option (name, partial theme object or nothing) to a full theme
+ */
+export function resolveTheme(theme) {
+  if (!theme) return themes[defaultThemeName];
+
+  if (typeof theme === 'string') {
+    if (themes[theme]) return themes[theme];
+    console.warn(`Unknown theme "${theme}", using "${defaultThemeName}"`);
+    return themes[defaultThemeName];
+  }
+
+  return mergeTheme(themes[theme.extends] || themes[defaultThemeName], theme);
+}
+
+registerTheme('light', light);
+registerTheme('dark', dark);
+registerTheme('high-contrast', highContrast);
@@ -0,0 +1,164 @@
+import * as d3 from 'd3';
+
+/**
+ * Tooltips
+ *
+ * What a chart's tooltip shows and where it goes. The tooltip option's
+ * formatter or template turns the hovered datum into content in place of
+ * the chart's own. The tooltip sits beside the pointer, or the hovered mark
+ * with followCursor: false, on the side placement asks for; near the edge of
+ * the page it flips to the other side and is kept inside. BaseChart's
+ * showTooltip() uses these for every chart, and pins a tooltip on click.
+ */
+
+// Sides tried in turn for each placement until the tooltip fits
+const PLACEMENT_SIDES = {
+  auto: ['right', 'left', 'bottom', 'top'],
+  right: ['right', 'left'],
+  left: ['left', 'right'],
+  top: ['top', 'bottom'],
+  bottom: ['bottom', 'top']
+};
+
+// Space kept between the tooltip and the edge of the page
+const EDGE_PADDING = 4;
+
+// Elements that cover the plot to catch the pointer; tooltips follow the
+// cursor over them even with followCursor: false
+const POINTER_SURFACES = 'svg, canvas, .overlay, .zoom-surface, .sync-surface';
+
+// {field} or {field:format} in a template, format being a d3-format or,
+// for dates, d3-time-format specifier
+const TEMPLATE_FIELD = /\{([^{}:]+)(?::([^{}]*))?\}/g;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+/**
+ * The chart's tooltip option with defaults filled in, or null for
+ * tooltip: false
+ */
+export function getTooltipOptions(chart) {
+  const { tooltip } = chart.options;
+  if (tooltip === false) return null;
+
+  const options = {
+    formatter: null, // (datum, content) => HTML; null or undefined keeps the chart's content
+    template: null, // HTML with {field} or {field:format} filled in from the datum
+    followCursor: true, // false places the tooltip beside the hovered mark
+    placement: 'auto',
+    offset: 10,
+    pin: false, // Clicking a mark keeps its tooltip open until the next click or Escape
+    ...(tooltip === true ? {} : tooltip)
+  };
+
+  if (!PLACEMENT_SIDES[options.placement]) {
+    throw new Error(`Unknown tooltip placement "${options.placement}"; use ${Object.keys(PLACEMENT_SIDES).join(', ')}`);
+  }
+  return options;
+}
+
+/**
+ * Escape text for writing into tooltip HTML
+ */
+export function escapeHTML(text) {
+  return String(text).replace(/[&<>"]/g, char => HTML_ENTITIES[char]);
+}
+
+/**
+ * Read a field or dotted path from a datum
+ */
+function readField(datum, field) {
+  if (field in Object(datum)) return datum[field];
+  return field.split('.').reduce((value, key) => (value == null ? value : value[key]), datum);
+}
+
+/**
+ * Fill a template's {field} and {field:format} placeholders from a datum.
+ * Values are escaped; dates without a format are shown as the chart shows
+ * them, and missing fields are left empty.
+ */
+export function fillTemplate(template, datum, chart) {
+  return template.replace(TEMPLATE_FIELD, (match, field, format) => {
+    const value = readField(datum, field.trim());
+    if (value == null) return '';
+
+    let text = chart.formatDate(value);
+    if (format && value instanceof Date) {
+      text = d3.timeFormat(format)(value);
+    } else if (format && typeof value === 'number') {
+      text = d3.format(format)(value);
+    }
+    return escapeHTML(text);
+  });
+}
+
+/**
+ * The content to show for a datum: the formatter's, the template's or the
+ * chart's own. Empty content means no tooltip.
+ */
+export function tooltipContent(chart, options, content, datum) {
+  if (datum === undefined) return content;
+
+  if (options.formatter) {
+    const formatted = options.formatter(datum, content);
+    return formatted == null ? content : formatted;
+  }
+  return options.template ? fillTemplate(options.template, datum, chart) : content;
+}
+
+/**
+ * The box in the viewport the tooltip is placed beside: the hovered mark,
+ * or the pointer as a box of no size
+ */
+export function tooltipAnchor(event, followCursor) {
+  const target = event.target;
+  if (!followCursor && target && target.getBoundingClientRect && !target.matches(POINTER_SURFACES)) {
+    const { left, top, right, bottom } = target.getBoundingClientRect();
+    return { left, top, right, bottom };
+  }
+  return { left: event.clientX, top: event.clientY, right: event.clientX, bottom: event.clientY };
+}
+
+/**
+ * The viewport, less a little padding, in viewport coordinates
+ */
+export function viewportBounds(doc) {
+  const view = doc.defaultView || {};
+  const width = doc.documentElement.clientWidth || view.innerWidth || 0;
+  const height = doc.documentElement.clientHeight || view.innerHeight || 0;
+  return { left: EDGE_PADDING, top: EDGE_PADDING, right: width - EDGE_PADDING, bottom: height - EDGE_PADDING };
+}
+
+/**
+ * Where a tooltip of size { width, height } goes beside anchor: the first of
+ * placement's sides with room for it, or its first side when none has,
+ * then moved inside bounds. Returns { x, y, side } in viewport coordinates.
+ */
+export function placeTooltip(anchor, size, bounds, placement = 'auto', offset = 10) {
+  const { width, height } = size;
+  const middleX = (anchor.left + anchor.right) / 2 - width / 2;
+  const middleY = (anchor.top + anchor.bottom) / 2 - height / 2;
+
+  const positions = {
+    right: { x: anchor.right + offset, y: middleY },
+    left: { x: anchor.left - offset - width, y: middleY },
+    bottom: { x: middleX, y: anchor.bottom + offset },
+    top: { x: middleX, y: anchor.top - offset - height }
+  };
+  const fits = {
+    right: positions.right.x + width <= bounds.right,
+    left: positions.left.x >= bounds.left,
+    bottom: positions.bottom.y + height <= bounds.bottom,
+    top: positions.top.y >= bounds.top
+  };
+
+  const sides = PLACEMENT_SIDES[placement];
+  const side = sides.find(name => fits[name]) || sides[0];
+  const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+
+  return {
+    x: clamp(positions[side].x, bounds.left, Math.max(bounds.left, bounds.right - width)),
+    y: clamp(positions[side].y, bounds.top, Math.max(bounds.top, bounds.bottom - height)),
+    side
+  };
+}
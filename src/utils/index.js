@@ -1,37 +1,282 @@
 // Utility functions for the D3 Chart Library
 
+// Delimiters parseDelimited() chooses between when none is given
+const DELIMITERS = [',', '\t', ';', '|'];
+
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Split delimited text into records of raw field strings (RFC 4180):
+ * quoted fields may hold delimiters, doubled quotes and line breaks,
+ * and lines may end in \n, \r\n or \r
+ */
+function splitRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let wasQuoted = false;
+  let quoteLine = 0;
+  let line = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endField();
+    records.push(record);
+    record = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '' && !wasQuoted) {
+      quoted = true;
+      wasQuoted = true;
+      quoteLine = line;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${quoteLine}`);
+  }
+
+  // No record for the line break ending the last line
+  if (field !== '' || wasQuoted || record.length > 0) endRecord();
+
+  return records;
+}
+
+/**
+ * Pick the delimiter that splits the first line into the most fields
+ */
+function detectDelimiter(text) {
+  let quoted = false;
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === '\n' || char === '\r')) break;
+    if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  return DELIMITERS.reduce((best, delimiter) => (counts.get(delimiter) > counts.get(best) ? delimiter : best));
+}
+
+/**
+ * The type every non-null value of a column parses as:
+ * 'number', 'boolean', 'date' or 'string'.
+ * Numbers with leading zeros, such as ZIP codes, stay strings.
+ */
+function inferColumnType(values) {
+  const present = values.filter(value => value !== null);
+  if (present.length === 0) return 'string';
+
+  if (present.every(value => NUMBER_PATTERN.test(value) && !/^[-+]?0\d/.test(value))) return 'number';
+  if (present.every(value => /^(true|false)$/i.test(value))) return 'boolean';
+  if (present.every(value => DATE_PATTERN.test(value) && !isNaN(new Date(value)))) return 'date';
+  return 'string';
+}
+
+const convertValue = {
+  number: value => +value,
+  boolean: value => value.toLowerCase() === 'true',
+  // As in JavaScript and d3.autoType, dates alone are UTC and date-times
+  // without an offset are local time
+  date: value => new Date(value.replace(' ', 'T')),
+  string: value => value
+};
+
+/**
+ * Column names from a header record: blanks become column1, column2, ...
+ * and repeated names get a _2, _3 suffix
+ */
+function uniqueColumns(names) {
+  const seen = new Map();
+  return names.map((name, i) => {
+    const base = name.trim() || `column${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+}
+
+/**
+ * Number from a parsed value, or null for a missing one
+ */
+function toNumber(value) {
+  return value === null || value === undefined || value === '' ? null : +value;
+}
+
+/**
+ * Resolve mapping options to column names: an option left out takes the
+ * column at the position defaults gives for it
+ */
+function resolveColumns(rows, options, defaults) {
+  const columns = rows.columns || (rows.length ? Object.keys(rows[0]) : []);
+  return Object.fromEntries(Object.entries(defaults).map(([key, position]) => {
+    const column = options[key] !== undefined ? options[key] : columns[position];
+    if (column != null && columns.length && !columns.includes(column)) {
+      throw new Error(`Column "${column}" not found; columns are ${columns.join(', ')}`);
+    }
+    return [key, column];
+  }));
+}
+
 /**
  * Data processing utilities
  */
 export const DataUtils = {
   /**
-   * Convert CSV data to chart format
+   * Parse delimited text (RFC 4180) into an object per row, keyed by the
+   * header line. The column names are kept as rows.columns. Options:
+   * - delimiter: detected from the first line (',', tab, ';' or '|') unless given
+   * - header: false when the first line is data; columns then names the
+   *   fields, which are otherwise column1, column2, ...
+   * - inferTypes: false keeps every value a string; otherwise columns of
+   *   numbers, true/false or ISO dates are converted
+   * - nullValues: values read as null; missing fields are null too
+   * - trim: false keeps the spaces around values
    */
-  parseCSV: function(csvString, xColumn, yColumn, labelColumn = null) {
-    const lines = csvString.trim().split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    
-    const xIndex = headers.indexOf(xColumn);
-    const yIndex = headers.indexOf(yColumn);
-    const labelIndex = labelColumn ? headers.indexOf(labelColumn) : -1;
-    
-    if (xIndex === -1 || yIndex === -1) {
-      throw new Error('Column not found in CSV data');
+  parseDelimited: function(text, options = {}) {
+    const {
+      delimiter = detectDelimiter(text),
+      header = true,
+      columns = null,
+      inferTypes = true,
+      nullValues = ['', 'null', 'NULL', 'NA', 'N/A'],
+      trim = true
+    } = options;
+
+    const records = splitRecords(text.replace(/^\uFEFF/, ''), delimiter)
+      .filter(record => record.length > 1 || record[0].trim() !== '');
+    const headerRecord = header ? records.shift() : null;
+    const names = uniqueColumns(columns || headerRecord || (records[0] || []).map(() => ''));
+
+    const nulls = new Set(nullValues);
+    const cells = records.map(record => names.map((name, i) => {
+      const value = trim ? (record[i] || '').trim() : (record[i] || '');
+      return nulls.has(value) ? null : value;
+    }));
+
+    const converters = names.map((name, i) => convertValue[inferTypes ? inferColumnType(cells.map(values => values[i])) : 'string']);
+    const rows = cells.map(values => Object.fromEntries(names.map((name, i) => [
+      name,
+      values[i] === null ? null : converters[i](values[i])
+    ])));
+
+    rows.columns = names;
+    return rows;
+  },
+
+  /**
+   * Parse CSV text into row objects; takes the parseDelimited() options.
+   * The older form parseCSV(text, xColumn, yColumn, labelColumn) returns
+   * { x, y, label } points, as toXY() does.
+   */
+  parseCSV: function(csvString, options = {}, ...columns) {
+    if (typeof options === 'string') {
+      const [yColumn, labelColumn = null] = columns;
+      return this.toXY(this.parseCSV(csvString), { x: options, y: yColumn, label: labelColumn });
     }
-    
-    return lines.slice(1).map(line => {
-      const values = line.split(',').map(v => v.trim());
-      const dataPoint = {
-        x: isNaN(values[xIndex]) ? values[xIndex] : +values[xIndex],
-        y: isNaN(values[yIndex]) ? values[yIndex] : +values[yIndex]
-      };
-      
-      if (labelIndex !== -1) {
-        dataPoint.label = values[labelIndex];
-      }
-      
-      return dataPoint;
-    });
+    return this.parseDelimited(csvString, { ...options, delimiter: ',' });
+  },
+
+  /**
+   * Parse tab-separated text into row objects; takes the parseDelimited() options
+   */
+  parseTSV: function(tsvString, options = {}) {
+    return this.parseDelimited(tsvString, { ...options, delimiter: '\t' });
+  },
+
+  /**
+   * Map parsed rows to { label, value } for bar, pie, donut and waterfall
+   * charts. options.label and options.value name the columns, by default
+   * the first and second.
+   */
+  toLabelValue: function(rows, options = {}) {
+    const { label, value } = resolveColumns(rows, options, { label: 0, value: 1 });
+    return rows.map(row => ({ label: row[label], value: toNumber(row[value]) }));
+  },
+
+  /**
+   * Map parsed rows to { x, y } points for line, area and scatter charts.
+   * options.x and options.y default to the first and second columns;
+   * options.label adds a label from another column.
+   */
+  toXY: function(rows, options = {}) {
+    const { x, y, label } = resolveColumns(rows, options, { x: 0, y: 1, label: null });
+    return rows.map(row => ({
+      x: row[x],
+      y: toNumber(row[y]),
+      ...(label != null && { label: row[label] })
+    }));
+  },
+
+  /**
+   * Map parsed rows to { row, column, value } cells for heatmaps.
+   * The options default to the first three columns.
+   */
+  toCells: function(rows, options = {}) {
+    const { row, column, value } = resolveColumns(rows, options, { row: 0, column: 1, value: 2 });
+    return rows.map(d => ({ row: d[row], column: d[column], value: toNumber(d[value]) }));
+  },
+
+  /**
+   * Map parsed rows of links to { nodes, links }. options.source,
+   * options.target and options.value default to the first three columns;
+   * value may be absent. Nodes are { id, name } with links by id, as
+   * network charts take them; indexed: true links nodes by index and gives
+   * each node the larger of its inflow and outflow as value, for Sankey charts.
+   */
+  toGraph: function(rows, options = {}) {
+    const { source, target, value } = resolveColumns(rows, options, { source: 0, target: 1, value: 2 });
+    const ids = [...new Set(rows.flatMap(row => [row[source], row[target]]))];
+    const indices = new Map(ids.map((id, i) => [id, i]));
+    const end = id => (options.indexed ? indices.get(id) : id);
+
+    const links = rows.map(row => ({
+      source: end(row[source]),
+      target: end(row[target]),
+      ...(value != null && { value: toNumber(row[value]) })
+    }));
+    const nodes = ids.map(id => ({ id, name: String(id) }));
+
+    if (options.indexed) {
+      const inflow = ids.map(() => 0);
+      const outflow = ids.map(() => 0);
+      links.forEach(link => {
+        outflow[link.source] += link.value || 0;
+        inflow[link.target] += link.value || 0;
+      });
+      nodes.forEach((node, i) => {
+        node.value = Math.max(inflow[i], outflow[i]);
+      });
+    }
+
+    return { nodes, links };
   },
 
   /**
@@ -131,6 +376,35 @@ export const DataUtils = {
     }
     
     return result;
+  },
+
+  /**
+   * Convert rows of objects to CSV (RFC 4180). Columns default to every key
+   * in the order first seen; dates are written as ISO strings and nested
+   * values as JSON.
+   */
+  toCSV: function(rows, { columns = null, delimiter = ',' } = {}) {
+    const keys = columns || [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+    const field = value => {
+      if (value === null || value === undefined) return '';
+
+      let text;
+      if (value instanceof Date) {
+        text = isNaN(value) ? '' : value.toISOString();
+      } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+      } else {
+        text = String(value);
+      }
+
+      const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+      return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [keys, ...rows.map(row => keys.map(key => row[key]))]
+      .map(values => values.map(field).join(delimiter))
+      .join('\r\n');
   }
 };
 
@@ -268,6 +542,59 @@ export const AnimationUtils = {
       ...item,
       delay: index * delay
     }));
+  },
+
+  /**
+   * Jump every pending d3 transition under root to its end state.
+   * Works on d3-transition's per-node schedules (node.__transition) so that
+   * start/end listeners, chained transitions and transition.remove() all run
+   * in order without waiting on timers. Looping animations re-arm themselves
+   * from their 'end' handlers, so at most maxPasses rounds are run and
+   * whatever is scheduled after that keeps playing.
+   */
+  finishTransitions: function(root, maxPasses = 20) {
+    for (let pass = 0; pass < maxPasses; pass++) {
+      const nodes = [root, ...root.querySelectorAll('*')].filter(node => node.__transition);
+      if (nodes.length === 0) return;
+
+      nodes.forEach(node => {
+        // Only run what was pending at the start of the pass; anything the
+        // handlers schedule now is picked up by the next one
+        const pending = Object.entries(node.__transition)
+          .map(([id, schedule]) => ({ id: Number(id), schedule, start: schedule.time + schedule.delay }))
+          .sort((a, b) => a.start - b.start || a.id - b.id);
+
+        pending.forEach(({ id, schedule, start }) => {
+          if (!node.__transition || node.__transition[id] !== schedule) return;
+
+          schedule.timer.stop();
+
+          const args = [node.__data__, schedule.index, schedule.group];
+
+          // As in d3, a newer transition of the same name that starts no later
+          // cancels this one before it begins
+          const preempted = pending.some(other => other.id > id &&
+            other.schedule.name === schedule.name && other.start <= start);
+
+          if (preempted) {
+            schedule.on.call('cancel', node, ...args);
+          } else {
+            // The schedule stays registered until 'end' has fired, as tweens and
+            // transition.remove() look it up by id
+            schedule.on.call('start', node, ...args);
+            schedule.tween
+              .map(tween => tween.value.call(node, ...args))
+              .filter(Boolean)
+              .forEach(tween => tween.call(node, 1));
+            schedule.on.call('end', node, ...args);
+          }
+
+          if (!node.__transition) return;
+          delete node.__transition[id];
+          if (Object.keys(node.__transition).length === 0) delete node.__transition;
+        });
+      });
+    }
   }
 };
 
@@ -337,6 +664,31 @@ export const MathUtils = {
     return mode;
   },
 
+  /**
+   * Least-squares linear regression of yField on xField
+   */
+  linearRegression: function(data, xField = 'x', yField = 'y') {
+    const n = data.length;
+    if (n < 2) return null;
+
+    const sum = accessor => data.reduce((acc, d) => acc + accessor(d), 0);
+    const sumX = sum(d => d[xField]);
+    const sumY = sum(d => d[yField]);
+    const sumXY = sum(d => d[xField] * d[yField]);
+    const sumXX = sum(d => d[xField] * d[xField]);
+
+    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+    const intercept = (sumY - slope * sumX) / n;
+
+    // Calculate R²
+    const yMean = sumY / n;
+    const ssRes = sum(d => Math.pow(d[yField] - (slope * d[xField] + intercept), 2));
+    const ssTot = sum(d => Math.pow(d[yField] - yMean, 2));
+    const rSquared = 1 - (ssRes / ssTot);
+
+    return { slope, intercept, rSquared };
+  },
+
   /**
    * Linear interpolation
    */
@@ -377,14 +729,34 @@ export const DOMUtils = {
   },
 
   /**
-   * Create responsive container
+   * Get the length of an SVG path, or 0 where the DOM has no layout (e.g. jsdom)
+   */
+  getTotalLength: function(node) {
+    return node && typeof node.getTotalLength === 'function' ? node.getTotalLength() : 0;
+  },
+
+  /**
+   * Get the bounding box of an SVG element, estimating text size where the DOM has no layout
+   */
+  getBBox: function(node) {
+    if (typeof node.getBBox === 'function') {
+      return node.getBBox();
+    }
+
+    const fontSize = parseFloat(node.style.fontSize || node.getAttribute('font-size')) || 12;
+    const text = node.textContent || '';
+    return { x: 0, y: -fontSize, width: text.length * fontSize * 0.6, height: fontSize };
+  },
+
+  /**
+   * Create responsive container.
+   * Prefer the chart's responsive option, which debounces and is cleaned up by destroy().
    */
   makeResponsive: function(chart, container) {
     const resizeObserver = new ResizeObserver(entries => {
       for (let entry of entries) {
         const { width, height } = entry.contentRect;
-        chart.updateOptions({ width, height });
-        chart.render();
+        chart.resize(width, height);
       }
     });
     
@@ -393,7 +765,8 @@ export const DOMUtils = {
   },
 
   /**
-   * Export chart as image
+   * Export chart as image.
+   * Serializes the SVG as it is; chart.toPNGBlob() also keeps page styles.
    */
   exportAsImage: function(svgElement, filename = 'chart.png', scale = 2) {
     const svgData = new XMLSerializer().serializeToString(svgElement);
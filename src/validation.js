@@ -0,0 +1,194 @@
+/**
+ * Data schemas
+ *
+ * Charts describe the data they draw with a schema:
+ *   { type, minLength, rows, fields, rules }
+ *
+ * - type: 'array', 'object', 'number', 'string', 'label' (string or number),
+ *   'date', 'boolean' or 'any', or a list of these
+ * - minLength: fewest items an array may have
+ * - rows: schema every item of an array must match
+ * - fields: { name: schema } for the properties of an object; a string is
+ *   shorthand for { type }, and fields are required unless required: false
+ * - min, max: bounds for numbers
+ * - rules: functions (value) => [{ path, message }] for checks across fields
+ *
+ * Numeric strings such as '10' pass as numbers; coerceData() turns them
+ * into numbers, which BaseChart.setData() does before storing the data.
+ */
+
+/**
+ * Error thrown (or emitted as 'error') when a chart is given data it cannot draw.
+ * problems lists each offending row and field as { path, row, field, value, message }.
+ */
+export class ChartDataError extends Error {
+  constructor(problems, chart = null) {
+    const more = problems.length > 1 ? ` (and ${problems.length - 1} more)` : '';
+    super(`Invalid chart data: ${problems[0].message}${more}`);
+    this.name = 'ChartDataError';
+    this.problems = problems;
+    this.chart = chart;
+  }
+}
+
+const typeChecks = {
+  any: () => true,
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  number: value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) &&
+    Number.isFinite(+value),
+  string: value => typeof value === 'string',
+  label: value => typeof value === 'string' || Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => (value instanceof Date || typeof value === 'string' || typeof value === 'number') &&
+    !isNaN(new Date(value))
+};
+
+const typeNames = {
+  array: 'an array',
+  object: 'an object',
+  number: 'a number',
+  string: 'a string',
+  label: 'a string or number',
+  boolean: 'true or false',
+  date: 'a date'
+};
+
+/**
+ * Short, readable form of a value for problem messages
+ */
+function show(value) {
+  if (Array.isArray(value)) return `an array of ${value.length}`;
+  if (value instanceof Date) return String(value);
+  if (typeof value === 'object') return 'an object';
+  if (typeof value === 'string') return `"${value.length > 30 ? value.slice(0, 27) + '...' : value}"`;
+  return String(value);
+}
+
+/**
+ * Record a problem with the value at path; row is the index of the
+ * innermost array item and field the last property name
+ */
+function addProblem({ problems, root }, path, value, message, row = null) {
+  const field = path.length && typeof path[path.length - 1] === 'string' ? path[path.length - 1] : null;
+  const name = path.reduce((text, key) => (
+    typeof key === 'number' ? `${text || root}[${key}]` : text ? `${text}.${key}` : key
+  ), '');
+
+  problems.push({ path: name, row, field, value, message: `${name || root} ${message}` });
+}
+
+/**
+ * Check value against schema, adding what is wrong with it to context.problems
+ */
+function check(value, schema, path, row, context) {
+  if (typeof schema === 'string') schema = { type: schema };
+  const { problems } = context;
+  const found = problems.length;
+
+  if (value === undefined || value === null) {
+    if (schema.required !== false) addProblem(context, path, value, 'is missing', row);
+    return;
+  }
+
+  const types = [].concat(schema.type || 'any');
+  if (!types.some(type => typeChecks[type](value))) {
+    const expected = types.map(type => typeNames[type]).join(' or ');
+    addProblem(context, path, value, `should be ${expected}, got ${show(value)}`, row);
+    return;
+  }
+
+  if (typeChecks.number(value) && types.includes('number')) {
+    if (schema.min !== undefined && +value < schema.min) {
+      addProblem(context, path, value, `should be at least ${schema.min}, got ${show(value)}`, row);
+    }
+    if (schema.max !== undefined && +value > schema.max) {
+      addProblem(context, path, value, `should be at most ${schema.max}, got ${show(value)}`, row);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minLength && value.length < schema.minLength) {
+      const items = schema.minLength === 1 ? 'item' : 'items';
+      addProblem(context, path, value, `should have at least ${schema.minLength} ${items}`, row);
+    }
+    if (schema.rows) {
+      value.forEach((item, i) => check(item, schema.rows, path.concat(i), i, context));
+    }
+  } else if (schema.fields && typeChecks.object(value)) {
+    Object.entries(schema.fields).forEach(([name, fieldSchema]) => {
+      check(value[name], fieldSchema, path.concat(name), row, context);
+    });
+  }
+
+  // Rules only see values whose shape is already known to be right
+  if (schema.rules && problems.length === found) {
+    schema.rules.forEach(rule => {
+      (rule(value) || []).forEach(({ path: rulePath = '', message }) => {
+        const keys = String(rulePath).split('.').filter(Boolean).map(key => (/^\d+$/.test(key) ? +key : key));
+        const at = keys.reduce((item, key) => (item == null ? item : item[key]), value);
+        const index = keys.filter(key => typeof key === 'number').pop();
+        addProblem(context, path.concat(keys), at, message, index !== undefined ? index : row);
+      });
+    });
+  }
+}
+
+/**
+ * Whether a value of schema's type should be a number, so that a numeric
+ * string is one given as text
+ */
+function wantsNumber(schema) {
+  const types = [].concat(schema.type || 'any');
+  return types.includes('number') && !types.some(type => ['any', 'string', 'label', 'date'].includes(type));
+}
+
+/**
+ * Copy value with the numeric strings schema wants as numbers converted;
+ * parts that need no change are kept as they are
+ */
+function coerce(value, schema) {
+  if (typeof schema === 'string') schema = { type: schema };
+  if (value === undefined || value === null) return value;
+
+  if (typeof value === 'string') {
+    return wantsNumber(schema) && typeChecks.number(value) ? +value : value;
+  }
+
+  if (Array.isArray(value)) {
+    if (!schema.rows) return value;
+    const items = value.map(item => coerce(item, schema.rows));
+    return items.some((item, i) => item !== value[i]) ? items : value;
+  }
+
+  if (!schema.fields || !typeChecks.object(value) || value instanceof Date) return value;
+
+  let copy = null;
+  Object.entries(schema.fields).forEach(([name, fieldSchema]) => {
+    const field = coerce(value[name], fieldSchema);
+    if (field !== value[name]) {
+      copy = copy || { ...value };
+      copy[name] = field;
+    }
+  });
+  return copy || value;
+}
+
+/**
+ * Convert the numeric strings in data that schema wants as numbers, such as
+ * CSV fields read without type inference, so charts compare and scale
+ * numbers. Returns data itself when nothing needs converting.
+ */
+export function coerceData(data, schema) {
+  return schema ? coerce(data, schema) : data;
+}
+
+/**
+ * Check data against a schema and list every problem found.
+ * root names the whole value in problem messages.
+ */
+export function validateData(data, schema, root = 'data') {
+  const problems = [];
+  if (schema) check(data, schema, [], null, { problems, root });
+  return problems;
+}
@@ -0,0 +1,264 @@
+import * as d3 from 'd3';
+import { AnimationUtils } from './utils/index.js';
+
+/**
+ * x-axis zoom for charts with a continuous x scale (LineChart, AreaChart).
+ * Zooming changes the x scale's domain and redraws the chart, so the axis
+ * ticks again for the range shown. Wheel and drag zoom and pan the view,
+ * double-click resets it, and an optional overview below the plot drives it
+ * with a brush. Charts build their x scale over visibleXDomain() and call
+ * addXZoom() once drawn.
+ */
+
+// Space between the plot's x axis and the overview
+const OVERVIEW_GAP = 40;
+
+const DEFAULT_OVERVIEW_HEIGHT = 60;
+
+// Furthest the zoom option zooms in unless it sets maxScale
+const DEFAULT_MAX_SCALE = 100;
+
+// Margin kept around clipped marks so points at the edge of the view show whole
+const CLIP_PADDING = 6;
+
+/**
+ * Height the overview option takes from the plot area, with its gap
+ */
+export function getOverviewSpace(chart) {
+  const { overview } = chart.options;
+  if (!overview) return 0;
+  return (overview.height || DEFAULT_OVERVIEW_HEIGHT) + OVERVIEW_GAP;
+}
+
+/**
+ * The x domain to draw: the zoomed view kept inside the data, or all of it.
+ * Records fullDomain for the zoom controls.
+ */
+export function visibleXDomain(chart, fullDomain) {
+  chart.fullXDomain = fullDomain;
+  if (!chart.xDomain) return fullDomain;
+
+  const [from, to] = chart.xDomain.map(value => +chart.toDate(value));
+  const start = Math.max(from, +fullDomain[0]);
+  const end = Math.min(to, +fullDomain[1]);
+  if (!(start < end)) return fullDomain;
+
+  return fullDomain[0] instanceof Date ? [new Date(start), new Date(end)] : [start, end];
+}
+
+/**
+ * The x scale over every x value, as drawn when not zoomed
+ */
+function fullXScale(chart) {
+  return chart.xScale.copy().domain(chart.fullXDomain);
+}
+
+/**
+ * The view as a d3 zoom transform of the full x scale
+ */
+export function xZoomTransform(chart) {
+  if (!chart.xScale || !chart.fullXDomain) return d3.zoomIdentity;
+
+  const [start, end] = chart.xScale.domain().map(fullXScale(chart));
+  return d3.zoomIdentity.scale(chart.innerWidth / (end - start)).translate(-start, 0);
+}
+
+/**
+ * Show an x range and redraw, then emit 'zoom'. source names the control
+ * that moved the view ('zoom' or 'brush'), which is left as it is.
+ */
+export function setXView(chart, domain, sourceEvent = null, source = null) {
+  chart.xDomain = domain ? [...domain] : null;
+
+  if (chart.xScale && chart.svg) {
+    chart.zoomSource = source || 'api';
+    try {
+      chart.redraw();
+      AnimationUtils.finishTransitions(chart.svg.node());
+    } finally {
+      chart.zoomSource = null;
+    }
+  }
+
+  chart.emit('zoom', xZoomTransform(chart), sourceEvent, chart.getXDomain());
+}
+
+/**
+ * Clip the chart's marks to the plot so zoomed-out parts stay hidden
+ */
+function clipMarks(chart) {
+  const id = `${chart.themeClass}-plot-clip`;
+  let clip = chart.svg.select(`#${id}`);
+  if (clip.empty()) {
+    clip = chart.svg.insert('defs', ':first-child')
+      .attr('class', 'zoom-defs')
+      .append('clipPath')
+      .attr('id', id);
+    clip.append('rect');
+  }
+
+  clip.select('rect')
+    .attr('x', -CLIP_PADDING)
+    .attr('y', -CLIP_PADDING)
+    .attr('width', chart.innerWidth + CLIP_PADDING * 2)
+    .attr('height', chart.innerHeight + CLIP_PADDING * 2);
+
+  chart.chartGroup.selectAll('.line, .area, .point, .hover-point, .annotations-below')
+    .attr('clip-path', `url(#${id})`);
+}
+
+/**
+ * The element taking wheel and drag events: the canvas layer when the
+ * chart draws to one, which sits under the chart group, else the chart group
+ */
+function zoomTarget(chart) {
+  const layer = chart.svg.selectChild('.canvas-layer');
+  return layer.empty() ? chart.chartGroup : layer;
+}
+
+/**
+ * Stop zooming with the wheel and drag
+ */
+function unbindZoom(selection) {
+  selection.on('.zoom', null).on('dblclick.reset', null);
+}
+
+/**
+ * Zoom and pan the x axis with the wheel and drag; double-click resets
+ */
+function bindZoom(chart) {
+  const { innerWidth: width, innerHeight: height } = chart;
+  const { maxScale = DEFAULT_MAX_SCALE } = chart.options.zoom;
+
+  if (!chart.zoomBehavior) {
+    chart.zoomBehavior = d3.zoom()
+      .on('zoom', event => {
+        // Moves made by syncing the view have no source event
+        if (!event.sourceEvent) return;
+        setXView(chart, event.transform.rescaleX(fullXScale(chart)).domain(), event.sourceEvent, 'zoom');
+      });
+  }
+
+  chart.zoomBehavior
+    .scaleExtent([1, maxScale])
+    .extent([[0, 0], [width, height]])
+    .translateExtent([[0, 0], [width, height]]);
+
+  const target = zoomTarget(chart);
+  if (target === chart.chartGroup) {
+    // Something to catch the wheel between the lines
+    let surface = chart.chartGroup.selectChild('.zoom-surface');
+    if (surface.empty()) {
+      surface = chart.chartGroup.insert('rect', ':first-child')
+        .attr('class', 'zoom-surface')
+        .attr('fill', 'none')
+        .style('pointer-events', 'all');
+    }
+    surface.attr('width', width).attr('height', height);
+  } else {
+    unbindZoom(chart.chartGroup);
+    chart.chartGroup.selectChildren('.zoom-surface').remove();
+  }
+
+  target
+    .call(chart.zoomBehavior)
+    .on('dblclick.zoom', null)
+    .on('dblclick.reset', event => setXView(chart, null, event, 'reset'));
+}
+
+/**
+ * Draw every series small below the plot, over all x values, with a brush
+ * over the part shown above
+ */
+function drawOverview(chart) {
+  const { overview } = chart.options;
+  const margin = chart.plotMargin;
+  const height = overview.height || DEFAULT_OVERVIEW_HEIGHT;
+  const x = fullXScale(chart).range([0, chart.innerWidth]);
+
+  let group = chart.svg.selectChild('g.overview');
+  if (group.empty()) {
+    group = chart.svg.append('g').attr('class', 'overview');
+  }
+  group
+    .attr('transform', `translate(${margin.left}, ${margin.top + chart.innerHeight + OVERVIEW_GAP})`)
+    .selectAll('*').remove();
+
+  // Each series gets its own y scale, so series on different axes all show
+  chart.getOverviewSeries().forEach(({ points, color }) => {
+    const y = d3.scaleLinear()
+      .domain(d3.extent(points, d => d.y))
+      .range([height, 0]);
+
+    group.append('path')
+      .datum(points)
+      .attr('class', 'overview-line')
+      .attr('fill', 'none')
+      .attr('stroke', color)
+      .attr('stroke-width', 1)
+      .attr('d', d3.line().x(d => x(d.x)).y(d => y(d.y)));
+  });
+
+  group.append('g')
+    .attr('class', 'overview-axis')
+    .attr('transform', `translate(0, ${height})`)
+    .call(d3.axisBottom(x).ticks(Math.max(2, Math.floor(chart.innerWidth / 80))));
+
+  // Headless renders draw the overview without its brush
+  if (chart.options.headless) return;
+
+  chart.overviewBrush = d3.brushX()
+    .extent([[0, 0], [chart.innerWidth, height]])
+    .on('brush end', event => {
+      if (!event.sourceEvent) return;
+      setXView(chart, event.selection ? event.selection.map(x.invert) : null, event.sourceEvent, 'brush');
+    });
+
+  group.append('g')
+    .attr('class', 'overview-brush')
+    .call(chart.overviewBrush);
+}
+
+/**
+ * Set the zoom transform and brush to the view, except for the control
+ * being used to move it
+ */
+function syncControls(chart) {
+  const transform = xZoomTransform(chart);
+
+  if (chart.options.zoom && chart.zoomBehavior && chart.zoomSource !== 'zoom') {
+    zoomTarget(chart).call(chart.zoomBehavior.transform, transform);
+  }
+
+  const brushGroup = chart.svg.select('.overview-brush');
+  if (chart.options.overview && chart.zoomSource !== 'brush' && !brushGroup.empty()) {
+    const selection = chart.xDomain ? chart.xScale.domain().map(fullXScale(chart)) : null;
+    brushGroup.call(chart.overviewBrush.move, selection);
+  }
+}
+
+/**
+ * Set up the zoom and overview options for a chart that has just drawn its
+ * x scale over visibleXDomain(). The overview is kept while only the view
+ * changes, so a brush can be dragged across it.
+ */
+export function addXZoom(chart) {
+  const { zoom, overview, headless } = chart.options;
+
+  if (zoom || overview || chart.xDomain) clipMarks(chart);
+
+  if (zoom && !headless) {
+    bindZoom(chart);
+  } else {
+    unbindZoom(zoomTarget(chart));
+    chart.chartGroup.selectChildren('.zoom-surface').remove();
+  }
+
+  if (!overview) {
+    chart.svg.selectChildren('.overview').remove();
+  } else if (!chart.zoomSource || chart.svg.selectChild('.overview').empty()) {
+    drawOverview(chart);
+  }
+
+  syncControls(chart);
+}
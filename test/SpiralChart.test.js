@@ -0,0 +1,61 @@
+/**
+ * @jest-environment jsdom
+ */
+import SpiralChart from '../src/charts/SpiralChart.js';
+
+const data = Array.from({ length: 12 }, (_, i) => ({
+  period: i + 1,
+  primaryValue: 10 + i,
+  secondaryValue: 5,
+  tertiaryValue: 3,
+  quaternaryValue: 2
+}));
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Particles with a transition scheduled or running
+ */
+const movingParticles = container => [...container.querySelectorAll('.particle')]
+  .filter(node => node.__transition && Object.keys(node.__transition).length > 0);
+
+describe('SpiralChart floating particles', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('stay still without animation, leaving the event loop free', async () => {
+    const chart = new SpiralChart(container, { animation: false });
+    chart.setData(data).render();
+
+    expect(container.querySelectorAll('.particle')).toHaveLength(chart.options.particleCount);
+    expect(movingParticles(container)).toHaveLength(0);
+    await wait(50);
+
+    chart.destroy();
+  });
+
+  test('stop when the chart is paused or destroyed', async () => {
+    const chart = new SpiralChart(container, {});
+    chart.setData(data).render();
+    const particles = [...container.querySelectorAll('.particle')];
+    expect(movingParticles(container).length).toBeGreaterThan(0);
+
+    chart.pause();
+    expect(movingParticles(container)).toHaveLength(0);
+
+    chart.resume();
+    expect(movingParticles(container).length).toBeGreaterThan(0);
+
+    chart.destroy();
+    await wait(50);
+    expect(particles.filter(node => node.__transition && Object.keys(node.__transition).length > 0)).toHaveLength(0);
+  });
+});
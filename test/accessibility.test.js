@@ -0,0 +1,143 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { AreaChart, BarChart, LineChart, PieChart } from '../src/index.js';
+
+describe('accessibility', () => {
+  const data = [{ x: 1, y: 10 }, { x: 2, y: 30 }, { x: 3, y: 20 }];
+  let container;
+
+  const key = (node, name) => node.dispatchEvent(new KeyboardEvent('keydown', { key: name, bubbles: true }));
+  const tabStops = selector => [...container.querySelectorAll(selector)].map(node => node.getAttribute('tabindex'));
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('name the SVG from ariaLabel, then title, and link a description', () => {
+    const chart = new BarChart(container, { title: 'Sales', description: 'Sales rose in every quarter.' });
+    expect(chart.svg.attr('role')).toBe('img');
+    expect(chart.svg.attr('aria-label')).toBe('Sales');
+
+    const desc = container.querySelector('svg > desc');
+    expect(desc.textContent).toBe('Sales rose in every quarter.');
+    expect(chart.svg.attr('aria-describedby')).toBe(desc.id);
+
+    chart.updateOptions({ ariaLabel: 'Quarterly sales', description: null });
+    expect(chart.svg.attr('aria-label')).toBe('Quarterly sales');
+    expect(chart.svg.attr('aria-describedby')).toBeNull();
+    expect(container.querySelector('svg > desc')).toBeNull();
+  });
+
+  test('put one labelled mark at a time in the tab order, moved by arrow keys, Home and End', () => {
+    const chart = new BarChart(container, { animation: false })
+      .setData([{ label: 'North', value: 42 }, { label: 'South', value: 7 }, { label: 'East', value: 12 }])
+      .render();
+    const bars = [...container.querySelectorAll('rect.bar')];
+
+    expect(chart.svg.attr('role')).toBe('group');
+    expect(bars.map(bar => [bar.getAttribute('role'), bar.getAttribute('aria-label')]))
+      .toEqual([['img', 'North: 42'], ['img', 'South: 7'], ['img', 'East: 12']]);
+    expect(tabStops('rect.bar')).toEqual(['0', '-1', '-1']);
+
+    bars[0].focus();
+    key(bars[0], 'ArrowRight');
+    expect(document.activeElement).toBe(bars[1]);
+    expect(tabStops('rect.bar')).toEqual(['-1', '0', '-1']);
+
+    key(bars[1], 'End');
+    expect(document.activeElement).toBe(bars[2]);
+    key(bars[2], 'ArrowDown');
+    expect(document.activeElement).toBe(bars[2]);
+    key(bars[2], 'Home');
+    expect(document.activeElement).toBe(bars[0]);
+  });
+
+  test('replay hover, leave and click for focus, blur and Enter', () => {
+    const chart = new PieChart(container, { animation: false })
+      .setData([{ label: 'Rent', value: 3 }, { label: 'Food', value: 1 }])
+      .render();
+    const onHover = jest.fn();
+    const onLeave = jest.fn();
+    const onClick = jest.fn();
+    chart.on('hover', onHover).on('leave', onLeave).on('click', onClick);
+
+    const slice = container.querySelector('[tabindex="0"]');
+    slice.focus();
+    expect(onHover.mock.calls[0][0].label).toBe('Rent');
+
+    key(slice, 'Enter');
+    expect(onClick.mock.calls[0][0].label).toBe('Rent');
+
+    slice.blur();
+    expect(onLeave).toHaveBeenCalledTimes(1);
+  });
+
+  test('keep marks out of the tab order with keyboardNavigation: false', () => {
+    const chart = new BarChart(container, { animation: false, keyboardNavigation: false })
+      .setData([{ label: 'a', value: 1 }])
+      .render();
+    expect(container.querySelector('[tabindex]')).toBeNull();
+    expect(chart.svg.attr('role')).toBe('img');
+  });
+
+  test('give an AreaChart without points an invisible focus target per value', () => {
+    const chart = new AreaChart(container, { animation: false }).setData(data).render();
+    const targets = [...container.querySelectorAll('.focus-target')];
+    const onHover = jest.fn();
+    chart.on('hover', onHover);
+
+    expect(container.querySelectorAll('.point')).toHaveLength(0);
+    expect(targets.map(target => target.getAttribute('aria-label'))).toEqual(['x 1, y 10', 'x 2, y 30', 'x 3, y 20']);
+    expect(targets[0].getAttribute('fill')).toBe('transparent');
+    expect(tabStops('.focus-target')).toEqual(['0', '-1', '-1']);
+
+    targets[0].focus();
+    key(targets[0], 'ArrowRight');
+    expect(document.activeElement).toBe(targets[1]);
+    expect(onHover.mock.calls.map(([d]) => d)).toEqual([chart.data[0], chart.data[1]]);
+
+    const focus = container.querySelector('.focus');
+    expect(focus.style.display).toBe('');
+    expect(focus.getAttribute('transform')).toBe(`translate(${chart.xScale(2)}, ${chart.yScale(30)})`);
+
+    targets[1].blur();
+    expect(focus.style.display).toBe('none');
+  });
+
+  test('use the points as an AreaChart\'s focus targets when they are shown', () => {
+    new AreaChart(container, { animation: false, showPoints: true }).setData(data).render();
+    expect(container.querySelectorAll('.focus-target')).toHaveLength(0);
+    expect(tabStops('.point')).toEqual(['0', '-1', '-1']);
+  });
+
+  test('make each series of a stacked AreaChart focusable', () => {
+    new AreaChart(container, { animation: false }).renderStacked([
+      { name: 'a', data: [{ x: 1, y: 1 }, { x: 2, y: 2 }] },
+      { name: 'b', data: [{ x: 1, y: 3 }, { x: 2, y: 4 }] }
+    ]);
+    const areas = [...container.querySelectorAll('.area')];
+    expect(areas.map(area => area.getAttribute('aria-label'))).toEqual(['a, total 3', 'b, total 7']);
+    expect(tabStops('.area')).toEqual(['0', '-1']);
+  });
+
+  test('describe() summarizes the chart, more with verbosity detailed', () => {
+    const line = new LineChart(container, { animation: false, title: 'Visits' }).setData(data).render();
+    const brief = line.describe();
+    expect(brief).toMatch(/^Visits\b/);
+    expect(brief).toContain('Highest value 30 at x = 2; lowest 10 at x = 1.');
+    expect(brief).toMatch(/trend is rising/);
+    expect(line.describe({ verbosity: 'detailed' }).length).toBeGreaterThan(brief.length);
+
+    const pie = new PieChart(container, { animation: false })
+      .setData([{ label: 'Rent', value: 3 }, { label: 'Food', value: 1 }])
+      .render();
+    expect(pie.describe()).toContain('Largest share: Rent 75.0%');
+  });
+});
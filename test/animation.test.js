@@ -0,0 +1,88 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import * as d3 from 'd3';
+import { resolveAnimation, resolveEasing, setAnimationDefaults, getAnimationDefaults } from '../src/animation.js';
+import { BarChart, DonutChart } from '../src/index.js';
+
+// The reduced-motion media query; charts read it on every transition
+const query = { matches: false };
+
+describe('animation config', () => {
+  let container;
+  let saved;
+
+  beforeAll(() => {
+    window.matchMedia = () => query;
+  });
+
+  afterAll(() => {
+    delete window.matchMedia;
+  });
+
+  beforeEach(() => {
+    saved = getAnimationDefaults();
+    query.matches = false;
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    setAnimationDefaults(saved);
+    container.remove();
+  });
+
+  test('resolves true, false and partial configs over the defaults', () => {
+    expect(resolveAnimation(false).enabled).toBe(false);
+    expect(resolveAnimation(true)).toMatchObject({ enabled: true, duration: 800, ease: null });
+    expect(resolveAnimation({ duration: 200 })).toMatchObject({ enabled: true, duration: 200 });
+  });
+
+  test('resolves easings by name or function, and warns for unknown names', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const linear = t => t;
+    expect(resolveEasing('easeBounce')).toBe(d3.easeBounce);
+    expect(resolveEasing(linear)).toBe(linear);
+    expect(resolveEasing('wobbly')).toBeNull();
+    expect(warn).toHaveBeenCalledWith('Unknown easing "wobbly"');
+    warn.mockRestore();
+  });
+
+  test('scales chart timings by the configured duration and stagger', () => {
+    const chart = new BarChart(container, { animation: { duration: 1600, stagger: 10 } });
+    expect(chart.getDuration(400)).toBe(800);
+    expect(chart.getStagger(3, 100)).toBe(30);
+    expect(new BarChart(container).getStagger(3, 100)).toBe(300);
+  });
+
+  test('applies global defaults to charts without their own config', () => {
+    setAnimationDefaults({ duration: 400 });
+    expect(new BarChart(container).getDuration(800)).toBe(400);
+    expect(new BarChart(container, { animation: { duration: 800 } }).getDuration(800)).toBe(800);
+  });
+
+  test('turns off when animation is disabled or the user prefers reduced motion', () => {
+    expect(new BarChart(container, { animation: false }).getDuration(800)).toBe(0);
+    expect(new BarChart(container, { animated: false }).isAnimated()).toBe(false);
+
+    const chart = new BarChart(container);
+    query.matches = true;
+    expect(chart.isAnimated()).toBe(false);
+    expect(chart.getStagger(2, 100)).toBe(0);
+    expect(new BarChart(container, { animation: { respectReducedMotion: false } }).isAnimated()).toBe(true);
+  });
+
+  test('animateProgress() stops the run an earlier call started', async () => {
+    const chart = new DonutChart(container, { animation: { duration: 800 } });
+    const percentage = () => container.querySelector('.center-main-text').textContent;
+
+    chart.animateProgress(80, 100, 1000);
+    chart.animateProgress(20, 100, 20);
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    expect(percentage()).toBe('20.0%');
+    expect(chart.timers.size).toBe(0);
+    expect(chart.animations).toEqual([]);
+  });
+});
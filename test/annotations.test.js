@@ -0,0 +1,105 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import { checkAnnotation, locate, traceBoxes } from '../src/annotations.js';
+import { LineChart, BarChart } from '../src/index.js';
+
+describe('annotation helpers', () => {
+  test('reject annotations that cannot be drawn', () => {
+    expect(() => checkAnnotation({ type: 'arrow' })).toThrow(/Unknown annotation type "arrow"/);
+    expect(() => checkAnnotation({ type: 'line', x: 1, y: 1 })).toThrow('A line annotation needs either x or y');
+    expect(() => checkAnnotation({ type: 'band', y: 1 })).toThrow('A band annotation needs x or y as [from, to]');
+    expect(() => checkAnnotation({ type: 'point', x: 1 })).toThrow('A point annotation needs x and y');
+    expect(() => checkAnnotation({ type: 'band', x: [1, 2] })).not.toThrow();
+  });
+
+  test('locate values in pixels, in the middle of bands, and null outside the scale', () => {
+    const linear = d3.scaleLinear([0, 10], [0, 100]);
+    expect(locate(linear, 5)).toBe(50);
+    expect(locate(linear, 20)).toBeNull();
+    expect(locate(d3.scaleBand(['a', 'b'], [0, 100]), 'b')).toBe(75);
+
+    const time = d3.scaleTime([new Date(2024, 0, 1), new Date(2024, 0, 11)], [0, 100]);
+    expect(locate(time, '2024-01-06', { toDate: value => new Date(`${value}T00:00`) })).toBe(50);
+  });
+
+  test('trace boxes along the segments between points', () => {
+    expect(traceBoxes([[0, 0], [40, 0]], 5)).toHaveLength(5);
+    expect(traceBoxes([[0, 0], [40, 0]], 5, false)).toHaveLength(2);
+    expect(traceBoxes([[0, NaN]], 5)).toEqual([]);
+  });
+});
+
+describe('chart annotations', () => {
+  const data = [0, 1, 2, 3, 4].map(x => ({ x, y: x * 10 }));
+  let container;
+
+  const all = selector => [...container.querySelectorAll(selector)];
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('draw lines and bands at their data values, bands beneath the marks', () => {
+    const chart = new LineChart(container, {
+      animation: false,
+      annotations: [{ type: 'line', y: 20, label: 'Target' }, { type: 'band', x: [1, 2] }]
+    }).setData(data).render();
+
+    const [line] = all('.annotation-line');
+    expect(Number(line.getAttribute('y1'))).toBeCloseTo(chart.yScale(20));
+    expect(container.textContent).toContain('Target');
+
+    const [band] = all('.annotation-band');
+    expect(Number(band.getAttribute('x'))).toBeCloseTo(chart.xScale(1));
+    expect(band.closest('.annotations-below')).not.toBeNull();
+  });
+
+  test('skip annotations outside the scales', () => {
+    new LineChart(container, { animation: false, annotations: [{ type: 'line', x: 99 }] }).setData(data).render();
+    expect(all('.annotation-line')).toHaveLength(0);
+  });
+
+  test('set callouts out inside the plot with a connector', () => {
+    const chart = new LineChart(container, { animation: false }).setData(data).render();
+    chart.addAnnotation({ type: 'point', x: 4, y: 40, label: 'Peak' });
+
+    const [callout] = all('.annotation-callout');
+    const rect = callout.querySelector('rect');
+    const x = Number(rect.getAttribute('x'));
+    const y = Number(rect.getAttribute('y'));
+    expect(x).toBeGreaterThanOrEqual(0);
+    expect(y).toBeGreaterThanOrEqual(0);
+    expect(x + Number(rect.getAttribute('width'))).toBeLessThanOrEqual(chart.innerWidth);
+    expect(callout.querySelector('.annotation-connector')).not.toBeNull();
+  });
+
+  test('are kept across renders and removed by id', () => {
+    const chart = new BarChart(container, { animation: false })
+      .setData([{ label: 'a', value: 1 }, { label: 'b', value: 2 }])
+      .render();
+
+    chart.addAnnotation({ id: 'goal', type: 'line', y: 1.5 }).addAnnotation({ type: 'line', x: 'b' });
+    chart.render();
+    expect(all('.annotation-line')).toHaveLength(2);
+
+    chart.removeAnnotation('goal');
+    expect(all('.annotation-line')).toHaveLength(1);
+    expect(chart.getAnnotations()).toEqual([{ type: 'line', x: 'b' }]);
+
+    chart.clearAnnotations();
+    expect(all('.annotation-line')).toHaveLength(0);
+  });
+
+  test('reject a bad annotation when added', () => {
+    const chart = new LineChart(container, { animation: false }).setData(data).render();
+    expect(() => chart.addAnnotation({ type: 'line' })).toThrow('A line annotation needs either x or y');
+    expect(chart.getAnnotations()).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { ScatterPlot, LineChart } from '../src/index.js';
+
+describe('canvas renderer', () => {
+  const data = [{ x: 1, y: 1 }, { x: 5, y: 5 }, { x: 10, y: 2 }];
+  let container;
+  let calls;
+  let getContext;
+
+  // jsdom has no 2D canvas; this context records the drawing calls made on it
+  const context = new Proxy({}, {
+    get: (target, name) => (...args) => calls.push([name, ...args]),
+    set: () => true
+  });
+  const called = name => calls.filter(([method]) => method === name);
+
+  const mouse = (type, clientX, clientY) => {
+    const canvas = container.querySelector('.canvas-layer canvas');
+    canvas.dispatchEvent(new MouseEvent(type, { clientX, clientY, bubbles: true }));
+  };
+
+  beforeEach(() => {
+    calls = [];
+    getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    getContext.mockRestore();
+    container.remove();
+  });
+
+  test('draws the marks on a canvas layer under the chart group, instead of SVG', () => {
+    const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+
+    const layer = container.querySelector('svg > foreignObject.canvas-layer');
+    expect(layer.nextElementSibling).toBe(chart.chartGroup.node());
+    expect(container.querySelectorAll('.point')).toHaveLength(0);
+    expect(called('arc')).toHaveLength(data.length);
+  });
+
+  test('maps the pointer to the nearest datum for hover, click and leave', () => {
+    const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+    const onHover = jest.fn();
+    const onClick = jest.fn();
+    const onLeave = jest.fn();
+    chart.on('hover', onHover).on('click', onClick).on('leave', onLeave);
+
+    // jsdom lays nothing out, so client coordinates are plot coordinates here
+    const x = chart.xScale(5) + 3;
+    const y = chart.yScale(5) - 2;
+    mouse('mousemove', x, y);
+    mouse('mousemove', x + 1, y);
+    expect(onHover).toHaveBeenCalledTimes(1);
+    expect(onHover.mock.calls[0][0]).toBe(chart.data[1]);
+    expect(container.querySelector('.hover-point').style.display).toBe('');
+
+    mouse('click', x, y);
+    expect(onClick.mock.calls[0][0]).toBe(chart.data[1]);
+
+    mouse('mousemove', chart.xScale(10), chart.yScale(2));
+    expect(onLeave.mock.calls[0][0]).toBe(chart.data[1]);
+    expect(onHover.mock.calls[1][0]).toBe(chart.data[2]);
+
+    mouse('mouseleave', 0, 0);
+    expect(onLeave.mock.calls[1][0]).toBe(chart.data[2]);
+    expect(container.querySelector('.hover-point').style.display).toBe('none');
+  });
+
+  test('finds nothing away from the marks', () => {
+    const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+    const onHover = jest.fn();
+    const onClick = jest.fn();
+    chart.on('hover', onHover).on('click', onClick);
+
+    mouse('mousemove', chart.xScale(3), chart.yScale(8));
+    mouse('click', chart.xScale(3), chart.yScale(8));
+    expect(onHover).not.toHaveBeenCalled();
+    expect(onClick).not.toHaveBeenCalled();
+  });
+
+  test('hit-tests LineChart points on the canvas', () => {
+    const chart = new LineChart(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+    const onClick = jest.fn();
+    chart.on('click', onClick);
+
+    mouse('click', chart.xScale(10) - 2, chart.yScale(2) + 2);
+    expect(onClick.mock.calls[0][0]).toBe(chart.data[2]);
+  });
+
+  test('clears the canvas before drawing each render, keeping one layer', () => {
+    const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+    calls = [];
+
+    chart.setData(data.slice(0, 2)).render();
+    expect(calls[0][0]).toBe('setTransform');
+    expect(calls[1]).toEqual(['clearRect', 0, 0, chart.innerWidth, chart.innerHeight]);
+    expect(called('arc')).toHaveLength(2);
+    expect(container.querySelectorAll('.canvas-layer')).toHaveLength(1);
+  });
+
+  test('removes the canvas layer when switching to SVG and on destroy()', () => {
+    const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas' }).setData(data).render();
+
+    chart.updateOptions({ renderer: 'svg' }).render();
+    expect(container.querySelector('.canvas-layer')).toBeNull();
+    expect(container.querySelectorAll('.point')).toHaveLength(data.length);
+
+    chart.updateOptions({ renderer: 'canvas' }).render();
+    expect(container.querySelector('.canvas-layer')).not.toBeNull();
+    chart.destroy();
+    expect(container.querySelector('.canvas-layer')).toBeNull();
+  });
+});
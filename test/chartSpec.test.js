@@ -0,0 +1,68 @@
+/**
+ * @jest-environment jsdom
+ */
+import { createChart, validateSpec, getChartTypes, ChartSpecError } from '../src/chartSpec.js';
+
+const data = [{ label: 'Q1', value: 30 }, { label: 'Q2', value: 45 }];
+
+describe('chart specs', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('registers every built-in chart type', () => {
+    expect(getChartTypes()).toEqual(expect.arrayContaining(['bar', 'line', 'pie', 'sankey', 'stream', 'network']));
+  });
+
+  test('reports unknown types and fields', () => {
+    const problems = validateSpec({ type: 'bars', data, colour: 'red' });
+    expect(problems.map(problem => problem.path)).toEqual(['type', 'colour']);
+  });
+
+  test('throws a ChartSpecError for an invalid spec', () => {
+    expect(() => createChart(container, { type: 'bars' })).toThrow(ChartSpecError);
+  });
+
+  test('rebuilds the same spec from toSpec()', () => {
+    const spec = {
+      type: 'bar',
+      data,
+      title: 'Sales by quarter',
+      legend: false,
+      options: { height: 300, animation: false }
+    };
+    const chart = createChart(container, spec);
+    const roundTrip = chart.toSpec();
+
+    expect(roundTrip).toMatchObject({ type: 'bar', data, title: 'Sales by quarter', legend: false });
+    expect(roundTrip.options.height).toBe(300);
+    expect(container.querySelectorAll('.bar')).toHaveLength(2);
+
+    const copy = document.createElement('div');
+    document.body.appendChild(copy);
+    expect(createChart(copy, roundTrip).toSpec()).toEqual(roundTrip);
+    copy.remove();
+  });
+
+  test('keeps the data as given, so a round trip encodes it once', () => {
+    const rows = [{ x: 'Q1', y: 30 }, { x: 'Q2', y: 45 }];
+    const spec = { type: 'bar', data: rows, options: { animation: false, encoding: { label: 'x', value: 'y' } } };
+    const roundTrip = createChart(container, spec).toSpec();
+    expect(roundTrip.data).toEqual(rows);
+
+    const copy = document.createElement('div');
+    document.body.appendChild(copy);
+    expect(createChart(copy, roundTrip).data).toEqual([
+      { x: 'Q1', y: 30, label: 'Q1', value: 30 },
+      { x: 'Q2', y: 45, label: 'Q2', value: 45 }
+    ]);
+    copy.remove();
+  });
+});
@@ -0,0 +1,71 @@
+import { DataUtils } from '../src/utils/index.js';
+
+// Parsed rows without their columns property, for comparing with plain arrays
+const parse = (text, options) => [...DataUtils.parseCSV(text, options)];
+
+describe('CSV parsing', () => {
+  test('reads quoted fields with delimiters, doubled quotes and line breaks', () => {
+    const rows = DataUtils.parseCSV('name,note\r\n"Smith, J","said ""hi""\nthen left"\r\nLee,plain\n');
+    expect([...rows]).toEqual([
+      { name: 'Smith, J', note: 'said "hi"\nthen left' },
+      { name: 'Lee', note: 'plain' }
+    ]);
+    expect(rows.columns).toEqual(['name', 'note']);
+  });
+
+  test('infers numbers, booleans and dates by column', () => {
+    const [row] = parse('n,flag,day,zip\n1.5,TRUE,2024-03-01,02134');
+    expect(row.n).toBe(1.5);
+    expect(row.flag).toBe(true);
+    expect(row.day).toEqual(new Date('2024-03-01'));
+    expect(row.zip).toBe('02134');
+  });
+
+  test('keeps strings when a column mixes types or inference is off', () => {
+    expect(parse('v\n1\ntwo').map(row => row.v)).toEqual(['1', 'two']);
+    expect(parse('v\n1', { inferTypes: false })[0].v).toBe('1');
+  });
+
+  test('reads null values and missing fields as null', () => {
+    expect(parse('a,b,c\nNA,,1\n2')).toEqual([
+      { a: null, b: null, c: 1 },
+      { a: 2, b: null, c: null }
+    ]);
+  });
+
+  test('detects the delimiter and names blank and repeated columns', () => {
+    const rows = DataUtils.parseDelimited('a;;a\n1;2;3');
+    expect(rows.columns).toEqual(['a', 'column2', 'a_2']);
+    expect(rows[0]).toEqual({ a: 1, column2: 2, a_2: 3 });
+  });
+
+  test('names the fields of headerless text', () => {
+    expect([...DataUtils.parseTSV('x\t1', { header: false })]).toEqual([{ column1: 'x', column2: 1 }]);
+    expect([...DataUtils.parseTSV('x\t1', { header: false, columns: ['label', 'value'] })]).toEqual([{ label: 'x', value: 1 }]);
+  });
+
+  test('keeps the older parseCSV(text, x, y, label) form', () => {
+    expect(DataUtils.parseCSV('t,v,n\n1,2,a', 'v', 't', 'n')).toEqual([{ x: 2, y: 1, label: 'a' }]);
+  });
+});
+
+describe('mapping rows to chart data', () => {
+  const rows = DataUtils.parseCSV('from,to,amount\nA,B,5\nB,C,3\nA,C,2');
+
+  test('maps label and value columns, by default the first two', () => {
+    expect(DataUtils.toLabelValue(DataUtils.parseCSV('k,v\na,1'))).toEqual([{ label: 'a', value: 1 }]);
+    expect(DataUtils.toLabelValue(rows, { label: 'to', value: 'amount' })[0]).toEqual({ label: 'B', value: 5 });
+  });
+
+  test('maps heatmap cells', () => {
+    expect(DataUtils.toCells(rows)[1]).toEqual({ row: 'B', column: 'C', value: 3 });
+  });
+
+  test('builds a graph linked by id, or by index with node values', () => {
+    expect(DataUtils.toGraph(rows).links[0]).toEqual({ source: 'A', target: 'B', value: 5 });
+
+    const { nodes, links } = DataUtils.toGraph(rows, { indexed: true });
+    expect(links[0]).toEqual({ source: 0, target: 1, value: 5 });
+    expect(nodes.map(node => node.value)).toEqual([7, 5, 5]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ */
+import { DataUtils } from '../src/utils/index.js';
+import { BarChart, Histogram, WaterfallChart, RadialStackedBarChart } from '../src/index.js';
+
+describe('DataUtils.toCSV', () => {
+  test('writes every column, quoting fields that need it', () => {
+    const rows = [{ name: 'Smith, J', note: 'said "hi"' }, { name: ' Lee', extra: { a: 1 } }];
+    expect(DataUtils.toCSV(rows)).toBe([
+      'name,note,extra',
+      '"Smith, J","said ""hi""",',
+      '" Lee",,"{""a"":1}"'
+    ].join('\r\n'));
+  });
+
+  test('writes dates as ISO strings, with the columns and delimiter given', () => {
+    const rows = [{ day: new Date(Date.UTC(2024, 0, 2)), value: 1.5, skipped: true }];
+    expect(DataUtils.toCSV(rows, { columns: ['value', 'day'], delimiter: ';' }))
+      .toBe('value;day\r\n1.5;2024-01-02T00:00:00.000Z');
+  });
+
+  test('reads back what it writes', () => {
+    const rows = [{ label: 'a,b', value: 1 }, { label: 'line\nbreak', value: 2 }];
+    expect([...DataUtils.parseCSV(DataUtils.toCSV(rows))]).toEqual(rows);
+  });
+});
+
+describe('chart data export', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('gives copies of the rows charts draw as given', () => {
+    const data = [{ label: 'a', value: 1 }];
+    const rows = new BarChart(container).setData(data).getRenderedData();
+    expect(rows).toEqual(data);
+    expect(rows[0]).not.toBe(data[0]);
+  });
+
+  test('gives nothing for data that failed validation', () => {
+    const chart = new BarChart(container, { onError: () => {} }).setData([{ label: 'a', value: 'lots' }]);
+    expect(chart.getRenderedData()).toEqual([]);
+    expect(chart.toCSV()).toBe('');
+  });
+
+  test('gives what derived charts draw: bins and running totals', () => {
+    const histogram = new Histogram(container, { animation: false, bins: 2 }).setData([1, 2, 3, 4]).render();
+    const counts = histogram.getRenderedData().map(bin => bin.count);
+    expect(counts.reduce((sum, count) => sum + count, 0)).toBe(4);
+
+    const waterfall = new WaterfallChart(container).setData([
+      { label: 'start', value: 10, type: 'total' },
+      { label: 'loss', value: -3 }
+    ]);
+    expect(waterfall.toCSV({ columns: ['label', 'startValue', 'endValue', 'type'] }))
+      .toBe('label,startValue,endValue,type\r\nstart,0,10,total\r\nloss,10,7,negative');
+  });
+
+  test('gives a row per segment of a RadialStackedBarChart, with its share', () => {
+    const chart = new RadialStackedBarChart(container, { animation: false })
+      .setData([{ year: 2020, categoryA: 1, categoryB: 1, categoryC: 2, totalValue: 4 }])
+      .render();
+
+    expect(chart.getRenderedData()).toEqual([
+      { year: 2020, component: 'categoryA', value: 1, share: 0.25 },
+      { year: 2020, component: 'categoryB', value: 1, share: 0.25 },
+      { year: 2020, component: 'categoryC', value: 2, share: 0.5 }
+    ]);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { defineChartElements, defineChartElement } from '../src/index.js';
+
+describe('chart elements', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  let element;
+
+  // Elements update in a microtask after their properties change
+  const settle = () => new Promise(resolve => setTimeout(resolve));
+  const bars = () => element.shadowRoot.querySelectorAll('rect.bar');
+
+  beforeAll(() => {
+    defineChartElements();
+  });
+
+  beforeEach(() => {
+    element = document.createElement('dcv-bar-chart');
+    element.options = { animation: false };
+  });
+
+  afterEach(() => {
+    element.remove();
+  });
+
+  test('are defined for every chart type, once', () => {
+    expect(customElements.get('dcv-bar-chart')).toBeDefined();
+    expect(customElements.get('dcv-sankey-chart')).toBeDefined();
+    expect(defineChartElement('bar')).toBe(customElements.get('dcv-bar-chart'));
+  });
+
+  test('draw their data in the shadow root once connected', async () => {
+    element.data = data;
+    await settle();
+    expect(bars()).toHaveLength(0);
+
+    document.body.appendChild(element);
+    await settle();
+    expect(bars()).toHaveLength(2);
+    expect(element.chart.constructor.name).toBe('BarChart');
+  });
+
+  test('read data and options from JSON attributes', async () => {
+    element.setAttribute('options', '{"animation": false, "width": 320}');
+    element.setAttribute('data', JSON.stringify(data));
+    document.body.appendChild(element);
+    await settle();
+
+    expect(bars()).toHaveLength(2);
+    expect(element.chart.options.width).toBe(320);
+  });
+
+  test('re-dispatch chart events as CustomEvents', async () => {
+    const onDataChange = jest.fn();
+    const onError = jest.fn();
+    element.addEventListener('dcv-data-change', onDataChange);
+    element.addEventListener('dcv-error', onError);
+    document.body.appendChild(element);
+
+    element.data = data;
+    await settle();
+    expect(onDataChange.mock.calls[0][0].detail.data).toBe(data);
+
+    element.setAttribute('data', '{not json');
+    expect(onError.mock.calls[0][0].detail.error.message).toMatch(/^The data attribute is not valid JSON/);
+  });
+
+  test('keep properties set before the element was defined', async () => {
+    const early = document.createElement('early-bar-chart');
+    early.options = { animation: false };
+    early.data = data;
+    document.body.appendChild(early);
+
+    defineChartElement('bar', { prefix: 'early' });
+    await settle();
+    expect(early.shadowRoot.querySelectorAll('rect.bar')).toHaveLength(2);
+    early.remove();
+  });
+
+  test('destroy their chart when removed', async () => {
+    element.data = data;
+    document.body.appendChild(element);
+    await settle();
+
+    const destroy = jest.spyOn(element.chart, 'destroy');
+    element.remove();
+    expect(destroy).toHaveBeenCalled();
+    expect(element.chart).toBeNull();
+  });
+});
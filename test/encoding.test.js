@@ -0,0 +1,106 @@
+/**
+ * @jest-environment jsdom
+ */
+import { BarChart, LineChart, AreaChart, ScatterPlot } from '../src/index.js';
+import { AnimationUtils } from '../src/utils/index.js';
+
+describe('encoding', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('reads channels from fields, dotted paths and accessors, keeping the other fields', () => {
+    const chart = new BarChart(container, { encoding: { label: 'region', value: 'totals.revenue' } })
+      .setData([{ region: 'North', totals: { revenue: 420 } }]);
+    expect(chart.data).toEqual([{ region: 'North', totals: { revenue: 420 }, label: 'North', value: 420 }]);
+
+    chart.updateOptions({ encoding: { label: (d, i) => `${d.region} ${i + 1}`, value: 'totals.revenue' } });
+    expect(chart.data[0].label).toBe('North 1');
+  });
+
+  test('rejects an unknown channel', () => {
+    expect(() => new BarChart(container, { encoding: { colour: 'x' } }).setData([{ label: 'a', value: 1 }]))
+      .toThrow(/Unknown encoding channel "colour"/);
+  });
+
+  test('leaves the data as given', () => {
+    const data = [{ region: 'North', amount: 1 }];
+    new BarChart(container, { encoding: { label: 'region', value: 'amount' } }).setData(data);
+    expect(data).toEqual([{ region: 'North', amount: 1 }]);
+  });
+
+  test('ScatterPlot draws encoded color and size through scales', () => {
+    const data = [
+      { w: 1, p: 1, grp: 'a', n: 1 },
+      { w: 2, p: 2, grp: 'b', n: 100 },
+      { w: 3, p: 3, grp: 'a', n: 50 }
+    ];
+    const chart = new ScatterPlot(container, { animation: false, encoding: { x: 'w', y: 'p', color: 'grp', size: 'n' } })
+      .setData(data)
+      .render();
+    AnimationUtils.finishTransitions(container);
+
+    const points = [...container.querySelectorAll('.point')];
+    const fills = points.map(point => point.getAttribute('fill'));
+    expect(fills[0]).toBe(chart.theme.palette[0]);
+    expect(fills[1]).toBe(chart.theme.palette[1]);
+    expect(fills[2]).toBe(fills[0]);
+
+    const radii = points.map(point => Number(point.getAttribute('r')));
+    expect(radii[0]).toBeLessThan(radii[2]);
+    expect(radii[2]).toBeLessThan(radii[1]);
+  });
+
+  test('ScatterPlot points keep the default color and size without those channels', () => {
+    const chart = new ScatterPlot(container, { animation: false, encoding: { x: 'w', y: 'p' } })
+      .setData([{ w: 1, p: 1, category: 'a', size: 9 }, { w: 2, p: 2, category: 'b', size: 1 }])
+      .render();
+    AnimationUtils.finishTransitions(container);
+
+    const points = [...container.querySelectorAll('.point')];
+    expect(points.map(point => point.getAttribute('fill'))).toEqual([chart.theme.primary, chart.theme.primary]);
+    expect(points.map(point => point.getAttribute('r'))).toEqual(['4', '4']);
+  });
+
+  describe('series', () => {
+    const rows = [
+      { s: 'a', x: 100, y: 1 },
+      { s: 'a', x: 200, y: 2 },
+      { s: 'b', x: 150, y: 1 }
+    ];
+    const encoding = { x: 'y', y: 'x', series: 's' };
+
+    test('LineChart encodes each row once when drawing a line per series', () => {
+      const chart = new LineChart(container, { animation: false, encoding }).setData(rows).render();
+      expect(chart.xScale.domain()).toEqual([1, 2]);
+      expect(chart.seriesData.map(series => series.name)).toEqual(['a', 'b']);
+
+      chart.redraw();
+      expect(chart.xScale.domain()).toEqual([1, 2]);
+    });
+
+    test('AreaChart encodes each row once when stacking series', () => {
+      const chart = new AreaChart(container, { animation: false, encoding }).setData(rows).render();
+      expect(chart.xScale.domain()).toEqual([1, 2]);
+
+      chart.redraw();
+      expect(chart.xScale.domain()).toEqual([1, 2]);
+    });
+
+    test('renderMultiSeries() encodes the points of series it is given', () => {
+      const chart = new LineChart(container, { animation: false, encoding: { x: 'when', y: 'amount' } });
+      chart.renderMultiSeries([{ name: 'a', data: [{ when: 1, amount: 5 }, { when: 3, amount: 6 }] }]);
+      expect(chart.xScale.domain()).toEqual([1, 3]);
+
+      chart.redraw();
+      expect(chart.xScale.domain()).toEqual([1, 3]);
+    });
+  });
+});
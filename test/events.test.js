@@ -0,0 +1,119 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { BarChart } from '../src/index.js';
+
+describe('chart events', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  let container;
+
+  const heights = () => [...container.querySelectorAll('rect.bar')].map(bar => Number(bar.getAttribute('height')));
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('call handlers with the emitted arguments, in the order they were added', () => {
+    const chart = new BarChart(container);
+    const calls = [];
+    chart
+      .on('zoom', (...args) => calls.push(['first', ...args]))
+      .on('zoom', (...args) => calls.push(['second', ...args]));
+
+    expect(chart.emit('zoom', 1, 2)).toBe(chart);
+    expect(calls).toEqual([['first', 1, 2], ['second', 1, 2]]);
+  });
+
+  test('off() removes one handler, or every handler for the event', () => {
+    const chart = new BarChart(container);
+    const kept = jest.fn();
+    const removed = jest.fn();
+    chart.on('hover', kept).on('hover', removed).on('leave', kept);
+
+    chart.off('hover', removed).emit('hover');
+    expect(kept).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+
+    chart.off('hover').emit('hover');
+    chart.emit('leave');
+    expect(kept).toHaveBeenCalledTimes(2);
+  });
+
+  test('once() handlers run a single time and can be removed before they run', () => {
+    const chart = new BarChart(container);
+    const handler = jest.fn();
+
+    chart.once('brush', handler).emit('brush', 'x').emit('brush', 'y');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith('x');
+
+    const skipped = jest.fn();
+    chart.once('brush', skipped).off('brush', skipped).emit('brush');
+    expect(skipped).not.toHaveBeenCalled();
+  });
+
+  test('a handler that removes itself does not stop the others', () => {
+    const chart = new BarChart(container);
+    const later = jest.fn();
+    const removeSelf = () => chart.off('click', removeSelf);
+    chart.on('click', removeSelf).on('click', later).emit('click');
+    expect(later).toHaveBeenCalledTimes(1);
+  });
+
+  test('ignore handlers that are not functions, such as unset callback options', () => {
+    const chart = new BarChart(container, { onClick: undefined });
+    expect(() => chart.on('click', null).emit('click')).not.toThrow();
+  });
+
+  test('emit dataChange with the data given to setData()', () => {
+    const onDataChange = jest.fn();
+    const chart = new BarChart(container).on('dataChange', onDataChange);
+    chart.setData(data);
+    expect(onDataChange).toHaveBeenCalledWith(data);
+  });
+
+  test('emit render when the marks are built and renderEnd when their transitions end', async () => {
+    const chart = new BarChart(container, { animation: { duration: 40 } }).setData(data);
+    const order = [];
+    let atRender;
+    chart.on('render', () => {
+      order.push('render');
+      atRender = heights();
+    });
+
+    const ended = new Promise(resolve => chart.once('renderEnd', () => {
+      order.push('renderEnd');
+      resolve(heights());
+    }));
+    chart.render();
+    expect(order).toEqual(['render']);
+
+    const atEnd = await ended;
+    expect(order).toEqual(['render', 'renderEnd']);
+    expect(atRender).toEqual([0, 0]);
+    expect(atEnd[1]).toBeGreaterThan(atEnd[0]);
+    expect(atEnd[0]).toBeGreaterThan(0);
+  });
+
+  test('emit renderEnd once for the last of several quick renders, and not after destroy()', async () => {
+    const chart = new BarChart(container, { animation: { duration: 40 } }).setData(data);
+    const onRenderEnd = jest.fn();
+    chart.on('renderEnd', onRenderEnd);
+
+    chart.render().render();
+    await new Promise(resolve => chart.once('renderEnd', resolve));
+    expect(onRenderEnd).toHaveBeenCalledTimes(1);
+
+    const late = jest.fn();
+    chart.render().on('renderEnd', late);
+    chart.destroy();
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(late).not.toHaveBeenCalled();
+  });
+});
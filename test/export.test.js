@@ -0,0 +1,98 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { BarChart, ScatterPlot } from '../src/index.js';
+
+describe('chart export', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  let container;
+
+  const parse = markup => new DOMParser().parseFromString(markup, 'image/svg+xml').documentElement;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('finishes transitions and paints the theme background', () => {
+    const chart = new BarChart(container, { width: 300, height: 200 }).setData(data).render();
+    const svg = parse(chart.toSVGString());
+
+    expect(svg.getAttribute('xmlns')).toBe('http://www.w3.org/2000/svg');
+    expect(svg.getAttribute('viewBox')).toBe('0 0 300 200');
+    expect(svg.querySelector('.export-background').getAttribute('fill')).toBe(chart.theme.background);
+
+    const heights = [...svg.querySelectorAll('rect.bar')].map(bar => Number(bar.getAttribute('height')));
+    expect(heights[1]).toBeGreaterThan(heights[0]);
+    expect(heights[0]).toBeGreaterThan(0);
+  });
+
+  test('adds a heading for a title the chart does not draw, unless told not to', () => {
+    const chart = new BarChart(container, { animation: false, title: 'Sales', width: 300, height: 200 }).setData(data).render();
+    const svg = parse(chart.toSVGString());
+    expect(svg.querySelector('.export-title').textContent).toBe('Sales');
+    expect(Number(svg.getAttribute('height'))).toBeGreaterThan(200);
+    expect(parse(chart.toSVGString({ title: false })).querySelector('.export-title')).toBeNull();
+  });
+
+  test('draws a gradient background, or none for transparent', () => {
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+
+    const svg = parse(chart.toSVGString({ background: 'linear-gradient(to right, red, blue 80%)' }));
+    const stops = [...svg.querySelectorAll('#export-background-gradient stop')]
+      .map(stop => [stop.getAttribute('offset'), stop.getAttribute('stop-color')]);
+    expect(stops).toEqual([['0%', 'red'], ['80%', 'blue']]);
+    expect(svg.querySelector('.export-background').getAttribute('fill')).toBe('url(#export-background-gradient)');
+
+    expect(parse(chart.toSVGString({ background: 'transparent' })).querySelector('.export-background')).toBeNull();
+  });
+
+  test('embeds defs from the page that the chart refers to', () => {
+    const page = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    page.innerHTML = '<defs><linearGradient id="page-fill"><stop offset="0" stop-color="gold"/></linearGradient></defs>';
+    document.body.appendChild(page);
+
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+    chart.svg.select('rect.bar').attr('fill', 'url(#page-fill)');
+
+    expect(parse(chart.toSVGString()).querySelector('#page-fill stop').getAttribute('stop-color')).toBe('gold');
+    page.remove();
+  });
+
+  test('draws canvas marks as an image of the live canvas', () => {
+    // jsdom has no 2D canvas; a context that accepts every drawing call is enough here
+    const context = new Proxy({}, { get: (target, name) => (name in target ? target[name] : () => {}), set: () => true });
+    const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    const toDataURL = jest.spyOn(HTMLCanvasElement.prototype, 'toDataURL').mockReturnValue('data:image/png;base64,AAAA');
+
+    try {
+      const chart = new ScatterPlot(container, { animation: false, renderer: 'canvas', width: 300, height: 200 })
+        .setData([{ x: 1, y: 1 }, { x: 2, y: 2 }])
+        .render();
+      const svg = parse(chart.toSVGString());
+      const layer = chart.svg.select('.canvas-layer');
+
+      expect(svg.querySelector('foreignObject')).toBeNull();
+      const image = svg.querySelector('image.canvas-layer');
+      expect(image.getAttribute('href')).toBe('data:image/png;base64,AAAA');
+      expect(['x', 'y', 'width', 'height'].map(name => image.getAttribute(name)))
+        .toEqual(['x', 'y', 'width', 'height'].map(name => layer.attr(name)));
+      expect(chart.svg.select('.canvas-layer canvas').empty()).toBe(false);
+    } finally {
+      getContext.mockRestore();
+      toDataURL.mockRestore();
+    }
+  });
+
+  test('gives SVG data URLs anywhere, and PNG only with canvas support', async () => {
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+
+    await expect(chart.toDataURL({ type: 'image/svg+xml' })).resolves.toMatch(/^data:image\/svg\+xml;charset=utf-8,%3Csvg/);
+    await expect(chart.toPNGBlob()).rejects.toThrow('PNG export needs a browser with canvas support');
+  });
+});
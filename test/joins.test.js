@@ -0,0 +1,270 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import {
+  Histogram,
+  HeatmapChart,
+  WaterfallChart,
+  GaugeChart,
+  RadarChart,
+  TreemapChart,
+  SunburstChart,
+  SankeyChart,
+  StreamChart,
+  ViolinChart,
+  ParallelCoordinatesChart,
+  NetworkChart,
+  LiquidFillChart,
+  RadialStackedBarChart
+} from '../src/index.js';
+import { AnimationUtils } from '../src/utils/index.js';
+
+describe('keyed joins on updateData()', () => {
+  let container;
+  let chart;
+
+  const marks = (selector, key) => new Map([...container.querySelectorAll(selector)]
+    .map((node, i) => [key(d3.select(node).datum(), i), node]));
+
+  // Render data, update to next and return the marks before and after, by key
+  const update = (created, data, next, selector, key) => {
+    chart = created.setData(data).render();
+    AnimationUtils.finishTransitions(container);
+    const before = marks(selector, key);
+
+    chart.updateData(next);
+    AnimationUtils.finishTransitions(container);
+    return { before, after: marks(selector, key) };
+  };
+
+  const expectJoined = ({ before, after }, kept, entered) => {
+    expect([...after.keys()].sort()).toEqual([...kept, ...entered].sort());
+    kept.forEach(key => expect(after.get(key)).toBe(before.get(key)));
+    entered.forEach(key => expect(before.has(key)).toBe(false));
+  };
+
+  beforeAll(() => {
+    // Marks tween their transforms, which jsdom does not implement
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    chart.destroy();
+    container.remove();
+  });
+
+  test('Histogram keeps its bars by position and removes the bins it no longer has', () => {
+    const joined = update(
+      new Histogram(container, { animation: false, bins: 4 }),
+      [1, 2, 2, 3, 3, 3, 4, 5, 6, 7, 8],
+      [5, 5, 5],
+      'rect.bar',
+      (d, i) => i
+    );
+    expect(joined.after.size).toBeLessThan(joined.before.size);
+    joined.after.forEach((node, i) => expect(node).toBe(joined.before.get(i)));
+  });
+
+  test('HeatmapChart keeps cells by row and column', () => {
+    expectJoined(
+      update(
+        new HeatmapChart(container, { animation: false }),
+        [{ row: 'a', column: 'x', value: 1 }, { row: 'b', column: 'x', value: 2 }],
+        [{ row: 'b', column: 'x', value: 5 }, { row: 'c', column: 'x', value: 4 }],
+        '.cell',
+        d => `${d.row}/${d.column}`
+      ),
+      ['b/x'],
+      ['c/x']
+    );
+  });
+
+  test('WaterfallChart keeps bars by label and moves them to their new values', () => {
+    const steps = [
+      { label: 'Start', value: 100, type: 'total' },
+      { label: 'Sales', value: 40 },
+      { label: 'Costs', value: -20 }
+    ];
+    const joined = update(
+      new WaterfallChart(container, { animation: false }),
+      steps,
+      [steps[0], { label: 'Sales', value: 80 }, { label: 'Tax', value: -10 }],
+      '.bar',
+      d => d.label
+    );
+    expectJoined(joined, ['Start', 'Sales'], ['Tax']);
+    expect(Number(joined.after.get('Sales').getAttribute('height'))).toBeCloseTo(chart.yScale(100) - chart.yScale(180));
+  });
+
+  test('GaugeChart keeps its needle and value arc for a new reading', () => {
+    const joined = update(
+      new GaugeChart(container, { animation: false }),
+      { value: 20, min: 0, max: 100 },
+      { value: 80, min: 0, max: 100 },
+      '.gauge-needle, .gauge-value',
+      (d, i) => i
+    );
+    expectJoined(joined, [0, 1], []);
+  });
+
+  test('RadarChart keeps series by name and their points by axis', () => {
+    const series = name => ({ name, values: ['x', 'y', 'z'].map((axis, i) => ({ axis, value: i + 1 })) });
+    expectJoined(
+      update(
+        new RadarChart(container, { animation: false }),
+        [series('A'), series('B')],
+        [series('A'), series('C')],
+        '.series',
+        d => d.name
+      ),
+      ['A'],
+      ['C']
+    );
+    expect(container.querySelectorAll('.series .point')).toHaveLength(6);
+  });
+
+  test('TreemapChart keeps cells by their path of names', () => {
+    expectJoined(
+      update(
+        new TreemapChart(container, { animation: false }),
+        { name: 'root', children: [{ name: 'a', value: 1 }, { name: 'b', value: 2 }] },
+        { name: 'root', children: [{ name: 'a', value: 3 }, { name: 'c', value: 2 }] },
+        '.cell',
+        d => d.data.name
+      ),
+      ['a'],
+      ['c']
+    );
+  });
+
+  test('SunburstChart keeps arcs by their path of names', () => {
+    expectJoined(
+      update(
+        new SunburstChart(container, { animation: false }),
+        { name: 'root', children: [{ name: 'a', children: [{ name: 'a1', value: 1 }] }, { name: 'b', value: 2 }] },
+        { name: 'root', children: [{ name: 'a', children: [{ name: 'a1', value: 4 }] }, { name: 'c', value: 2 }] },
+        '.arc',
+        d => d.ancestors().map(node => node.data.name).reverse().join('/')
+      ),
+      ['root/a', 'root/a/a1'],
+      ['root/c']
+    );
+  });
+
+  test('SankeyChart keeps nodes by name', () => {
+    expectJoined(
+      update(
+        new SankeyChart(container, { animation: false }),
+        {
+          nodes: [{ name: 'a' }, { name: 'b' }, { name: 'c' }],
+          links: [{ source: 0, target: 1, value: 5 }, { source: 1, target: 2, value: 3 }]
+        },
+        {
+          nodes: [{ name: 'a' }, { name: 'b' }, { name: 'd' }],
+          links: [{ source: 0, target: 1, value: 8 }, { source: 1, target: 2, value: 2 }]
+        },
+        '.sankey-node',
+        d => d.name
+      ),
+      ['a', 'b'],
+      ['d']
+    );
+    expect(container.querySelectorAll('.sankey-link')).toHaveLength(2);
+  });
+
+  test('StreamChart keeps layers by series', () => {
+    const rows = keys => [1, 2, 3].map(day => ({
+      date: new Date(2024, 0, day),
+      ...Object.fromEntries(keys.map(key => [key, day]))
+    }));
+    expectJoined(
+      update(new StreamChart(container, { animation: false }), rows(['a', 'b']), rows(['a', 'c']), '.layer', d => d.key),
+      ['a'],
+      ['c']
+    );
+  });
+
+  test('ViolinChart keeps violins by category', () => {
+    const violin = (category, values) => ({ category, values });
+    expectJoined(
+      update(
+        new ViolinChart(container, { animation: false }),
+        [violin('a', [1, 2, 3, 4]), violin('b', [2, 3, 4, 5])],
+        [violin('a', [2, 3, 4, 8]), violin('c', [1, 1, 2, 3])],
+        '.violin',
+        d => d.category
+      ),
+      ['a'],
+      ['c']
+    );
+  });
+
+  test('ParallelCoordinatesChart keeps lines by name and axes by dimension', () => {
+    const joined = update(
+      new ParallelCoordinatesChart(container, { animation: false }),
+      [{ name: 'a', x: 1, y: 2 }, { name: 'b', x: 3, y: 4 }],
+      [{ name: 'a', x: 2, y: 2 }, { name: 'c', x: 5, y: 1 }],
+      '.foreground .line',
+      d => d.name
+    );
+    expectJoined(joined, ['a'], ['c']);
+    expect([...container.querySelectorAll('.axis')].map(axis => d3.select(axis).datum())).toEqual(['x', 'y']);
+  });
+
+  test('NetworkChart keeps nodes by id and links by their ends', () => {
+    expectJoined(
+      update(
+        new NetworkChart(container, { animation: false }),
+        { nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }], links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }] },
+        { nodes: [{ id: 'a' }, { id: 'b' }, { id: 'd' }], links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'd' }] },
+        '.node',
+        d => d.id
+      ),
+      ['a', 'b'],
+      ['d']
+    );
+    expect(container.querySelectorAll('.link')).toHaveLength(2);
+  });
+
+  test('LiquidFillChart keeps its gauges and raises the liquid in place', () => {
+    const joined = update(
+      new LiquidFillChart(container, { animation: false, dualGauge: true }),
+      [{ title: 'Left', value: 20 }, { title: 'Right', value: 80 }],
+      [{ title: 'Left', value: 60 }],
+      '.liquid-gauge',
+      (d, i) => i
+    );
+    expectJoined(joined, [0], []);
+    expect(joined.after.get(0).querySelector('.liquid-percent').textContent).toBe('60.0%');
+    expect(container.querySelector('.liquid-total')).toBeNull();
+  });
+
+  test('RadialStackedBarChart keeps rings by year', () => {
+    const year = (value, share) => ({ year: value, categoryA: share, categoryB: 1, categoryC: 1, totalValue: share + 2 });
+    expectJoined(
+      update(
+        new RadialStackedBarChart(container, { animation: false }),
+        [year(2022, 1), year(2023, 2)],
+        [year(2023, 4), year(2024, 1)],
+        '.ring',
+        d => d.year
+      ),
+      [2023],
+      [2024]
+    );
+    expect(container.querySelectorAll('.ring .segment')).toHaveLength(6);
+  });
+});
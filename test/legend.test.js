@@ -0,0 +1,118 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { getLegendPosition, getPlotMargin, ITEM_HEIGHT } from '../src/legend.js';
+import { StreamChart } from '../src/index.js';
+
+const margin = { top: 20, right: 20, bottom: 30, left: 40 };
+
+// Enough of a chart for the layout helpers
+const chart = options => ({ options: { margin, legendWidth: 120, legendRows: 2, width: 800, ...options } });
+
+describe('legend placement', () => {
+  test('is null without legendPosition or with the legend off', () => {
+    expect(getLegendPosition(chart({}))).toBeNull();
+    expect(getLegendPosition(chart({ legendPosition: 'left', showLegend: false }))).toBeNull();
+  });
+
+  test('puts an auto legend beside wide charts and below narrow ones', () => {
+    expect(getLegendPosition(chart({ legendPosition: 'auto' }))).toBe('right');
+    expect(getLegendPosition(chart({ legendPosition: 'auto', width: 400 }))).toBe('bottom');
+  });
+
+  test('rejects an unknown position', () => {
+    expect(() => getLegendPosition(chart({ legendPosition: 'middle' }))).toThrow(/Unknown legendPosition "middle"/);
+  });
+
+  test('adds room on the legend side to the plot margin', () => {
+    expect(getPlotMargin(chart({}))).toEqual(margin);
+    expect(getPlotMargin(chart({ legendPosition: 'right' })).right).toBe(margin.right + 120 + 16);
+    expect(getPlotMargin(chart({ legendPosition: 'top' })).top).toBe(margin.top + 2 * ITEM_HEIGHT + 16);
+  });
+});
+
+describe('interactive legends', () => {
+  const keys = ['alpha', 'beta', 'gamma'];
+  const data = [0, 1, 2].map(i => ({ date: new Date(2024, i, 1), ...Object.fromEntries(keys.map((key, k) => [key, i + k + 1])) }));
+  let container;
+
+  const layers = () => [...container.querySelectorAll('.layer')].map(layer => layer.getAttribute('data-series'));
+  const item = key => container.querySelector(`.legend-item[data-series="${key}"]`);
+  const press = key => item(key).dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+  beforeAll(() => {
+    // Axes tween their ticks' transforms, which jsdom does not implement
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('toggle a series from its legend item and emit legendToggle', () => {
+    const chart = new StreamChart(container, { animation: false }).setData(data).render();
+    const onToggle = jest.fn();
+    chart.on('legendToggle', onToggle);
+
+    press('beta');
+    expect(layers()).toEqual(['alpha', 'gamma']);
+    expect(item('beta').getAttribute('aria-checked')).toBe('false');
+    expect(onToggle).toHaveBeenCalledWith(
+      { key: 'beta', visible: false, isolated: false, hidden: ['beta'] },
+      expect.anything()
+    );
+
+    press('beta');
+    expect(layers()).toEqual(keys);
+  });
+
+  test('keep the last series shown', () => {
+    const chart = new StreamChart(container, { animation: false }).setData(data).render();
+    chart.toggleSeries('alpha', false).toggleSeries('beta', false).toggleSeries('gamma', false);
+    expect(layers()).toEqual(['gamma']);
+  });
+
+  test('isolate a series, and show all again', () => {
+    const chart = new StreamChart(container, { animation: false }).setData(data).render();
+
+    chart.isolateSeries('gamma');
+    expect(layers()).toEqual(['gamma']);
+    chart.isolateSeries('gamma');
+    expect(layers()).toEqual(keys);
+
+    chart.isolateSeries('alpha').showAllSeries();
+    expect(chart.getHiddenSeries()).toEqual([]);
+  });
+
+  test('highlight a series by fading the others', () => {
+    const chart = new StreamChart(container, { animation: false }).setData(data).render();
+    chart.highlightSeries('beta');
+
+    const faded = [...container.querySelectorAll('.layer')].filter(layer => layer.style.opacity !== '');
+    expect(faded.map(layer => layer.getAttribute('data-series'))).toEqual(['alpha', 'gamma']);
+  });
+
+  test('page items that do not fit', () => {
+    const many = Array.from({ length: 30 }, (_, i) => `series ${i + 1}`);
+    const rows = [0, 1].map(i => ({ date: new Date(2024, i, 1), ...Object.fromEntries(many.map(key => [key, 1])) }));
+    new StreamChart(container, { animation: false, width: 400, legendPosition: 'bottom' }).setData(rows).render();
+
+    const page = () => container.querySelector('.legend-page').textContent;
+    expect(page()).toMatch(/^1\/\d+$/);
+    container.querySelector('.legend-page-next').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    expect(page()).toMatch(/^2\/\d+$/);
+  });
+});
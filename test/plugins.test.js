@@ -0,0 +1,104 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { BaseChart, BarChart, LineChart, watermark, renderTimeLogger } from '../src/index.js';
+
+describe('plugins', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('run each hook with the chart, in the order of the chart\'s life', () => {
+    const calls = [];
+    const hook = name => jest.fn(chart => calls.push([name, chart]));
+    const plugin = {
+      install: hook('install'),
+      beforeRender: hook('beforeRender'),
+      afterRender: hook('afterRender'),
+      onDataChange: hook('onDataChange'),
+      beforeDestroy: hook('beforeDestroy')
+    };
+
+    const chart = new BarChart(container, { animation: false, plugins: [plugin] });
+    chart.setData(data).render();
+    chart.destroy();
+
+    expect(calls.map(([name]) => name)).toEqual(['install', 'onDataChange', 'beforeRender', 'afterRender', 'beforeDestroy']);
+    expect(calls.every(([, target]) => target === chart)).toBe(true);
+    expect(plugin.onDataChange).toHaveBeenCalledWith(chart, data);
+  });
+
+  test('run beforeRender once per render, and not when data is only checked', () => {
+    const plugin = { beforeRender: jest.fn() };
+    const line = new LineChart(container, { animation: false, encoding: { series: 'name' }, plugins: [plugin] })
+      .setData([{ name: 'a', x: 0, y: 1 }, { name: 'b', x: 0, y: 2 }]);
+
+    expect(line.hasValidData()).toBe(true);
+    expect(plugin.beforeRender).not.toHaveBeenCalled();
+
+    line.render();
+    expect(plugin.beforeRender).toHaveBeenCalledTimes(1);
+  });
+
+  test('run before the chart\'s own event handlers', () => {
+    const order = [];
+    const chart = new BarChart(container, { animation: false, plugins: [{ afterRender: () => order.push('plugin') }] });
+    chart.on('render', () => order.push('handler'));
+    chart.setData(data).render();
+    expect(order).toEqual(['plugin', 'handler']);
+  });
+
+  test('registered with use() apply to charts of that class and its subclasses, base class first', () => {
+    class Probe extends BarChart {}
+    class Subprobe extends Probe {}
+    const base = { name: 'base' };
+    const own = { name: 'own' };
+    Probe.use(own);
+
+    expect(BaseChart.pluginsFor(Subprobe)).toEqual([own]);
+    expect(BaseChart.pluginsFor(BarChart)).toEqual([]);
+
+    BaseChart.use(base);
+    expect(BaseChart.pluginsFor(Subprobe)).toEqual([base, own]);
+    expect(new Subprobe(container, { plugins: [{ name: 'chart' }] }).plugins.map(plugin => plugin.name))
+      .toEqual(['base', 'own', 'chart']);
+  });
+
+  test('watermark draws its text over the plot after every render', () => {
+    const chart = new BarChart(container, { animation: false, plugins: [watermark({ text: 'Draft', position: 'top-left' })] });
+    chart.setData(data).render().render();
+
+    const marks = container.querySelectorAll('text.watermark');
+    expect(marks).toHaveLength(1);
+    expect(marks[0].textContent).toBe('Draft');
+    expect(marks[0].getAttribute('text-anchor')).toBe('start');
+    expect(marks[0].parentNode.getAttribute('aria-hidden')).toBe('true');
+  });
+
+  test('renderTimeLogger reports renders over the threshold', () => {
+    const log = jest.fn();
+    new BarChart(container, { title: 'Sales', animation: false, plugins: [renderTimeLogger({ log })] })
+      .setData(data)
+      .render();
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/^Sales rendered in \d+\.\d ms$/), expect.any(Number), expect.anything());
+
+    const quiet = jest.fn();
+    new BarChart(container, { animation: false, plugins: [renderTimeLogger({ log: quiet, threshold: Infinity })] })
+      .setData(data)
+      .render();
+    expect(quiet).not.toHaveBeenCalled();
+  });
+
+  test('renderTimeLogger needs a log function', () => {
+    expect(() => renderTimeLogger()).toThrow('renderTimeLogger() needs a log function');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { BarChart } from '../src/index.js';
+import { DOMUtils } from '../src/utils/index.js';
+
+// jsdom has no ResizeObserver; this one is driven by the tests
+class FakeResizeObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.observed = [];
+    this.disconnected = false;
+    FakeResizeObserver.instances.push(this);
+  }
+
+  observe(node) {
+    this.observed.push(node);
+  }
+
+  disconnect() {
+    this.disconnected = true;
+  }
+
+  resize(...sizes) {
+    this.callback(sizes.map(([width, height]) => ({ contentRect: { width, height } })));
+  }
+}
+
+describe('responsive charts', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  const breakpoints = [
+    { maxWidth: 600, options: { showValues: true, barPadding: 0.3 } },
+    { maxWidth: 400, options: { barPadding: 0.5 } }
+  ];
+  let container;
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const latestObserver = () => FakeResizeObserver.instances[FakeResizeObserver.instances.length - 1];
+
+  beforeAll(() => {
+    window.ResizeObserver = FakeResizeObserver;
+    // Axes tween their ticks' transforms, which jsdom does not implement
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.ResizeObserver;
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    FakeResizeObserver.instances = [];
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('merge in every matching breakpoint, narrowest last, and restore the options when none match', () => {
+    const chart = new BarChart(container, { animation: false, width: 500, breakpoints });
+    expect(chart.options).toMatchObject({ showValues: true, barPadding: 0.3 });
+    expect(chart.activeBreakpoints).toEqual([breakpoints[0]]);
+
+    chart.setData(data).resize(350);
+    expect(chart.options).toMatchObject({ showValues: true, barPadding: 0.5, width: 350 });
+
+    chart.resize(800);
+    expect(chart.options).toMatchObject({ showValues: false, barPadding: 0.1 });
+    expect(chart.activeBreakpoints).toEqual([]);
+  });
+
+  test('keep breakpoint overrides out of the options the chart was given', () => {
+    const chart = new BarChart(container, { animation: false, width: 350, breakpoints });
+    expect(chart.toSpec().options).toMatchObject({ showValues: false, barPadding: 0.1 });
+
+    chart.updateOptions({ width: 800 });
+    expect(chart.options).toMatchObject({ showValues: false, barPadding: 0.1 });
+  });
+
+  test('resize() redraws at the new size in place and emits resize', () => {
+    const chart = new BarChart(container, { animation: false, width: 500, height: 300 }).setData(data).render();
+    const svg = chart.svg.node();
+    const onResize = jest.fn();
+    chart.on('resize', onResize);
+
+    chart.resize(300, 200);
+    expect(chart.svg.node()).toBe(svg);
+    expect(svg.getAttribute('width')).toBe('300');
+    expect(chart.innerWidth).toBe(300 - chart.plotMargin.left - chart.plotMargin.right);
+    expect(chart.xScale.range()).toEqual([0, chart.innerWidth]);
+    expect(onResize).toHaveBeenCalledWith({ width: 300, height: 200 });
+  });
+
+  test('fit the container after it settles, and only when its size changed', async () => {
+    const chart = new BarChart(container, { animation: false, responsive: 'fit', resizeDelay: 10 }).setData(data).render();
+    const observer = latestObserver();
+    const resize = jest.spyOn(chart, 'resize');
+    expect(observer.observed).toEqual([container]);
+
+    observer.resize([640, 0]);
+    observer.resize([320, 240]);
+    await wait(30);
+    expect(resize).toHaveBeenCalledTimes(1);
+    expect(resize).toHaveBeenCalledWith(320, 240);
+
+    observer.resize([320, 240]);
+    await wait(30);
+    expect(resize).toHaveBeenCalledTimes(1);
+  });
+
+  test('with scale, watch the container only for breakpoints', async () => {
+    new BarChart(container, { responsive: 'scale' });
+    expect(FakeResizeObserver.instances).toHaveLength(0);
+
+    const chart = new BarChart(container, { animation: false, responsive: 'scale', resizeDelay: 0, width: 800, breakpoints })
+      .setData(data)
+      .render();
+    expect(chart.svg.attr('viewBox')).toBe('0 0 800 400');
+
+    latestObserver().resize([500, 250]);
+    await wait(10);
+    expect(chart.options).toMatchObject({ showValues: true, width: 800 });
+    expect(container.querySelectorAll('.value-label')).not.toHaveLength(0);
+  });
+
+  test('stop watching the container and drop a pending resize on destroy() and when options change', async () => {
+    const chart = new BarChart(container, { animation: false, responsive: 'fit', resizeDelay: 10 }).setData(data).render();
+    const first = latestObserver();
+
+    chart.updateOptions({ resizeDelay: 10 });
+    expect(first.disconnected).toBe(true);
+    expect(FakeResizeObserver.instances).toHaveLength(2);
+
+    const resize = jest.spyOn(chart, 'resize');
+    latestObserver().resize([320, 240]);
+    chart.destroy();
+    await wait(30);
+    expect(latestObserver().disconnected).toBe(true);
+    expect(resize).not.toHaveBeenCalled();
+  });
+
+  test('DOMUtils.makeResponsive() resizes the chart to each observed size', () => {
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+    const resize = jest.spyOn(chart, 'resize');
+
+    const observer = DOMUtils.makeResponsive(chart, container);
+    expect(observer.observed).toEqual([container]);
+
+    observer.resize([300, 200]);
+    expect(resize).toHaveBeenCalledWith(300, 200);
+    expect(chart.options).toMatchObject({ width: 300, height: 200 });
+    observer.disconnect();
+  });
+});
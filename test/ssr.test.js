@@ -0,0 +1,46 @@
+import { JSDOM } from 'jsdom';
+import { renderToString, BarChart, PieChart, NetworkChart } from '../src/index.js';
+
+describe('renderToString', () => {
+  const { window } = new JSDOM();
+  const { document } = window;
+  const parse = svg => new window.DOMParser().parseFromString(svg, 'image/svg+xml');
+
+  test('renders a standalone SVG with its namespaces and size', () => {
+    const svg = renderToString(BarChart, [{ label: 'a', value: 1 }, { label: 'b', value: 2 }], { document, width: 300, height: 200 });
+
+    expect(svg).toMatch(/^<svg[^>]* xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    expect(svg).toContain('viewBox="0 0 300 200"');
+    expect(svg.match(/<rect[^>]*class="bar"/g)).toHaveLength(2);
+    expect(svg).not.toContain('NaN');
+  });
+
+  test('draws marks at their end state, after transitions and transforms', () => {
+    const svg = renderToString(PieChart, [{ label: 'a', value: 1 }, { label: 'b', value: 3 }], { document });
+    const arcs = [...parse(svg).querySelectorAll('.slice path')].map(path => path.getAttribute('d'));
+
+    // Slices grow from a zero-width arc, which has no arc command
+    expect(arcs).toHaveLength(2);
+    expect(arcs.every(d => d.includes('A') && !d.includes('NaN'))).toBe(true);
+  });
+
+  test('runs force layouts to rest', () => {
+    const data = {
+      nodes: [{ id: 'a' }, { id: 'b' }, { id: 'c' }],
+      links: [{ source: 'a', target: 'b' }, { source: 'b', target: 'c' }]
+    };
+    const svg = renderToString(NetworkChart, data, { document });
+    const positions = [...parse(svg).querySelectorAll('circle')]
+      .map(circle => circle.parentNode.getAttribute('transform'));
+
+    expect(positions).toHaveLength(3);
+    expect(positions.every(position => /^translate\([-\d.e]+, [-\d.e]+\)$/.test(position))).toBe(true);
+    expect(new Set(positions).size).toBe(3);
+  });
+
+  test('leaves nothing in the document, and needs one', () => {
+    renderToString(BarChart, [{ label: 'a', value: 1 }], { document });
+    expect(document.body.children).toHaveLength(0);
+    expect(() => renderToString(BarChart, [])).toThrow(/needs a DOM document/);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment jsdom
+ */
+import { LineChart, ChartGroup } from '../src/index.js';
+
+describe('ChartGroup', () => {
+  const data = [0, 1, 2, 3, 4].map(x => ({ x, y: x * 10 }));
+  let container;
+  let charts;
+
+  const crosshairs = () => charts.map(chart => chart.svg.selectAll('line.crosshair').size());
+  const hover = (chart, clientX) => chart.chartGroup.node()
+    .dispatchEvent(new MouseEvent('mousemove', { clientX, clientY: 10, bubbles: true }));
+
+  // jsdom has no SVG transform lists, which d3 reads to tween transforms
+  beforeAll(() => {
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    charts = ['First', 'Second'].map(title => new LineChart(container, { title, animation: false, zoom: true })
+      .setData(data)
+      .render());
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('hovering one chart shows the crosshair in all of them', () => {
+    const group = new ChartGroup(charts);
+    hover(charts[0], 0);
+    expect(crosshairs()).toEqual([1, 1]);
+
+    group.hideCrosshair();
+    expect(crosshairs()).toEqual([0, 0]);
+  });
+
+  test('the shared tooltip lists every chart\'s value at x', () => {
+    const group = new ChartGroup(charts);
+    const entries = charts.map(chart => ({ chart, rows: chart.valuesAt(2) }));
+    const html = group.formatTooltip(2, entries, charts[0]);
+
+    expect(html).toContain('First: 20');
+    expect(html).toContain('Second: 20');
+  });
+
+  test('escapes names in the shared tooltip', () => {
+    charts[0].options.title = '<b>Revenue</b> & costs';
+    const group = new ChartGroup(charts);
+    const html = group.formatTooltip(2, [{ chart: charts[0], rows: charts[0].valuesAt(2) }], charts[0]);
+
+    expect(html).toContain('&lt;b&gt;Revenue&lt;/b&gt; &amp; costs: 20');
+    expect(html).not.toContain('<b>');
+  });
+
+  test('zooming one chart zooms the others with zoom: true', () => {
+    const group = new ChartGroup(charts, { zoom: true });
+    charts[0].setXDomain([1, 3]);
+    expect(charts[1].getXDomain()).toEqual([1, 3]);
+
+    group.setXDomain(null);
+    expect(charts.map(chart => chart.getXDomain())).toEqual([[0, 4], [0, 4]]);
+  });
+
+  test('does not share zoom by default', () => {
+    new ChartGroup(charts);
+    charts[0].setXDomain([1, 3]);
+    expect(charts[1].getXDomain()).toEqual([0, 4]);
+  });
+
+  test('keeps a chart linked when it draws again, and unlinks a removed one', () => {
+    const group = new ChartGroup(charts);
+    charts[1].render();
+    group.showCrosshair(2);
+    expect(crosshairs()).toEqual([1, 1]);
+
+    group.hideCrosshair().remove(charts[1]);
+    group.showCrosshair(2);
+    expect(crosshairs()).toEqual([1, 0]);
+    expect(charts[1].chartGroup.select('.sync-surface').empty()).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import * as d3 from 'd3';
+import { resolveTheme, schemeColors } from '../src/themes/index.js';
+import {
+  registerTheme, getTheme, setDefaultTheme, BarChart, NetworkChart, RadialTimelineChart, TreemapChart, WaterfallChart
+} from '../src/index.js';
+
+describe('theme registry', () => {
+  test('fills in a partial theme from the theme it extends, or light', () => {
+    const brand = registerTheme('brand', { extends: 'dark', accent: 'hotpink', font: { size: 14 } });
+
+    expect(getTheme('brand')).toBe(brand);
+    expect(brand).toMatchObject({ name: 'brand', accent: 'hotpink', background: getTheme('dark').background });
+    expect(brand.font).toEqual({ ...getTheme('dark').font, size: 14 });
+    expect(registerTheme('plain', { accent: 'teal' }).background).toBe(getTheme('light').background);
+  });
+
+  test('resolves names, theme objects and nothing', () => {
+    expect(resolveTheme()).toBe(getTheme('light'));
+    expect(resolveTheme('dark')).toBe(getTheme('dark'));
+    expect(resolveTheme({ text: 'navy' })).toMatchObject({ text: 'navy', background: getTheme('light').background });
+  });
+
+  test('falls back to the default theme for an unknown name', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(resolveTheme('sepia')).toBe(getTheme('light'));
+    expect(warn).toHaveBeenCalledWith('Unknown theme "sepia", using "light"');
+    warn.mockRestore();
+  });
+
+  test('changes the default theme, but only to a registered one', () => {
+    expect(() => setDefaultTheme('sepia')).toThrow('Unknown theme "sepia"');
+
+    setDefaultTheme('dark');
+    try {
+      expect(resolveTheme()).toBe(getTheme('dark'));
+    } finally {
+      setDefaultTheme('light');
+    }
+  });
+});
+
+describe('chart themes', () => {
+  const data = [{ label: 'a', value: 1 }, { label: 'b', value: 2 }];
+  let container;
+
+  const hex = color => d3.color(color).formatHex();
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('style the chart from its theme', () => {
+    const chart = new BarChart(container, { animation: false, theme: 'dark' }).setData(data).render();
+    expect(hex(chart.svg.style('background-color'))).toBe(getTheme('dark').background);
+    expect(hex(chart.svg.style('color'))).toBe(getTheme('dark').axis);
+  });
+
+  test('switch at runtime and emit themeChange', () => {
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+    const onChange = jest.fn();
+    chart.on('themeChange', onChange);
+
+    chart.setTheme('dark');
+    expect(onChange).toHaveBeenCalledWith(getTheme('dark'));
+    expect(hex(chart.svg.style('background-color'))).toBe(getTheme('dark').background);
+
+    chart.setTheme({ extends: 'dark', background: '#000000' });
+    expect(hex(chart.svg.style('background-color'))).toBe('#000000');
+  });
+
+  test('give colorScheme the theme\'s palette, a named scheme or the colors given', () => {
+    const dark = getTheme('dark');
+    expect(schemeColors('theme', dark)).toBe(dark.palette);
+    expect(schemeColors('unknown', dark)).toBe(dark.palette);
+    expect(schemeColors('category10', dark)).toBe(d3.schemeCategory10);
+    expect(schemeColors('viridis', dark)).toHaveLength(9);
+    expect(schemeColors(['red', 'blue'], dark)).toEqual(['red', 'blue']);
+  });
+
+  test('recolor categorical charts when the theme changes', () => {
+    const network = new NetworkChart(container, { animation: false })
+      .setData({ nodes: [{ id: 'a', group: 1 }, { id: 'b', group: 2 }], links: [] });
+    expect(network.colorScale.range()).toEqual(getTheme('light').palette);
+
+    network.setTheme('dark');
+    expect(network.colorScale.range()).toEqual(getTheme('dark').palette);
+
+    network.updateColorScheme('category10');
+    expect(network.colorScale.range()).toEqual(d3.schemeCategory10);
+  });
+
+  test('draw treemap labels in the theme\'s text colors', () => {
+    const chart = new TreemapChart(container, { animation: false, width: 600, height: 400 })
+      .setData({ name: 'root', children: [{ name: 'a', value: 6 }, { name: 'b', value: 4 }] })
+      .render();
+    chart.setTheme('dark');
+
+    const fills = [...container.querySelectorAll('.cell text')].map(text => hex(text.style.fill));
+    expect(fills).toEqual(expect.arrayContaining([hex(getTheme('dark').text), hex(getTheme('dark').mutedText)]));
+    expect(fills).not.toContain('#333333');
+  });
+
+  test('draw waterfall steps in the theme\'s positive, negative and primary colors', () => {
+    const fills = () => [...container.querySelectorAll('rect.bar')].map(bar => bar.getAttribute('fill'));
+    const chart = new WaterfallChart(container, { animation: false }).setData([
+      { label: 'start', value: 10, type: 'total' },
+      { label: 'gain', value: 3 },
+      { label: 'loss', value: -2 }
+    ]).render();
+    const { primary, positive, negative } = getTheme('light');
+    expect(fills()).toEqual([primary, positive, negative]);
+
+    chart.setTheme('high-contrast');
+    const contrast = getTheme('high-contrast');
+    expect(fills()).toEqual([contrast.primary, contrast.positive, contrast.negative]);
+    expect(container.querySelector('.connector').getAttribute('stroke')).toBe(contrast.line);
+
+    chart.updateColorScheme('muted');
+    expect(fills()[1]).toBe('#81c784');
+  });
+
+  test('draw the radial timeline in the theme\'s palette and text colors', () => {
+    const chart = new RadialTimelineChart(container, { animation: false })
+      .setData({ economicSchedule: [{ remainder: 100, distribution: 5 }, { remainder: 120, distribution: 6 }] })
+      .render();
+    chart.setTheme('dark');
+    const dark = getTheme('dark');
+
+    const legend = [...container.querySelectorAll('.legend circle')].map(circle => circle.getAttribute('fill'));
+    expect(legend).toEqual(dark.palette.slice(0, 3));
+    expect(container.querySelector('.legend text').getAttribute('fill')).toBe(dark.text);
+    expect(container.querySelector('.arc').getAttribute('stroke')).toBe(dark.stroke);
+
+    chart.updateOptions({ colors: ['red', 'green', 'blue'] }).render();
+    expect(container.querySelector('.legend circle').getAttribute('fill')).toBe('red');
+  });
+});
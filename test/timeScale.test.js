@@ -0,0 +1,153 @@
+/**
+ * @jest-environment jsdom
+ */
+import * as d3 from 'd3';
+import { BarChart, LineChart } from '../src/index.js';
+import { AnimationUtils } from '../src/utils/index.js';
+
+const utc = (...parts) => new Date(Date.UTC(...parts));
+
+// Axes tween their ticks' transforms, which jsdom does not implement
+beforeAll(() => {
+  Object.defineProperty(window.SVGElement.prototype, 'transform', {
+    configurable: true,
+    get: () => ({ baseVal: { consolidate: () => null } })
+  });
+});
+
+afterAll(() => {
+  delete window.SVGElement.prototype.transform;
+});
+
+describe('time scales', () => {
+  let container;
+
+  const tickLabels = () => {
+    AnimationUtils.finishTransitions(container);
+    return [...container.querySelectorAll('.tick text')].map(tick => tick.textContent);
+  };
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('are used for x values that are all dates or ISO strings, unless xType says otherwise', () => {
+    const chart = new LineChart(container);
+    expect(chart.getTimeScaleType([new Date(), '2024-03-01', '2024-03-01T09:30', ' 2024-03-01T09:30:00Z'])).toBe('time');
+    expect(chart.getTimeScaleType(['2024-03-01', 'March'])).toBeNull();
+    expect(chart.getTimeScaleType([1709251200000])).toBeNull();
+    expect(chart.getTimeScaleType([])).toBeNull();
+
+    expect(new LineChart(container, { xType: 'linear' }).getTimeScaleType(['2024-03-01'])).toBeNull();
+    expect(new LineChart(container, { xType: 'time' }).getTimeScaleType([1709251200000])).toBe('time');
+    expect(new LineChart(container, { xType: 'utc' }).getTimeScaleType(['2024-03-01'])).toBe('utc');
+    expect(new LineChart(container, { timeZone: 'UTC' }).getTimeScaleType(['2024-03-01'])).toBe('utc');
+  });
+
+  test('read ISO strings without an offset in local time, or in UTC on a UTC scale', () => {
+    const data = [{ x: '2024-03-01', y: 1 }, { x: '2024-03-02T12:00', y: 2 }, { x: '2024-03-03T00:00:00Z', y: 3 }];
+
+    const local = new LineChart(container, { animation: false }).setData(data).render();
+    expect(local.xScale.domain()).toEqual([new Date(2024, 2, 1), utc(2024, 2, 3)]);
+    expect(local.data[1].x).toEqual(new Date(2024, 2, 2, 12));
+
+    const inUTC = new LineChart(container, { animation: false, xType: 'utc' }).setData(data).render();
+    expect(inUTC.xScale.domain()).toEqual([utc(2024, 2, 1), utc(2024, 2, 3)]);
+    expect(inUTC.data[1].x).toEqual(utc(2024, 2, 2, 12));
+  });
+
+  test('read numbers as epoch milliseconds for xType time, and keep them linear otherwise', () => {
+    const data = [{ x: +utc(2024, 0, 1), y: 1 }, { x: +utc(2024, 0, 2), y: 2 }];
+
+    const dated = new LineChart(container, { animation: false, xType: 'utc' }).setData(data).render();
+    expect(dated.xScale.domain()).toEqual([utc(2024, 0, 1), utc(2024, 0, 2)]);
+
+    const numbers = new LineChart(container, { animation: false }).setData(data).render();
+    expect(numbers.timeScaleType).toBeNull();
+    expect(numbers.xScale.domain()).toEqual([data[0].x, data[1].x]);
+  });
+
+  test('label the axis at each tick\'s own precision', () => {
+    new LineChart(container, { animation: false, timeZone: 'UTC', width: 800 })
+      .setData([{ x: '2024-01-01', y: 1 }, { x: '2024-12-31', y: 2 }])
+      .render();
+    const labels = tickLabels();
+    expect(labels).toContain('2024');
+    expect(labels).toContain('April');
+  });
+
+  test('format dates for tooltips in the time zone, with the time of day unless it is midnight', () => {
+    const chart = new LineChart(container, { timeZone: 'UTC' });
+    expect(chart.formatDate(utc(2024, 2, 5))).toBe('Mar 5, 2024');
+    expect(chart.formatDate(utc(2024, 2, 5, 15, 30))).toBe('Mar 5, 2024, 3:30 PM UTC');
+    expect(chart.formatDate('March')).toBe('March');
+
+    const newYork = new LineChart(container, { timeZone: 'America/New_York' });
+    expect(newYork.formatDate(utc(2024, 2, 5))).toBe('Mar 4, 2024, 7:00 PM EST');
+  });
+});
+
+describe('BarChart time buckets', () => {
+  const orders = [
+    { label: '2024-01-03', value: 4 },
+    { label: '2024-01-20', value: 2 },
+    { label: '2024-03-08', value: 7 }
+  ];
+  let container;
+
+  const bucket = options => new BarChart(container, { animation: false, timeZone: 'UTC', ...options }).setData(orders).render();
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('order dated bars by date without combining them', () => {
+    const chart = new BarChart(container, { animation: false })
+      .setData([{ label: '2024-03-08', value: 1 }, { label: '2024-01-03', value: 2 }])
+      .render();
+    expect(chart.getRenderedData()).toEqual([
+      { label: new Date(2024, 0, 3), value: 2 },
+      { label: new Date(2024, 2, 8), value: 1 }
+    ]);
+  });
+
+  test('combine rows into one bar per interval, with empty bars for intervals without data', () => {
+    expect(bucket({ timeInterval: 'month' }).getRenderedData()).toEqual([
+      { label: utc(2024, 0, 1), value: 6, count: 2 },
+      { label: utc(2024, 1, 1), value: 0, count: 0 },
+      { label: utc(2024, 2, 1), value: 7, count: 1 }
+    ]);
+    expect(container.querySelectorAll('rect.bar')).toHaveLength(3);
+  });
+
+  test('aggregate by name or function, and take d3 intervals', () => {
+    expect(bucket({ timeInterval: 'month', aggregate: 'mean' }).getRenderedData()[0].value).toBe(3);
+    expect(bucket({ timeInterval: 'year', aggregate: 'count' }).getRenderedData()).toEqual([
+      { label: utc(2024, 0, 1), value: 3, count: 3 }
+    ]);
+    expect(bucket({ timeInterval: 'month', aggregate: values => d3.max(values) * 10 }).getRenderedData()[2].value).toBe(70);
+    expect(bucket({ timeInterval: d3.utcMonday }).getRenderedData()).toHaveLength(10);
+  });
+
+  test('label buckets in the interval\'s format', () => {
+    bucket({ timeInterval: 'month' });
+    AnimationUtils.finishTransitions(container);
+    const labels = [...container.querySelectorAll('.tick text')].map(tick => tick.textContent);
+    expect(labels.slice(0, 3)).toEqual(['Jan 2024', 'Feb 2024', 'Mar 2024']);
+  });
+
+  test('reject unknown intervals and aggregates', () => {
+    expect(() => bucket({ timeInterval: 'fortnight' })).toThrow(/^Unknown timeInterval "fortnight"/);
+    expect(() => bucket({ timeInterval: 'month', aggregate: 'median' })).toThrow(/^Unknown aggregate "median"/);
+  });
+});
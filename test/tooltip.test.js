@@ -0,0 +1,76 @@
+import { getTooltipOptions, fillTemplate, tooltipContent, placeTooltip } from '../src/tooltip.js';
+
+// Enough of a chart for the tooltip helpers: options and date formatting
+const chart = (tooltip) => ({
+  options: { tooltip },
+  formatDate: value => (value instanceof Date ? value.toISOString().slice(0, 10) : value)
+});
+
+describe('tooltip options', () => {
+  test('fills in defaults, and gives null for tooltip: false', () => {
+    expect(getTooltipOptions(chart(true))).toMatchObject({ followCursor: true, placement: 'auto', offset: 10, pin: false });
+    expect(getTooltipOptions(chart({ placement: 'top' })).placement).toBe('top');
+    expect(getTooltipOptions(chart(false))).toBeNull();
+  });
+
+  test('rejects an unknown placement', () => {
+    expect(() => getTooltipOptions(chart({ placement: 'middle' }))).toThrow(/Unknown tooltip placement "middle"/);
+  });
+});
+
+describe('fillTemplate', () => {
+  test('fills fields, dotted paths and formats', () => {
+    const datum = { label: 'Q1', value: 1234.5, meta: { region: 'EU' }, date: new Date(Date.UTC(2024, 2, 5)) };
+    expect(fillTemplate('{label} in {meta.region}: {value:,.0f}', datum, chart())).toBe('Q1 in EU: 1,235');
+    expect(fillTemplate('{date}', datum, chart())).toBe('2024-03-05');
+  });
+
+  test('escapes values and leaves missing fields empty', () => {
+    expect(fillTemplate('<b>{label}</b>{missing}', { label: '<i>&"' }, chart())).toBe('<b>&lt;i&gt;&amp;&quot;</b>');
+  });
+
+  test('prefers a field whose name has a dot over the path', () => {
+    expect(fillTemplate('{a.b}', { 'a.b': 1, a: { b: 2 } }, chart())).toBe('1');
+  });
+});
+
+describe('tooltipContent', () => {
+  const datum = { label: 'Q1' };
+
+  test('uses the formatter, then the template, then the chart content', () => {
+    const options = { formatter: (d, content) => `${d.label}: ${content}`, template: '{label}' };
+    expect(tooltipContent(chart(), options, 'own', datum)).toBe('Q1: own');
+    expect(tooltipContent(chart(), { template: 'T {label}' }, 'own', datum)).toBe('T Q1');
+    expect(tooltipContent(chart(), {}, 'own', datum)).toBe('own');
+  });
+
+  test('keeps the chart content when the formatter returns nothing or there is no datum', () => {
+    expect(tooltipContent(chart(), { formatter: () => null }, 'own', datum)).toBe('own');
+    expect(tooltipContent(chart(), { formatter: () => 'x' }, 'own', undefined)).toBe('own');
+  });
+});
+
+describe('placeTooltip', () => {
+  const bounds = { left: 0, top: 0, right: 500, bottom: 400 };
+  const size = { width: 100, height: 40 };
+  const at = (x, y) => ({ left: x, top: y, right: x, bottom: y });
+
+  test('goes to the right of the anchor when there is room', () => {
+    expect(placeTooltip(at(100, 200), size, bounds)).toEqual({ x: 110, y: 180, side: 'right' });
+  });
+
+  test('flips to the other side near the edge', () => {
+    expect(placeTooltip(at(450, 200), size, bounds)).toEqual({ x: 340, y: 180, side: 'left' });
+    expect(placeTooltip(at(250, 20), size, bounds, 'top')).toEqual({ x: 200, y: 30, side: 'bottom' });
+  });
+
+  test('is kept inside the bounds', () => {
+    expect(placeTooltip(at(100, 395), size, bounds)).toEqual({ x: 110, y: 360, side: 'right' });
+    expect(placeTooltip(at(250, 200), { width: 600, height: 40 }, bounds, 'right')).toEqual({ x: 0, y: 180, side: 'right' });
+  });
+
+  test('places beside a box anchor with the given offset', () => {
+    const box = { left: 100, top: 100, right: 140, bottom: 120 };
+    expect(placeTooltip(box, size, bounds, 'bottom', 4)).toEqual({ x: 70, y: 124, side: 'bottom' });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { validateData, coerceData, ChartDataError } from '../src/validation.js';
+import { BarChart, StreamChart, SankeyChart, ChordDiagramChart } from '../src/index.js';
+
+describe('validateData', () => {
+  const schema = {
+    type: 'array',
+    minLength: 1,
+    rows: { type: 'object', fields: { label: 'label', value: { type: 'number', min: 0 }, note: { type: 'string', required: false } } }
+  };
+
+  test('accepts data that matches the schema', () => {
+    expect(validateData([{ label: 'a', value: 1 }, { label: 2, value: '3' }], schema)).toEqual([]);
+  });
+
+  test('names the row and field of each problem', () => {
+    const problems = validateData([{ label: 'a', value: -1 }, { value: 'x' }], schema);
+    expect(problems.map(({ path, row, field }) => ({ path, row, field }))).toEqual([
+      { path: 'data[0].value', row: 0, field: 'value' },
+      { path: 'data[1].label', row: 1, field: 'label' },
+      { path: 'data[1].value', row: 1, field: 'value' }
+    ]);
+    expect(problems[0].message).toBe('data[0].value should be at least 0, got -1');
+    expect(problems[1].message).toBe('data[1].label is missing');
+  });
+
+  test('checks length and type before rules', () => {
+    const rule = jest.fn(() => [{ message: 'never reached' }]);
+    expect(validateData([], { ...schema, rules: [rule] }).map(problem => problem.message))
+      .toEqual(['data should have at least 1 item']);
+    expect(validateData({}, { type: 'array' }, 'rows')[0].message).toBe('rows should be an array, got an object');
+    expect(rule).not.toHaveBeenCalled();
+  });
+
+  test('converts numeric strings only where the schema wants a number', () => {
+    expect(coerceData([{ label: '7', value: '1.5', note: '2' }, { label: 'b', value: 'x' }], schema))
+      .toEqual([{ label: '7', value: 1.5, note: '2' }, { label: 'b', value: 'x' }]);
+  });
+
+  test('reports rule problems at the path the rule gives', () => {
+    const rules = [rows => (rows.length > 1 ? [{ path: '1.value', message: 'should be the only row' }] : [])];
+    const [problem] = validateData([{ label: 'a', value: 1 }, { label: 'b', value: 2 }], { ...schema, rules });
+    expect(problem).toMatchObject({ path: 'data[1].value', row: 1, field: 'value', value: 2 });
+  });
+});
+
+describe('chart data errors', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('throws a ChartDataError listing every problem', () => {
+    const chart = new BarChart(container);
+    const data = [{ label: 'a' }, { value: 2 }];
+    expect(() => chart.setData(data)).toThrow(ChartDataError);
+
+    const error = chart.validate(data);
+    expect(error.problems.map(problem => problem.path)).toEqual(['data[0].value', 'data[1].label']);
+    expect(error.chart).toBe(chart);
+  });
+
+  test('stores numbers given as strings as numbers, so \'10\' is more than \'9\'', () => {
+    const data = [{ label: 'a', value: '10' }, { label: 'b', value: '9' }];
+    const chart = new BarChart(container, { animation: false }).setData(data).render();
+
+    expect(chart.data.map(row => row.value)).toEqual([10, 9]);
+    expect(chart.yScale.domain()[1]).toBeGreaterThanOrEqual(10);
+    expect(data[0].value).toBe('10');
+
+    const rows = [{ label: 'a', value: 1 }];
+    expect(new BarChart(container).setData(rows).data).toBe(rows);
+  });
+
+  test('emits the error to onError and keeps the chart drawable', () => {
+    const onError = jest.fn();
+    const chart = new BarChart(container, { onError, animation: false });
+    chart.setData([{ label: 'a', value: 'lots' }]).render();
+
+    expect(onError).toHaveBeenCalledWith(expect.any(ChartDataError));
+    expect(chart.describe()).toMatch(/cannot show its data: data\[0\]\.value should be a number/);
+  });
+});
+
+describe('chart schemas', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  const problemsFor = (Chart, data) => {
+    const error = new Chart(container).validate(data);
+    return error ? error.problems.map(problem => problem.message) : [];
+  };
+
+  test('StreamChart takes dates as Dates, ISO strings or timestamps', () => {
+    const rows = [{ date: '2024-01-01', a: 1 }, { date: Date.UTC(2024, 1, 1), a: 2 }, { date: new Date(2024, 2, 1), a: 3 }];
+    expect(problemsFor(StreamChart, rows)).toEqual([]);
+    expect(problemsFor(StreamChart, [{ date: 'soon', a: 1 }])).toEqual(['data[0].date should be a date, got "soon"']);
+
+    new StreamChart(container, { animation: false }).setData(rows).render();
+    const paths = [...container.querySelectorAll('path')].map(path => path.getAttribute('d') || '');
+    expect(paths.some(d => d.includes('NaN'))).toBe(false);
+  });
+
+  test('SankeyChart derives missing node values from the links', () => {
+    const data = { nodes: [{ name: 'in' }, { name: 'out' }], links: [{ source: 0, target: 1, value: 5 }] };
+    expect(problemsFor(SankeyChart, data)).toEqual([]);
+    expect(problemsFor(SankeyChart, { ...data, nodes: [{ name: 'in', value: 'x' }, { name: 'out' }] }))
+      .toEqual(['nodes[0].value should be a number, got "x"']);
+
+    new SankeyChart(container, { animation: false }).setData(data).render();
+    expect(container.textContent).toContain('$5');
+  });
+
+  test('ChordDiagramChart wants a square matrix with a label per row', () => {
+    const data = { matrix: [[0, 1], [2, 0]], labels: ['A', 'B'] };
+    expect(problemsFor(ChordDiagramChart, data)).toEqual([]);
+    expect(problemsFor(ChordDiagramChart, { matrix: [[0, 1], [2]] }))
+      .toEqual(['matrix[1] should have 2 values, one per row']);
+    expect(problemsFor(ChordDiagramChart, { ...data, labels: ['A'] }))
+      .toEqual(['labels should have 2 labels, one per row of the matrix']);
+    expect(problemsFor(ChordDiagramChart, { matrix: [[0, -1], [2, 0]] }))
+      .toEqual(['matrix[0][1] should be at least 0, got -1']);
+
+    new ChordDiagramChart(container, { animation: false }).setData(data).render();
+    expect(container.textContent).toContain('Total Flow: $3');
+  });
+});
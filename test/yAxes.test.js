@@ -0,0 +1,117 @@
+/**
+ * @jest-environment jsdom
+ */
+import { LineChart } from '../src/index.js';
+import { AnimationUtils } from '../src/utils/index.js';
+
+describe('LineChart y axes', () => {
+  const revenue = { name: 'Revenue', data: [{ x: 1, y: 100 }, { x: 2, y: 300 }] };
+  const conversion = { name: 'Conversion', axis: 'right', data: [{ x: 1, y: 0.01 }, { x: 2, y: 0.05 }] };
+  let container;
+
+  const axis = id => container.querySelector(`.y-axis[data-axis="${id}"]`);
+  const ticks = id => [...axis(id).querySelectorAll('.tick text')].map(tick => tick.textContent);
+  const legendLabel = key => container.querySelector(`.legend-item[data-series="${key}"]`).textContent;
+
+  beforeAll(() => {
+    // Axes tween their ticks' transforms, which jsdom does not implement
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('draw a series with axis: \'right\' against its own scale on the right', () => {
+    const chart = new LineChart(container, { animation: false }).renderMultiSeries([revenue, conversion]);
+
+    expect(chart.yScales.get('left').domain()).toEqual([100, 300]);
+    expect(chart.yScales.get('right').domain()).toEqual([0.01, 0.05]);
+    expect(chart.yScale).toBe(chart.yScales.get('left'));
+
+    expect(container.querySelector('.line[data-series="Revenue"]').getAttribute('data-axis')).toBe('left');
+    expect(container.querySelector('.line[data-series="Conversion"]').getAttribute('data-axis')).toBe('right');
+    expect(axis('left').getAttribute('transform')).toBe('translate(0, 0)');
+    expect(axis('right').getAttribute('transform')).toBe(`translate(${chart.innerWidth}, 0)`);
+  });
+
+  test('put every series on one left axis unless told otherwise, named plainly', () => {
+    const chart = new LineChart(container, { animation: false })
+      .renderMultiSeries([revenue, { ...conversion, axis: undefined }]);
+
+    expect([...chart.yScales.keys()]).toEqual(['left']);
+    expect(chart.yScale.domain()).toEqual([0.01, 300]);
+    expect(legendLabel('Conversion')).toBe('Conversion');
+  });
+
+  test('name each series\' axis in the legend once there is more than one', () => {
+    new LineChart(container, { animation: false }).renderMultiSeries([revenue, conversion]);
+    expect(legendLabel('Revenue')).toBe('Revenue (left axis)');
+    expect(legendLabel('Conversion')).toBe('Conversion (right axis)');
+  });
+
+  test('take each axis\'s domain, tick format and title from yAxes', () => {
+    new LineChart(container, {
+      animation: false,
+      yAxes: { right: { title: 'Conversion rate', tickFormat: '.0%', domain: [0, 0.1] } }
+    }).renderMultiSeries([revenue, conversion]);
+    AnimationUtils.finishTransitions(container);
+
+    expect(ticks('right')[0]).toBe('0%');
+    expect(ticks('right')).toContain('10%');
+    expect(axis('right').querySelector('.axis-title').textContent).toBe('Conversion rate');
+    expect(axis('left').querySelector('.axis-title')).toBeNull();
+  });
+
+  test('assign series listed by name in yAxes, such as series from encoding', () => {
+    const chart = new LineChart(container, {
+      animation: false,
+      encoding: { series: 'metric' },
+      yAxes: { right: { series: ['Conversion'] } }
+    }).setData([
+      { metric: 'Revenue', x: 1, y: 100 },
+      { metric: 'Revenue', x: 2, y: 300 },
+      { metric: 'Conversion', x: 1, y: 0.01 },
+      { metric: 'Conversion', x: 2, y: 0.05 }
+    ]).render();
+
+    expect(chart.yScales.get('left').domain()).toEqual([100, 300]);
+    expect(chart.yScales.get('right').domain()).toEqual([0.01, 0.05]);
+  });
+
+  test('stack further axes outward from the plot on their side', () => {
+    const visits = { name: 'Visits', axis: 'visits', data: [{ x: 1, y: 5000 }, { x: 2, y: 7000 }] };
+    const chart = new LineChart(container, { animation: false, yAxes: { visits: { title: 'Visits' } } })
+      .renderMultiSeries([revenue, conversion, visits]);
+
+    expect(chart.yScales.get('visits').domain()).toEqual([5000, 7000]);
+    expect(axis('visits').getAttribute('transform')).toBe(`translate(${chart.innerWidth + 50}, 0)`);
+    expect(legendLabel('Visits')).toBe('Visits (right axis 2)');
+  });
+
+  test('fit each axis to the series still shown, dropping an axis left with none', () => {
+    const other = { name: 'Other', axis: 'right', data: [{ x: 1, y: 0.2 }, { x: 2, y: 0.4 }] };
+    const chart = new LineChart(container, { animation: false }).renderMultiSeries([revenue, conversion, other]);
+    expect(chart.yScales.get('right').domain()).toEqual([0.01, 0.4]);
+
+    chart.toggleSeries('Other', false);
+    expect(chart.yScales.get('right').domain()).toEqual([0.01, 0.05]);
+    expect(chart.yScales.get('left').domain()).toEqual([100, 300]);
+
+    chart.toggleSeries('Conversion', false);
+    expect(chart.yScales.has('right')).toBe(false);
+    expect(axis('right')).toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @jest-environment jsdom
+ */
+import { jest } from '@jest/globals';
+import { visibleXDomain, getOverviewSpace } from '../src/zoom.js';
+import { LineChart } from '../src/index.js';
+
+// Enough of a chart for visibleXDomain: the view and date conversion
+const chart = (xDomain) => ({ xDomain, toDate: value => (typeof value === 'string' ? new Date(value) : value) });
+
+describe('visibleXDomain', () => {
+  test('is the full domain when not zoomed, and records it', () => {
+    const target = chart(null);
+    expect(visibleXDomain(target, [0, 10])).toEqual([0, 10]);
+    expect(target.fullXDomain).toEqual([0, 10]);
+  });
+
+  test('keeps the view inside the data', () => {
+    expect(visibleXDomain(chart([2, 5]), [0, 10])).toEqual([2, 5]);
+    expect(visibleXDomain(chart([-5, 5]), [0, 10])).toEqual([0, 5]);
+  });
+
+  test('falls back to the full domain for a view outside the data', () => {
+    expect(visibleXDomain(chart([20, 30]), [0, 10])).toEqual([0, 10]);
+  });
+
+  test('gives dates for a date domain, reading views given as strings', () => {
+    const full = [new Date(2024, 0, 1), new Date(2024, 11, 31)];
+    expect(visibleXDomain(chart(['2024-03-01T00:00', '2025-06-01T00:00']), full))
+      .toEqual([new Date(2024, 2, 1), new Date(2024, 11, 31)]);
+  });
+});
+
+describe('getOverviewSpace', () => {
+  test('takes the overview height and its gap from the plot', () => {
+    expect(getOverviewSpace({ options: {} })).toBe(0);
+    expect(getOverviewSpace({ options: { overview: { height: 50 } } })).toBe(90);
+  });
+});
+
+describe('LineChart x zoom', () => {
+  let container;
+
+  // jsdom has no SVG transform lists, which d3 reads to tween transforms
+  beforeAll(() => {
+    Object.defineProperty(window.SVGElement.prototype, 'transform', {
+      configurable: true,
+      get: () => ({ baseVal: { consolidate: () => null } })
+    });
+  });
+
+  afterAll(() => {
+    delete window.SVGElement.prototype.transform;
+  });
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  test('setXDomain shows part of the x axis and emits zoom; resetZoom shows it all', () => {
+    const data = [0, 1, 2, 3, 4, 5].map(x => ({ x, y: x * x }));
+    const chart = new LineChart(container, { animation: false, zoom: true }).setData(data).render();
+    const onZoom = jest.fn();
+    chart.on('zoom', onZoom);
+
+    chart.setXDomain([1, 3]);
+    expect(chart.getXDomain()).toEqual([1, 3]);
+    expect(onZoom).toHaveBeenCalledWith(expect.anything(), null, [1, 3]);
+
+    chart.resetZoom();
+    expect(chart.getXDomain()).toEqual([0, 5]);
+  });
+});